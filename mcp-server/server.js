@@ -11,6 +11,11 @@ import * as cheerio from 'cheerio';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import Fetcher from '../src/fetcher.js';
+import UrlNormalizer from '../src/urlNormalizer.js';
+import CrawlScope from '../src/scope.js';
+import LinkGraph from '../src/linkGraph.js';
+import GraphExporter from '../src/graphExport.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -68,6 +73,36 @@ class WebCrawlerMCPServer {
                       minimum: 500,
                       maximum: 5000,
                     },
+                    maxRetries: {
+                      type: 'number',
+                      description: 'Retries for transient failures such as timeouts, 5xx and 429 (default: 3)',
+                      minimum: 0,
+                      maximum: 5,
+                    },
+                    includePatterns: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Only follow URLs matching one of these globs (e.g. "/blog/**") or "regex:" patterns',
+                    },
+                    excludePatterns: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Never follow URLs matching these globs (e.g. "*?*sessionid=*") or "regex:" patterns',
+                    },
+                    pathPrefixes: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Only follow URLs under these paths (e.g. "/docs/")',
+                    },
+                    allowedHosts: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Other hosts to follow links to (e.g. "docs.example.org", "*.example.net")',
+                    },
+                    includeSubdomains: {
+                      type: 'boolean',
+                      description: 'Also follow links to subdomains of the start host (default: false)',
+                    },
                   },
                 },
               },
@@ -128,8 +163,12 @@ class WebCrawlerMCPServer {
                 },
                 format: {
                   type: 'string',
-                  enum: ['json', 'csv', 'txt'],
-                  description: 'Export format',
+                  enum: ['json', 'csv', 'txt', ...GraphExporter.FORMATS],
+                  description: 'Export format: crawl data (json), word frequencies (csv), a text report (txt), or the link graph for Gephi and Graphviz (graphml, gexf, dot)',
+                },
+                pagesOnly: {
+                  type: 'boolean',
+                  description: 'Graph formats: only the crawled pages and the links between them',
                 },
               },
               required: ['sessionId', 'format'],
@@ -177,6 +216,12 @@ class WebCrawlerMCPServer {
       maxDepth: options.maxDepth || 2,
       maxPages: options.maxPages || 10,
       delay: options.delay || 1000,
+      maxRetries: options.maxRetries ?? 3,
+      includePatterns: options.includePatterns || [],
+      excludePatterns: options.excludePatterns || [],
+      pathPrefixes: options.pathPrefixes || [],
+      allowedHosts: options.allowedHosts || [],
+      includeSubdomains: Boolean(options.includeSubdomains),
     };
 
     try {
@@ -211,6 +256,7 @@ class WebCrawlerMCPServer {
                   `📄 Pages crawled: ${results.pages.length}\n` +
                   `📝 Total words: ${results.totalWords.toLocaleString()}\n` +
                   `🔤 Unique words: ${results.wordFrequency.size.toLocaleString()}\n` +
+                  `🔁 Retries: ${results.retries} (${results.errors.length} failed pages)\n` +
                   `⏱️ Duration: ${(crawlData.metadata.duration / 1000).toFixed(1)}s\n\n` +
                   `🔍 Use the session ID "${sessionId}" to analyze the data with other tools.`,
           },
@@ -320,7 +366,7 @@ class WebCrawlerMCPServer {
   }
 
   async exportCrawlData(args) {
-    const { sessionId, format } = args;
+    const { sessionId, format, pagesOnly = false } = args;
     const data = this.crawlData.get(sessionId);
 
     if (!data) {
@@ -339,6 +385,11 @@ class WebCrawlerMCPServer {
       case 'txt':
         exportedData = this.exportToText(data);
         break;
+      case 'graphml':
+      case 'gexf':
+      case 'dot':
+        exportedData = new GraphExporter({ pagesOnly }).export({ pages: data.results.pages }, format);
+        break;
       default:
         throw new Error('Unsupported export format');
     }
@@ -411,10 +462,21 @@ class SimpleCrawler {
     this.wordFrequency = new Map();
     this.totalWords = 0;
     this.errors = [];
+    this.retries = 0;
+    this.urlNormalizer = new UrlNormalizer();
+    this.scope = new CrawlScope(config);
+    this.fetcher = new Fetcher({
+      httpClient: axios,
+      userAgent: 'WebCrawler-MCP/1.0',
+      timeout: 10000,
+      maxRetries: config.maxRetries,
+      onRetry: () => this.retries++,
+    });
   }
 
   async crawl(startUrl) {
-    const urlQueue = [{ url: startUrl, depth: 0 }];
+    const urlQueue = [{ url: this.urlNormalizer.normalize(startUrl) || startUrl, depth: 0 }];
+    this.scope.addStartUrl(urlQueue[0].url);
     
     while (urlQueue.length > 0 && this.pages.length < this.config.maxPages) {
       const { url, depth } = urlQueue.shift();
@@ -435,6 +497,7 @@ class SimpleCrawler {
       wordFrequency: this.wordFrequency,
       totalWords: this.totalWords,
       errors: this.errors,
+      retries: this.retries,
     };
   }
 
@@ -442,14 +505,13 @@ class SimpleCrawler {
     this.visitedUrls.add(url);
 
     try {
-      const response = await axios.get(url, {
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'WebCrawler-MCP/1.0',
-        },
-      });
+      const requestStart = Date.now();
+      const response = await this.fetcher.get(url);
+      const responseTime = Date.now() - requestStart;
 
       const $ = cheerio.load(response.data);
+      // Every link on the page, for the link graph exports, before navigation is stripped
+      const outlinks = LinkGraph.extractOutlinks($, url, { urlNormalizer: this.urlNormalizer, scope: this.scope });
       
       // Extract text content
       $('script, style, nav, header, footer').remove();
@@ -474,13 +536,9 @@ class SimpleCrawler {
       $('a[href]').each((i, element) => {
         try {
           const href = $(element).attr('href');
-          const absoluteUrl = new URL(href, url).toString();
-          const linkUrl = new URL(absoluteUrl);
-          const baseUrl = new URL(url);
+          const absoluteUrl = this.urlNormalizer.normalize(href, url);
           
-          if (linkUrl.hostname === baseUrl.hostname && 
-              !this.visitedUrls.has(absoluteUrl) &&
-              !absoluteUrl.match(/\.(pdf|jpg|png|gif|css|js)$/i)) {
+          if (absoluteUrl && !this.visitedUrls.has(absoluteUrl) && this.scope.isInScope(absoluteUrl, url)) {
             links.push(absoluteUrl);
           }
         } catch (error) {
@@ -497,6 +555,8 @@ class SimpleCrawler {
         textContent,
         words: pageWordCount,
         depth,
+        responseTime,
+        outlinks,
       });
 
       // Add new links to queue for next depth
@@ -512,6 +572,9 @@ class SimpleCrawler {
       this.errors.push({
         url,
         error: error.message,
+        type: error.retryable ? 'retryable' : 'fatal',
+        status: error.status || null,
+        attempts: error.attempts || 1,
         timestamp: new Date().toISOString(),
       });
     }
@@ -0,0 +1,662 @@
+const cheerio = require('cheerio');
+const path = require('path');
+const { URL } = require('url');
+const Logger = require('./logger');
+const Tokenizer = require('./tokenizer');
+const Stemmer = require('./stemmer');
+const Fetcher = require('./fetcher');
+const RobotsCache = require('./robots');
+const content = require('./content');
+const DocumentExtractor = require('./documents');
+const ContentExtractor = require('./contentExtractor');
+const { extractMetadata } = require('./metadata');
+const UrlNormalizer = require('./urlNormalizer');
+const DuplicateDetector = require('./duplicates');
+const CrawlScope = require('./scope');
+const CrawlBudget = require('./budget');
+const LinkChecker = require('./linkChecker');
+const LinkGraph = require('./linkGraph');
+
+/**
+ * What WebCrawler and ConcurrentWebCrawler share: option wiring, fetching
+ * and reading a page into a page record, word and phrase counts, and the
+ * result getters. The subclasses decide which URLs to crawl and in what order.
+ */
+class BaseCrawler {
+    /**
+     * defaults holds the crawler's own delay, maxLinksPerPage, userAgent and
+     * extra fetcher options
+     */
+    constructor(options = {}, defaults = {}) {
+        this.maxDepth = options.maxDepth ?? 2;
+        this.delay = options.delay ?? defaults.delay; // Delay between requests in ms
+        this.requestTimeout = options.requestTimeout || 10000;
+        this.respectRobotsTxt = options.respectRobotsTxt !== false;
+        this.respectRobotsMeta = options.respectRobotsMeta !== false; // Meta robots, X-Robots-Tag and rel="nofollow"
+        this.maxResponseSize = options.maxResponseSize ?? 10 * 1024 * 1024; // Bytes, 0 = unlimited
+        this.headRequests = Boolean(options.headRequests); // Check Content-Type with a HEAD request before each GET
+        this.respectCrawlDelay = options.respectCrawlDelay !== false; // robots.txt Crawl-delay overrides a shorter delay
+        this.useSitemaps = Boolean(options.useSitemaps); // Also crawl pages from the site's sitemaps
+        this.sitemapOnly = Boolean(options.sitemapOnly); // Crawl exactly the sitemap URLs, following no links
+        this.respectCanonical = options.respectCanonical !== false; // Record pages under their rel="canonical" URL
+        this.recordLinkGraph = options.recordLinkGraph !== false; // Store every link of each page in its outlinks
+        this.urlNormalizer = options.urlNormalizer || new UrlNormalizer({ lowercasePaths: options.lowercasePaths });
+        this.duplicateDetector = options.detectDuplicates === false ? null
+            : options.duplicateDetector || new DuplicateDetector({ threshold: options.duplicateThreshold });
+        this.excludeDuplicates = Boolean(options.excludeDuplicates); // Keep duplicate pages out of global word counts
+        this.extractDocuments = Boolean(options.extractDocuments); // Also index PDF, plain-text and Markdown files
+        this.documentExtractor = options.documentExtractor || new DocumentExtractor({ maxPdfPages: options.maxPdfPages });
+        this.contentExtractor = options.contentExtractor || new ContentExtractor({
+            mode: options.contentExtraction,
+            contentSelectors: options.contentSelectors,
+            removeSelectors: options.removeSelectors
+        });
+        this.acceptedTypes = this.extractDocuments ? [...content.HTML_TYPES, ...DocumentExtractor.TYPES] : content.HTML_TYPES;
+        this.scope = options.scope || new CrawlScope({
+            includePatterns: options.includePatterns,
+            excludePatterns: options.excludePatterns,
+            pathPrefixes: options.pathPrefixes,
+            allowedHosts: options.allowedHosts,
+            includeSubdomains: options.includeSubdomains,
+            // Extraction needs the .pdf links that are excluded by default
+            excludeExtensions: this.extractDocuments
+                ? (options.excludeExtensions || CrawlScope.DEFAULT_EXCLUDED_EXTENSIONS).filter(ext => !DocumentExtractor.EXTENSIONS.includes(ext))
+                : options.excludeExtensions
+        });
+        this.maxLinksPerPage = options.maxLinksPerPage || defaults.maxLinksPerPage;
+        this.minWordLength = options.minWordLength || 3;
+        this.topWordsLimit = options.topWordsLimit || 200;
+        this.tokenizer = options.tokenizer || new Tokenizer({
+            minWordLength: this.minWordLength,
+            excludeCommonWords: Boolean(options.excludeCommonWords),
+            language: options.language,
+            stopWords: options.stopWords
+        });
+        this.stemmer = options.stemmer || (options.stemming ? new Stemmer() : null);
+        this.ngrams = Boolean(options.ngrams); // Collect bigram and trigram counts
+        this.maxMemoryUsage = options.maxMemoryUsage || 0; // Bytes of heap, 0 = unlimited
+        
+        // Storage and logging
+        this.dataDir = options.dataDir || path.join(__dirname, '..', 'data');
+        this.saveRawData = options.saveRawData !== false;
+        this.saveCsv = options.saveCsv !== false;
+        this.enableMetrics = options.enableMetrics !== false;
+        this.logger = options.logger || new Logger(options.logLevel);
+        
+        // Data storage
+        this.startUrl = null;
+        this.visitedUrls = new Set();
+        this.urlAliases = new Map(); // canonical URL -> other URLs that served the same page
+        this.fetchUrls = new Map(); // normalized URL -> URL as linked, where they differ
+        this.crawlData = [];
+        this.wordFrequency = new Map();
+        this.surfaceForms = new Map(); // stem -> Map(surface form -> count)
+        this.phraseFrequency = new Map();
+        this.totalPhrases = 0;
+        this.totalWords = 0;
+        this.totalPages = 0;
+        this.errors = [];
+        this.skippedPages = []; // Fetched pages left out of the results, with the reason
+        this.skippedResources = []; // Non-HTML or oversized responses
+        this.startTime = Date.now();
+        
+        // Crawl budgets; the crawl stops gracefully once one is used up
+        this.budget = new CrawlBudget({
+            maxPages: options.maxPages,
+            maxPagesPerDomain: options.maxPagesPerDomain ?? 50,
+            maxBytes: options.maxBytes,
+            maxDuration: options.maxDuration,
+            startTime: this.startTime
+        });
+        this.stopReason = null;
+        
+        // Performance metrics
+        this.metrics = {
+            requestCount: 0,
+            successfulRequests: 0,
+            failedRequests: 0,
+            averageResponseTime: 0,
+            responseTimes: [],
+            wordsPerPage: [],
+            linksPerPage: [],
+            retries: 0,
+            recoveredRequests: 0,
+            retryableErrors: 0,
+            fatalErrors: 0,
+            duplicatePages: 0,
+            noindexPages: 0,
+            nofollowPages: 0,
+            nofollowLinks: 0,
+            skippedResources: 0,
+            documentPages: 0
+        };
+        
+        // User agent for respectful crawling
+        this.userAgent = options.userAgent || defaults.userAgent;
+        
+        // HTTP fetching with retries for transient failures
+        this.fetcher = options.fetcher || new Fetcher({
+            userAgent: this.userAgent,
+            timeout: this.requestTimeout,
+            maxRetries: options.maxRetries,
+            retryDelay: options.retryDelay,
+            ...defaults.fetcher,
+            onRetry: retry => this.recordRetry(retry)
+        });
+        this.robots = new RobotsCache({ fetcher: this.fetcher, userAgent: this.userAgent });
+        
+        // Link checking (--check-links): every discovered link is validated after the crawl
+        this.linkChecker = options.checkLinks ? options.linkChecker || new LinkChecker({
+            fetcher: this.fetcher,
+            robots: this.respectRobotsTxt ? this.robots : null,
+            checkExternal: options.checkExternalLinks,
+            concurrency: options.concurrency,
+            delay: this.delay,
+            logger: this.logger
+        }) : null;
+    }
+
+    /**
+     * Fetch a URL and read it into a page record. Resolves with null when
+     * the URL yields no page: robots.txt disallows it, it is not a document,
+     * or its canonical URL was already crawled. Otherwise resolves with
+     * { page, links, nofollow }, where page is null for a noindex page whose
+     * links may still be followed. Errors are passed to recordFailure() by
+     * the caller. workerId labels the log lines and page of a concurrent worker.
+     */
+    async fetchPage(url, depth, workerId) {
+        const label = workerId === undefined ? '' : `Worker ${workerId}: `;
+        
+        // The normalized URL is the page's key; the URL as linked is requested
+        const fetchUrl = this.getFetchUrl(url);
+        const isAllowed = !this.respectRobotsTxt || await this.checkRobotsTxt(fetchUrl);
+        if (!isAllowed) {
+            this.logger.info(`🤖 ${label}Robots.txt disallows: ${url}`);
+            return null;
+        }
+
+        const startRequestTime = Date.now();
+        
+        // Fetch page content, retrying transient failures
+        const response = await this.fetcher.get(fetchUrl, this.getDocumentOptions());
+        if (this.linkChecker) {
+            this.linkChecker.recordResponse(fetchUrl, response);
+        }
+
+        const responseTime = Date.now() - startRequestTime;
+        this.budget.recordResponse(response);
+        this.metrics.responseTimes.push(responseTime);
+        this.metrics.requestCount++;
+        this.metrics.successfulRequests++;
+        if (response.attempts > 1) {
+            this.metrics.recoveredRequests++;
+        }
+
+        // Only HTML and extractable documents are read; other responses are listed as skipped resources
+        const document = this.readDocument(url, response);
+        if (!document) {
+            return null;
+        }
+        // PDF, text and Markdown documents have text but no links to follow
+        const $ = content.HTML_TYPES.includes(document.mimeType) ? cheerio.load(document.body) : null;
+        const documentBase = this.getDocumentBase($, fetchUrl, response);
+
+        // noindex pages are not recorded, but their links may still be followed
+        const directives = this.getPageDirectives($, response);
+        if (directives.noindex) {
+            this.logger.debug(`🙈 ${label}${url} is noindex, skipping`);
+            this.recordSkipped(url, 'noindex');
+            const links = $ && !directives.nofollow ? this.extractLinks($, url, documentBase) : [];
+            return { page: null, links, nofollow: directives.nofollow };
+        }
+
+        // A page reached through a redirect or naming another canonical URL
+        // is recorded once, under that URL
+        const servedUrl = this.urlNormalizer.normalize(this.getServedUrl(fetchUrl, response)) || url;
+        const pageUrl = this.respectCanonical && $ ? this.getCanonicalUrl($, servedUrl, documentBase) : servedUrl;
+        if (pageUrl !== url) {
+            this.addUrlAlias(pageUrl, url);
+            if (this.visitedUrls.has(pageUrl)) {
+                this.logger.debug(`🔗 ${label}${url} duplicates ${pageUrl}`);
+                return null;
+            }
+            this.visitedUrls.add(pageUrl);
+        }
+        
+        // Extract text content. The request succeeded, so a document that
+        // cannot be read (such as a corrupt PDF) is skipped, not a failure
+        let extracted;
+        try {
+            extracted = await this.extractContent($, document, url, documentBase);
+        } catch (error) {
+            this.logger.warn(`📄 ${label}Could not extract text from ${url}: ${error.message}`);
+            this.recordSkipped(url, 'extractionFailed', { error: error.message });
+            return null;
+        }
+        const textContent = extracted.text;
+        
+        // Count words in the content, using the page's language for stop words
+        const language = this.tokenizer.detectLanguage(textContent, extracted.language);
+        const wordCount = this.countWords(textContent, language);
+        const phraseCount = this.ngrams ? this.tokenizer.countNgrams(textContent, language) : null;
+        const duplicate = this.checkDuplicate(pageUrl, textContent, language);
+        if (duplicate && duplicate.duplicateOf) {
+            this.logger.debug(`🧬 ${label}${pageUrl} duplicates ${duplicate.duplicateOf} (${duplicate.duplicateType})`);
+        }
+        
+        // Extract links
+        const links = $ ? this.extractLinks($, url, documentBase) : [];
+        const outlinks = $ && this.recordLinkGraph
+            ? LinkGraph.extractOutlinks($, documentBase, { urlNormalizer: this.urlNormalizer, scope: this.scope })
+            : null;
+        
+        const page = {
+            url: pageUrl,
+            depth: depth,
+            title: extracted.title,
+            contentType: document.mimeType,
+            language: language,
+            wordCount: Object.keys(wordCount).length,
+            totalWords: Object.values(wordCount).reduce((sum, count) => sum + count, 0),
+            linkCount: links.length,
+            timestamp: new Date().toISOString(),
+            responseTime: responseTime,
+            textLength: textContent.length,
+            words: wordCount,
+            ...(phraseCount && { phrases: phraseCount }),
+            ...this.describeDuplicate(duplicate),
+            ...(directives.nofollow && { nofollow: true }),
+            ...(response.redirects && { redirects: response.redirects }),
+            ...(extracted.metadata && { metadata: extracted.metadata }),
+            ...(outlinks && { outlinks }),
+            links: links,
+            ...(workerId !== undefined && { processedBy: `Worker-${workerId}` })
+        };
+        return { page, links, nofollow: directives.nofollow };
+    }
+
+    /**
+     * Add a page to the results and its counts to the global frequencies
+     */
+    recordPage(page, wordCount = page.words) {
+        this.crawlData.push(page);
+        this.totalPages++;
+        this.metrics.wordsPerPage.push(page.totalWords);
+        this.metrics.linksPerPage.push(page.linkCount);
+
+        // Update global word frequency, unless duplicates are excluded from it
+        if (!(this.excludeDuplicates && page.duplicateOf)) {
+            this.updateGlobalWordFrequency(wordCount, page.language);
+            if (page.phrases) {
+                this.updateGlobalPhraseFrequency(page.phrases);
+            }
+        }
+    }
+
+    /**
+     * Count a failed request and add it to errors[]
+     */
+    recordFailure(url, error, workerId) {
+        this.metrics.requestCount++;
+        this.metrics.failedRequests++;
+        if (this.linkChecker) {
+            this.linkChecker.recordError(this.getFetchUrl(url), error);
+        }
+        this.errors.push({
+            url: url,
+            error: error.message,
+            ...this.describeError(error),
+            timestamp: new Date().toISOString(),
+            ...(workerId !== undefined && { workerId })
+        });
+    }
+
+    /**
+     * Extract the main text of an HTML page, using the site rules for url
+     */
+    extractText($, url) {
+        return this.contentExtractor.extract($, url);
+    }
+
+    /**
+     * Count word frequency in text using the configured tokenizer
+     */
+    countWords(text, language) {
+        return this.tokenizer.countWords(text, language);
+    }
+
+    /**
+     * Note a link, as written, for the link checker; nofollow and
+     * out-of-scope links are checked too, but not links to a fragment of the
+     * same page
+     */
+    recordLink(url, href, anchorText, baseUrl) {
+        if (this.linkChecker && url && !href.trim().startsWith('#')) {
+            this.linkChecker.addLink(url, { referrer: this.getFetchUrl(baseUrl), anchorText, internal: this.scope.isInternal(url, baseUrl) });
+        }
+    }
+
+    /**
+     * Meta robots and X-Robots-Tag directives for a fetched page
+     */
+    getPageDirectives($, response) {
+        if (!this.respectRobotsMeta) {
+            return { noindex: false, nofollow: false };
+        }
+        const directives = RobotsCache.getPageDirectives($, response.headers, this.userAgent);
+        if (directives.noindex) {
+            this.metrics.noindexPages++;
+        }
+        if (directives.nofollow) {
+            this.metrics.nofollowPages++;
+        }
+        return directives;
+    }
+
+    /**
+     * Fetch options limiting responses to HTML documents within maxResponseSize
+     */
+    getDocumentOptions() {
+        return { accept: this.acceptedTypes, maxSize: this.maxResponseSize, head: this.headRequests };
+    }
+
+    /**
+     * Decode a fetched HTML document, or record a response that is not one
+     * as a skipped resource and return null
+     */
+    readDocument(url, response) {
+        const document = content.readDocument(response, this.acceptedTypes);
+        if (document.skipped) {
+            this.skippedResources.push({
+                url,
+                reason: document.skipped,
+                contentType: document.mimeType,
+                size: document.size,
+                timestamp: new Date().toISOString()
+            });
+            this.metrics.skippedResources++;
+            this.logger.debug(`📦 Skipping ${document.mimeType || 'unknown'} resource (${document.skipped}): ${url}`);
+            return null;
+        }
+        return document;
+    }
+
+    /**
+     * Text, title and declared language of an HTML page or a document, and
+     * the page's metadata
+     */
+    async extractContent($, document, url, documentBase = url) {
+        if (!$) {
+            const extracted = await this.documentExtractor.extract(document, url);
+            this.metrics.documentPages++;
+            return extracted;
+        }
+        const text = this.extractText($, url);
+        return { text, title: $('title').text().trim(), language: $('html').attr('lang'), metadata: extractMetadata($, documentBase) };
+    }
+
+    /**
+     * Note a fetched page that was left out of the results
+     */
+    recordSkipped(url, reason, details = {}) {
+        this.skippedPages.push({ url, reason, ...details, timestamp: new Date().toISOString() });
+    }
+
+    /**
+     * Update global word frequency map, aggregating by stem when stemming is enabled
+     */
+    updateGlobalWordFrequency(wordCount, language) {
+        Object.entries(wordCount).forEach(([word, count]) => {
+            const key = this.stemmer ? this.stemmer.stem(word, language) : word;
+            this.wordFrequency.set(key, (this.wordFrequency.get(key) || 0) + count);
+            this.totalWords += count;
+            
+            if (this.stemmer) {
+                const forms = this.surfaceForms.get(key) || new Map();
+                forms.set(word, (forms.get(word) || 0) + count);
+                this.surfaceForms.set(key, forms);
+            }
+        });
+    }
+
+    /**
+     * Update global phrase (n-gram) frequency map
+     */
+    updateGlobalPhraseFrequency(phraseCount) {
+        Object.entries(phraseCount).forEach(([phrase, count]) => {
+            this.phraseFrequency.set(phrase, (this.phraseFrequency.get(phrase) || 0) + count);
+            this.totalPhrases += count;
+        });
+    }
+
+    /**
+     * Fingerprint a page's text and flag it if it repeats an earlier page
+     */
+    checkDuplicate(url, text, language) {
+        if (!this.duplicateDetector) {
+            return null;
+        }
+        const words = this.tokenizer.splitWords(text.normalize('NFC').toLowerCase(), language);
+        const duplicate = this.duplicateDetector.check(url, words);
+        if (duplicate && duplicate.duplicateOf) {
+            this.metrics.duplicatePages++;
+        }
+        return duplicate;
+    }
+
+    /**
+     * Page fields recording a content fingerprint and any duplicate it matched
+     */
+    describeDuplicate(duplicate) {
+        if (!duplicate) {
+            return {};
+        }
+        return {
+            contentHash: duplicate.contentHash,
+            fingerprint: duplicate.fingerprint,
+            ...(duplicate.duplicateOf && {
+                duplicateOf: duplicate.duplicateOf,
+                duplicateType: duplicate.duplicateType,
+                duplicateDistance: duplicate.distance
+            })
+        };
+    }
+
+    /**
+     * The page's normalized rel="canonical" URL when it points within the
+     * same site, else the URL it was fetched from
+     */
+    getCanonicalUrl($, url, documentBase = url) {
+        const href = $('link[rel~="canonical"]').first().attr('href');
+        const canonicalUrl = href && this.urlNormalizer.normalize(href.trim(), documentBase);
+        if (!canonicalUrl || new URL(canonicalUrl).hostname !== new URL(url).hostname) {
+            return url;
+        }
+        return canonicalUrl;
+    }
+
+    /**
+     * The URL to request for a normalized URL: the first link to it as
+     * written, since normalizing (such as dropping a trailing slash) can
+     * change the page a server returns
+     */
+    getFetchUrl(url) {
+        return this.fetchUrls.get(url) || url;
+    }
+
+    addFetchUrl(url, fetchUrl) {
+        if (fetchUrl && fetchUrl !== url && !this.fetchUrls.has(url)) {
+            this.fetchUrls.set(url, fetchUrl);
+        }
+    }
+
+    /**
+     * The URL a response was served from, after any redirects
+     */
+    getServedUrl(fetchUrl, response) {
+        const redirects = response.redirects || [];
+        if (redirects.length > 0) {
+            return redirects[redirects.length - 1].location;
+        }
+        const request = response.request;
+        return (request && request.res && request.res.responseUrl) || fetchUrl;
+    }
+
+    /**
+     * The URL a fetched page's relative links resolve against: its
+     * <base href>, else the URL it was served from after any redirects
+     */
+    getDocumentBase($, fetchUrl, response) {
+        const servedUrl = this.getServedUrl(fetchUrl, response);
+        const baseHref = $ ? $('base[href]').first().attr('href') : null;
+        return (baseHref && UrlNormalizer.resolve(baseHref.trim(), servedUrl)) || servedUrl;
+    }
+
+    /**
+     * Remember that alias served the same page as canonicalUrl
+     */
+    addUrlAlias(canonicalUrl, alias) {
+        if (!this.urlAliases.has(canonicalUrl)) {
+            this.urlAliases.set(canonicalUrl, new Set());
+        }
+        this.urlAliases.get(canonicalUrl).add(alias);
+    }
+
+    /**
+     * Crawled pages with the alias URLs that resolved to each of them
+     */
+    getPages() {
+        return this.crawlData.map(page => this.urlAliases.has(page.url)
+            ? { ...page, aliases: Array.from(this.urlAliases.get(page.url)) }
+            : page);
+    }
+
+    /**
+     * Check robots.txt compliance
+     */
+    async checkRobotsTxt(url) {
+        return this.robots.isAllowed(url);
+    }
+
+    /**
+     * Count a retry scheduled by the fetcher
+     */
+    recordRetry({ url, attempt, delay, error }) {
+        this.metrics.retries++;
+        this.logger.debug(`🔁 Retrying ${url} in ${delay}ms (attempt ${attempt + 1}): ${error.message}`);
+    }
+
+    /**
+     * Classify a failed request for errors[], counting retryable vs fatal failures
+     */
+    describeError(error) {
+        const retryable = Boolean(error.retryable);
+        if (retryable) {
+            this.metrics.retryableErrors++;
+        } else {
+            this.metrics.fatalErrors++;
+        }
+        return {
+            type: retryable ? 'retryable' : 'fatal',
+            status: error.status || null,
+            attempts: error.attempts || 1
+        };
+    }
+
+    /**
+     * Crawl errors, with the pages linking to each URL when links are checked
+     */
+    getErrors() {
+        if (!this.linkChecker) {
+            return this.errors;
+        }
+        return this.errors.map(error => ({ ...error, referrers: this.linkChecker.getReferrers(this.getFetchUrl(error.url)) }));
+    }
+
+    /**
+     * Check the links discovered during the crawl (--check-links). Returns
+     * the link report, or null when link checking is off.
+     */
+    async checkLinks() {
+        if (!this.linkChecker) {
+            return null;
+        }
+        this.logger.info(`\n🔗 Checking ${this.linkChecker.getPendingLinks().length} links not fetched by the crawl...`);
+        const report = await this.linkChecker.checkAll();
+        this.logger.info(`🔗 ${report.summary.broken} broken links among ${report.summary.checked} checked`);
+        return report;
+    }
+
+    /**
+     * Sleep utility for delays
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Get top words by frequency
+     */
+    getTopWords(limit = 50) {
+        return Array.from(this.wordFrequency.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([word, count]) => {
+                const entry = { word: this.getSurfaceForm(word), count, percentage: (count / this.totalWords * 100).toFixed(2) };
+                if (this.stemmer) {
+                    entry.stem = word;
+                    entry.variants = Array.from((this.surfaceForms.get(word) || new Map()).keys());
+                }
+                return entry;
+            });
+    }
+
+    /**
+     * Most frequent surface form of a stem, used for display
+     */
+    getSurfaceForm(stem) {
+        const forms = this.surfaceForms.get(stem);
+        if (!forms) {
+            return stem;
+        }
+        return Array.from(forms.entries()).sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    /**
+     * Get top phrases (bigrams and trigrams) by frequency
+     */
+    getTopPhrases(limit = 50) {
+        return Array.from(this.phraseFrequency.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([phrase, count]) => ({
+                phrase,
+                n: phrase.split(' ').length,
+                count,
+                percentage: (count / this.totalPhrases * 100).toFixed(2)
+            }));
+    }
+
+    /**
+     * Phrase frequency CSV
+     */
+    getPhraseFrequencyCsv() {
+        return 'phrase,n,count,percentage\n' + 
+            this.getTopPhrases(this.topWordsLimit).map(item => `${item.phrase},${item.n},${item.count},${item.percentage}`).join('\n');
+    }
+
+    /**
+     * Word frequency CSV, with stem and variant columns when stemming is enabled
+     */
+    getWordFrequencyCsv() {
+        const topWords = this.getTopWords(this.topWordsLimit);
+        if (!this.stemmer) {
+            return 'word,count,percentage\n' + 
+                topWords.map(item => `${item.word},${item.count},${item.percentage}`).join('\n');
+        }
+        return 'word,count,percentage,stem,variants\n' + 
+            topWords.map(item => `${item.word},${item.count},${item.percentage},${item.stem},${item.variants.join('|')}`).join('\n');
+    }
+}
+
+module.exports = BaseCrawler;
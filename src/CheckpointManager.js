@@ -0,0 +1,104 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const CHECKPOINT_VERSION = 1;
+
+class CheckpointManager {
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || path.join(__dirname, '..', 'data');
+        this.checkpointFile = options.checkpointFile || null;
+        this.pendingWrite = null;
+    }
+
+    /**
+     * Resolve the checkpoint file path, creating a new timestamped name on first use
+     */
+    getCheckpointFile() {
+        if (!this.checkpointFile) {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+            this.checkpointFile = path.join(this.dataDir, `checkpoint-${timestamp}.json`);
+        }
+        return this.checkpointFile;
+    }
+
+    /**
+     * Write a crawl state snapshot to disk atomically (temp file + rename)
+     */
+    async save(state) {
+        // Serialize now: the state shares arrays with the crawl, which keeps
+        // adding pages while earlier writes finish
+        const data = JSON.stringify({
+            version: CHECKPOINT_VERSION,
+            savedAt: new Date().toISOString(),
+            ...state
+        });
+
+        // Serialize writes so an older snapshot never overwrites a newer one
+        const previousWrite = this.pendingWrite ? this.pendingWrite.catch(() => {}) : Promise.resolve();
+        this.pendingWrite = previousWrite.then(async () => {
+            const file = this.getCheckpointFile();
+            const tempFile = `${file}.tmp`;
+
+            await fs.ensureDir(path.dirname(file));
+            await fs.writeFile(tempFile, data);
+            await fs.move(tempFile, file, { overwrite: true });
+
+            return file;
+        });
+
+        return this.pendingWrite;
+    }
+
+    /**
+     * Load a checkpoint from disk. Accepts a file path or "latest".
+     */
+    async load(checkpoint) {
+        const file = checkpoint === 'latest'
+            ? await this.findLatestCheckpoint()
+            : path.resolve(checkpoint);
+
+        if (!(await fs.pathExists(file))) {
+            throw new Error(`Checkpoint not found: ${file}`);
+        }
+
+        const state = await fs.readJSON(file);
+        if (state.version !== CHECKPOINT_VERSION) {
+            throw new Error(`Unsupported checkpoint version: ${state.version}`);
+        }
+
+        // Continue writing to the same file when the resumed crawl checkpoints again
+        this.checkpointFile = file;
+        return state;
+    }
+
+    /**
+     * Find the most recent checkpoint in the data directory
+     */
+    async findLatestCheckpoint() {
+        const files = (await fs.pathExists(this.dataDir)) ? await fs.readdir(this.dataDir) : [];
+        const checkpoints = files
+            .filter(file => file.startsWith('checkpoint-') && file.endsWith('.json'))
+            .sort()
+            .reverse();
+
+        if (checkpoints.length === 0) {
+            throw new Error('No checkpoint found. Run a concurrent crawl first.');
+        }
+
+        return path.join(this.dataDir, checkpoints[0]);
+    }
+
+    /**
+     * Remove the checkpoint once the crawl has finished
+     */
+    async remove() {
+        if (this.pendingWrite) {
+            await this.pendingWrite.catch(() => {});
+        }
+        if (this.checkpointFile) {
+            await fs.remove(this.checkpointFile);
+        }
+    }
+}
+
+module.exports = CheckpointManager;
@@ -1,68 +1,117 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
 const fs = require('fs-extra');
 const path = require('path');
 const { URL } = require('url');
-const robotsParser = require('robots-parser');
-
-class ConcurrentWebCrawler {
+const BaseCrawler = require('./BaseCrawler');
+const CheckpointManager = require('./CheckpointManager');
+const SitemapParser = require('./sitemap');
+const UrlNormalizer = require('./urlNormalizer');
+const CrawlBudget = require('./budget');
+const UrlFrontier = require('./frontier');
+
+class ConcurrentWebCrawler extends BaseCrawler {
     constructor(options = {}) {
-        this.maxDepth = options.maxDepth || 2;
-        this.delay = options.delay || 500; // Reduced default delay for faster crawling
+        super(options, {
+            delay: 500, // Reduced default delay for faster crawling
+            maxLinksPerPage: 10,
+            userAgent: 'ConcurrentWebCrawler/1.0 (+educational-purpose)',
+            fetcher: {
+                maxRedirects: 3,
+                headers: {
+                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+                    'Accept-Language': 'en-US,en;q=0.5',
+                    'Accept-Encoding': 'gzip, deflate',
+                    'DNT': '1',
+                    'Connection': 'keep-alive',
+                    'Upgrade-Insecure-Requests': '1'
+                }
+            }
+        });
         this.concurrency = options.concurrency || 5; // Number of simultaneous requests
-        this.maxPagesPerDomain = options.maxPagesPerDomain || 50;
-        this.requestTimeout = options.requestTimeout || 10000;
-        
-        // Data storage
-        this.visitedUrls = new Set();
-        this.crawlData = [];
-        this.wordFrequency = new Map();
-        this.totalWords = 0;
-        this.totalPages = 0;
-        this.errors = [];
-        this.startTime = Date.now();
-        
-        // Queue management
-        this.urlQueue = [];
+        this.maxPagesPerDomain = options.maxPagesPerDomain ?? 50; // 0 = unlimited
+        this.metrics.concurrentPeaks = [];
+        
+        // Frontier of URLs to crawl, dequeued by the crawl strategy
+        this.frontier = options.frontier || new UrlFrontier({
+            strategy: options.strategy,
+            priorityPatterns: options.priorityPatterns
+        });
         this.activeRequests = 0;
         this.maxActiveRequests = this.concurrency;
         
-        // Performance metrics
-        this.metrics = {
-            requestCount: 0,
-            successfulRequests: 0,
-            failedRequests: 0,
-            averageResponseTime: 0,
-            responseTimes: [],
-            wordsPerPage: [],
-            linksPerPage: [],
-            concurrentPeaks: []
-        };
-        
         // Rate limiting per domain
         this.domainQueues = new Map();
         this.domainLastRequest = new Map();
         
-        // User agent for respectful crawling
-        this.userAgent = options.userAgent || 'ConcurrentWebCrawler/1.0 (+educational-purpose)';
-        
         // Progress tracking
         this.progressCallback = options.progressCallback || this.defaultProgressCallback;
+        
+        // Checkpointing for resumable crawls
+        this.inFlightUrls = new Map();
+        this.checkpointInterval = options.checkpointInterval || 10; // Pages between checkpoints
+        this.pagesSinceCheckpoint = 0;
+        this.enableCheckpoints = options.enableCheckpoints !== false;
+        this.checkpointManager = new CheckpointManager({
+            dataDir: this.dataDir,
+            checkpointFile: options.checkpointFile
+        });
     }
 
     /**
      * Main concurrent crawling function
      */
     async crawl(startUrl) {
-        console.log(`🚀 Starting concurrent crawling with ${this.concurrency} workers...`);
-        console.log(`📍 Starting URL: ${startUrl}`);
-        console.log(`🔍 Max Depth: ${this.maxDepth}, Concurrency: ${this.concurrency}`);
-        console.log('-'.repeat(60));
+        this.logger.info(`🚀 Starting concurrent crawling with ${this.concurrency} workers...`);
+        this.logger.info(`📍 Starting URL: ${startUrl}`);
+        this.logger.info(`🔍 Max Depth: ${this.maxDepth}, Concurrency: ${this.concurrency}, Strategy: ${this.frontier.strategy}`);
+        this.logger.info('-'.repeat(60));
         
         // Initialize the queue with the starting URL
-        this.urlQueue.push({ url: startUrl, depth: 0 });
+        const requestedUrl = UrlNormalizer.resolve(startUrl);
+        startUrl = this.urlNormalizer.normalize(startUrl) || startUrl;
+        this.addFetchUrl(startUrl, requestedUrl);
+        this.startUrl = startUrl;
+        this.scope.addStartUrl(startUrl);
+        if (this.sitemapOnly) {
+            this.logger.info('🗺️  Sitemap-only mode: crawling sitemap URLs without following links');
+        } else {
+            this.frontier.push({ url: startUrl, depth: 0 });
+        }
+        if (this.useSitemaps || this.sitemapOnly) {
+            await this.addSitemapSeeds(startUrl);
+        }
+        
+        await this.runWorkers();
+    }
+
+    /**
+     * Restore the state of an interrupted crawl from a checkpoint file (or
+     * "latest") without resuming it, e.g. to report its settings first
+     */
+    async loadCheckpoint(checkpoint) {
+        this.restoreState(await this.checkpointManager.load(checkpoint));
+    }
+
+    /**
+     * Resume a previously interrupted crawl from a checkpoint file (or
+     * "latest"), or from the checkpoint already loaded when none is given
+     */
+    async resume(checkpoint) {
+        if (checkpoint) {
+            await this.loadCheckpoint(checkpoint);
+        }
+        
+        this.logger.info(`♻️  Resuming crawl from checkpoint: ${this.checkpointManager.getCheckpointFile()}`);
+        this.logger.info(`📍 Starting URL: ${this.startUrl}`);
+        this.logger.info(`📄 Pages already crawled: ${this.totalPages}, URLs queued: ${this.frontier.size}`);
+        this.logger.info('-'.repeat(60));
         
-        // Start concurrent workers
+        await this.runWorkers();
+    }
+
+    /**
+     * Start concurrent workers and wait for the queue to drain
+     */
+    async runWorkers() {
         const workers = [];
         for (let i = 0; i < this.concurrency; i++) {
             workers.push(this.worker(i));
@@ -70,16 +119,34 @@ class ConcurrentWebCrawler {
         
         // Wait for all workers to complete
         await Promise.all(workers);
+        if (!this.stopReason && this.budget.skippedUrls > 0) {
+            this.stopReason = 'maxPagesPerDomain';
+        }
+        
+        if (this.enableCheckpoints) {
+            if (this.stopReason && this.frontier.size > 0) {
+                // Keep the frontier so the crawl can be resumed with a larger budget
+                await this.saveCheckpoint();
+                this.logger.info(`💾 ${this.frontier.size} queued URLs saved - resume with --resume=latest`);
+            } else {
+                // The crawl finished normally, so the checkpoint is no longer needed
+                await this.checkpointManager.remove();
+            }
+        }
         
-        console.log('\n✅ Concurrent crawling completed!');
-        this.printConcurrencyStats();
+        this.logger.info(this.stopReason
+            ? `\n✅ Concurrent crawling stopped: ${CrawlBudget.describe(this.stopReason)}`
+            : '\n✅ Concurrent crawling completed!');
+        if (this.enableMetrics) {
+            this.printConcurrencyStats();
+        }
     }
 
     /**
      * Worker function that processes URLs from the queue
      */
     async worker(workerId) {
-        while (true) {
+        while (!this.stopReason) {
             // Get next URL from queue
             const urlData = this.getNextUrl();
             if (!urlData) {
@@ -99,34 +166,66 @@ class ConcurrentWebCrawler {
                 continue;
             }
 
+            // Stay within the crawl budgets
+            const budgetLimit = this.budget.reserve(url);
+            if (budgetLimit === 'maxPagesPerDomain') {
+                this.logger.debug(`⏭️  Worker ${workerId}: Per-host page budget reached, skipping ${url}`);
+                continue;
+            }
+            if (budgetLimit) {
+                this.frontier.push(urlData);
+                if (budgetLimit === 'maxPages' && this.activeRequests > 0) {
+                    // In-flight requests that fail give their reservations back
+                    await this.sleep(100);
+                    continue;
+                }
+                this.stop(budgetLimit);
+                break;
+            }
+
             this.activeRequests++;
             this.metrics.concurrentPeaks.push(this.activeRequests);
             
+            let stored = false;
             try {
-                await this.processUrl(url, depth, workerId);
+                await this.waitForCrawlDelay(url);
+                stored = await this.processUrl(url, depth, workerId);
             } catch (error) {
-                console.error(`Worker ${workerId}: Failed to process ${url}: ${error.message}`);
+                this.logger.error(`Worker ${workerId}: Failed to process ${url}: ${error.message}`);
             } finally {
                 this.activeRequests--;
+                if (!stored) {
+                    this.budget.release(url);
+                }
             }
             
+            // Checkpoint only once the page's links are queued and it is out of inFlightUrls
+            this.checkpointIfDue();
+            
             // Respect rate limiting
             await this.respectRateLimit(url);
         }
     }
 
     /**
-     * Get next URL from queue (thread-safe)
+     * Stop handing out URLs; workers finish their in-flight requests
      */
-    getNextUrl() {
-        if (this.urlQueue.length === 0) {
-            return null;
+    stop(reason) {
+        if (!this.stopReason) {
+            this.stopReason = reason;
+            this.logger.warn(`🛑 ${CrawlBudget.describe(reason)} - finishing in-flight requests`);
         }
-        return this.urlQueue.shift();
     }
 
     /**
-     * Process a single URL
+     * Get the next URL from the frontier, or null when it is empty
+     */
+    getNextUrl() {
+        return this.frontier.pop();
+    }
+
+    /**
+     * Process a single URL. Returns true when it produced a page.
      */
     async processUrl(url, depth, workerId) {
         if (this.visitedUrls.has(url)) {
@@ -134,97 +233,43 @@ class ConcurrentWebCrawler {
         }
 
         this.visitedUrls.add(url);
+        this.inFlightUrls.set(url, depth);
         
         try {
-            // Check robots.txt compliance
-            const isAllowed = await this.checkRobotsTxt(url);
-            if (!isAllowed) {
-                console.log(`🤖 Worker ${workerId}: Robots.txt disallows: ${url}`);
+            const result = await this.fetchPage(url, depth, workerId);
+            if (!result) {
                 return;
             }
-
-            const startRequestTime = Date.now();
-            
-            // Fetch page content with timeout
-            const response = await axios.get(url, {
-                headers: {
-                    'User-Agent': this.userAgent,
-                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                    'Accept-Language': 'en-US,en;q=0.5',
-                    'Accept-Encoding': 'gzip, deflate',
-                    'DNT': '1',
-                    'Connection': 'keep-alive',
-                    'Upgrade-Insecure-Requests': '1'
-                },
-                timeout: this.requestTimeout,
-                maxRedirects: 3
-            });
-
-            const responseTime = Date.now() - startRequestTime;
-            this.metrics.responseTimes.push(responseTime);
-            this.metrics.requestCount++;
-            this.metrics.successfulRequests++;
-
-            // Parse HTML content
-            const $ = cheerio.load(response.data);
-            
-            // Extract text content
-            const textContent = this.extractText($);
-            
-            // Count words in the content
-            const wordCount = this.countWords(textContent);
-            
-            // Extract links for next depth level
-            const links = this.extractLinks($, url);
-            
-            // Store page data
-            const pageData = {
-                url: url,
-                depth: depth,
-                title: $('title').text().trim(),
-                wordCount: Object.keys(wordCount).length,
-                totalWords: Object.values(wordCount).reduce((sum, count) => sum + count, 0),
-                linkCount: links.length,
-                timestamp: new Date().toISOString(),
-                responseTime: responseTime,
-                textLength: textContent.length,
-                words: wordCount,
-                links: links,
-                processedBy: `Worker-${workerId}`
-            };
-
-            // Thread-safe data updates
-            this.updateSharedData(pageData, wordCount);
-
-            // Progress reporting
-            this.progressCallback({
-                workerId,
-                url,
-                depth,
-                totalPages: this.totalPages,
-                totalWords: this.totalWords,
-                responseTime
-            });
+            if (result.page) {
+                // Thread-safe data updates
+                this.updateSharedData(result.page, result.page.words);
+
+                // Progress reporting
+                this.progressCallback({
+                    workerId,
+                    url: result.page.url,
+                    depth,
+                    totalPages: this.totalPages,
+                    totalWords: this.totalWords,
+                    responseTime: result.page.responseTime
+                });
+            }
 
             // Add discovered links to queue for next depth level
-            if (depth < this.maxDepth) {
-                this.addLinksToQueue(links, depth + 1);
+            if (depth < this.maxDepth && !this.sitemapOnly && !result.nofollow) {
+                this.addLinksToQueue(result.links, depth + 1);
             }
+            return Boolean(result.page);
 
         } catch (error) {
-            this.metrics.requestCount++;
-            this.metrics.failedRequests++;
-            this.errors.push({
-                url: url,
-                error: error.message,
-                timestamp: new Date().toISOString(),
-                workerId: workerId
-            });
+            this.recordFailure(url, error, workerId);
             
             // Don't log every error to avoid spam, just count them
             if (this.errors.length % 10 === 1) {
-                console.error(`⚠️  Worker ${workerId}: Error crawling ${url}: ${error.message}`);
+                this.logger.error(`⚠️  Worker ${workerId}: Error crawling ${url}: ${error.message}`);
             }
+        } finally {
+            this.inFlightUrls.delete(url);
         }
     }
 
@@ -232,41 +277,185 @@ class ConcurrentWebCrawler {
      * Thread-safe update of shared data
      */
     updateSharedData(pageData, wordCount) {
-        // Add page data
-        this.crawlData.push(pageData);
-        this.totalPages++;
-        this.metrics.wordsPerPage.push(pageData.totalWords);
-        this.metrics.linksPerPage.push(pageData.linkCount);
-
-        // Update global word frequency
-        Object.entries(wordCount).forEach(([word, count]) => {
-            this.wordFrequency.set(word, (this.wordFrequency.get(word) || 0) + count);
-            this.totalWords += count;
-        });
+        this.recordPage(pageData, wordCount);
+        this.pagesSinceCheckpoint++;
+    }
+
+    /**
+     * Periodically persist the crawl state, every checkpointInterval pages
+     */
+    checkpointIfDue() {
+        if (this.enableCheckpoints && this.pagesSinceCheckpoint >= this.checkpointInterval) {
+            this.pagesSinceCheckpoint = 0;
+            this.saveCheckpoint().catch(error => {
+                this.logger.error(`⚠️  Failed to save checkpoint: ${error.message}`);
+            });
+        }
     }
 
     /**
-     * Add links to processing queue
+     * Snapshot the frontier, visited set, results and metrics
+     */
+    getCheckpointState() {
+        // URLs still being fetched have not produced results yet, so they go
+        // back to the front of the queue instead of being marked as visited
+        const inFlight = Array.from(this.inFlightUrls.entries()).map(([url, depth]) => ({ url, depth }));
+        
+        return {
+            startUrl: this.startUrl,
+            maxDepth: this.maxDepth,
+            elapsedTime: Date.now() - this.startTime,
+            urlQueue: [...inFlight, ...this.frontier.toArray()],
+            inlinks: this.frontier.getInlinks(),
+            visitedUrls: Array.from(this.visitedUrls).filter(url => !this.inFlightUrls.has(url)),
+            urlAliases: Array.from(this.urlAliases.entries()).map(([url, aliases]) => [url, Array.from(aliases)]),
+            fetchUrls: Array.from(this.fetchUrls.entries()),
+            crawlData: this.crawlData,
+            wordFrequency: Array.from(this.wordFrequency.entries()),
+            phraseFrequency: Array.from(this.phraseFrequency.entries()),
+            totalPhrases: this.totalPhrases,
+            surfaceForms: Array.from(this.surfaceForms.entries()).map(([stem, forms]) => [stem, Array.from(forms.entries())]),
+            totalWords: this.totalWords,
+            totalPages: this.totalPages,
+            errors: this.errors,
+            skippedPages: this.skippedPages,
+            skippedResources: this.skippedResources,
+            metrics: this.metrics,
+            budget: this.budget.getState(),
+            ...(this.linkChecker && { linkCheck: this.linkChecker.getState() })
+        };
+    }
+
+    /**
+     * Restore crawl state from a checkpoint snapshot
+     */
+    restoreState(state) {
+        this.startUrl = state.startUrl;
+        if (state.startUrl) {
+            this.scope.addStartUrl(state.startUrl);
+        }
+        this.maxDepth = state.maxDepth;
+        this.startTime = Date.now() - (state.elapsedTime || 0);
+        this.frontier.restore(state.urlQueue, state.inlinks);
+        this.visitedUrls = new Set(state.visitedUrls);
+        this.urlAliases = new Map((state.urlAliases || []).map(([url, aliases]) => [url, new Set(aliases)]));
+        this.fetchUrls = new Map(state.fetchUrls || []);
+        this.crawlData = state.crawlData;
+        if (this.duplicateDetector) {
+            this.crawlData
+                .filter(page => page.fingerprint)
+                .forEach(page => this.duplicateDetector.add(page.url, page.contentHash, page.fingerprint));
+        }
+        this.wordFrequency = new Map(state.wordFrequency);
+        this.phraseFrequency = new Map(state.phraseFrequency || []);
+        this.totalPhrases = state.totalPhrases || 0;
+        this.surfaceForms = new Map((state.surfaceForms || []).map(([stem, forms]) => [stem, new Map(forms)]));
+        this.totalWords = state.totalWords;
+        this.totalPages = state.totalPages;
+        this.errors = state.errors;
+        this.skippedPages = state.skippedPages || [];
+        this.skippedResources = state.skippedResources || [];
+        this.metrics = { ...this.metrics, ...state.metrics };
+        this.budget.startTime = this.startTime;
+        this.budget.restoreState(state.budget, this.crawlData.map(page => page.url));
+        if (this.linkChecker && state.linkCheck) {
+            this.linkChecker.restoreState(state.linkCheck);
+        }
+    }
+
+    /**
+     * Write the current crawl state to the checkpoint file
+     */
+    async saveCheckpoint() {
+        return this.checkpointManager.save(this.getCheckpointState());
+    }
+
+    /**
+     * Add links to the frontier, counting each as an inbound link
      */
     addLinksToQueue(links, depth) {
-        // Limit links per page to prevent explosion
-        const maxLinksToAdd = Math.min(links.length, 10);
-        const linksToAdd = links.slice(0, maxLinksToAdd);
+        links.forEach(link => this.frontier.recordLink(link));
+        
+        // Stop growing the frontier once the memory budget is exhausted
+        if (this.isMemoryLimitReached()) {
+            return;
+        }
+        
+        // Limit links per page to prevent explosion, keeping the best ones
+        const candidates = links.filter(link => !this.visitedUrls.has(link) && !this.frontier.has(link));
+        const linksToAdd = this.frontier.rank(candidates, depth).slice(0, this.maxLinksPerPage);
         
         for (const link of linksToAdd) {
-            if (!this.visitedUrls.has(link) && this.urlQueue.length < 1000) {
-                this.urlQueue.push({ url: link, depth });
+            if (this.frontier.size < 1000) {
+                this.frontier.push({ url: link, depth });
             }
         }
     }
 
     /**
-     * Rate limiting per domain
+     * Check whether heap usage exceeds performance.maxMemoryUsage
+     */
+    isMemoryLimitReached() {
+        if (!this.maxMemoryUsage || process.memoryUsage().heapUsed < this.maxMemoryUsage) {
+            return false;
+        }
+        if (!this.memoryLimitWarned) {
+            this.memoryLimitWarned = true;
+            this.logger.warn('⚠️  Memory limit reached - no further links will be queued');
+        }
+        return true;
+    }
+
+    /**
+     * Wait for the site's next Crawl-delay slot before fetching a URL. A
+     * site's Crawl-delay covers all workers, so they queue per host and each
+     * waits a full delay after the previous worker's request started.
+     */
+    async waitForCrawlDelay(url) {
+        if (!this.respectRobotsTxt || !this.respectCrawlDelay) {
+            return;
+        }
+        let domain;
+        try {
+            domain = new URL(url).hostname;
+        } catch (error) {
+            return;
+        }
+        
+        // Load robots.txt first so the first request already knows the delay
+        await this.robots.get(url);
+        const crawlDelay = this.getCrawlDelay(url);
+        if (crawlDelay <= this.delay) {
+            return;
+        }
+        const previous = this.domainQueues.get(domain) || Promise.resolve();
+        let release;
+        const turn = new Promise(resolve => { release = resolve; });
+        this.domainQueues.set(domain, previous.then(() => turn));
+        
+        await previous;
+        try {
+            const lastRequest = this.domainLastRequest.get(domain) || 0;
+            await this.sleep(Math.max(0, lastRequest + crawlDelay - Date.now()));
+            this.domainLastRequest.set(domain, Date.now());
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Rate limiting per domain, after each request
      */
     async respectRateLimit(url) {
         try {
             const domain = new URL(url).hostname;
             const lastRequest = this.domainLastRequest.get(domain) || 0;
+            
+            // Sites with a longer Crawl-delay were waited for before the request
+            if (this.getCrawlDelay(url) > this.delay) {
+                return;
+            }
+            
             const timeSinceLastRequest = Date.now() - lastRequest;
             
             if (timeSinceLastRequest < this.delay) {
@@ -286,61 +475,17 @@ class ConcurrentWebCrawler {
      */
     defaultProgressCallback(progress) {
         if (progress.totalPages % 5 === 0 || progress.totalPages <= 10) {
-            console.log(`🔄 Worker ${progress.workerId}: Page ${progress.totalPages} | ${progress.url.substring(0, 60)}... | ${progress.responseTime}ms | Depth ${progress.depth}`);
-        }
-    }
-
-    /**
-     * Extract meaningful text from HTML (same as original)
-     */
-    extractText($) {
-        // Remove script and style elements
-        $('script, style, nav, header, footer, aside, .sidebar, .menu, .advertisement').remove();
-        
-        // Extract text from main content areas
-        const textElements = $('p, h1, h2, h3, h4, h5, h6, article, main, section, .content, .post, .entry');
-        let text = '';
-        
-        textElements.each((i, element) => {
-            const elementText = $(element).text().trim();
-            if (elementText.length > 10) { // Filter out very short elements
-                text += elementText + ' ';
-            }
-        });
-        
-        // Fallback to body text if no content found
-        if (text.trim().length === 0) {
-            text = $('body').text();
-        }
-        
-        return text.trim();
-    }
-
-    /**
-     * Count word frequency in text (optimized)
-     */
-    countWords(text) {
-        const words = text
-            .toLowerCase()
-            .replace(/[^\w\s\u00C0-\u017F]/g, ' ') // Include accented characters
-            .split(/\s+/)
-            .filter(word => word.length > 2 && word.length < 50) // Filter reasonable word lengths
-            .filter(word => !/^\d+$/.test(word)); // Exclude pure numbers
-        
-        const wordCount = {};
-        for (const word of words) {
-            wordCount[word] = (wordCount[word] || 0) + 1;
+            this.logger.info(`🔄 Worker ${progress.workerId}: Page ${progress.totalPages} | ${progress.url.substring(0, 60)}... | ${progress.responseTime}ms | Depth ${progress.depth}`);
         }
-        
-        return wordCount;
     }
 
     /**
-     * Extract and normalize links from page (optimized)
+     * Extract and normalize links from page (optimized). Relative links
+     * resolve against documentBase, the URL the page was served from or its
+     * <base href>.
      */
-    extractLinks($, baseUrl) {
+    extractLinks($, baseUrl, documentBase = baseUrl) {
         const links = new Set(); // Use Set to automatically handle duplicates
-        const baseUrlObj = new URL(baseUrl);
         
         $('a[href]').each((i, element) => {
             try {
@@ -348,14 +493,19 @@ class ConcurrentWebCrawler {
                 if (!href || href.startsWith('#') || href.startsWith('javascript:') || href.startsWith('mailto:')) {
                     return;
                 }
+                const linkUrl = UrlNormalizer.resolve(href, documentBase);
+                const absoluteUrl = this.urlNormalizer.normalize(href, documentBase);
+                this.recordLink(linkUrl, href, $(element).text(), baseUrl);
+                if (this.respectRobotsMeta && /(^|\s)nofollow(\s|$)/i.test($(element).attr('rel') || '')) {
+                    this.metrics.nofollowLinks++;
+                    return;
+                }
                 
-                const absoluteUrl = new URL(href, baseUrl).toString();
-                const linkUrl = new URL(absoluteUrl);
                 
-                // Only crawl same domain links
-                if (linkUrl.hostname === baseUrlObj.hostname && 
-                    !absoluteUrl.match(/\.(pdf|jpg|jpeg|png|gif|css|js|ico|svg|zip|doc|docx|xls|xlsx|ppt|pptx)$/i)) {
+                // Only crawl links within the configured scope
+                if (absoluteUrl && this.scope.isInScope(absoluteUrl, baseUrl)) {
                     links.add(absoluteUrl);
+                    this.addFetchUrl(absoluteUrl, linkUrl);
                 }
             } catch (error) {
                 // Skip invalid URLs
@@ -366,46 +516,30 @@ class ConcurrentWebCrawler {
     }
 
     /**
-     * Check robots.txt compliance (cached)
+     * Queue the pages listed in the start site's sitemaps (from robots.txt,
+     * else /sitemap.xml) as extra seeds, weighted by their sitemap priority
      */
-    async checkRobotsTxt(url) {
-        try {
-            const urlObj = new URL(url);
-            const robotsUrl = `${urlObj.protocol}//${urlObj.host}/robots.txt`;
-            
-            // Simple caching to avoid repeated requests
-            if (!this.robotsCache) {
-                this.robotsCache = new Map();
-            }
-            
-            if (this.robotsCache.has(urlObj.host)) {
-                const robots = this.robotsCache.get(urlObj.host);
-                return robots ? robots.isAllowed(url, this.userAgent) : true;
+    async addSitemapSeeds(startUrl) {
+        const parser = new SitemapParser({ fetcher: this.fetcher, logger: this.logger });
+        const sitemaps = await parser.discover(startUrl, this.robots);
+        let added = 0;
+        
+        for (const entry of await parser.getEntries(sitemaps)) {
+            const url = this.urlNormalizer.normalize(entry.url);
+            if (url && this.scope.isInScope(url, startUrl) && !this.visitedUrls.has(url) &&
+                this.frontier.push({ url, depth: 0, sitemapPriority: entry.priority })) {
+                this.addFetchUrl(url, UrlNormalizer.resolve(entry.url));
+                added++;
             }
-            
-            const response = await axios.get(robotsUrl, { 
-                timeout: 5000,
-                headers: { 'User-Agent': this.userAgent }
-            });
-            const robots = robotsParser(robotsUrl, response.data);
-            this.robotsCache.set(urlObj.host, robots);
-            
-            return robots.isAllowed(url, this.userAgent);
-        } catch (error) {
-            // If robots.txt doesn't exist or can't be fetched, assume allowed
-            if (!this.robotsCache) {
-                this.robotsCache = new Map();
-            }
-            this.robotsCache.set(new URL(url).host, null);
-            return true;
         }
+        this.logger.info(`🗺️  Added ${added} sitemap URLs from ${sitemaps.length} sitemap(s)`);
     }
 
     /**
-     * Sleep utility
+     * robots.txt Crawl-delay (ms) for a URL's site, or 0 when not honoured
      */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    getCrawlDelay(url) {
+        return this.respectRobotsTxt && this.respectCrawlDelay ? this.robots.getCrawlDelay(url) : 0;
     }
 
     /**
@@ -450,23 +584,13 @@ class ConcurrentWebCrawler {
     printConcurrencyStats() {
         const metrics = this.calculateMetrics();
         
-        console.log('\n⚡ CONCURRENT CRAWLING PERFORMANCE:');
-        console.log(`   Max concurrent requests: ${metrics.maxConcurrency}`);
-        console.log(`   Avg concurrent requests: ${metrics.avgConcurrency}`);
-        console.log(`   Pages per second: ${metrics.pagesPerSecond}`);
-        console.log(`   Pages per minute: ${metrics.pagesPerMinute}`);
-        console.log(`   Concurrency efficiency: ${metrics.efficiency}%`);
-        console.log(`   Total execution time: ${(metrics.totalExecutionTime / 1000).toFixed(1)}s`);
-    }
-
-    /**
-     * Get top words by frequency
-     */
-    getTopWords(limit = 50) {
-        return Array.from(this.wordFrequency.entries())
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, limit)
-            .map(([word, count]) => ({ word, count, percentage: (count / this.totalWords * 100).toFixed(2) }));
+        this.logger.info('\n⚡ CONCURRENT CRAWLING PERFORMANCE:');
+        this.logger.info(`   Max concurrent requests: ${metrics.maxConcurrency}`);
+        this.logger.info(`   Avg concurrent requests: ${metrics.avgConcurrency}`);
+        this.logger.info(`   Pages per second: ${metrics.pagesPerSecond}`);
+        this.logger.info(`   Pages per minute: ${metrics.pagesPerMinute}`);
+        this.logger.info(`   Concurrency efficiency: ${metrics.efficiency}%`);
+        this.logger.info(`   Total execution time: ${(metrics.totalExecutionTime / 1000).toFixed(1)}s`);
     }
 
     /**
@@ -474,42 +598,80 @@ class ConcurrentWebCrawler {
      */
     async saveData() {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-        const dataDir = path.join(__dirname, '..', 'data');
+        const dataDir = this.dataDir;
         
         // Ensure data directory exists
         await fs.ensureDir(dataDir);
         
         const metrics = this.calculateMetrics();
         
+        let crawlDataFile = null;
+        let csvFile = null;
+        let phraseCsvFile = null;
+        let brokenLinksFile = null;
+        let brokenLinksCsvFile = null;
+        
         // Save detailed crawl data with concurrency metrics
-        const crawlDataFile = path.join(dataDir, `concurrent-crawl-data-${timestamp}.json`);
-        await fs.writeJSON(crawlDataFile, {
-            metadata: {
-                crawlerType: 'ConcurrentWebCrawler',
-                startTime: new Date(this.startTime).toISOString(),
-                endTime: new Date().toISOString(),
-                totalPages: this.totalPages,
-                totalWords: this.totalWords,
-                maxDepth: this.maxDepth,
-                concurrency: this.concurrency,
-                metrics: metrics
-            },
-            pages: this.crawlData,
-            topWords: this.getTopWords(),
-            errors: this.errors
-        }, { spaces: 2 });
+        if (this.saveRawData) {
+            crawlDataFile = path.join(dataDir, `concurrent-crawl-data-${timestamp}.json`);
+            await fs.writeJSON(crawlDataFile, {
+                metadata: {
+                    crawlerType: 'ConcurrentWebCrawler',
+                    startUrl: this.startUrl,
+                    startTime: new Date(this.startTime).toISOString(),
+                    endTime: new Date().toISOString(),
+                    totalPages: this.totalPages,
+                    totalWords: this.totalWords,
+                    maxDepth: this.maxDepth,
+                    stemming: Boolean(this.stemmer),
+                    concurrency: this.concurrency,
+                    strategy: this.frontier.strategy,
+                    stopReason: this.stopReason || 'completed',
+                    budget: this.budget.getSummary(),
+                    excludeDuplicates: this.excludeDuplicates,
+                    aliasedUrls: Array.from(this.urlAliases.values()).reduce((sum, aliases) => sum + aliases.size, 0),
+                    respectRobotsMeta: this.respectRobotsMeta,
+                    metrics: metrics
+                },
+                pages: this.getPages(),
+                topWords: this.getTopWords(),
+                ...(this.ngrams && { topPhrases: this.getTopPhrases() }),
+                errors: this.getErrors(),
+                ...(this.linkChecker && { linkCheck: this.linkChecker.getReport() }),
+                skipped: this.skippedPages,
+                skippedResources: this.skippedResources
+            }, { spaces: 2 });
+        }
         
         // Save word frequency as CSV
-        const csvFile = path.join(dataDir, `concurrent-word-frequency-${timestamp}.csv`);
-        const csvContent = 'word,count,percentage\n' + 
-            this.getTopWords(200).map(item => `${item.word},${item.count},${item.percentage}`).join('\n');
-        await fs.writeFile(csvFile, csvContent);
+        if (this.saveCsv) {
+            csvFile = path.join(dataDir, `concurrent-word-frequency-${timestamp}.csv`);
+            await fs.writeFile(csvFile, this.getWordFrequencyCsv());
+            
+            if (this.ngrams) {
+                phraseCsvFile = path.join(dataDir, `concurrent-phrase-frequency-${timestamp}.csv`);
+                await fs.writeFile(phraseCsvFile, this.getPhraseFrequencyCsv());
+            }
+        }
+        
+        // Save the broken links found by the link checker
+        if (this.linkChecker) {
+            brokenLinksFile = path.join(dataDir, `concurrent-broken-links-${timestamp}.json`);
+            await fs.writeJSON(brokenLinksFile, this.linkChecker.getBrokenLinks(), { spaces: 2 });
+            if (this.saveCsv) {
+                brokenLinksCsvFile = path.join(dataDir, `concurrent-broken-links-${timestamp}.csv`);
+                await fs.writeFile(brokenLinksCsvFile, this.linkChecker.getBrokenLinksCsv());
+            }
+        }
         
-        console.log(`\n📊 Concurrent crawl data saved:`);
-        console.log(`   JSON: ${crawlDataFile}`);
-        console.log(`   CSV:  ${csvFile}`);
+        this.logger.info(`\n📊 Concurrent crawl data saved:`);
+        if (crawlDataFile) this.logger.info(`   JSON: ${crawlDataFile}`);
+        if (csvFile) this.logger.info(`   CSV:  ${csvFile}`);
+        if (phraseCsvFile) this.logger.info(`   Phrases CSV: ${phraseCsvFile}`);
+        if (brokenLinksFile) this.logger.info(`   Broken links: ${brokenLinksFile}`);
+        if (brokenLinksCsvFile) this.logger.info(`   Broken links CSV: ${brokenLinksCsvFile}`);
         
-        return { jsonFile: crawlDataFile, csvFile };
+        return { jsonFile: crawlDataFile, csvFile, phraseCsvFile, brokenLinksFile, brokenLinksCsvFile };
     }
 
     /**
@@ -519,25 +681,54 @@ class ConcurrentWebCrawler {
         const metrics = this.calculateMetrics();
         const topWords = this.getTopWords(10);
         
-        console.log('\n' + '='.repeat(60));
-        console.log('🚀 CONCURRENT CRAWL SUMMARY');
-        console.log('='.repeat(60));
-        console.log(`Pages crawled: ${this.totalPages}`);
-        console.log(`Total words: ${this.totalWords.toLocaleString()}`);
-        console.log(`Unique words: ${this.wordFrequency.size.toLocaleString()}`);
-        console.log(`Success rate: ${metrics.successRate.toFixed(1)}%`);
-        console.log(`Average response time: ${metrics.averageResponseTime.toFixed(0)}ms`);
-        console.log(`Pages per minute: ${metrics.pagesPerMinute}`);
-        console.log(`Concurrency efficiency: ${metrics.efficiency}%`);
-        console.log(`Total execution time: ${(metrics.totalExecutionTime / 1000).toFixed(1)}s`);
-        
-        console.log('\n🔤 TOP 10 WORDS:');
+        this.logger.info('\n' + '='.repeat(60));
+        this.logger.info('🚀 CONCURRENT CRAWL SUMMARY');
+        this.logger.info('='.repeat(60));
+        this.logger.info(`Pages crawled: ${this.totalPages}`);
+        if (this.stopReason) {
+            this.logger.info(`Stopped early: ${CrawlBudget.describe(this.stopReason)}`);
+        }
+        this.logger.info(`Total words: ${this.totalWords.toLocaleString()}`);
+        this.logger.info(`Unique words: ${this.wordFrequency.size.toLocaleString()}`);
+        if (this.duplicateDetector) {
+            this.logger.info(`Duplicate pages: ${this.metrics.duplicatePages}${this.excludeDuplicates ? ' (excluded from word counts)' : ''}`);
+        }
+        if (this.respectRobotsMeta) {
+            this.logger.info(`Robots directives: ${this.metrics.noindexPages} noindex pages skipped, ${this.metrics.nofollowPages} nofollow pages, ${this.metrics.nofollowLinks} nofollow links`);
+        }
+        if (this.extractDocuments) {
+            this.logger.info(`Documents extracted: ${this.metrics.documentPages} (PDF, text and Markdown)`);
+        }
+        if (this.skippedResources.length > 0) {
+            this.logger.info(`Skipped resources: ${this.skippedResources.length} (not HTML or over maxResponseSize)`);
+        }
+        if (this.enableMetrics) {
+            this.logger.info(`Success rate: ${metrics.successRate.toFixed(1)}%`);
+            this.logger.info(`Average response time: ${metrics.averageResponseTime.toFixed(0)}ms`);
+            this.logger.info(`Retries: ${metrics.retries} (${metrics.recoveredRequests} requests recovered, ${metrics.fatalErrors} fatal errors)`);
+            this.logger.info(`Pages per minute: ${metrics.pagesPerMinute}`);
+            this.logger.info(`Concurrency efficiency: ${metrics.efficiency}%`);
+            this.logger.info(`Total execution time: ${(metrics.totalExecutionTime / 1000).toFixed(1)}s`);
+        }
+        
+        this.logger.info('\n🔤 TOP 10 WORDS:');
         topWords.forEach((item, index) => {
-            console.log(`${(index + 1).toString().padStart(2)}. ${item.word.padEnd(15)} ${item.count.toString().padStart(6)} (${item.percentage}%)`);
+            this.logger.info(`${(index + 1).toString().padStart(2)}. ${item.word.padEnd(15)} ${item.count.toString().padStart(6)} (${item.percentage}%)`);
         });
         
+        if (this.ngrams) {
+            this.logger.info('\n🔗 TOP 5 PHRASES:');
+            this.getTopPhrases(5).forEach((item, index) => {
+                this.logger.info(`${(index + 1).toString().padStart(2)}. ${item.phrase.padEnd(30)} ${item.count.toString().padStart(6)}`);
+            });
+        }
+        
         if (this.errors.length > 0) {
-            console.log(`\n⚠️  ${this.errors.length} errors occurred during crawling`);
+            this.logger.info(`\n⚠️  ${this.errors.length} errors occurred during crawling`);
+        }
+        if (this.linkChecker) {
+            const { summary } = this.linkChecker.getReport();
+            this.logger.info(`🔗 Links checked: ${summary.checked} of ${summary.discovered}, ${summary.broken} broken, ${summary.redirected} redirected`);
         }
     }
 }
@@ -1,188 +1,138 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
 const fs = require('fs-extra');
 const path = require('path');
-const { URL } = require('url');
-const robotsParser = require('robots-parser');
+const BaseCrawler = require('./BaseCrawler');
+const SitemapParser = require('./sitemap');
+const UrlNormalizer = require('./urlNormalizer');
+const CrawlBudget = require('./budget');
 
-class WebCrawler {
+class WebCrawler extends BaseCrawler {
     constructor(options = {}) {
-        this.maxDepth = options.maxDepth || 2;
-        this.delay = options.delay || 1000; // Delay between requests in ms
-        this.visitedUrls = new Set();
-        this.crawlData = [];
-        this.wordFrequency = new Map();
-        this.totalWords = 0;
-        this.totalPages = 0;
-        this.errors = [];
-        this.startTime = Date.now();
-        
-        // Performance metrics
-        this.metrics = {
-            requestCount: 0,
-            successfulRequests: 0,
-            failedRequests: 0,
-            averageResponseTime: 0,
-            responseTimes: [],
-            wordsPerPage: [],
-            linksPerPage: []
-        };
-        
-        // User agent for respectful crawling
-        this.userAgent = 'WebCrawler/1.0 (+educational-purpose)';
+        super(options, {
+            delay: 1000,
+            maxLinksPerPage: 5,
+            userAgent: 'WebCrawler/1.0 (+educational-purpose)'
+        });
+        this.sitemapsSeeded = false;
     }
 
     /**
      * Main crawling function
      */
     async crawl(startUrl, currentDepth = 0) {
-        if (currentDepth > this.maxDepth || this.visitedUrls.has(startUrl)) {
+        const requestedUrl = UrlNormalizer.resolve(startUrl);
+        startUrl = this.urlNormalizer.normalize(startUrl) || startUrl;
+        if (requestedUrl) {
+            this.addFetchUrl(startUrl, requestedUrl);
+        }
+        if (currentDepth === 0) {
+            this.scope.addStartUrl(startUrl);
+            this.startUrl = this.startUrl || startUrl;
+        }
+
+        // Sitemap-only mode crawls the sitemap URLs in place of the start page
+        if (this.sitemapOnly && !this.sitemapsSeeded) {
+            this.logger.info('🗺️  Sitemap-only mode: crawling sitemap URLs without following links');
+            await this.crawlSitemapSeeds(startUrl);
             return;
         }
 
-        console.log(`Crawling: ${startUrl} (depth: ${currentDepth})`);
+        if (currentDepth > this.maxDepth || this.visitedUrls.has(startUrl) || this.stopReason) {
+            return;
+        }
+
+        // Stay within the crawl budgets
+        const budgetLimit = this.budget.reserve(startUrl);
+        if (budgetLimit === 'maxPagesPerDomain') {
+            this.logger.debug(`⏭️  Per-host page budget reached, skipping ${startUrl}`);
+            return;
+        }
+        if (budgetLimit) {
+            this.stopReason = budgetLimit;
+            this.logger.warn(`🛑 ${CrawlBudget.describe(budgetLimit)} - stopping crawl`);
+            return;
+        }
+
+        this.logger.info(`Crawling: ${startUrl} (depth: ${currentDepth})`);
         this.visitedUrls.add(startUrl);
 
+        let result = null;
         try {
-            // Check robots.txt compliance
-            const isAllowed = await this.checkRobotsTxt(startUrl);
-            if (!isAllowed) {
-                console.log(`Robots.txt disallows crawling: ${startUrl}`);
-                return;
+            result = await this.fetchPage(startUrl, currentDepth);
+            if (result && result.page) {
+                this.recordPage(result.page);
+                this.logger.info(`✓ Processed: ${startUrl} - ${result.page.totalWords} words, ${result.links.length} links`);
             }
-
-            const startRequestTime = Date.now();
-            
-            // Fetch page content
-            const response = await axios.get(startUrl, {
-                headers: {
-                    'User-Agent': this.userAgent
-                },
-                timeout: 10000
-            });
-
-            const responseTime = Date.now() - startRequestTime;
-            this.metrics.responseTimes.push(responseTime);
-            this.metrics.requestCount++;
-            this.metrics.successfulRequests++;
-
-            // Parse HTML content
-            const $ = cheerio.load(response.data);
-            
-            // Extract text content
-            const textContent = this.extractText($);
-            
-            // Count words in the content
-            const wordCount = this.countWords(textContent);
-            
-            // Extract links
-            const links = this.extractLinks($, startUrl);
-            
-            // Store page data
-            const pageData = {
-                url: startUrl,
-                depth: currentDepth,
-                title: $('title').text().trim(),
-                wordCount: Object.keys(wordCount).length,
-                totalWords: Object.values(wordCount).reduce((sum, count) => sum + count, 0),
-                linkCount: links.length,
-                timestamp: new Date().toISOString(),
-                responseTime: responseTime,
-                textLength: textContent.length,
-                words: wordCount,
-                links: links
-            };
-
-            this.crawlData.push(pageData);
-            this.totalPages++;
-            this.metrics.wordsPerPage.push(pageData.totalWords);
-            this.metrics.linksPerPage.push(pageData.linkCount);
-
-            // Update global word frequency
-            this.updateGlobalWordFrequency(wordCount);
-
-            console.log(`✓ Processed: ${startUrl} - ${pageData.totalWords} words, ${links.length} links`);
-
-            // Crawl found links (respecting depth limit)
-            if (currentDepth < this.maxDepth) {
-                for (const link of links.slice(0, 5)) { // Limit to 5 links per page
-                    await this.sleep(this.delay); // Be respectful with delays
-                    await this.crawl(link, currentDepth + 1);
-                }
+        } catch (error) {
+            this.recordFailure(startUrl, error);
+            this.logger.error(`✗ Failed to crawl ${startUrl}: ${error.message}`);
+        } finally {
+            if (!(result && result.page)) {
+                this.budget.release(startUrl);
             }
+        }
 
-        } catch (error) {
-            this.metrics.requestCount++;
-            this.metrics.failedRequests++;
-            this.errors.push({
-                url: startUrl,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
-            console.error(`✗ Failed to crawl ${startUrl}: ${error.message}`);
+        if (result && !result.nofollow) {
+            await this.crawlLinks(result.links, currentDepth);
+        }
+
+        // After the start page's crawl, visit sitemap pages as additional seeds
+        if (currentDepth === 0 && this.useSitemaps && !this.sitemapsSeeded) {
+            await this.crawlSitemapSeeds(startUrl);
         }
     }
 
     /**
-     * Extract meaningful text from HTML
+     * Crawl found links (respecting depth limit)
      */
-    extractText($) {
-        // Remove script and style elements
-        $('script, style, nav, header, footer, aside').remove();
-        
-        // Extract text from main content areas
-        const textElements = $('p, h1, h2, h3, h4, h5, h6, article, main, section');
-        let text = '';
-        
-        textElements.each((i, element) => {
-            text += $(element).text() + ' ';
-        });
-        
-        // Fallback to body text if no content found
-        if (text.trim().length === 0) {
-            text = $('body').text();
+    async crawlLinks(links, currentDepth) {
+        if (currentDepth >= this.maxDepth || this.sitemapOnly) {
+            return;
+        }
+        for (const link of links.slice(0, this.maxLinksPerPage)) {
+            if (this.isMemoryLimitReached() || this.stopReason) {
+                break;
+            }
+            await this.sleep(this.getRequestDelay(link)); // Be respectful with delays
+            await this.crawl(link, currentDepth + 1);
         }
-        
-        return text.trim();
     }
 
     /**
-     * Count word frequency in text
+     * Crawl each sitemap URL as a starting point, in sitemap priority order
      */
-    countWords(text) {
-        const words = text
-            .toLowerCase()
-            .replace(/[^\w\s]/g, ' ') // Remove punctuation
-            .split(/\s+/)
-            .filter(word => word.length > 2); // Filter out short words
-        
-        const wordCount = {};
-        words.forEach(word => {
-            wordCount[word] = (wordCount[word] || 0) + 1;
-        });
-        
-        return wordCount;
+    async crawlSitemapSeeds(startUrl) {
+        this.sitemapsSeeded = true;
+        for (const seed of await this.getSitemapSeeds(startUrl)) {
+            if (this.isMemoryLimitReached() || this.stopReason) {
+                break;
+            }
+            await this.sleep(this.getRequestDelay(seed));
+            await this.crawl(seed, 0);
+        }
     }
 
     /**
-     * Extract and normalize links from page
+     * Extract and normalize links from page. Relative links resolve against
+     * documentBase, the URL the page was served from or its <base href>.
      */
-    extractLinks($, baseUrl) {
+    extractLinks($, baseUrl, documentBase = baseUrl) {
         const links = [];
-        const baseUrlObj = new URL(baseUrl);
         
         $('a[href]').each((i, element) => {
             try {
                 const href = $(element).attr('href');
-                const absoluteUrl = new URL(href, baseUrl).toString();
+                const linkUrl = UrlNormalizer.resolve(href, documentBase);
+                const absoluteUrl = this.urlNormalizer.normalize(href, documentBase);
+                this.recordLink(linkUrl, href, $(element).text(), baseUrl);
+                if (this.respectRobotsMeta && /(^|\s)nofollow(\s|$)/i.test($(element).attr('rel') || '')) {
+                    this.metrics.nofollowLinks++;
+                    return;
+                }
                 
-                // Only crawl same domain links
-                const linkUrl = new URL(absoluteUrl);
-                if (linkUrl.hostname === baseUrlObj.hostname && 
-                    !this.visitedUrls.has(absoluteUrl) &&
-                    !absoluteUrl.includes('#') && // Skip anchor links
-                    !absoluteUrl.match(/\.(pdf|jpg|png|gif|css|js)$/i)) { // Skip files
+                // Only crawl unvisited links within the configured scope
+                if (absoluteUrl && !this.visitedUrls.has(absoluteUrl) && this.scope.isInScope(absoluteUrl, baseUrl)) {
                     links.push(absoluteUrl);
+                    this.addFetchUrl(absoluteUrl, linkUrl);
                 }
             } catch (error) {
                 // Skip invalid URLs
@@ -193,38 +143,42 @@ class WebCrawler {
     }
 
     /**
-     * Update global word frequency map
+     * Delay before requesting a URL: --delay, or the site's robots.txt
+     * Crawl-delay when that is longer
      */
-    updateGlobalWordFrequency(wordCount) {
-        Object.entries(wordCount).forEach(([word, count]) => {
-            this.wordFrequency.set(word, (this.wordFrequency.get(word) || 0) + count);
-            this.totalWords += count;
-        });
+    getRequestDelay(url) {
+        const crawlDelay = this.respectRobotsTxt && this.respectCrawlDelay ? this.robots.getCrawlDelay(url) : 0;
+        return Math.max(this.delay, crawlDelay);
     }
 
     /**
-     * Check robots.txt compliance
+     * Pages listed in the start site's sitemaps (from robots.txt, else /sitemap.xml) that are not yet visited
      */
-    async checkRobotsTxt(url) {
-        try {
-            const urlObj = new URL(url);
-            const robotsUrl = `${urlObj.protocol}//${urlObj.host}/robots.txt`;
-            
-            const response = await axios.get(robotsUrl, { timeout: 5000 });
-            const robots = robotsParser(robotsUrl, response.data);
-            
-            return robots.isAllowed(url, this.userAgent);
-        } catch (error) {
-            // If robots.txt doesn't exist or can't be fetched, assume allowed
-            return true;
-        }
+    async getSitemapSeeds(startUrl) {
+        const parser = new SitemapParser({ fetcher: this.fetcher, logger: this.logger });
+        const sitemaps = await parser.discover(startUrl, this.robots);
+        // Seeds stay as listed; crawl() normalizes them and requests them as listed
+        const seeds = (await parser.getUrls(sitemaps)).filter(url => {
+            const normalized = this.urlNormalizer.normalize(url);
+            return normalized && this.scope.isInScope(normalized, startUrl) && !this.visitedUrls.has(normalized);
+        });
+        
+        this.logger.info(`🗺️  Found ${seeds.length} new sitemap URLs in ${sitemaps.length} sitemap(s)`);
+        return seeds;
     }
 
     /**
-     * Sleep utility for delays
+     * Check whether heap usage exceeds performance.maxMemoryUsage
      */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    isMemoryLimitReached() {
+        if (!this.maxMemoryUsage || process.memoryUsage().heapUsed < this.maxMemoryUsage) {
+            return false;
+        }
+        if (!this.memoryLimitWarned) {
+            this.memoryLimitWarned = true;
+            this.logger.warn('⚠️  Memory limit reached - no further links will be followed');
+        }
+        return true;
     }
 
     /**
@@ -248,53 +202,80 @@ class WebCrawler {
         };
     }
 
-    /**
-     * Get top words by frequency
-     */
-    getTopWords(limit = 50) {
-        return Array.from(this.wordFrequency.entries())
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, limit)
-            .map(([word, count]) => ({ word, count, percentage: (count / this.totalWords * 100).toFixed(2) }));
-    }
-
     /**
      * Save crawl data to files
      */
     async saveData() {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-        const dataDir = path.join(__dirname, '..', 'data');
+        const dataDir = this.dataDir;
         
         // Ensure data directory exists
         await fs.ensureDir(dataDir);
         
+        let crawlDataFile = null;
+        let csvFile = null;
+        let phraseCsvFile = null;
+        let brokenLinksFile = null;
+        let brokenLinksCsvFile = null;
+        
         // Save detailed crawl data
-        const crawlDataFile = path.join(dataDir, `crawl-data-${timestamp}.json`);
-        await fs.writeJSON(crawlDataFile, {
-            metadata: {
-                startTime: new Date(this.startTime).toISOString(),
-                endTime: new Date().toISOString(),
-                totalPages: this.totalPages,
-                totalWords: this.totalWords,
-                maxDepth: this.maxDepth,
-                metrics: this.calculateMetrics()
-            },
-            pages: this.crawlData,
-            topWords: this.getTopWords(),
-            errors: this.errors
-        }, { spaces: 2 });
+        if (this.saveRawData) {
+            crawlDataFile = path.join(dataDir, `crawl-data-${timestamp}.json`);
+            await fs.writeJSON(crawlDataFile, {
+                metadata: {
+                    startUrl: this.startUrl,
+                    startTime: new Date(this.startTime).toISOString(),
+                    endTime: new Date().toISOString(),
+                    totalPages: this.totalPages,
+                    totalWords: this.totalWords,
+                    maxDepth: this.maxDepth,
+                    stemming: Boolean(this.stemmer),
+                    stopReason: this.stopReason || (this.budget.skippedUrls > 0 ? 'maxPagesPerDomain' : 'completed'),
+                    budget: this.budget.getSummary(),
+                    excludeDuplicates: this.excludeDuplicates,
+                    aliasedUrls: Array.from(this.urlAliases.values()).reduce((sum, aliases) => sum + aliases.size, 0),
+                    respectRobotsMeta: this.respectRobotsMeta,
+                    metrics: this.calculateMetrics()
+                },
+                pages: this.getPages(),
+                topWords: this.getTopWords(),
+                ...(this.ngrams && { topPhrases: this.getTopPhrases() }),
+                errors: this.getErrors(),
+                ...(this.linkChecker && { linkCheck: this.linkChecker.getReport() }),
+                skipped: this.skippedPages,
+                skippedResources: this.skippedResources
+            }, { spaces: 2 });
+        }
         
         // Save word frequency as CSV
-        const csvFile = path.join(dataDir, `word-frequency-${timestamp}.csv`);
-        const csvContent = 'word,count,percentage\n' + 
-            this.getTopWords(200).map(item => `${item.word},${item.count},${item.percentage}`).join('\n');
-        await fs.writeFile(csvFile, csvContent);
+        if (this.saveCsv) {
+            csvFile = path.join(dataDir, `word-frequency-${timestamp}.csv`);
+            await fs.writeFile(csvFile, this.getWordFrequencyCsv());
+            
+            if (this.ngrams) {
+                phraseCsvFile = path.join(dataDir, `phrase-frequency-${timestamp}.csv`);
+                await fs.writeFile(phraseCsvFile, this.getPhraseFrequencyCsv());
+            }
+        }
+        
+        // Save the broken links found by the link checker
+        if (this.linkChecker) {
+            brokenLinksFile = path.join(dataDir, `broken-links-${timestamp}.json`);
+            await fs.writeJSON(brokenLinksFile, this.linkChecker.getBrokenLinks(), { spaces: 2 });
+            if (this.saveCsv) {
+                brokenLinksCsvFile = path.join(dataDir, `broken-links-${timestamp}.csv`);
+                await fs.writeFile(brokenLinksCsvFile, this.linkChecker.getBrokenLinksCsv());
+            }
+        }
         
-        console.log(`\n📊 Data saved:`);
-        console.log(`   JSON: ${crawlDataFile}`);
-        console.log(`   CSV:  ${csvFile}`);
+        this.logger.info(`\n📊 Data saved:`);
+        if (crawlDataFile) this.logger.info(`   JSON: ${crawlDataFile}`);
+        if (csvFile) this.logger.info(`   CSV:  ${csvFile}`);
+        if (phraseCsvFile) this.logger.info(`   Phrases CSV: ${phraseCsvFile}`);
+        if (brokenLinksFile) this.logger.info(`   Broken links: ${brokenLinksFile}`);
+        if (brokenLinksCsvFile) this.logger.info(`   Broken links CSV: ${brokenLinksCsvFile}`);
         
-        return { jsonFile: crawlDataFile, csvFile };
+        return { jsonFile: crawlDataFile, csvFile, phraseCsvFile, brokenLinksFile, brokenLinksCsvFile };
     }
 
     /**
@@ -304,23 +285,52 @@ class WebCrawler {
         const metrics = this.calculateMetrics();
         const topWords = this.getTopWords(10);
         
-        console.log('\n' + '='.repeat(60));
-        console.log('📈 CRAWL SUMMARY');
-        console.log('='.repeat(60));
-        console.log(`Pages crawled: ${this.totalPages}`);
-        console.log(`Total words: ${this.totalWords.toLocaleString()}`);
-        console.log(`Unique words: ${this.wordFrequency.size.toLocaleString()}`);
-        console.log(`Success rate: ${metrics.successRate.toFixed(1)}%`);
-        console.log(`Average response time: ${metrics.averageResponseTime.toFixed(0)}ms`);
-        console.log(`Total execution time: ${(metrics.totalExecutionTime / 1000).toFixed(1)}s`);
+        this.logger.info('\n' + '='.repeat(60));
+        this.logger.info('📈 CRAWL SUMMARY');
+        this.logger.info('='.repeat(60));
+        this.logger.info(`Pages crawled: ${this.totalPages}`);
+        if (this.stopReason) {
+            this.logger.info(`Stopped early: ${CrawlBudget.describe(this.stopReason)}`);
+        }
+        this.logger.info(`Total words: ${this.totalWords.toLocaleString()}`);
+        this.logger.info(`Unique words: ${this.wordFrequency.size.toLocaleString()}`);
+        if (this.duplicateDetector) {
+            this.logger.info(`Duplicate pages: ${this.metrics.duplicatePages}${this.excludeDuplicates ? ' (excluded from word counts)' : ''}`);
+        }
+        if (this.respectRobotsMeta) {
+            this.logger.info(`Robots directives: ${this.metrics.noindexPages} noindex pages skipped, ${this.metrics.nofollowPages} nofollow pages, ${this.metrics.nofollowLinks} nofollow links`);
+        }
+        if (this.extractDocuments) {
+            this.logger.info(`Documents extracted: ${this.metrics.documentPages} (PDF, text and Markdown)`);
+        }
+        if (this.skippedResources.length > 0) {
+            this.logger.info(`Skipped resources: ${this.skippedResources.length} (not HTML or over maxResponseSize)`);
+        }
+        if (this.enableMetrics) {
+            this.logger.info(`Success rate: ${metrics.successRate.toFixed(1)}%`);
+            this.logger.info(`Average response time: ${metrics.averageResponseTime.toFixed(0)}ms`);
+            this.logger.info(`Retries: ${metrics.retries} (${metrics.recoveredRequests} requests recovered, ${metrics.fatalErrors} fatal errors)`);
+            this.logger.info(`Total execution time: ${(metrics.totalExecutionTime / 1000).toFixed(1)}s`);
+        }
         
-        console.log('\n🔤 TOP 10 WORDS:');
+        this.logger.info('\n🔤 TOP 10 WORDS:');
         topWords.forEach((item, index) => {
-            console.log(`${(index + 1).toString().padStart(2)}. ${item.word.padEnd(15)} ${item.count.toString().padStart(6)} (${item.percentage}%)`);
+            this.logger.info(`${(index + 1).toString().padStart(2)}. ${item.word.padEnd(15)} ${item.count.toString().padStart(6)} (${item.percentage}%)`);
         });
         
+        if (this.ngrams) {
+            this.logger.info('\n🔗 TOP 5 PHRASES:');
+            this.getTopPhrases(5).forEach((item, index) => {
+                this.logger.info(`${(index + 1).toString().padStart(2)}. ${item.phrase.padEnd(30)} ${item.count.toString().padStart(6)}`);
+            });
+        }
+        
         if (this.errors.length > 0) {
-            console.log(`\n⚠️  ${this.errors.length} errors occurred during crawling`);
+            this.logger.info(`\n⚠️  ${this.errors.length} errors occurred during crawling`);
+        }
+        if (this.linkChecker) {
+            const { summary } = this.linkChecker.getReport();
+            this.logger.info(`🔗 Links checked: ${summary.checked} of ${summary.discovered}, ${summary.broken} broken, ${summary.redirected} redirected`);
         }
     }
 }
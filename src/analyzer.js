@@ -2,11 +2,33 @@ const fs = require('fs-extra');
 const path = require('path');
 const { exec } = require('child_process');
 const os = require('os');
+const Logger = require('./logger');
+const TopicClassifier = require('./classifier');
+const SeoAuditor = require('./seo');
+const LinkGraph = require('./linkGraph');
+const { loadConfig, toAnalyzerOptions } = require('./config');
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
 
 class DataAnalyzer {
-    constructor() {
-        this.dataDir = path.join(__dirname, '..', 'data');
-        this.reportsDir = path.join(__dirname, '..', 'reports');
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || path.join(__dirname, '..', 'data');
+        this.reportsDir = options.reportsDir || path.join(__dirname, '..', 'reports');
+        this.generateVisualizations = options.generateVisualizations !== false;
+        this.keywordsPerPage = options.keywordsPerPage || 10;
+        // Built-in taxonomies load immediately; taxonomy files load in generateReport()
+        this.taxonomy = options.taxonomy || 'general';
+        this.classifier = options.classifier ||
+            (TopicClassifier.TAXONOMIES[this.taxonomy] ? new TopicClassifier({ taxonomy: this.taxonomy }) : null);
+        this.seoAuditor = options.seoAuditor ||
+            new SeoAuditor({ thinContentWords: options.thinContentWords, maxClickDepth: options.maxClickDepth });
+        this.logger = options.logger || new Logger(options.logLevel);
     }
 
     /**
@@ -27,7 +49,7 @@ class DataAnalyzer {
         crawlFiles.sort().reverse();
         const latestFile = path.join(this.dataDir, crawlFiles[0]);
         
-        console.log(`📄 Analyzing: ${crawlFiles[0]}`);
+        this.logger.info(`📄 Analyzing: ${crawlFiles[0]}`);
         
         return await fs.readJSON(latestFile);
     }
@@ -66,6 +88,90 @@ class DataAnalyzer {
         };
     }
 
+    /**
+     * Analyze phrase (bigram/trigram) frequency, when the crawl collected it
+     */
+    analyzePhrases(crawlData) {
+        const { topPhrases } = crawlData;
+        if (!topPhrases || topPhrases.length === 0) {
+            return null;
+        }
+        
+        return {
+            totalUniquePhrases: topPhrases.length,
+            topPhrases: topPhrases.slice(0, 20),
+            topBigrams: topPhrases.filter(p => p.n === 2).slice(0, 10),
+            topTrigrams: topPhrases.filter(p => p.n === 3).slice(0, 10)
+        };
+    }
+
+    /**
+     * Score each page's words by TF-IDF, giving the keywords that set a page
+     * apart from the rest of the site. Needs at least two pages with words.
+     */
+    analyzeKeywords(crawlData) {
+        const pages = (crawlData.pages || []).filter(page => page.words && Object.keys(page.words).length > 0);
+        if (pages.length < 2) {
+            return null;
+        }
+
+        // Document frequency: how many pages each term appears on
+        const documentFrequency = new Map();
+        pages.forEach(page => {
+            Object.keys(page.words).forEach(term => {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            });
+        });
+
+        // Smoothed IDF, which is zero for terms found on every page
+        const idf = term => Math.log((1 + pages.length) / (1 + documentFrequency.get(term)));
+
+        const siteScores = new Map();
+        const pageKeywords = pages.map(page => {
+            const pageTotal = Object.values(page.words).reduce((sum, count) => sum + count, 0);
+            const scored = Object.entries(page.words)
+                .map(([term, count]) => ({ term, count, score: (count / pageTotal) * idf(term) }))
+                .filter(entry => entry.score > 0)
+                .sort((a, b) => b.score - a.score || a.term.localeCompare(b.term));
+
+            scored.forEach(({ term, score }) => {
+                const site = siteScores.get(term) || { score: 0, topPage: null, topScore: 0 };
+                site.score += score;
+                if (score > site.topScore) {
+                    site.topScore = score;
+                    site.topPage = page.url;
+                }
+                siteScores.set(term, site);
+            });
+
+            return {
+                url: page.url,
+                title: page.title,
+                keywords: scored.slice(0, this.keywordsPerPage).map(({ term, count, score }) => ({
+                    term,
+                    count,
+                    score: Number(score.toFixed(4))
+                }))
+            };
+        });
+
+        const distinctiveTerms = Array.from(siteScores.entries())
+            .sort((a, b) => b[1].score - a[1].score || a[0].localeCompare(b[0]))
+            .slice(0, 20)
+            .map(([term, site]) => ({
+                term,
+                score: Number(site.score.toFixed(4)),
+                pages: documentFrequency.get(term),
+                topPage: site.topPage
+            }));
+
+        return {
+            documentCount: pages.length,
+            distinctiveTerms,
+            pageKeywords
+        };
+    }
+
     /**
      * Analyze crawling performance
      */
@@ -96,7 +202,9 @@ class DataAnalyzer {
                 successRate: `${metrics.successRate.toFixed(1)}%`,
                 averageResponseTime: `${metrics.averageResponseTime.toFixed(0)}ms`,
                 totalExecutionTime: `${(metrics.totalExecutionTime / 1000).toFixed(1)}s`,
-                errorsCount: errors.length
+                errorsCount: errors.length,
+                retries: metrics.retries || 0,
+                fatalErrors: errors.filter(e => e.type === 'fatal').length
             },
             pageAnalysis: {
                 averageWordsPerPage: Math.round(this.calculateAverage(pageSizes)),
@@ -135,17 +243,305 @@ class DataAnalyzer {
             contentTypes[category] = (contentTypes[category] || 0) + 1;
         });
         
-        // Find common themes
-        const commonThemes = this.identifyThemes(topWords);
+        // Classify pages and the site as a whole against the taxonomy
+        const topicClassification = this.analyzeTopics(crawlData);
+        const commonThemes = topicClassification.siteTopics.length > 0
+            ? topicClassification.siteTopics.map(t => t.topic)
+            : this.identifyThemes(topWords);
         
         return {
             contentDistribution: contentTypes,
             titleDiversity: titleWords.size,
             commonThemes,
+            topicClassification,
             insights: this.generateContentInsights(pages, topWords)
         };
     }
 
+    /**
+     * Classify every page and the whole site against the configured taxonomy
+     */
+    analyzeTopics(crawlData) {
+        const pages = crawlData.pages || [];
+        const pageTopics = pages.map(page => this.classifier.classifyPage(page));
+
+        // Site-wide counts from all pages, falling back to the top words/phrases
+        const siteWords = Object.create(null);
+        const sitePhrases = Object.create(null);
+        pages.forEach(page => {
+            Object.entries(page.words || {}).forEach(([word, count]) => {
+                siteWords[word] = (siteWords[word] || 0) + count;
+            });
+            Object.entries(page.phrases || {}).forEach(([phrase, count]) => {
+                sitePhrases[phrase] = (sitePhrases[phrase] || 0) + count;
+            });
+        });
+        if (Object.keys(siteWords).length === 0) {
+            (crawlData.topWords || []).forEach(w => { siteWords[w.word] = w.count; });
+            (crawlData.topPhrases || []).forEach(p => { sitePhrases[p.phrase] = p.count; });
+        }
+
+        const siteTopics = this.classifier.classify(siteWords, sitePhrases)
+            .filter(entry => entry.confidence >= this.classifier.minConfidence)
+            .map(({ topic, confidence, matches }) => ({ topic, confidence, matches: matches.slice(0, 10) }));
+
+        const distribution = {};
+        pageTopics.forEach(page => {
+            distribution[page.topic] = (distribution[page.topic] || 0) + 1;
+        });
+
+        return {
+            taxonomy: this.classifier.name,
+            siteTopics,
+            distribution,
+            pageTopics
+        };
+    }
+
+    /**
+     * Group pages the crawler flagged as exact or near-duplicates into
+     * clusters around the first page seen with that content
+     */
+    analyzeDuplicates(crawlData) {
+        const pages = (crawlData.pages || []).filter(page => page.fingerprint);
+        if (pages.length === 0) {
+            return null;
+        }
+
+        const pagesByUrl = new Map(pages.map(page => [page.url, page]));
+        const clusters = new Map();
+        const duplicates = pages.filter(page => page.duplicateOf);
+
+        duplicates.forEach(page => {
+            // A near-duplicate of a duplicate belongs to the original's cluster
+            let original = page.duplicateOf;
+            const seen = new Set([page.url]);
+            while (pagesByUrl.has(original) && pagesByUrl.get(original).duplicateOf && !seen.has(original)) {
+                seen.add(original);
+                original = pagesByUrl.get(original).duplicateOf;
+            }
+
+            if (!clusters.has(original)) {
+                const originalPage = pagesByUrl.get(original);
+                clusters.set(original, { url: original, title: originalPage ? originalPage.title : '', duplicates: [] });
+            }
+            clusters.get(original).duplicates.push({
+                url: page.url,
+                title: page.title,
+                type: page.duplicateType,
+                distance: page.duplicateDistance
+            });
+        });
+
+        const exactDuplicates = duplicates.filter(page => page.duplicateType === 'exact').length;
+        return {
+            pagesChecked: pages.length,
+            duplicatePages: duplicates.length,
+            exactDuplicates,
+            nearDuplicates: duplicates.length - exactDuplicates,
+            duplicateRate: ((duplicates.length / pages.length) * 100).toFixed(1) + '%',
+            excludedFromWordCounts: Boolean(crawlData.metadata && crawlData.metadata.excludeDuplicates),
+            clusters: Array.from(clusters.values()).sort((a, b) => b.duplicates.length - a.duplicates.length)
+        };
+    }
+
+    /**
+     * Summarize the metadata the crawler extracted: pages missing a title,
+     * description or h1, titles and descriptions shared by several pages,
+     * and social card and structured data coverage. Pages flagged as
+     * duplicates are left out of the duplicate title and description lists.
+     */
+    analyzeMetadata(crawlData) {
+        const pages = (crawlData.pages || []).filter(page => page.metadata);
+        if (pages.length === 0) {
+            return null;
+        }
+
+        const describe = page => ({ url: page.url, title: page.title });
+        const findShared = getValue => SeoAuditor.groupShared(pages.filter(page => !page.duplicateOf), getValue);
+
+        const structuredDataTypes = {};
+        pages.forEach(page => (page.metadata.structuredDataTypes || []).forEach(type => {
+            structuredDataTypes[type] = (structuredDataTypes[type] || 0) + 1;
+        }));
+        const h1Counts = page => (page.metadata.headings || []).filter(heading => heading.level === 1).length;
+
+        return {
+            pagesChecked: pages.length,
+            missingTitles: pages.filter(page => !(page.title || '').trim()).map(page => page.url),
+            missingDescriptions: pages.filter(page => !page.metadata.description).map(describe),
+            missingH1: pages.filter(page => h1Counts(page) === 0).map(describe),
+            multipleH1: pages.filter(page => h1Counts(page) > 1).map(describe),
+            duplicateTitles: findShared(page => page.title).map(({ value, urls }) => ({ title: value, urls })),
+            duplicateDescriptions: findShared(page => page.metadata.description).map(({ value, urls }) => ({ description: value, urls })),
+            openGraphPages: pages.filter(page => Object.keys(page.metadata.openGraph || {}).length > 0).length,
+            twitterCardPages: pages.filter(page => Object.keys(page.metadata.twitter || {}).length > 0).length,
+            structuredDataPages: pages.filter(page => (page.metadata.structuredDataTypes || []).length > 0).length,
+            invalidJsonLdPages: pages.filter(page => page.metadata.jsonLdErrors).map(page => page.url),
+            structuredDataTypes: Object.entries(structuredDataTypes)
+                .map(([type, count]) => ({ type, pages: count }))
+                .sort((a, b) => b.pages - a.pages)
+        };
+    }
+
+    /**
+     * Summarize the link check of a crawl run with --check-links: broken
+     * links (internal ones first) with the pages and anchor text linking to
+     * them, redirected links and the status codes seen
+     */
+    analyzeLinks(crawlData) {
+        if (!crawlData.linkCheck) {
+            return null;
+        }
+        const links = crawlData.linkCheck.links || [];
+        const broken = links.filter(link => link.broken)
+            .sort((a, b) => (b.internal - a.internal) || (b.referrers.length - a.referrers.length));
+        const statusCodes = {};
+        links.filter(link => !link.skipped).forEach(link => {
+            const status = link.status || 'no response';
+            statusCodes[status] = (statusCodes[status] || 0) + 1;
+        });
+
+        return {
+            ...crawlData.linkCheck.summary,
+            brokenInternal: broken.filter(link => link.internal).length,
+            brokenExternal: broken.filter(link => !link.internal).length,
+            statusCodes,
+            broken: broken.map(link => ({
+                url: link.url,
+                internal: link.internal,
+                status: link.status,
+                ...(link.error && { error: link.error }),
+                referrers: link.referrers
+            })),
+            redirected: links.filter(link => link.redirects && !link.broken).map(link => ({
+                url: link.url,
+                finalUrl: link.finalUrl,
+                hops: link.redirects.length,
+                referrers: link.referrers.length
+            }))
+        };
+    }
+
+    /**
+     * Structure of the crawl's link graph: link counts, in- and out-degree,
+     * PageRank, HITS hubs and authorities, and orphan pages that no other
+     * crawled page links to
+     */
+    analyzeLinkGraph(crawlData) {
+        const graph = LinkGraph.fromCrawlData(crawlData);
+        const pages = graph.getPages();
+        if (pages.length === 0) {
+            return null;
+        }
+
+        const degrees = graph.getDegrees();
+        const pageRank = graph.pageRank();
+        const { hubs, authorities } = graph.hits();
+        const round = score => Math.round(score * 10000) / 10000;
+        const pageMetrics = pages.map(node => ({
+            url: node.url,
+            title: node.title,
+            ...degrees.get(node.url),
+            pageRank: round(pageRank.get(node.url)),
+            hubScore: round(hubs.get(node.url)),
+            authorityScore: round(authorities.get(node.url))
+        }));
+        const top = field => pageMetrics.filter(page => page[field] > 0).sort((a, b) => b[field] - a[field]).slice(0, 10);
+        // Crawls saved before the start URL was recorded fall back to their depth 0 pages
+        const startUrls = crawlData.metadata && crawlData.metadata.startUrl
+            ? [crawlData.metadata.startUrl]
+            : pages.filter(node => node.depth === 0).map(node => node.url);
+        const internalLinks = graph.edges.filter(edge => edge.internal).length;
+
+        return {
+            pages: pages.length,
+            nodes: graph.nodes.size,
+            links: graph.edges.length,
+            internalLinks,
+            externalLinks: graph.edges.length - internalLinks,
+            nofollowLinks: graph.edges.filter(edge => (edge.rel || []).includes('nofollow')).length,
+            averageInDegree: this.calculateAverage(pageMetrics.map(page => page.inDegree)).toFixed(1),
+            averageOutDegree: this.calculateAverage(pageMetrics.map(page => page.outDegree)).toFixed(1),
+            topPageRank: top('pageRank'),
+            hubs: top('hubScore'),
+            authorities: top('authorityScore'),
+            orphans: graph.getOrphans(startUrls).map(node => ({ url: node.url, title: node.title })),
+            pageMetrics
+        };
+    }
+
+    /**
+     * Pages and the links between them for the HTML report's site map, with
+     * the internal URLs that failed and the pages linking to them. Larger
+     * sites are cut to the maxNodes pages with the highest PageRank.
+     */
+    getSiteGraph(crawlData, maxNodes = 300) {
+        const graph = LinkGraph.fromCrawlData(crawlData);
+        const pages = new Map((crawlData.pages || []).map(page => [page.url, page]));
+        if (pages.size === 0) {
+            return null;
+        }
+        const degrees = graph.getDegrees();
+        const pageRank = graph.pageRank();
+        const round = score => Math.round(score * 10000) / 10000;
+
+        const nodes = graph.getPages().map(node => {
+            const page = pages.get(node.url);
+            return {
+                url: node.url,
+                title: node.title,
+                depth: node.depth,
+                words: page.totalWords || 0,
+                responseTime: page.responseTime,
+                status: page.duplicateOf ? 'duplicate' : (page.redirects || []).length > 0 ? 'redirected' : 'ok',
+                inDegree: degrees.get(node.url).inDegree,
+                outDegree: degrees.get(node.url).outDegree,
+                pageRank: round(pageRank.get(node.url))
+            };
+        });
+
+        // Failed URLs sit one level below the shallowest page linking to them
+        const failures = new Map();
+        (crawlData.errors || []).forEach(error => failures.set(error.url, { statusCode: error.status, error: error.error }));
+        ((crawlData.linkCheck || {}).links || []).filter(link => link.broken && link.internal)
+            .forEach(link => failures.set(link.url, { statusCode: link.status, error: link.error }));
+        failures.forEach((failure, url) => {
+            const linking = graph.edges.filter(edge => edge.target === url).map(edge => graph.nodes.get(edge.source).depth);
+            if (graph.nodes.has(url) && !graph.nodes.get(url).crawled && linking.length > 0) {
+                nodes.push({
+                    url,
+                    title: '',
+                    depth: Math.min(...linking) + 1,
+                    words: 0,
+                    status: 'error',
+                    ...failure,
+                    inDegree: degrees.get(url).inDegree,
+                    outDegree: 0,
+                    pageRank: 0
+                });
+            }
+        });
+
+        const kept = new Set([...nodes].sort((a, b) => b.pageRank - a.pageRank).slice(0, maxNodes));
+        const shown = nodes.filter(node => kept.has(node));
+        const index = new Map(shown.map((node, i) => [node.url, i]));
+        const links = new Map();
+        graph.edges.forEach(edge => {
+            if (edge.source !== edge.target && index.has(edge.source) && index.has(edge.target)) {
+                links.set(`${edge.source}\n${edge.target}`, [index.get(edge.source), index.get(edge.target)]);
+            }
+        });
+        return { totalNodes: nodes.length, nodes: shown, links: Array.from(links.values()) };
+    }
+
+    /**
+     * Score the crawled pages against the SEO checks (see SeoAuditor)
+     */
+    analyzeSeo(crawlData) {
+        return this.seoAuditor.audit(crawlData);
+    }
+
     /**
      * Generate improvement recommendations
      */
@@ -153,6 +549,11 @@ class DataAnalyzer {
         const wordAnalysis = this.analyzeWordFrequency(crawlData);
         const performanceAnalysis = this.analyzePerformance(crawlData);
         const contentAnalysis = this.analyzeContentPatterns(crawlData);
+        const duplicateAnalysis = this.analyzeDuplicates(crawlData);
+        const metadataAnalysis = this.analyzeMetadata(crawlData);
+        const seoAudit = this.analyzeSeo(crawlData);
+        const linkAnalysis = this.analyzeLinks(crawlData);
+        const linkGraphAnalysis = this.analyzeLinkGraph(crawlData);
         
         const recommendations = [];
         
@@ -180,6 +581,84 @@ class DataAnalyzer {
             });
         }
         
+        // Duplicate content recommendations
+        if (duplicateAnalysis && duplicateAnalysis.duplicatePages > 0) {
+            recommendations.push({
+                category: 'Duplicate Content',
+                priority: 'Medium',
+                issue: `${duplicateAnalysis.duplicatePages} pages (${duplicateAnalysis.duplicateRate}) repeat content from other pages`,
+                recommendations: [
+                    'Point duplicate URLs at a single version with rel="canonical"',
+                    'Check print views, paginated variants and session parameters that serve the same content',
+                    ...(duplicateAnalysis.excludedFromWordCounts ? [] : ['Enable excludeDuplicates so repeated pages do not inflate word counts'])
+                ]
+            });
+        }
+        
+        // Metadata recommendations
+        if (metadataAnalysis) {
+            const metadataIssues = [
+                [metadataAnalysis.missingDescriptions.length, 'pages lack a meta description'],
+                [metadataAnalysis.duplicateTitles.length, 'titles are shared by several pages'],
+                [metadataAnalysis.duplicateDescriptions.length, 'descriptions are shared by several pages']
+            ].filter(([count]) => count > 0);
+            if (metadataIssues.length > 0) {
+                recommendations.push({
+                    category: 'Metadata',
+                    priority: 'Medium',
+                    issue: metadataIssues.map(([count, issue]) => `${count} ${issue}`).join(', '),
+                    recommendations: [
+                        'Write a unique meta description of one or two sentences for every page',
+                        'Give each page a distinct title naming its subject',
+                        ...(metadataAnalysis.openGraphPages < metadataAnalysis.pagesChecked ? ['Add Open Graph tags so shared links show a title, description and image'] : [])
+                    ]
+                });
+            }
+        }
+        
+        // Broken link recommendations
+        if (linkAnalysis && linkAnalysis.broken.length > 0) {
+            recommendations.push({
+                category: 'Broken Links',
+                priority: linkAnalysis.brokenInternal > 0 ? 'High' : 'Medium',
+                issue: `${linkAnalysis.brokenInternal} internal and ${linkAnalysis.brokenExternal} external links are broken`,
+                recommendations: [
+                    'Fix or remove the links listed in the broken links report, starting with the most linked ones',
+                    'Redirect moved pages to their new URLs instead of letting old links fail',
+                    ...(linkAnalysis.redirected.length > 0 ? ['Update links that go through redirects to point at the final URL'] : [])
+                ]
+            });
+        }
+        
+        // Internal linking recommendations
+        if (linkGraphAnalysis && linkGraphAnalysis.orphans.length > 0) {
+            const count = linkGraphAnalysis.orphans.length;
+            recommendations.push({
+                category: 'Internal Linking',
+                priority: 'Medium',
+                issue: `${count} page${count === 1 ? ' is' : 's are'} not linked from any other crawled page`,
+                recommendations: [
+                    'Link orphan pages from related content or navigation, or remove them from the sitemap if they are obsolete',
+                    'Link to important pages from the hubs listed in the link graph report to pass them more PageRank'
+                ]
+            });
+        }
+        
+        // SEO recommendations
+        if (seoAudit) {
+            const failing = seoAudit.checks.filter(check => check.items.length > 0);
+            if (failing.length > 0) {
+                recommendations.push({
+                    category: 'SEO',
+                    priority: seoAudit.score < 70 || failing.some(check => check.severity === 'error') ? 'High' : 'Medium',
+                    issue: `SEO score ${seoAudit.score}/100 (${seoAudit.grade}): ${failing.map(check => `${check.title.toLowerCase()} on ${check.affectedPages} page${check.affectedPages === 1 ? '' : 's'}`).join(', ')}`,
+                    recommendations: failing
+                        .sort((a, b) => b.weight - a.weight)
+                        .map(check => check.advice)
+                });
+            }
+        }
+        
         // Scalability recommendations
         recommendations.push({
             category: 'Scalability',
@@ -200,10 +679,13 @@ class DataAnalyzer {
      * Generate comprehensive analysis report
      */
     async generateReport() {
-        console.log('📊 Generating analysis report...');
+        this.logger.info('📊 Generating analysis report...');
         
         try {
             const crawlData = await this.getLatestCrawlData();
+            if (!this.classifier) {
+                this.classifier = await TopicClassifier.load(this.taxonomy);
+            }
             
             const analysis = {
                 metadata: {
@@ -212,6 +694,13 @@ class DataAnalyzer {
                     dataSource: 'Latest crawl data'
                 },
                 wordFrequencyAnalysis: this.analyzeWordFrequency(crawlData),
+                phraseAnalysis: this.analyzePhrases(crawlData),
+                keywordAnalysis: this.analyzeKeywords(crawlData),
+                duplicateAnalysis: this.analyzeDuplicates(crawlData),
+                metadataAnalysis: this.analyzeMetadata(crawlData),
+                seoAudit: this.analyzeSeo(crawlData),
+                linkAnalysis: this.analyzeLinks(crawlData),
+                linkGraphAnalysis: this.analyzeLinkGraph(crawlData),
                 performanceAnalysis: this.analyzePerformance(crawlData),
                 contentPatternAnalysis: this.analyzeContentPatterns(crawlData),
                 recommendations: this.generateRecommendations(crawlData),
@@ -234,26 +723,29 @@ class DataAnalyzer {
             const readableReport = this.generateMarkdownReport(analysis);
             await fs.writeFile(readableReportFile, readableReport);
             
-            // Convert Markdown to HTML for better browser viewing
+            // Convert Markdown to HTML for better browser viewing; the HTML
+            // report has its own SEO audit section
             const htmlReportFile = path.join(this.reportsDir, `analysis-report-${timestamp}.html`);
-            await this.convertMarkdownToHtml(readableReport, htmlReportFile, analysis);
+            const htmlMarkdown = analysis.seoAudit ? this.generateMarkdownReport({ ...analysis, seoAudit: null }) : readableReport;
+            const siteGraph = this.generateVisualizations ? this.getSiteGraph(crawlData) : null;
+            await this.convertMarkdownToHtml(htmlMarkdown, htmlReportFile, analysis, siteGraph);
             
-            console.log(`\n📈 Analysis Report Generated:`);
-            console.log(`   JSON: ${reportFile}`);
-            console.log(`   Markdown: ${readableReportFile}`);
-            console.log(`   HTML: ${htmlReportFile}`);
+            this.logger.info(`\n📈 Analysis Report Generated:`);
+            this.logger.info(`   JSON: ${reportFile}`);
+            this.logger.info(`   Markdown: ${readableReportFile}`);
+            this.logger.info(`   HTML: ${htmlReportFile}`);
             
             // Print summary to console
             this.printAnalysisSummary(analysis);
             
             // Open HTML report in browser
-            console.log('\n🌐 Opening report in browser...');
+            this.logger.info('\n🌐 Opening report in browser...');
             await this.openInBrowser(htmlReportFile);
             
             return analysis;
             
         } catch (error) {
-            console.error('❌ Analysis failed:', error.message);
+            this.logger.error('❌ Analysis failed:', error.message);
             throw error;
         }
     }
@@ -280,11 +772,11 @@ class DataAnalyzer {
             
             exec(command, (error) => {
                 if (error) {
-                    console.log(`ℹ️  Could not auto-open file: ${error.message}`);
-                    console.log(`📄 Please manually open: ${filePath}`);
+                    this.logger.info(`ℹ️  Could not auto-open file: ${error.message}`);
+                    this.logger.info(`📄 Please manually open: ${filePath}`);
                     resolve(false);
                 } else {
-                    console.log(`🌐 Opened in browser: ${path.basename(filePath)}`);
+                    this.logger.info(`🌐 Opened in browser: ${path.basename(filePath)}`);
                     resolve(true);
                 }
             });
@@ -294,14 +786,14 @@ class DataAnalyzer {
     /**
      * Convert Markdown to HTML for better browser viewing
      */
-    async convertMarkdownToHtml(markdownContent, outputPath, analysisData) {
+    async convertMarkdownToHtml(markdownContent, outputPath, analysisData, siteGraph = null) {
         const htmlContent = `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Web Crawler Analysis Report</title>
-    <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.js"></script>
+    ${this.generateVisualizations ? '<script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.js"></script>' : ''}
     <style>
         body {
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -438,12 +930,81 @@ class DataAnalyzer {
             font-size: 0.9em;
             opacity: 0.9;
         }
+        .severity {
+            display: inline-block;
+            padding: 2px 8px;
+            border-radius: 10px;
+            font-size: 0.8em;
+            color: white;
+        }
+        .severity-error { background: #dc3545; }
+        .severity-warning { background: #e0a800; }
+        .severity-notice { background: #6c757d; }
+        .seo-pass { color: #28a745; }
+        details summary {
+            cursor: pointer;
+        }
+        .site-graph {
+            display: grid;
+            grid-template-columns: 1fr 300px;
+            gap: 15px;
+            margin: 15px 0 30px;
+        }
+        .site-graph svg {
+            width: 100%;
+            height: 600px;
+            background: #fafbfc;
+            border: 1px solid #ddd;
+            border-radius: 8px;
+            cursor: grab;
+        }
+        .site-graph circle {
+            cursor: pointer;
+            stroke: white;
+            stroke-width: 1.5;
+        }
+        .site-graph-details {
+            background: #f8f9fa;
+            padding: 15px;
+            border-radius: 8px;
+            font-size: 0.9em;
+            overflow-wrap: anywhere;
+            max-height: 570px;
+            overflow-y: auto;
+        }
+        .site-graph-details button {
+            background: none;
+            border: none;
+            padding: 0;
+            color: #3498db;
+            cursor: pointer;
+            text-align: left;
+            font: inherit;
+        }
+        .site-graph-legend span {
+            display: inline-block;
+            margin-left: 12px;
+        }
+        .site-graph-legend i {
+            display: inline-block;
+            width: 10px;
+            height: 10px;
+            border-radius: 50%;
+            margin-right: 4px;
+        }
+        @media (max-width: 768px) {
+            .site-graph {
+                grid-template-columns: 1fr;
+            }
+        }
     </style>
 </head>
 <body>
     <div class="container">
         ${this.markdownToHtml(markdownContent)}
-        
+        ${analysisData && analysisData.seoAudit ? this.generateSeoAuditHtml(analysisData.seoAudit) : ''}
+        ${this.generateVisualizations && siteGraph ? this.generateSiteGraphHtml(siteGraph) : ''}
+        ${this.generateVisualizations ? `
         <!-- Data Visualizations -->
         <h2>📊 Data Visualizations</h2>
         
@@ -493,25 +1054,41 @@ class DataAnalyzer {
                 <h3>📄 Content Analysis</h3>
                 <canvas id="contentChart" width="400" height="300"></canvas>
             </div>
+            
+            <div class="chart-container">
+                <h3>🏷️ Page Topics</h3>
+                <canvas id="topicsChart" width="400" height="300"></canvas>
+            </div>
+            ${analysisData.phraseAnalysis ? `
+            <div class="chart-container chart-full">
+                <h3>🔗 Top Phrases</h3>
+                <canvas id="phrasesChart" width="800" height="400"></canvas>
+            </div>` : ''}
+            ${analysisData.keywordAnalysis ? `
+            <div class="chart-container chart-full">
+                <h3>🎯 Most Distinctive Terms (TF-IDF)</h3>
+                <canvas id="keywordsChart" width="800" height="400"></canvas>
+            </div>` : ''}
         </div>
-        
+        ` : ''}
         <div class="footer">
             <p>Generated by Web Crawler Analysis Tool • ${new Date().toLocaleString()}</p>
         </div>
     </div>
-    
+    ${this.generateVisualizations ? `
     <script>
         // Chart.js configuration
         Chart.defaults.font.family = "'Segoe UI', Roboto, sans-serif";
         Chart.defaults.color = '#2c3e50';
         
         // Data preparation
-        const analysisData = ${JSON.stringify(analysisData)};
+        const analysisData = ${JSON.stringify(analysisData).replace(/</g, '\\u003c')};
         const topWords = analysisData.wordFrequencyAnalysis.topWords;
         const top20Words = topWords.slice(0, 20);
         const top50Words = topWords.slice(0, 50);
         const frequencyRanges = analysisData.wordFrequencyAnalysis.frequencyRanges;
         const contentDistribution = analysisData.contentPatternAnalysis.contentDistribution;
+        const topicDistribution = analysisData.contentPatternAnalysis.topicClassification.distribution;
         
         // Color schemes
         const colors = {
@@ -726,7 +1303,128 @@ class DataAnalyzer {
         } else {
             document.getElementById('contentChart').parentElement.innerHTML = '<p style="text-align: center; color: #666; padding: 40px;">No content distribution data available</p>';
         }
-    </script>
+        
+        // 5b. Page Topic Distribution Chart
+        if (Object.keys(topicDistribution).length > 0) {
+            new Chart(document.getElementById('topicsChart'), {
+                type: 'doughnut',
+                data: {
+                    labels: Object.keys(topicDistribution),
+                    datasets: [{
+                        data: Object.values(topicDistribution),
+                        backgroundColor: Object.keys(topicDistribution).map((_, i) => colors.gradient[i % colors.gradient.length]),
+                        borderColor: Object.keys(topicDistribution).map((_, i) => colors.primary[i % colors.primary.length]),
+                        borderWidth: 2
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    plugins: {
+                        legend: {
+                            position: 'bottom'
+                        },
+                        tooltip: {
+                            callbacks: {
+                                label: function(context) {
+                                    return \`\${context.label}: \${context.parsed} pages\`;
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+        } else {
+            document.getElementById('topicsChart').parentElement.innerHTML = '<p style="text-align: center; color: #666; padding: 40px;">No pages to classify</p>';
+        }
+        
+        // 6. Top Phrases Horizontal Bar Chart
+        if (analysisData.phraseAnalysis) {
+            const topPhrases = analysisData.phraseAnalysis.topPhrases;
+            new Chart(document.getElementById('phrasesChart'), {
+                type: 'bar',
+                data: {
+                    labels: topPhrases.map(item => item.phrase),
+                    datasets: [{
+                        label: 'Phrase Frequency',
+                        data: topPhrases.map(item => item.count),
+                        backgroundColor: topPhrases.map(item => item.n === 2 ? colors.gradient[4] : colors.gradient[5]),
+                        borderColor: topPhrases.map(item => item.n === 2 ? colors.primary[4] : colors.primary[5]),
+                        borderWidth: 1
+                    }]
+                },
+                options: {
+                    indexAxis: 'y',
+                    responsive: true,
+                    plugins: {
+                        legend: {
+                            display: false
+                        },
+                        tooltip: {
+                            callbacks: {
+                                label: function(context) {
+                                    const phrase = topPhrases[context.dataIndex];
+                                    return \`\${phrase.phrase}: \${phrase.count} occurrences (\${phrase.n === 2 ? 'bigram' : 'trigram'})\`;
+                                }
+                            }
+                        }
+                    },
+                    scales: {
+                        x: {
+                            beginAtZero: true,
+                            title: {
+                                display: true,
+                                text: 'Frequency'
+                            }
+                        }
+                    }
+                }
+            });
+        }
+
+        // 7. Distinctive Terms (TF-IDF) Horizontal Bar Chart
+        if (analysisData.keywordAnalysis) {
+            const distinctiveTerms = analysisData.keywordAnalysis.distinctiveTerms;
+            new Chart(document.getElementById('keywordsChart'), {
+                type: 'bar',
+                data: {
+                    labels: distinctiveTerms.map(item => item.term),
+                    datasets: [{
+                        label: 'TF-IDF Score',
+                        data: distinctiveTerms.map(item => item.score),
+                        backgroundColor: colors.gradient[6],
+                        borderColor: colors.primary[6],
+                        borderWidth: 1
+                    }]
+                },
+                options: {
+                    indexAxis: 'y',
+                    responsive: true,
+                    plugins: {
+                        legend: {
+                            display: false
+                        },
+                        tooltip: {
+                            callbacks: {
+                                label: function(context) {
+                                    const term = distinctiveTerms[context.dataIndex];
+                                    return \`\${term.term}: score \${term.score}, on \${term.pages} pages (strongest on \${term.topPage})\`;
+                                }
+                            }
+                        }
+                    },
+                    scales: {
+                        x: {
+                            beginAtZero: true,
+                            title: {
+                                display: true,
+                                text: 'Summed TF-IDF Score'
+                            }
+                        }
+                    }
+                }
+            });
+        }
+    </script>` : ''}
 </body>
 </html>`;
         
@@ -735,10 +1433,11 @@ class DataAnalyzer {
     }
 
     /**
-     * Simple Markdown to HTML converter
+     * Simple Markdown to HTML converter. The markdown is escaped first, as
+     * it carries page titles, URLs and descriptions.
      */
     markdownToHtml(markdown) {
-        return markdown
+        return escapeHtml(markdown)
             // Headers
             .replace(/^### (.*$)/gm, '<h3>$1</h3>')
             .replace(/^## (.*$)/gm, '<h2>$1</h2>')
@@ -781,17 +1480,15 @@ class DataAnalyzer {
     }
 
     identifyThemes(topWords) {
-        // Simple theme identification based on common word patterns
-        const themes = [];
-        const businessWords = topWords.filter(w => ['business', 'company', 'service', 'product', 'customer', 'market'].includes(w.word));
-        const techWords = topWords.filter(w => ['technology', 'software', 'data', 'system', 'digital', 'tech'].includes(w.word));
-        const newsWords = topWords.filter(w => ['news', 'report', 'article', 'story', 'update', 'information'].includes(w.word));
-        
-        if (businessWords.length > 0) themes.push('Business/Commerce');
-        if (techWords.length > 0) themes.push('Technology');
-        if (newsWords.length > 0) themes.push('News/Information');
+        // Classify the top words against the taxonomy
+        const words = Object.create(null);
+        topWords.forEach(w => { words[w.word] = w.count; });
+
+        const themes = this.classifier.classify(words)
+            .filter(entry => entry.confidence >= this.classifier.minConfidence)
+            .map(entry => entry.topic);
         
-        return themes.length > 0 ? themes : ['General Content'];
+        return themes.length > 0 ? themes : [this.classifier.fallbackTopic];
     }
 
     generateContentInsights(pages, topWords) {
@@ -825,8 +1522,16 @@ class DataAnalyzer {
         }
         
         if (metrics.successRate < 95) {
-            recommendations.push('Implement retry logic for failed requests');
-            recommendations.push('Add better error handling and recovery mechanisms');
+            if (metrics.retryableErrors > 0) {
+                recommendations.push('Increase crawler.maxRetries or crawler.retryDelay for hosts with transient failures');
+            }
+            if (metrics.fatalErrors > 0) {
+                recommendations.push('Review fatal errors (broken links, DNS failures, 4xx responses) in the crawl data');
+            }
+            if (metrics.retryableErrors === undefined) {
+                recommendations.push('Implement retry logic for failed requests');
+                recommendations.push('Add better error handling and recovery mechanisms');
+            }
         }
         
         if (issues.length === 0) {
@@ -857,14 +1562,50 @@ This report analyzes the web crawling operation that processed **${performanceAn
 
 ### Top 10 Most Frequent Words
 ${wordFrequencyAnalysis.topWords.slice(0, 10).map((word, i) => 
-    `${i + 1}. **${word.word}** - ${word.count} occurrences (${word.percentage}%)`
+    `${i + 1}. **${word.word}** - ${word.count} occurrences (${word.percentage}%)${word.variants && word.variants.length > 1 ? ` - forms: ${word.variants.join(', ')}` : ''}`
 ).join('\n')}
 
 ### Frequency Distribution
 ${Object.entries(wordFrequencyAnalysis.frequencyRanges).map(([range, count]) => 
     `- ${range}: ${count} words`
 ).join('\n')}
+${analysis.phraseAnalysis ? `
+## Top Phrases
+
+### Top Bigrams
+${analysis.phraseAnalysis.topBigrams.map((phrase, i) => 
+    `${i + 1}. **${phrase.phrase}** - ${phrase.count} occurrences`
+).join('\n')}
+
+### Top Trigrams
+${analysis.phraseAnalysis.topTrigrams.map((phrase, i) => 
+    `${i + 1}. **${phrase.phrase}** - ${phrase.count} occurrences`
+).join('\n')}
+` : ''}${analysis.keywordAnalysis ? `
+## Distinctive Keywords (TF-IDF)
+
+### Most Distinctive Terms
+${analysis.keywordAnalysis.distinctiveTerms.map((term, i) =>
+    `${i + 1}. **${term.term}** - score ${term.score}, on ${term.pages} of ${analysis.keywordAnalysis.documentCount} pages`
+).join('\n')}
+
+### Page Keywords
+${analysis.keywordAnalysis.pageKeywords.map(page =>
+    `- **${page.title || page.url}** (\`${page.url}\`): ${page.keywords.length > 0 ? page.keywords.map(k => k.term).join(', ') : 'no distinctive terms'}`
+).join('\n')}
+` : ''}${analysis.duplicateAnalysis ? `
+## Duplicate Content
 
+- **Pages Checked:** ${analysis.duplicateAnalysis.pagesChecked}
+- **Duplicate Pages:** ${analysis.duplicateAnalysis.duplicatePages} (${analysis.duplicateAnalysis.duplicateRate}) - ${analysis.duplicateAnalysis.exactDuplicates} exact, ${analysis.duplicateAnalysis.nearDuplicates} near
+${analysis.duplicateAnalysis.excludedFromWordCounts ? '- **Word Counts:** duplicates excluded\n' : ''}
+${analysis.duplicateAnalysis.clusters.length > 0 ? `### Duplicate Clusters
+${analysis.duplicateAnalysis.clusters.map(cluster =>
+    `- **${cluster.title || cluster.url}** (\`${cluster.url}\`): ${cluster.duplicates.map(d =>
+        `\`${d.url}\` (${d.type}${d.type === 'near' ? `, ${d.distance} bits` : ''})`
+    ).join(', ')}`
+).join('\n')}` : 'No duplicate pages found.'}
+` : ''}${analysis.metadataAnalysis ? this.generateMetadataSection(analysis.metadataAnalysis) : ''}${analysis.seoAudit ? this.generateSeoAuditSection(analysis.seoAudit) : ''}${analysis.linkAnalysis ? this.generateLinkSection(analysis.linkAnalysis) : ''}${analysis.linkGraphAnalysis ? this.generateLinkGraphSection(analysis.linkGraphAnalysis) : ''}
 ## Performance Analysis
 
 ### Overview
@@ -872,6 +1613,7 @@ ${Object.entries(wordFrequencyAnalysis.frequencyRanges).map(([range, count]) =>
 - **Success Rate:** ${performanceAnalysis.overview.successRate}
 - **Average Response Time:** ${performanceAnalysis.overview.averageResponseTime}
 - **Total Execution Time:** ${performanceAnalysis.overview.totalExecutionTime}
+- **Retries:** ${performanceAnalysis.overview.retries} (${performanceAnalysis.overview.fatalErrors} of ${performanceAnalysis.overview.errorsCount} errors were fatal)
 
 ### Page Content Analysis
 - **Average Words per Page:** ${performanceAnalysis.pageAnalysis.averageWordsPerPage}
@@ -890,7 +1632,18 @@ ${Object.entries(contentPatternAnalysis.contentDistribution).map(([type, count])
 ).join('\n')}
 
 ### Common Themes
-${contentPatternAnalysis.commonThemes.map(theme => `- ${theme}`).join('\n')}
+${contentPatternAnalysis.topicClassification.siteTopics.length > 0
+    ? contentPatternAnalysis.topicClassification.siteTopics.map(t =>
+        `- ${t.topic} (${Math.round(t.confidence * 100)}% confidence) - ${t.matches.join(', ')}`
+    ).join('\n')
+    : contentPatternAnalysis.commonThemes.map(theme => `- ${theme}`).join('\n')}
+
+### Page Classifications
+*Taxonomy: ${contentPatternAnalysis.topicClassification.taxonomy}*
+
+${contentPatternAnalysis.topicClassification.pageTopics.map(page =>
+    `- **${page.title || page.url}** (\`${page.url}\`): ${page.topic}${page.confidence > 0 ? ` (${Math.round(page.confidence * 100)}% confidence)` : ''}`
+).join('\n')}
 
 ## Recommendations
 
@@ -925,44 +1678,545 @@ ${rec.recommendations.map(r => `- ${r}`).join('\n')}
 *Report generated by Web Crawler Analysis Tool v1.0*`;
     }
 
+    /**
+     * Markdown section listing the metadata findings
+     */
+    generateMetadataSection(metadataAnalysis) {
+        // Long lists are cut to their first 20 entries
+        const limit = lines => lines.slice(0, 20).concat(lines.length > 20 ? [`- ...and ${lines.length - 20} more`] : []).join('\n');
+        const pageList = pages => limit(pages.map(page => `- ${page.title ? `**${page.title}** ` : ''}(\`${page.url}\`)`));
+        const sharedList = (groups, field) => limit(groups.map(group =>
+            `- "${group[field]}": ${group.urls.map(url => `\`${url}\``).join(', ')}`
+        ));
+
+        return `
+## Page Metadata
+
+- **Pages Checked:** ${metadataAnalysis.pagesChecked}
+- **Missing Titles:** ${metadataAnalysis.missingTitles.length}
+- **Missing Meta Descriptions:** ${metadataAnalysis.missingDescriptions.length}
+- **Pages Without an H1:** ${metadataAnalysis.missingH1.length} (${metadataAnalysis.multipleH1.length} with more than one)
+- **Open Graph Tags:** ${metadataAnalysis.openGraphPages} pages, **Twitter Cards:** ${metadataAnalysis.twitterCardPages} pages
+- **Structured Data:** ${metadataAnalysis.structuredDataPages} pages${metadataAnalysis.structuredDataTypes.length > 0 ? ` (${metadataAnalysis.structuredDataTypes.map(t => `${t.type}: ${t.pages}`).join(', ')})` : ''}${metadataAnalysis.invalidJsonLdPages.length > 0 ? `, ${metadataAnalysis.invalidJsonLdPages.length} with invalid JSON-LD` : ''}
+${metadataAnalysis.missingDescriptions.length > 0 ? `
+### Pages Missing a Description
+${pageList(metadataAnalysis.missingDescriptions)}
+` : ''}${metadataAnalysis.duplicateTitles.length > 0 ? `
+### Duplicate Titles
+${sharedList(metadataAnalysis.duplicateTitles, 'title')}
+` : ''}${metadataAnalysis.duplicateDescriptions.length > 0 ? `
+### Duplicate Descriptions
+${sharedList(metadataAnalysis.duplicateDescriptions, 'description')}
+` : ''}`;
+    }
+
+    /**
+     * Markdown section with the SEO score and each check's failing pages
+     */
+    generateSeoAuditSection(seoAudit) {
+        const limit = lines => lines.slice(0, 20).concat(lines.length > 20 ? [`- ...and ${lines.length - 20} more`] : []).join('\n');
+
+        return `
+## SEO Audit
+
+- **Score:** ${seoAudit.score}/100 (grade ${seoAudit.grade})
+- **Pages Audited:** ${seoAudit.pagesAudited}
+- **Issues Found:** ${seoAudit.issuesFound}
+
+${seoAudit.checks.map(check => `- ${check.items.length > 0 ? '⚠️' : '✅'} **${check.title}** (${check.severity}): ${check.pagesChecked > 0 ? `${check.affectedPages} of ${check.pagesChecked} pages` : 'not checked'}`).join('\n')}
+${seoAudit.checks.filter(check => check.items.length > 0).map(check => `
+### ${check.title}
+*${check.advice}*
+
+${limit(check.items.map(item => {
+    const related = (item.urls || []).filter(url => url !== item.url);
+    return `- \`${item.url}\`: ${item.detail}${related.length > 0 ? ` (${related.map(url => `\`${url}\``).join(', ')})` : ''}`;
+}))}
+`).join('')}`;
+    }
+
+    /**
+     * Markdown section listing broken links and the pages linking to them
+     */
+    generateLinkSection(linkAnalysis) {
+        const limit = lines => lines.slice(0, 20).concat(lines.length > 20 ? [`- ...and ${lines.length - 20} more`] : []).join('\n');
+        const referrer = ref => `\`${ref.url}\`${ref.anchorText ? ` ("${ref.anchorText}")` : ''}`;
+
+        return `
+## Broken Links
+
+- **Links Discovered:** ${linkAnalysis.discovered}
+- **Links Checked:** ${linkAnalysis.checked}${linkAnalysis.checkExternal ? '' : ' (internal only)'}${linkAnalysis.skipped > 0 ? `, ${linkAnalysis.skipped} disallowed by robots.txt` : ''}
+- **Broken Links:** ${linkAnalysis.broken.length} (${linkAnalysis.brokenInternal} internal, ${linkAnalysis.brokenExternal} external)
+- **Redirected Links:** ${linkAnalysis.redirected.length}
+- **Status Codes:** ${Object.entries(linkAnalysis.statusCodes).map(([status, count]) => `${status}: ${count}`).join(', ')}
+${linkAnalysis.broken.length > 0 ? `
+### Broken Links
+${limit(linkAnalysis.broken.map(link =>
+    `- \`${link.url}\` (${link.status || link.error}${link.internal ? '' : ', external'}) - linked from ${link.referrers.slice(0, 5).map(referrer).join(', ')}${link.referrers.length > 5 ? ` and ${link.referrers.length - 5} more` : ''}`
+))}
+` : 'No broken links found.\n'}${linkAnalysis.redirected.length > 0 ? `
+### Redirected Links
+${limit(linkAnalysis.redirected.map(link =>
+    `- \`${link.url}\` -> \`${link.finalUrl}\` (${link.hops} hop${link.hops === 1 ? '' : 's'}, linked from ${link.referrers} page${link.referrers === 1 ? '' : 's'})`
+))}
+` : ''}`;
+    }
+
+    /**
+     * Markdown section with the link graph's most central pages and its orphans
+     */
+    generateLinkGraphSection(linkGraphAnalysis) {
+        const limit = lines => lines.slice(0, 20).concat(lines.length > 20 ? [`- ...and ${lines.length - 20} more`] : []).join('\n');
+        const name = page => `${page.title ? `**${page.title}** ` : ''}(\`${page.url}\`)`;
+        const ranking = (pages, field) => pages.map((page, index) =>
+            `${index + 1}. ${name(page)}: ${page[field]} (${page.inDegree} in, ${page.outDegree} out)`
+        ).join('\n');
+
+        return `
+## Link Graph
+
+- **Pages:** ${linkGraphAnalysis.pages} (${linkGraphAnalysis.nodes} URLs including link targets)
+- **Links:** ${linkGraphAnalysis.links} (${linkGraphAnalysis.internalLinks} internal, ${linkGraphAnalysis.externalLinks} external, ${linkGraphAnalysis.nofollowLinks} nofollow)
+- **Average In-Degree:** ${linkGraphAnalysis.averageInDegree}, **Average Out-Degree:** ${linkGraphAnalysis.averageOutDegree}
+- **Orphan Pages:** ${linkGraphAnalysis.orphans.length}
+${linkGraphAnalysis.topPageRank.length > 0 ? `
+### Top Pages by PageRank
+${ranking(linkGraphAnalysis.topPageRank, 'pageRank')}
+` : ''}${linkGraphAnalysis.hubs.length > 0 ? `
+### Hub Pages
+*Pages linking to many important pages*
+
+${ranking(linkGraphAnalysis.hubs, 'hubScore')}
+` : ''}${linkGraphAnalysis.authorities.length > 0 ? `
+### Authority Pages
+*Pages linked from many hubs*
+
+${ranking(linkGraphAnalysis.authorities, 'authorityScore')}
+` : ''}${linkGraphAnalysis.orphans.length > 0 ? `
+### Orphan Pages
+${limit(linkGraphAnalysis.orphans.map(page => `- ${name(page)}`))}
+` : ''}`;
+    }
+
+    /**
+     * HTML section of the SEO audit: the score, a table of checks and the
+     * failing pages of each check
+     */
+    generateSeoAuditHtml(seoAudit) {
+        const link = url => `<a href="${escapeHtml(url)}"><code>${escapeHtml(url)}</code></a>`;
+        const failing = seoAudit.checks.filter(check => check.items.length > 0);
+
+        return `
+        <!-- SEO Audit -->
+        <h2>🔍 SEO Audit</h2>
+        <div class="stats-grid">
+            <div class="stat-card">
+                <div class="stat-value">${seoAudit.score}/100</div>
+                <div class="stat-label">SEO Score (grade ${seoAudit.grade})</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value">${seoAudit.pagesAudited}</div>
+                <div class="stat-label">Pages Audited</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value">${seoAudit.issuesFound}</div>
+                <div class="stat-label">Issues Found</div>
+            </div>
+        </div>
+        <table>
+            <tr><th>Check</th><th>Severity</th><th>Affected Pages</th><th>Score</th></tr>
+            ${seoAudit.checks.map(check => `<tr>
+                <td>${check.items.length > 0 ? '' : '<span class="seo-pass">✔</span> '}${escapeHtml(check.title)}</td>
+                <td><span class="severity severity-${check.severity}">${check.severity}</span></td>
+                <td>${check.pagesChecked > 0 ? `${check.affectedPages} of ${check.pagesChecked}` : 'not checked'}</td>
+                <td>${check.score}</td>
+            </tr>`).join('\n            ')}
+        </table>
+        ${failing.map(check => `<details>
+            <summary><strong>${escapeHtml(check.title)}</strong> - ${check.items.length} issue${check.items.length === 1 ? '' : 's'}</summary>
+            <p><em>${escapeHtml(check.advice)}</em></p>
+            <ul>
+                ${check.items.map(item => {
+                    const related = (item.urls || []).filter(url => url !== item.url);
+                    return `<li>${link(item.url)}: ${escapeHtml(item.detail)}${related.length > 0 ? ` (${related.map(link).join(', ')})` : ''}</li>`;
+                }).join('\n                ')}
+            </ul>
+        </details>`).join('\n        ')}`;
+    }
+
+    /**
+     * HTML section with an interactive map of the site: a force-directed
+     * layout of the pages, sized by word count and coloured by depth or
+     * status, showing a page's details on click. It is plain SVG and
+     * script with no library to load, so it works offline.
+     */
+    generateSiteGraphHtml(siteGraph) {
+        // Keep a "</script>" in a title or URL from ending the script element
+        const data = JSON.stringify(siteGraph).replace(/</g, '\\u003c');
+        const shown = siteGraph.nodes.length < siteGraph.totalNodes
+            ? `The ${siteGraph.nodes.length} pages with the highest PageRank (of ${siteGraph.totalNodes})`
+            : `${siteGraph.nodes.length} pages`;
+
+        return `
+        <h2>🕸️ Site Structure</h2>
+        <p>${shown} and the ${siteGraph.links.length} links between them, with circles sized by word count. Scroll to zoom, drag to pan and click a page for its details.</p>
+        <div class="site-graph-legend">
+            <label>Colour by
+                <select id="siteGraphColor">
+                    <option value="depth">Depth</option>
+                    <option value="status">Status</option>
+                </select>
+            </label>
+            <span id="siteGraphKey"></span>
+        </div>
+        <div class="site-graph">
+            <svg id="siteGraph" viewBox="0 0 900 600" role="img" aria-label="Site structure graph"></svg>
+            <div id="siteGraphDetails" class="site-graph-details">Click a page to see its details.</div>
+        </div>
+        <script>
+        (function () {
+            var graph = ${data};
+            var WIDTH = 900;
+            var HEIGHT = 600;
+            var SVG_NS = 'http://www.w3.org/2000/svg';
+            var DEPTH_COLORS = ['#2c3e50', '#3498db', '#1abc9c', '#2ecc71', '#f1c40f', '#e67e22', '#e74c3c', '#9b59b6'];
+            var STATUS_COLORS = { ok: '#2ecc71', redirected: '#f39c12', duplicate: '#9b59b6', error: '#e74c3c' };
+            var svg = document.getElementById('siteGraph');
+            var details = document.getElementById('siteGraphDetails');
+            var colorBy = document.getElementById('siteGraphColor');
+            var nodes = graph.nodes;
+            var links = graph.links.map(function (link) {
+                return { source: nodes[link[0]], target: nodes[link[1]] };
+            });
+            var maxWords = Math.max.apply(null, nodes.map(function (node) { return node.words; }).concat(1));
+
+            nodes.forEach(function (node) {
+                node.inbound = [];
+                node.outbound = [];
+                node.radius = 4 + 14 * Math.sqrt(node.words / maxWords);
+            });
+            links.forEach(function (link) {
+                link.source.outbound.push(link.target);
+                link.target.inbound.push(link.source);
+            });
+
+            // Start from one ring per depth around the centre
+            var rings = {};
+            nodes.forEach(function (node) {
+                (rings[node.depth] = rings[node.depth] || []).push(node);
+            });
+            Object.keys(rings).forEach(function (depth) {
+                rings[depth].forEach(function (node, i, ring) {
+                    var angle = 2 * Math.PI * i / ring.length + Number(depth);
+                    var radius = ring.length === 1 && Number(depth) === 0 ? 0 : 40 + 70 * Number(depth);
+                    node.x = WIDTH / 2 + radius * Math.cos(angle);
+                    node.y = HEIGHT / 2 + radius * Math.sin(angle);
+                    node.vx = 0;
+                    node.vy = 0;
+                });
+            });
+
+            // Force simulation: pages repel each other, links pull them
+            // together and a weak pull keeps the graph centred. Links are
+            // weaker at well-linked pages, and speeds are capped, so hubs
+            // do not shake the layout apart.
+            var charge = 900 * Math.min(1, Math.sqrt(30 / nodes.length));
+            for (var tick = 0, alpha = 1; tick < 300; tick++, alpha *= 0.98) {
+                for (var i = 0; i < nodes.length; i++) {
+                    for (var j = i + 1; j < nodes.length; j++) {
+                        var dx = (nodes[j].x - nodes[i].x) || 0.1 * (j - i);
+                        var dy = (nodes[j].y - nodes[i].y) || 0.1;
+                        var repulsion = charge * alpha / Math.max(dx * dx + dy * dy, 25);
+                        nodes[i].vx -= dx * repulsion;
+                        nodes[i].vy -= dy * repulsion;
+                        nodes[j].vx += dx * repulsion;
+                        nodes[j].vy += dy * repulsion;
+                    }
+                }
+                links.forEach(function (link) {
+                    var dx = link.target.x - link.source.x;
+                    var dy = link.target.y - link.source.y;
+                    var distance = Math.sqrt(dx * dx + dy * dy) || 1;
+                    var pull = (distance - 60) / distance * 0.3 * alpha /
+                        Math.min(link.source.inbound.length + link.source.outbound.length, link.target.inbound.length + link.target.outbound.length);
+                    link.source.vx += dx * pull;
+                    link.source.vy += dy * pull;
+                    link.target.vx -= dx * pull;
+                    link.target.vy -= dy * pull;
+                });
+                nodes.forEach(function (node) {
+                    node.vx += (WIDTH / 2 - node.x) * 0.02 * alpha;
+                    node.vy += (HEIGHT / 2 - node.y) * 0.02 * alpha;
+                    var speed = Math.sqrt(node.vx * node.vx + node.vy * node.vy);
+                    if (speed > 30) {
+                        node.vx *= 30 / speed;
+                        node.vy *= 30 / speed;
+                    }
+                    node.x += node.vx;
+                    node.y += node.vy;
+                    node.vx *= 0.6;
+                    node.vy *= 0.6;
+                });
+            }
+
+            function element(name, attributes, parent) {
+                var el = document.createElementNS(SVG_NS, name);
+                Object.keys(attributes).forEach(function (key) {
+                    el.setAttribute(key, attributes[key]);
+                });
+                parent.appendChild(el);
+                return el;
+            }
+
+            var marker = element('marker', {
+                id: 'siteGraphArrow', viewBox: '0 0 10 10', refX: 10, refY: 5,
+                markerWidth: 6, markerHeight: 6, orient: 'auto'
+            }, element('defs', {}, svg));
+            element('path', { d: 'M0,0 L10,5 L0,10 z', fill: '#999' }, marker);
+            var linkLayer = element('g', { stroke: '#999', 'stroke-width': 1 }, svg);
+            var nodeLayer = element('g', {}, svg);
+
+            // Links end at the edge of the page they point to
+            links.forEach(function (link) {
+                var dx = link.target.x - link.source.x;
+                var dy = link.target.y - link.source.y;
+                var distance = Math.sqrt(dx * dx + dy * dy) || 1;
+                var end = (link.target.radius + 2) / distance;
+                link.line = element('line', {
+                    x1: link.source.x, y1: link.source.y,
+                    x2: link.target.x - dx * end, y2: link.target.y - dy * end,
+                    'stroke-opacity': 0.5, 'marker-end': 'url(#siteGraphArrow)'
+                }, linkLayer);
+            });
+
+            var dragged = false;
+            nodes.forEach(function (node) {
+                node.circle = element('circle', { cx: node.x, cy: node.y, r: node.radius }, nodeLayer);
+                element('title', {}, node.circle).textContent = (node.title || node.url) + ' (' + node.words + ' words)';
+                node.circle.addEventListener('click', function (event) {
+                    event.stopPropagation();
+                    if (!dragged) {
+                        select(node);
+                    }
+                });
+            });
+
+            function color(node) {
+                if (colorBy.value === 'status') {
+                    return STATUS_COLORS[node.status];
+                }
+                return DEPTH_COLORS[Math.min(node.depth, DEPTH_COLORS.length - 1)];
+            }
+
+            function paint() {
+                nodes.forEach(function (node) {
+                    node.circle.setAttribute('fill', color(node));
+                });
+                var entries = colorBy.value === 'status'
+                    ? Object.keys(STATUS_COLORS).map(function (status) { return [status, STATUS_COLORS[status]]; })
+                    : DEPTH_COLORS.map(function (fill, depth) {
+                        return ['depth ' + depth + (depth === DEPTH_COLORS.length - 1 ? '+' : ''), fill];
+                    });
+                var key = document.getElementById('siteGraphKey');
+                key.textContent = '';
+                entries.filter(function (entry) {
+                    return nodes.some(function (node) { return color(node) === entry[1]; });
+                }).forEach(function (entry) {
+                    var item = document.createElement('span');
+                    var dot = document.createElement('i');
+                    dot.style.background = entry[1];
+                    item.appendChild(dot);
+                    item.appendChild(document.createTextNode(entry[0]));
+                    key.appendChild(item);
+                });
+            }
+
+            function addText(parent, tag, text) {
+                var el = document.createElement(tag);
+                el.textContent = text;
+                parent.appendChild(el);
+                return el;
+            }
+
+            function addPageList(label, pages) {
+                if (pages.length === 0) {
+                    return;
+                }
+                addText(details, 'strong', label + ' (' + pages.length + ')');
+                var list = document.createElement('ul');
+                pages.slice(0, 15).forEach(function (page) {
+                    var button = addText(addText(list, 'li', ''), 'button', page.title || page.url);
+                    button.addEventListener('click', function () { select(page); });
+                });
+                if (pages.length > 15) {
+                    addText(list, 'li', '...and ' + (pages.length - 15) + ' more');
+                }
+                details.appendChild(list);
+            }
+
+            // Show a page's details and highlight it with its neighbours
+            function select(node) {
+                var neighbours = node.inbound.concat(node.outbound);
+                nodes.forEach(function (other) {
+                    other.circle.setAttribute('opacity', other === node || neighbours.indexOf(other) !== -1 ? 1 : 0.2);
+                });
+                links.forEach(function (link) {
+                    link.line.setAttribute('stroke-opacity', link.source === node || link.target === node ? 0.9 : 0.1);
+                });
+
+                details.textContent = '';
+                addText(details, 'h3', node.title || node.url);
+                if (/^https?:/.test(node.url)) {
+                    var anchor = addText(details, 'a', node.url);
+                    anchor.href = node.url;
+                    anchor.target = '_blank';
+                    anchor.rel = 'noopener';
+                }
+                var facts = document.createElement('ul');
+                [
+                    ['Depth', node.depth],
+                    ['Status', node.status + (node.statusCode ? ' (' + node.statusCode + ')' : '') + (node.error ? ': ' + node.error : '')],
+                    ['Words', node.words],
+                    ['Response time', node.responseTime === undefined ? null : node.responseTime + 'ms'],
+                    ['Links in / out', node.inDegree + ' / ' + node.outDegree],
+                    ['PageRank', node.pageRank]
+                ].filter(function (fact) { return fact[1] !== null && fact[1] !== undefined; }).forEach(function (fact) {
+                    var item = addText(facts, 'li', '');
+                    addText(item, 'strong', fact[0] + ': ');
+                    item.appendChild(document.createTextNode(fact[1]));
+                });
+                details.appendChild(facts);
+                addPageList('Links to', node.outbound);
+                addPageList('Linked from', node.inbound);
+            }
+
+            function reset() {
+                nodes.forEach(function (node) { node.circle.setAttribute('opacity', 1); });
+                links.forEach(function (link) { link.line.setAttribute('stroke-opacity', 0.5); });
+                details.textContent = 'Click a page to see its details.';
+            }
+
+            // Fit the view to the layout, at the shape of the element
+            var rect = svg.getBoundingClientRect();
+            var aspect = rect.width > 0 && rect.height > 0 ? rect.width / rect.height : WIDTH / HEIGHT;
+            var minX = Math.min.apply(null, nodes.map(function (node) { return node.x - node.radius; })) - 20;
+            var maxX = Math.max.apply(null, nodes.map(function (node) { return node.x + node.radius; })) + 20;
+            var minY = Math.min.apply(null, nodes.map(function (node) { return node.y - node.radius; })) - 20;
+            var maxY = Math.max.apply(null, nodes.map(function (node) { return node.y + node.radius; })) + 20;
+            var viewWidth = Math.max(maxX - minX, (maxY - minY) * aspect);
+            var viewHeight = viewWidth / aspect;
+            var view = { x: (minX + maxX - viewWidth) / 2, y: (minY + maxY - viewHeight) / 2, w: viewWidth, h: viewHeight };
+            function applyView() {
+                svg.setAttribute('viewBox', [view.x, view.y, view.w, view.h].join(' '));
+            }
+
+            svg.addEventListener('wheel', function (event) {
+                event.preventDefault();
+                var bounds = svg.getBoundingClientRect();
+                var scale = event.deltaY > 0 ? 1.15 : 1 / 1.15;
+                var x = view.x + (event.clientX - bounds.left) / bounds.width * view.w;
+                var y = view.y + (event.clientY - bounds.top) / bounds.height * view.h;
+                view = { x: x - (x - view.x) * scale, y: y - (y - view.y) * scale, w: view.w * scale, h: view.h * scale };
+                applyView();
+            }, { passive: false });
+
+            var drag = null;
+            svg.addEventListener('mousedown', function (event) {
+                drag = { x: event.clientX, y: event.clientY, view: view };
+                dragged = false;
+                svg.style.cursor = 'grabbing';
+            });
+            window.addEventListener('mousemove', function (event) {
+                if (!drag) {
+                    return;
+                }
+                var bounds = svg.getBoundingClientRect();
+                if (Math.abs(event.clientX - drag.x) + Math.abs(event.clientY - drag.y) > 3) {
+                    dragged = true;
+                }
+                view = {
+                    x: drag.view.x - (event.clientX - drag.x) / bounds.width * drag.view.w,
+                    y: drag.view.y - (event.clientY - drag.y) / bounds.height * drag.view.h,
+                    w: drag.view.w,
+                    h: drag.view.h
+                };
+                applyView();
+            });
+            window.addEventListener('mouseup', function () {
+                drag = null;
+                svg.style.cursor = '';
+            });
+            svg.addEventListener('click', function () {
+                if (!dragged) {
+                    reset();
+                }
+            });
+
+            colorBy.addEventListener('change', paint);
+            applyView();
+            paint();
+        })();
+        </script>`;
+    }
+
     printAnalysisSummary(analysis) {
-        console.log('\n' + '='.repeat(60));
-        console.log('📊 ANALYSIS SUMMARY');
-        console.log('='.repeat(60));
+        this.logger.info('\n' + '='.repeat(60));
+        this.logger.info('📊 ANALYSIS SUMMARY');
+        this.logger.info('='.repeat(60));
         
         const { wordFrequencyAnalysis, performanceAnalysis, contentPatternAnalysis } = analysis;
         
-        console.log('\n🔤 WORD FREQUENCY INSIGHTS:');
-        console.log(`   Unique words: ${wordFrequencyAnalysis.statistics.totalUniqueWords.toLocaleString()}`);
-        console.log(`   Vocabulary richness: ${wordFrequencyAnalysis.statistics.vocabularyRichness}`);
-        console.log(`   Most common word: "${wordFrequencyAnalysis.topWords[0].word}" (${wordFrequencyAnalysis.topWords[0].count} times)`);
+        this.logger.info('\n🔤 WORD FREQUENCY INSIGHTS:');
+        this.logger.info(`   Unique words: ${wordFrequencyAnalysis.statistics.totalUniqueWords.toLocaleString()}`);
+        this.logger.info(`   Vocabulary richness: ${wordFrequencyAnalysis.statistics.vocabularyRichness}`);
+        this.logger.info(`   Most common word: "${wordFrequencyAnalysis.topWords[0].word}" (${wordFrequencyAnalysis.topWords[0].count} times)`);
         
-        console.log('\n⚡ PERFORMANCE INSIGHTS:');
-        console.log(`   Success rate: ${performanceAnalysis.overview.successRate}`);
-        console.log(`   Avg response time: ${performanceAnalysis.overview.averageResponseTime}`);
-        console.log(`   Pages processed: ${performanceAnalysis.overview.totalPages}`);
-        
-        console.log('\n📄 CONTENT INSIGHTS:');
-        console.log(`   Themes detected: ${contentPatternAnalysis.commonThemes.join(', ')}`);
-        console.log(`   Content diversity: ${contentPatternAnalysis.titleDiversity} unique title words`);
+        this.logger.info('\n⚡ PERFORMANCE INSIGHTS:');
+        this.logger.info(`   Success rate: ${performanceAnalysis.overview.successRate}`);
+        this.logger.info(`   Avg response time: ${performanceAnalysis.overview.averageResponseTime}`);
+        this.logger.info(`   Pages processed: ${performanceAnalysis.overview.totalPages}`);
         
+        this.logger.info('\n📄 CONTENT INSIGHTS:');
+        this.logger.info(`   Themes detected: ${contentPatternAnalysis.commonThemes.join(', ')}`);
+        this.logger.info(`   Content diversity: ${contentPatternAnalysis.titleDiversity} unique title words`);
+        if (analysis.duplicateAnalysis) {
+            this.logger.info(`   Duplicate pages: ${analysis.duplicateAnalysis.duplicatePages} in ${analysis.duplicateAnalysis.clusters.length} clusters`);
+        }
+        if (analysis.metadataAnalysis) {
+            this.logger.info(`   Metadata: ${analysis.metadataAnalysis.missingDescriptions.length} pages without descriptions, ${analysis.metadataAnalysis.duplicateTitles.length} duplicate titles`);
+        }
+        if (analysis.linkAnalysis) {
+            this.logger.info(`   Broken links: ${analysis.linkAnalysis.broken.length} of ${analysis.linkAnalysis.checked} checked (${analysis.linkAnalysis.brokenInternal} internal)`);
+        }
+        if (analysis.linkGraphAnalysis) {
+            const top = analysis.linkGraphAnalysis.topPageRank[0];
+            this.logger.info(`   Link graph: ${analysis.linkGraphAnalysis.links} links, ${analysis.linkGraphAnalysis.orphans.length} orphan pages${top ? `, top PageRank: ${top.url}` : ''}`);
+        }
+        if (analysis.seoAudit) {
+            this.logger.info(`   SEO score: ${analysis.seoAudit.score}/100 (${analysis.seoAudit.grade}), ${analysis.seoAudit.issuesFound} issues`);
+        }
+        if (analysis.keywordAnalysis) {
+            this.logger.info(`   Distinctive terms: ${analysis.keywordAnalysis.distinctiveTerms.slice(0, 5).map(t => t.term).join(', ')}`);
+        }
+
         if (performanceAnalysis.issues.length > 0) {
-            console.log('\n⚠️  ISSUES DETECTED:');
-            performanceAnalysis.issues.forEach(issue => console.log(`   - ${issue}`));
+            this.logger.info('\n⚠️  ISSUES DETECTED:');
+            performanceAnalysis.issues.forEach(issue => this.logger.info(`   - ${issue}`));
         }
         
-        console.log('\n💡 RECOMMENDATIONS:');
+        this.logger.info('\n💡 RECOMMENDATIONS:');
         analysis.recommendations.forEach(rec => {
-            console.log(`   ${rec.category} (${rec.priority}): ${rec.issue}`);
+            this.logger.info(`   ${rec.category} (${rec.priority}): ${rec.issue}`);
         });
     }
 }
 
 // Main execution
 async function main() {
-    const analyzer = new DataAnalyzer();
-    
     try {
+        const config = await loadConfig({ argv: process.argv.slice(2) });
+        const analyzer = new DataAnalyzer(toAnalyzerOptions(config));
         await analyzer.generateReport();
     } catch (error) {
         console.error('Analysis failed:', error.message);
@@ -1,46 +1,83 @@
+const fs = require('fs-extra');
+const path = require('path');
 const WebCrawler = require('./WebCrawler');
 const ConcurrentWebCrawler = require('./ConcurrentWebCrawler');
+const DataAnalyzer = require('./analyzer');
+const GraphExporter = require('./graphExport');
+const Logger = require('./logger');
+const { loadConfig, toCrawlerOptions } = require('./config');
+
+// Crawler currently running, so the SIGINT handler can flush a checkpoint
+let activeCrawler = null;
+let shuttingDown = false;
 
 async function main() {
     // Parse command line arguments
     const args = process.argv.slice(2);
+    if (args[0] === 'export') {
+        return exportGraph(args.slice(1));
+    }
     const startUrl = args.find(arg => !arg.startsWith('--')) || 'https://example.com';
     
-    // Check for concurrent mode flag
-    const useConcurrent = args.includes('--concurrent') || args.includes('-c');
-    const concurrency = parseInt(args.find(arg => arg.startsWith('--concurrency='))?.split('=')[1]) || 5;
-    const maxDepth = parseInt(args.find(arg => arg.startsWith('--depth='))?.split('=')[1]) || 2;
-    const delay = parseInt(args.find(arg => arg.startsWith('--delay='))?.split('=')[1]) || (useConcurrent ? 500 : 1000);
+    // Resuming always uses the concurrent crawler, which owns the checkpoints
+    const resumeArg = args.find(arg => arg.startsWith('--resume='));
+    const resumeFrom = resumeArg && resumeArg.slice(resumeArg.indexOf('=') + 1);
     
-    // Configuration
-    const config = {
-        maxDepth: maxDepth,
-        delay: delay,
-        concurrency: concurrency
-    };
+    // Check for concurrent mode flag
+    const useConcurrent = args.includes('--concurrent') || args.includes('-c') || Boolean(resumeFrom);
     
-    console.log(`🕷️  Web Crawler Starting... ${useConcurrent ? '(Concurrent Mode)' : '(Sequential Mode)'}`);
-    console.log(`📍 Starting URL: ${startUrl}`);
-    console.log(`🔍 Max Depth: ${config.maxDepth}`);
-    console.log(`⏱️  Delay: ${config.delay}ms`);
-    if (useConcurrent) {
-        console.log(`🚀 Concurrency: ${config.concurrency} workers`);
+    // Configuration: CLI > environment > config file > defaults
+    let config;
+    try {
+        config = toCrawlerOptions(await loadConfig({ argv: args }));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
     }
-    console.log('-'.repeat(60));
+    const logger = new Logger(config.logLevel);
     
     try {
         let crawler;
         
         if (useConcurrent) {
             // Use concurrent crawler for better performance
-            crawler = new ConcurrentWebCrawler(config);
+            crawler = new ConcurrentWebCrawler({ ...config, logger });
         } else {
             // Use original sequential crawler
-            crawler = new WebCrawler(config);
+            crawler = new WebCrawler({ ...config, logger });
         }
+        activeCrawler = crawler;
         
-        // Start crawling
-        await crawler.crawl(startUrl);
+        // A resumed crawl keeps the settings saved in its checkpoint
+        if (resumeFrom) {
+            await crawler.loadCheckpoint(resumeFrom);
+        }
+        
+        // The crawler fills in its own defaults, such as the delay for its mode
+        logger.info(`🕷️  Web Crawler Starting... ${useConcurrent ? '(Concurrent Mode)' : '(Sequential Mode)'}`);
+        if (!resumeFrom) {
+            logger.info(`📍 Starting URL: ${startUrl}`);
+        }
+        if (config.sitemapOnly) {
+            logger.info('🗺️  Mode: sitemap only (no link following)');
+        } else {
+            logger.info(`🔍 Max Depth: ${crawler.maxDepth}`);
+        }
+        logger.info(`⏱️  Delay: ${crawler.delay}ms`);
+        if (useConcurrent) {
+            logger.info(`🚀 Concurrency: ${crawler.concurrency} workers`);
+        }
+        logger.info('-'.repeat(60));
+        
+        // Start crawling, or continue an interrupted crawl
+        if (resumeFrom) {
+            await crawler.resume();
+        } else {
+            await crawler.crawl(startUrl);
+        }
+        
+        // Validate the links the crawl discovered (--check-links)
+        await crawler.checkLinks();
         
         // Print results
         crawler.printSummary();
@@ -48,22 +85,77 @@ async function main() {
         // Save data
         await crawler.saveData();
         
-        console.log('\n✅ Crawling completed successfully!');
-        console.log('💡 Run "npm run analyze" to generate detailed analysis and visualizations');
+        logger.info('\n✅ Crawling completed successfully!');
+        logger.info('💡 Run "npm run analyze" to generate detailed analysis and visualizations');
         
         if (!useConcurrent) {
-            console.log('🚀 Try concurrent mode for faster crawling: npm start [URL] --concurrent');
+            logger.info('🚀 Try concurrent mode for faster crawling: npm start [URL] --concurrent');
         }
         
     } catch (error) {
-        console.error('❌ Crawling failed:', error.message);
+        logger.error('❌ Crawling failed:', error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * The export subcommand: write the link graph of the latest crawl (or
+ * --input=FILE) as GraphML, GEXF or DOT
+ */
+async function exportGraph(args) {
+    const option = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+    const format = (option('format') || 'graphml').toLowerCase();
+    
+    let config;
+    try {
+        config = await loadConfig({ argv: args });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    const logger = new Logger(config.performance.logLevel);
+    
+    try {
+        if (!GraphExporter.FORMATS.includes(format)) {
+            throw new Error(`Unknown format "${format}" (expected ${GraphExporter.FORMATS.join(', ')})`);
+        }
+        const input = option('input');
+        const crawlData = input
+            ? await fs.readJSON(input)
+            : await new DataAnalyzer({ dataDir: config.storage.dataDirectory, logger }).getLatestCrawlData();
+        const exporter = new GraphExporter({ pagesOnly: args.includes('--pages-only') });
+        const graph = exporter.export(crawlData, format);
+        
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        const outputFile = option('output') || path.join(config.storage.dataDirectory, `link-graph-${timestamp}.${format}`);
+        await fs.outputFile(outputFile, graph);
+        logger.info(`🕸️  Link graph saved (${format.toUpperCase()}): ${outputFile}`);
+    } catch (error) {
+        logger.error(`❌ Export failed: ${error.message}`);
         process.exit(1);
     }
 }
 
 // Handle graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
+    // A second Ctrl-C exits immediately
+    if (shuttingDown) {
+        process.exit(1);
+    }
+    shuttingDown = true;
+    
     console.log('\n⏹️  Crawling interrupted by user');
+    
+    if (activeCrawler && activeCrawler.enableCheckpoints) {
+        try {
+            const checkpointFile = await activeCrawler.saveCheckpoint();
+            console.log(`💾 Checkpoint saved: ${checkpointFile}`);
+            console.log(`♻️  Resume with: node src/app.js --resume=${checkpointFile}`);
+        } catch (error) {
+            console.error(`❌ Failed to save checkpoint: ${error.message}`);
+        }
+    }
+    
     process.exit(0);
 });
 
@@ -81,13 +173,75 @@ Options:
   --concurrency=N                          # Number of concurrent workers (default: 5)
   --depth=N                                # Maximum crawling depth (default: 2)
   --delay=N                                # Delay between requests in ms (default: 1000/500)
+  --resume=FILE                            # Resume an interrupted concurrent crawl (FILE or "latest")
+  --config=FILE                            # Load settings from FILE instead of config.json
   --help, -h                               # Show this help
 
+Link graph export (Gephi, Graphviz, yEd):
+  npm start export --format=FORMAT         # graphml (default), gexf or dot, from the latest crawl
+  --input=FILE                             # Crawl data file to export instead of the latest
+  --output=FILE                            # Output file (default: data/link-graph-[timestamp].FORMAT)
+  --pages-only                             # Only crawled pages and the links between them
+
+Configuration overrides (CLI > environment > config file > defaults):
+  --max-pages=N                            # CRAWLER_MAX_PAGES (total page budget, 0 = unlimited)
+  --max-pages-per-domain=N                 # CRAWLER_MAX_PAGES_PER_DOMAIN (pages per host, 0 = unlimited)
+  --max-bytes=SIZE                         # CRAWLER_MAX_BYTES (download budget, e.g. 50MB)
+  --max-duration=MS                        # CRAWLER_MAX_DURATION (wall-clock budget in ms)
+  --request-timeout=MS                     # CRAWLER_REQUEST_TIMEOUT
+  --user-agent=STRING                      # CRAWLER_USER_AGENT
+  --[no-]respect-robots-txt                # CRAWLER_RESPECT_ROBOTS_TXT
+  --[no-]respect-robots-meta               # CRAWLER_RESPECT_ROBOTS_META (meta robots, X-Robots-Tag, rel="nofollow")
+  --max-response-size=SIZE                 # CRAWLER_MAX_RESPONSE_SIZE (larger responses are aborted, default: 10MB)
+  --head-requests                          # CRAWLER_HEAD_REQUESTS (check Content-Type with HEAD before each GET)
+  --extract-documents                      # CRAWLER_EXTRACT_DOCUMENTS (also count words in PDF, text and Markdown files)
+  --max-pdf-pages=N                        # CRAWLER_MAX_PDF_PAGES (pages read per PDF, 0 = all, default: 100)
+  --content-extraction=MODE                # CRAWLER_CONTENT_EXTRACTION (readability or selectors, default: readability)
+  --content-selector=[HOST=]SELECTOR       # CRAWLER_CONTENT_SELECTORS (where a site's main content is, repeatable)
+  --remove-selector=[HOST=]SELECTOR        # CRAWLER_REMOVE_SELECTORS (elements left out of page text, repeatable)
+  --max-links-per-page=N                   # CRAWLER_MAX_LINKS_PER_PAGE
+  --strategy=bfs|dfs|best-first            # CRAWLER_STRATEGY (concurrent crawl order, default: best-first)
+  --priority=PATTERN=BOOST                 # CRAWLER_PRIORITY_PATTERNS (score boost for matching URLs, repeatable)
+  --include=PATTERN, --exclude=PATTERN     # CRAWLER_INCLUDE_PATTERNS, CRAWLER_EXCLUDE_PATTERNS (globs or regex:..., repeatable)
+  --path-prefix=PATH                       # CRAWLER_PATH_PREFIXES (only follow links under PATH, repeatable)
+  --allowed-host=HOST                      # CRAWLER_ALLOWED_HOSTS (also follow links to HOST or *.domain, repeatable)
+  --[no-]include-subdomains                # CRAWLER_INCLUDE_SUBDOMAINS (follow links to subdomains of the start host)
+  --exclude-extensions=LIST                # CRAWLER_EXCLUDE_EXTENSIONS (file extensions never followed)
+  --max-retries=N, --retry-delay=MS        # CRAWLER_MAX_RETRIES, CRAWLER_RETRY_DELAY
+  --[no-]respect-crawl-delay               # CRAWLER_RESPECT_CRAWL_DELAY (robots.txt Crawl-delay)
+  --[no-]use-sitemaps                      # CRAWLER_USE_SITEMAPS (also crawl the site's sitemap URLs)
+  --sitemap-only                           # CRAWLER_SITEMAP_ONLY (crawl exactly the sitemap URLs, no link following)
+  --[no-]respect-canonical                 # CRAWLER_RESPECT_CANONICAL (record pages under their rel="canonical" URL)
+  --lowercase-paths                        # CRAWLER_LOWERCASE_PATHS (treat URL paths as case-insensitive)
+  --[no-]detect-duplicates                 # CRAWLER_DETECT_DUPLICATES (flag exact and near-duplicate pages)
+  --duplicate-threshold=BITS               # CRAWLER_DUPLICATE_THRESHOLD (SimHash bits that may differ, default: 10)
+  --exclude-duplicates                     # CRAWLER_EXCLUDE_DUPLICATES (keep duplicates out of word counts)
+  --check-links                            # CRAWLER_CHECK_LINKS (validate every discovered link after the crawl)
+  --check-external-links                   # CRAWLER_CHECK_EXTERNAL_LINKS (also validate links to other sites)
+  --[no-]record-link-graph                 # CRAWLER_RECORD_LINK_GRAPH (store every link with its anchor text and rel)
+  --min-word-length=N                      # ANALYSIS_MIN_WORD_LENGTH
+  --top-words-limit=N                      # ANALYSIS_TOP_WORDS_LIMIT
+  --[no-]exclude-common-words              # ANALYSIS_EXCLUDE_COMMON_WORDS
+  --thin-content-words=N                   # ANALYSIS_THIN_CONTENT_WORDS (SEO audit: pages with fewer words are thin, default: 300)
+  --max-click-depth=N                      # ANALYSIS_MAX_CLICK_DEPTH (SEO audit: pages deeper than N clicks are flagged, default: 3)
+  --data-directory=DIR                     # STORAGE_DATA_DIRECTORY
+  --reports-directory=DIR                  # STORAGE_REPORTS_DIRECTORY
+  --[no-]save-raw-data, --[no-]save-csv    # STORAGE_SAVE_RAW_DATA, STORAGE_SAVE_CSV
+  --log-level=LEVEL                        # LOG_LEVEL (debug, info, warn, error, silent)
+  --max-memory-usage=SIZE                  # PERFORMANCE_MAX_MEMORY_USAGE (e.g. 512MB)
+  Every config.json option is available this way; depth, delay and
+  concurrency also read CRAWLER_MAX_DEPTH, CRAWLER_DELAY, CRAWLER_CONCURRENCY.
+
 Examples:
   npm start https://example.com            # Basic sequential crawling
   npm start https://news.ycombinator.com --concurrent
   npm start https://example.com --concurrent --concurrency=10 --depth=3
   npm start https://example.com --delay=2000 --depth=1
+  npm start --resume=latest
+  npm start https://example.com --concurrent --sitemap-only
+  npm start https://example.com --concurrent --check-links --check-external-links
+  npm start https://example.com/docs/ --path-prefix=/docs/ --exclude='*?*print=*'
+  npm start export --format=gexf --pages-only
 
 🚀 Concurrent mode is 3-5x faster than sequential mode!
 `);
@@ -0,0 +1,138 @@
+const { URL } = require('url');
+
+const STOP_MESSAGES = {
+    maxPages: 'Page budget reached',
+    maxPagesPerDomain: 'Per-host page budget reached',
+    maxBytes: 'Download budget reached',
+    maxDuration: 'Time budget reached'
+};
+
+/**
+ * Tracks a crawl against its budgets: total pages, pages per host, bytes
+ * downloaded and wall-clock time. A limit of 0 means unlimited.
+ *
+ * Pages are reserved before they are fetched, so concurrent workers can
+ * never exceed the page budgets, and released again when a fetch does
+ * not produce a page.
+ */
+class CrawlBudget {
+    constructor(options = {}) {
+        this.maxPages = options.maxPages || 0;
+        this.maxPagesPerDomain = options.maxPagesPerDomain || 0;
+        this.maxBytes = options.maxBytes || 0;
+        this.maxDuration = options.maxDuration || 0; // ms
+        this.startTime = options.startTime || Date.now();
+        this.pages = 0;
+        this.bytesDownloaded = 0;
+        this.hostPages = new Map(); // host -> pages reserved or crawled
+        this.skippedUrls = 0; // URLs dropped by the per-host budget
+    }
+
+    /**
+     * Reserve a page for url. Returns null on success, or the name of the
+     * budget that prevents fetching it.
+     */
+    reserve(url) {
+        const reason = this.getExhausted();
+        if (reason) {
+            return reason;
+        }
+        if (this.maxPages && this.pages >= this.maxPages) {
+            return 'maxPages';
+        }
+
+        const host = new URL(url).hostname;
+        const hostPages = this.hostPages.get(host) || 0;
+        if (this.maxPagesPerDomain && hostPages >= this.maxPagesPerDomain) {
+            this.skippedUrls++;
+            return 'maxPagesPerDomain';
+        }
+
+        this.pages++;
+        this.hostPages.set(host, hostPages + 1);
+        return null;
+    }
+
+    /**
+     * Give back a reservation whose fetch did not produce a page
+     */
+    release(url) {
+        const host = new URL(url).hostname;
+        this.pages = Math.max(0, this.pages - 1);
+        this.hostPages.set(host, Math.max(0, (this.hostPages.get(host) || 0) - 1));
+    }
+
+    /**
+     * Count a response's size against the download budget
+     */
+    recordResponse(response) {
+        const data = response.data;
+        let bytes;
+        if (typeof response.bytesRead === 'number') {
+            bytes = response.bytesRead; // Streamed documents, including aborted ones
+        } else if (Buffer.isBuffer(data)) {
+            bytes = data.length;
+        } else if (typeof data === 'string') {
+            bytes = Buffer.byteLength(data);
+        } else {
+            bytes = parseInt(response.headers && response.headers['content-length'], 10) || 0;
+        }
+        this.bytesDownloaded += bytes;
+    }
+
+    /**
+     * The crawl-wide budget (bytes or time) that is used up, or null
+     */
+    getExhausted() {
+        if (this.maxBytes && this.bytesDownloaded >= this.maxBytes) {
+            return 'maxBytes';
+        }
+        if (this.maxDuration && Date.now() - this.startTime >= this.maxDuration) {
+            return 'maxDuration';
+        }
+        return null;
+    }
+
+    getState() {
+        return {
+            bytesDownloaded: this.bytesDownloaded,
+            skippedUrls: this.skippedUrls
+        };
+    }
+
+    /**
+     * Restore counters from a checkpoint. Page counts are rebuilt from the
+     * pages already crawled, since in-flight reservations were not kept.
+     */
+    restoreState(state = {}, pageUrls = []) {
+        this.pages = pageUrls.length;
+        this.hostPages = new Map();
+        pageUrls.forEach(url => {
+            const host = new URL(url).hostname;
+            this.hostPages.set(host, (this.hostPages.get(host) || 0) + 1);
+        });
+        this.bytesDownloaded = state.bytesDownloaded || 0;
+        this.skippedUrls = state.skippedUrls || 0;
+    }
+
+    /**
+     * Limits and usage for the saved crawl metadata
+     */
+    getSummary() {
+        return {
+            maxPages: this.maxPages,
+            maxPagesPerDomain: this.maxPagesPerDomain,
+            maxBytes: this.maxBytes,
+            maxDuration: this.maxDuration,
+            bytesDownloaded: this.bytesDownloaded,
+            pagesPerHost: Object.fromEntries(this.hostPages),
+            skippedUrls: this.skippedUrls
+        };
+    }
+
+    static describe(reason) {
+        return STOP_MESSAGES[reason] || reason;
+    }
+}
+
+module.exports = CrawlBudget;
@@ -0,0 +1,153 @@
+const fs = require('fs-extra');
+const path = require('path');
+const TAXONOMIES = require('./taxonomies');
+
+// Weighted keyword hits at which confidence reaches ~63% of the topic's share
+const EVIDENCE_SCALE = 5;
+
+/**
+ * Scores pages and whole sites against a taxonomy of weighted keyword lists.
+ *
+ * A taxonomy file is JSON of the form
+ *   { "name": "support-site", "categories": { "Billing": { "invoice": 3, "refund": 2 }, "Docs": ["guide", "manual"] } }
+ * where keyword lists without weights count each keyword with weight 1.
+ */
+class TopicClassifier {
+    constructor(options = {}) {
+        const taxonomy = options.taxonomy || 'general';
+        if (typeof taxonomy === 'string' && !TAXONOMIES[taxonomy]) {
+            throw new Error(`Unknown taxonomy "${taxonomy}" (built-in: ${Object.keys(TAXONOMIES).join(', ')})`);
+        }
+
+        this.name = options.name || (typeof taxonomy === 'string' ? taxonomy : 'custom');
+        this.categories = TopicClassifier.normalizeCategories(
+            typeof taxonomy === 'string' ? TAXONOMIES[taxonomy] : taxonomy
+        );
+        this.minConfidence = options.minConfidence ?? 0.1;
+        this.fallbackTopic = options.fallbackTopic || 'General Content';
+    }
+
+    /**
+     * Create a classifier from a built-in taxonomy name or a JSON file path
+     */
+    static async load(source = 'general', options = {}) {
+        if (TAXONOMIES[source]) {
+            return new TopicClassifier({ ...options, taxonomy: source });
+        }
+
+        const file = path.resolve(source);
+        if (!(await fs.pathExists(file))) {
+            throw new Error(`Taxonomy file not found: ${file}`);
+        }
+
+        let data;
+        try {
+            data = await fs.readJSON(file);
+        } catch (error) {
+            throw new Error(`Could not parse taxonomy file ${file}: ${error.message}`);
+        }
+
+        return new TopicClassifier({
+            ...options,
+            taxonomy: data.categories || data,
+            name: data.name || path.basename(file, path.extname(file))
+        });
+    }
+
+    /**
+     * Validate a taxonomy and convert it to Map<category, Map<keyword, weight>>
+     */
+    static normalizeCategories(categories) {
+        if (typeof categories !== 'object' || categories === null || Array.isArray(categories)) {
+            throw new Error('Invalid taxonomy: expected an object of categories');
+        }
+
+        const errors = [];
+        const normalized = new Map();
+        Object.entries(categories).forEach(([category, keywords]) => {
+            const entries = Array.isArray(keywords)
+                ? keywords.map(keyword => [keyword, 1])
+                : Object.entries(keywords || {});
+            const weights = new Map();
+
+            entries.forEach(([keyword, weight]) => {
+                if (typeof keyword !== 'string' || keyword.trim() === '') {
+                    errors.push(`category "${category}" has an empty keyword`);
+                } else if (typeof weight !== 'number' || !(weight > 0)) {
+                    errors.push(`keyword "${keyword}" in "${category}" needs a positive weight, got ${JSON.stringify(weight)}`);
+                } else {
+                    weights.set(keyword.trim().toLowerCase(), weight);
+                }
+            });
+
+            if (entries.length === 0) {
+                errors.push(`category "${category}" has no keywords`);
+            }
+            normalized.set(category, weights);
+        });
+
+        if (normalized.size === 0) {
+            errors.push('no categories defined');
+        }
+        if (errors.length > 0) {
+            throw new Error(`Invalid taxonomy:\n  - ${errors.join('\n  - ')}`);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Score word (and optional phrase) counts against every category.
+     * Returns matching topics ranked by score. Confidence is the topic's share
+     * of the total score, damped when there is little evidence, so a single
+     * weak keyword hit does not count as a confident classification.
+     */
+    classify(words = {}, phrases = {}) {
+        const scores = [];
+        this.categories.forEach((keywords, topic) => {
+            let score = 0;
+            const matches = [];
+            keywords.forEach((weight, keyword) => {
+                const counts = keyword.includes(' ') ? phrases : words;
+                // Counts loaded from JSON are plain objects; "constructor" must not match their prototype
+                const count = (Object.prototype.hasOwnProperty.call(counts, keyword) && counts[keyword]) || 0;
+                if (count > 0) {
+                    score += weight * count;
+                    matches.push(keyword);
+                }
+            });
+            if (score > 0) {
+                scores.push({ topic, score, matches });
+            }
+        });
+
+        const total = scores.reduce((sum, entry) => sum + entry.score, 0);
+        return scores
+            .map(entry => {
+                const evidence = 1 - Math.exp(-entry.score / EVIDENCE_SCALE);
+                return { ...entry, confidence: Number(((entry.score / total) * evidence).toFixed(3)) };
+            })
+            .sort((a, b) => b.score - a.score || a.topic.localeCompare(b.topic));
+    }
+
+    /**
+     * Classify a crawled page by its word and phrase counts
+     */
+    classifyPage(page) {
+        const topics = this.classify(page.words, page.phrases)
+            .filter(entry => entry.confidence >= this.minConfidence);
+        const best = topics[0];
+
+        return {
+            url: page.url,
+            title: page.title,
+            topic: best ? best.topic : this.fallbackTopic,
+            confidence: best ? best.confidence : 0,
+            topics: topics.map(({ topic, confidence, matches }) => ({ topic, confidence, matches }))
+        };
+    }
+}
+
+TopicClassifier.TAXONOMIES = TAXONOMIES;
+
+module.exports = TopicClassifier;
@@ -0,0 +1,385 @@
+const fs = require('fs-extra');
+const path = require('path');
+const CrawlScope = require('./scope');
+const UrlFrontier = require('./frontier');
+const ContentExtractor = require('./contentExtractor');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(PROJECT_ROOT, 'config.json');
+
+/**
+ * Configuration schema. Every option can be set (in increasing precedence) by
+ * its default, config.json, an environment variable and a CLI flag.
+ * Environment variables default to SECTION_OPTION_NAME and CLI flags to
+ * --option-name unless overridden here. List options take comma-separated
+ * values from env and CLI, and their CLI flags may be repeated. Lists with
+ * splitCommas: false, whose values such as CSS selector lists contain
+ * commas, take one value per flag or variable.
+ */
+const CONFIG_SCHEMA = {
+    crawler: {
+        maxDepth: { type: 'integer', min: 0, max: 10, default: 2, cli: 'depth' },
+        delay: { type: 'integer', min: 0 }, // Unset: each crawler's own default, 1000ms sequential and 500ms concurrent
+        concurrency: { type: 'integer', min: 1, max: 50, default: 5 },
+        maxPages: { type: 'integer', min: 0, default: 0 },
+        maxPagesPerDomain: { type: 'integer', min: 0, default: 50 },
+        maxBytes: { type: 'size', default: '0' },
+        maxDuration: { type: 'integer', min: 0, default: 0 },
+        requestTimeout: { type: 'integer', min: 100, default: 10000 },
+        userAgent: { type: 'string', default: 'WebCrawler/1.0 (+educational-purpose)' },
+        respectRobotsTxt: { type: 'boolean', default: true },
+        respectRobotsMeta: { type: 'boolean', default: true },
+        maxResponseSize: { type: 'size', default: '10MB' },
+        headRequests: { type: 'boolean', default: false },
+        extractDocuments: { type: 'boolean', default: false },
+        maxPdfPages: { type: 'integer', min: 0, default: 100 },
+        contentExtraction: { type: 'enum', values: ContentExtractor.MODES, default: 'readability' },
+        contentSelectors: { type: 'list', default: [], cli: 'content-selector', splitCommas: false },
+        removeSelectors: { type: 'list', default: [], cli: 'remove-selector', splitCommas: false },
+        respectCrawlDelay: { type: 'boolean', default: true },
+        useSitemaps: { type: 'boolean', default: false },
+        sitemapOnly: { type: 'boolean', default: false },
+        respectCanonical: { type: 'boolean', default: true },
+        lowercasePaths: { type: 'boolean', default: false },
+        detectDuplicates: { type: 'boolean', default: true },
+        duplicateThreshold: { type: 'integer', min: 0, max: 64, default: 10 },
+        excludeDuplicates: { type: 'boolean', default: false },
+        checkLinks: { type: 'boolean', default: false },
+        checkExternalLinks: { type: 'boolean', default: false },
+        recordLinkGraph: { type: 'boolean', default: true },
+        includePatterns: { type: 'list', default: [], cli: 'include' },
+        excludePatterns: { type: 'list', default: [], cli: 'exclude' },
+        pathPrefixes: { type: 'list', default: [], cli: 'path-prefix' },
+        allowedHosts: { type: 'list', default: [], cli: 'allowed-host' },
+        includeSubdomains: { type: 'boolean', default: false },
+        excludeExtensions: { type: 'list', default: CrawlScope.DEFAULT_EXCLUDED_EXTENSIONS },
+        strategy: { type: 'enum', values: UrlFrontier.STRATEGIES, default: 'best-first' },
+        priorityPatterns: { type: 'list', default: [], cli: 'priority' },
+        maxLinksPerPage: { type: 'integer', min: 1, default: 5 },
+        maxRetries: { type: 'integer', min: 0, max: 10, default: 3 },
+        retryDelay: { type: 'integer', min: 0, default: 500 }
+    },
+    analysis: {
+        minWordLength: { type: 'integer', min: 1, max: 50, default: 3 },
+        topWordsLimit: { type: 'integer', min: 1, default: 200 },
+        excludeCommonWords: { type: 'boolean', default: true },
+        language: { type: 'string', default: 'auto' },
+        stemming: { type: 'boolean', default: false },
+        ngrams: { type: 'boolean', default: false },
+        keywordsPerPage: { type: 'integer', min: 1, max: 100, default: 10 },
+        taxonomy: { type: 'string', default: 'general' },
+        thinContentWords: { type: 'integer', min: 0, default: 300 },
+        maxClickDepth: { type: 'integer', min: 1, default: 3 },
+        generateVisualizations: { type: 'boolean', default: true }
+    },
+    storage: {
+        dataDirectory: { type: 'path', default: './data' },
+        reportsDirectory: { type: 'path', default: './reports' },
+        saveRawData: { type: 'boolean', default: true },
+        saveCsv: { type: 'boolean', default: true }
+    },
+    performance: {
+        enableMetrics: { type: 'boolean', default: true },
+        logLevel: { type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'], default: 'info', env: 'LOG_LEVEL' },
+        maxMemoryUsage: { type: 'size', default: '512MB' }
+    }
+};
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+/**
+ * Convert camelCase to the given separator (maxDepth -> max-depth / MAX_DEPTH)
+ */
+function splitCamelCase(name, separator) {
+    return name.replace(/([a-z0-9])([A-Z])/g, `$1${separator}$2`);
+}
+
+function getEnvName(section, key, spec) {
+    return spec.env || `${section}_${splitCamelCase(key, '_')}`.toUpperCase();
+}
+
+function getCliName(key, spec) {
+    return spec.cli || splitCamelCase(key, '-').toLowerCase();
+}
+
+/**
+ * Parse a size string such as "512MB" into bytes
+ */
+function parseSize(value) {
+    const match = String(value).trim().toUpperCase().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/);
+    if (!match) {
+        return NaN;
+    }
+    return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'B']);
+}
+
+/**
+ * Split a comma-separated list, keeping the commas inside brackets and
+ * quotes, as in "regex:^/p{1,3}/" or ":is(nav, .ads)"
+ */
+function splitList(raw) {
+    const items = [''];
+    let depth = 0;
+    let quote = null;
+    for (const char of raw) {
+        if (quote) {
+            quote = char === quote ? null : quote;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if ('([{'.includes(char)) {
+            depth++;
+        } else if (')]}'.includes(char)) {
+            depth = Math.max(depth - 1, 0);
+        } else if (char === ',' && depth === 0) {
+            items.push('');
+            continue;
+        }
+        items[items.length - 1] += char;
+    }
+    return items.map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Coerce a raw string (from env or CLI) into the type the schema expects
+ */
+function coerceValue(raw, spec) {
+    if (typeof raw !== 'string') {
+        return raw;
+    }
+    switch (spec.type) {
+        case 'integer':
+            return /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : raw;
+        case 'boolean':
+            if (['true', '1', 'yes', 'on', ''].includes(raw.toLowerCase())) return true;
+            if (['false', '0', 'no', 'off'].includes(raw.toLowerCase())) return false;
+            return raw;
+        case 'list':
+            return spec.splitCommas === false ? [raw.trim()].filter(Boolean) : splitList(raw);
+        default:
+            return raw;
+    }
+}
+
+/**
+ * Validate a single value against its schema entry, returning an error message or null
+ */
+function validateValue(value, spec) {
+    switch (spec.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) return `expected an integer, got ${JSON.stringify(value)}`;
+            if (spec.min !== undefined && value < spec.min) return `must be >= ${spec.min}`;
+            if (spec.max !== undefined && value > spec.max) return `must be <= ${spec.max}`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `expected a boolean, got ${JSON.stringify(value)}`;
+        case 'string':
+        case 'path':
+            return typeof value === 'string' && value.length > 0 ? null : `expected a non-empty string, got ${JSON.stringify(value)}`;
+        case 'list':
+            return Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0)
+                ? null
+                : `expected a list of non-empty strings, got ${JSON.stringify(value)}`;
+        case 'enum':
+            return spec.values.includes(value) ? null : `must be one of ${spec.values.join(', ')}, got ${JSON.stringify(value)}`;
+        case 'size':
+            return Number.isNaN(parseSize(value)) ? `expected a size like "512MB", got ${JSON.stringify(value)}` : null;
+        default:
+            return `unknown schema type ${spec.type}`;
+    }
+}
+
+/**
+ * Validate a (possibly partial) configuration object against the schema
+ */
+function validateConfig(config, source = 'configuration') {
+    const errors = [];
+
+    Object.entries(config || {}).forEach(([section, values]) => {
+        const sectionSchema = CONFIG_SCHEMA[section];
+        if (!sectionSchema) {
+            errors.push(`unknown section "${section}"`);
+            return;
+        }
+        if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+            errors.push(`section "${section}" must be an object`);
+            return;
+        }
+        Object.entries(values).forEach(([key, value]) => {
+            const spec = sectionSchema[key];
+            if (!spec) {
+                errors.push(`unknown option "${section}.${key}"`);
+                return;
+            }
+            const error = validateValue(value, spec);
+            if (error) {
+                errors.push(`"${section}.${key}" ${error}`);
+            }
+        });
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${source}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return config;
+}
+
+/**
+ * Build the defaults layer from the schema
+ */
+function getDefaults() {
+    const defaults = {};
+    Object.entries(CONFIG_SCHEMA).forEach(([section, options]) => {
+        defaults[section] = {};
+        Object.entries(options).forEach(([key, spec]) => {
+            defaults[section][key] = spec.default;
+        });
+    });
+    return defaults;
+}
+
+/**
+ * Read overrides from environment variables
+ */
+function getEnvOverrides(env) {
+    const overrides = {};
+    Object.entries(CONFIG_SCHEMA).forEach(([section, options]) => {
+        Object.entries(options).forEach(([key, spec]) => {
+            const raw = env[getEnvName(section, key, spec)];
+            if (raw !== undefined) {
+                overrides[section] = overrides[section] || {};
+                overrides[section][key] = coerceValue(raw, spec);
+            }
+        });
+    });
+    return overrides;
+}
+
+/**
+ * Read overrides from --option=value CLI flags (booleans also accept --option / --no-option)
+ */
+function getCliOverrides(argv) {
+    const overrides = {};
+    Object.entries(CONFIG_SCHEMA).forEach(([section, options]) => {
+        Object.entries(options).forEach(([key, spec]) => {
+            const flag = `--${getCliName(key, spec)}`;
+            let raw;
+            for (const arg of argv) {
+                if (arg.startsWith(`${flag}=`) && spec.type === 'list') {
+                    // Repeated list flags accumulate
+                    raw = [...(raw || []), ...coerceValue(arg.slice(flag.length + 1), spec)];
+                } else if (arg.startsWith(`${flag}=`)) {
+                    raw = arg.slice(flag.length + 1);
+                } else if (spec.type === 'boolean' && arg === flag) {
+                    raw = 'true';
+                } else if (spec.type === 'boolean' && arg === `--no-${flag.slice(2)}`) {
+                    raw = 'false';
+                }
+            }
+            if (raw !== undefined) {
+                overrides[section] = overrides[section] || {};
+                overrides[section][key] = coerceValue(raw, spec);
+            }
+        });
+    });
+    return overrides;
+}
+
+/**
+ * Merge configuration layers, later layers taking precedence
+ */
+function mergeLayers(...layers) {
+    const merged = {};
+    layers.forEach(layer => {
+        Object.entries(layer).forEach(([section, values]) => {
+            merged[section] = { ...merged[section], ...values };
+        });
+    });
+    return merged;
+}
+
+/**
+ * Load the effective configuration. Precedence: CLI > env > file > defaults.
+ * Relative storage paths are resolved against the config file's directory.
+ */
+async function loadConfig({ argv = [], env = process.env, configFile } = {}) {
+    const cliConfigFile = argv.find(arg => arg.startsWith('--config='))?.split('=').slice(1).join('=');
+    const explicitFile = configFile || cliConfigFile || env.CRAWLER_CONFIG;
+    const file = explicitFile ? path.resolve(explicitFile) : DEFAULT_CONFIG_FILE;
+
+    let fileConfig = {};
+    if (await fs.pathExists(file)) {
+        try {
+            fileConfig = await fs.readJSON(file);
+        } catch (error) {
+            throw new Error(`Could not parse config file ${file}: ${error.message}`);
+        }
+        validateConfig(fileConfig, `config file ${file}`);
+    } else if (explicitFile) {
+        throw new Error(`Config file not found: ${file}`);
+    }
+
+    const envConfig = validateConfig(getEnvOverrides(env), 'environment variables');
+    const cliConfig = validateConfig(getCliOverrides(argv), 'command line options');
+    const config = mergeLayers(getDefaults(), fileConfig, envConfig, cliConfig);
+
+    const baseDir = fs.existsSync(file) ? path.dirname(file) : PROJECT_ROOT;
+    config.storage.dataDirectory = path.resolve(baseDir, config.storage.dataDirectory);
+    config.storage.reportsDirectory = path.resolve(baseDir, config.storage.reportsDirectory);
+    // A taxonomy is either a built-in name or a path to a JSON file
+    if (/[\\/]|\.json$/i.test(config.analysis.taxonomy)) {
+        config.analysis.taxonomy = path.resolve(baseDir, config.analysis.taxonomy);
+    }
+    config.configFile = fs.existsSync(file) ? file : null;
+
+    return config;
+}
+
+/**
+ * Flatten the configuration into the options both crawlers accept
+ */
+function toCrawlerOptions(config) {
+    return {
+        ...config.crawler,
+        maxBytes: parseSize(config.crawler.maxBytes),
+        maxResponseSize: parseSize(config.crawler.maxResponseSize),
+        minWordLength: config.analysis.minWordLength,
+        topWordsLimit: config.analysis.topWordsLimit,
+        excludeCommonWords: config.analysis.excludeCommonWords,
+        language: config.analysis.language,
+        stemming: config.analysis.stemming,
+        ngrams: config.analysis.ngrams,
+        dataDir: config.storage.dataDirectory,
+        saveRawData: config.storage.saveRawData,
+        saveCsv: config.storage.saveCsv,
+        enableMetrics: config.performance.enableMetrics,
+        logLevel: config.performance.logLevel,
+        maxMemoryUsage: parseSize(config.performance.maxMemoryUsage)
+    };
+}
+
+/**
+ * Flatten the configuration into the options DataAnalyzer accepts
+ */
+function toAnalyzerOptions(config) {
+    return {
+        dataDir: config.storage.dataDirectory,
+        reportsDir: config.storage.reportsDirectory,
+        generateVisualizations: config.analysis.generateVisualizations,
+        keywordsPerPage: config.analysis.keywordsPerPage,
+        taxonomy: config.analysis.taxonomy,
+        thinContentWords: config.analysis.thinContentWords,
+        maxClickDepth: config.analysis.maxClickDepth,
+        logLevel: config.performance.logLevel
+    };
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    loadConfig,
+    validateConfig,
+    getDefaults,
+    parseSize,
+    toCrawlerOptions,
+    toAnalyzerOptions
+};
@@ -0,0 +1,156 @@
+/**
+ * Content-Type parsing, content sniffing and charset decoding for fetched
+ * documents
+ */
+
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+
+// Leading bytes of common binary formats, for responses without a Content-Type
+const MAGIC_NUMBERS = [
+    { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] }, // %PDF
+    { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+    { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+    { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] }, // PK, also docx/xlsx
+    { type: 'application/gzip', bytes: [0x1f, 0x8b] }
+];
+
+// windows-1252 characters for bytes 0x80-0x9f, which Node 20 decodes as latin1 control characters
+const WINDOWS_1252_C1 = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+
+const BOMS = [
+    { charset: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+    { charset: 'utf-16le', bytes: [0xff, 0xfe] },
+    { charset: 'utf-16be', bytes: [0xfe, 0xff] }
+];
+
+/**
+ * Split a Content-Type header into its lowercased MIME type and charset
+ */
+function parseContentType(header) {
+    if (!header) {
+        return { mimeType: null, charset: null };
+    }
+    const [mimeType, ...params] = String(header).split(';');
+    const charsetParam = params.map(param => param.trim()).find(param => /^charset=/i.test(param));
+    return {
+        mimeType: mimeType.trim().toLowerCase() || null,
+        charset: charsetParam ? charsetParam.slice('charset='.length).replace(/["']/g, '').trim().toLowerCase() : null
+    };
+}
+
+function startsWith(buffer, bytes) {
+    return bytes.every((byte, i) => buffer[i] === byte);
+}
+
+/**
+ * Guess the MIME type of a body served without a Content-Type
+ */
+function sniffMimeType(data) {
+    if (Buffer.isBuffer(data)) {
+        const magic = MAGIC_NUMBERS.find(({ bytes }) => startsWith(data, bytes));
+        if (magic) {
+            return magic.type;
+        }
+        const head = data.subarray(0, 1024);
+        if (head.includes(0) && !BOMS.some(({ bytes }) => startsWith(data, bytes))) {
+            return 'application/octet-stream';
+        }
+        data = head.toString('latin1');
+    }
+    const head = String(data).slice(0, 1024).trimStart();
+    if (head.startsWith('%PDF')) {
+        return 'application/pdf';
+    }
+    return /<(!doctype html|html|head|body|p|a|div|title)[\s>]/i.test(head) ? 'text/html' : 'text/plain';
+}
+
+/**
+ * Charset of an HTML body: its byte order mark, else the Content-Type
+ * header's charset, else a <meta charset> or http-equiv declaration in the
+ * first 1024 bytes, else UTF-8
+ */
+function detectCharset(buffer, headerCharset) {
+    const bom = BOMS.find(({ bytes }) => startsWith(buffer, bytes));
+    if (bom) {
+        return bom.charset;
+    }
+    if (headerCharset) {
+        return headerCharset;
+    }
+    const head = buffer.subarray(0, 1024).toString('latin1');
+    const meta = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i);
+    return meta ? meta[1].toLowerCase() : 'utf-8';
+}
+
+/**
+ * Decode a body, falling back to UTF-8 for charsets Node does not know
+ */
+function decode(buffer, charset) {
+    let decoder;
+    try {
+        decoder = new TextDecoder(charset);
+    } catch (error) {
+        decoder = new TextDecoder('utf-8');
+    }
+    const text = decoder.decode(buffer);
+    // latin1 and ascii labels also mean windows-1252
+    return decoder.encoding === 'windows-1252'
+        ? text.replace(/[\u0080-\u009f]/g, char => WINDOWS_1252_C1[char.charCodeAt(0) - 0x80])
+        : text;
+}
+
+/**
+ * Whether a MIME type is text that can be decoded with a charset
+ */
+function isTextType(mimeType) {
+    return HTML_TYPES.includes(mimeType) || /^text\//.test(mimeType || '');
+}
+
+/**
+ * Inspect a fetched response. When its type is one of acceptedTypes it
+ * keeps the raw `data` and, for text types, the decoded `body`; otherwise
+ * `skipped` names why it was not read: 'contentType' or 'tooLarge' (set by
+ * the fetcher when it aborted).
+ */
+function readDocument(response, acceptedTypes = HTML_TYPES) {
+    const headers = response.headers || {};
+    const header = parseContentType(headers['content-type']);
+    const data = response.data;
+    const mimeType = header.mimeType || (data === null || data === undefined ? null : sniffMimeType(data));
+    const size = response.bytesRead ?? (Buffer.isBuffer(data) ? data.length : Buffer.byteLength(String(data ?? '')));
+    const document = { mimeType, charset: null, size, data: null, body: null, skipped: response.skipped || null };
+
+    if (!document.skipped && !acceptedTypes.includes(mimeType)) {
+        document.skipped = 'contentType';
+    }
+    if (document.skipped) {
+        // Aborted downloads were not read in full, so prefer the declared size
+        document.size = parseInt(headers['content-length'], 10) || size;
+        return document;
+    }
+
+    document.data = data;
+    if (!isTextType(mimeType)) {
+        return document;
+    }
+    if (Buffer.isBuffer(data)) {
+        document.charset = detectCharset(data, header.charset);
+        document.body = decode(data, document.charset);
+    } else {
+        // Already decoded by the HTTP client
+        document.charset = header.charset;
+        document.body = String(data);
+    }
+    return document;
+}
+
+module.exports = {
+    HTML_TYPES,
+    parseContentType,
+    sniffMimeType,
+    detectCharset,
+    decode,
+    isTextType,
+    readDocument
+};
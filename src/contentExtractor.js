@@ -0,0 +1,297 @@
+const cheerio = require('cheerio');
+const { URL } = require('url');
+
+const MODES = ['readability', 'selectors'];
+
+// Never part of the readable text
+const NON_CONTENT_TAGS = 'script, style, noscript, template, iframe, svg, canvas, form, button, select, textarea';
+
+// Removed by the selector-based extraction
+const BOILERPLATE = 'nav, header, footer, aside, .sidebar, .menu, .advertisement';
+const TEXT_ELEMENTS = 'p, h1, h2, h3, h4, h5, h6, article, main, section, .content, .post, .entry';
+
+// Class and id hints, after Mozilla's Readability
+const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|yom-remote/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+const BLOCK_TAGS = 'address, article, aside, blockquote, dd, div, dl, dt, figcaption, figure, footer, h1, h2, h3, h4, h5, h6, header, hr, li, main, nav, ol, p, pre, section, table, td, th, tr, ul, br';
+const PARAGRAPH_TAGS = 'p, pre, td, blockquote';
+const MIN_PARAGRAPH_LENGTH = 25;
+const LINK_CONTAINERS = 'div, section, ul, ol, dl, table, nav';
+
+// "host=selector" rules; anything else is a selector for every site
+const SITE_RULE = /^([a-z0-9*-]+(?:\.[a-z0-9-]+)+)=(.+)$/i;
+
+/**
+ * Extracts the readable text of an HTML page.
+ *
+ * - readability: scores block elements by text length, commas, class/id
+ *   hints and link density, like Mozilla's Readability, and keeps the best
+ *   one with its related siblings. Falls back to the selector-based
+ *   extraction when no block holds at least minContentLength characters.
+ * - selectors: removes navigation and boilerplate and joins the text of
+ *   paragraphs, headings and content sections, counting nested matches once.
+ *
+ * Site rules ("example.com=article .body") name where the content is or
+ * what to remove on a host and its subdomains; rules without a host apply
+ * everywhere. Content selectors that match win over both modes.
+ *
+ * The page's document is not modified, so links are extracted from the
+ * whole page.
+ */
+class ContentExtractor {
+    constructor(options = {}) {
+        this.mode = options.mode || 'readability';
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`Unknown content extraction mode "${this.mode}" (expected one of ${MODES.join(', ')})`);
+        }
+        this.minContentLength = options.minContentLength ?? 140;
+        this.contentSelectors = (options.contentSelectors || []).map(rule => ContentExtractor.parseSiteRule(rule));
+        this.removeSelectors = (options.removeSelectors || []).map(rule => ContentExtractor.parseSiteRule(rule));
+    }
+
+    /**
+     * Readable text of a page loaded with cheerio. url selects the site rules.
+     */
+    extract($, url) {
+        const host = this.getHost(url);
+        const root = ($('body').length ? $('body') : $.root()).first().clone();
+
+        root.find(NON_CONTENT_TAGS).remove();
+        const removals = this.selectorsFor(this.removeSelectors, host);
+        if (removals) {
+            root.find(removals).remove();
+        }
+
+        const contentSelector = this.selectorsFor(this.contentSelectors, host);
+        if (contentSelector) {
+            const matches = this.outermost($, root.find(contentSelector), contentSelector);
+            if (matches.length > 0) {
+                return this.joinText($, matches);
+            }
+        }
+
+        if (this.mode === 'readability') {
+            const text = this.extractReadable($, root.clone());
+            if (text.length >= this.minContentLength) {
+                return text;
+            }
+        }
+        return this.extractWithSelectors($, root);
+    }
+
+    /**
+     * Text of the highest scoring block and the siblings that belong with it
+     */
+    extractReadable($, root) {
+        root.find('*').each((i, element) => {
+            const hints = `${element.attribs.class || ''} ${element.attribs.id || ''}`;
+            if (!['body', 'article', 'main'].includes(element.tagName) &&
+                UNLIKELY_CANDIDATES.test(hints) && !MAYBE_CANDIDATE.test(hints)) {
+                $(element).remove();
+            }
+        });
+
+        const scores = new Map();
+        const initialize = element => {
+            if (!scores.has(element)) {
+                scores.set(element, this.getTagScore(element) + this.getClassWeight(element));
+            }
+        };
+
+        // Divs holding only inline content count as paragraphs
+        const paragraphs = root.find(PARAGRAPH_TAGS).toArray().concat(
+            root.find('div').filter((i, div) => $(div).children(BLOCK_TAGS).length === 0).toArray()
+        );
+        paragraphs.forEach(paragraph => {
+            const text = this.normalize($(paragraph).text());
+            const parent = paragraph.parent;
+            if (text.length < MIN_PARAGRAPH_LENGTH || !parent || parent.type !== 'tag') {
+                return;
+            }
+            // Commas and length suggest prose rather than navigation
+            const score = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+            initialize(parent);
+            scores.set(parent, scores.get(parent) + score);
+            const grandparent = parent.parent;
+            if (grandparent && grandparent.type === 'tag') {
+                initialize(grandparent);
+                scores.set(grandparent, scores.get(grandparent) + score / 2);
+            }
+        });
+
+        let top = null;
+        let topScore = 0;
+        scores.forEach((score, element) => {
+            const adjusted = score * (1 - this.getLinkDensity($, element));
+            scores.set(element, adjusted);
+            if (adjusted > topScore) {
+                top = element;
+                topScore = adjusted;
+            }
+        });
+        if (!top) {
+            return '';
+        }
+
+        const threshold = Math.max(10, topScore * 0.2);
+        const blocks = $(top.parent && top.parent.type === 'tag' ? top.parent.children : [top])
+            .filter((i, sibling) => {
+                if (sibling === top) {
+                    return true;
+                }
+                if (sibling.type !== 'tag') {
+                    return false;
+                }
+                if ((scores.get(sibling) || 0) >= threshold) {
+                    return true;
+                }
+                // Prose paragraphs next to the content belong to it
+                const text = this.normalize($(sibling).text());
+                const linkDensity = this.getLinkDensity($, sibling);
+                return sibling.tagName === 'p' &&
+                    ((text.length > 80 && linkDensity < 0.25) || (text.length > 0 && linkDensity === 0 && /\.( |$)/.test(text)));
+            });
+
+        // Link lists and stray links inside the content are navigation too
+        blocks.each((i, block) => {
+            $(block).find(LINK_CONTAINERS).add($(block).children('a'))
+                .filter((j, element) => this.getLinkDensity($, element) > 0.5)
+                .remove();
+        });
+        return this.joinText($, blocks);
+    }
+
+    /**
+     * The original extraction: boilerplate removed, text of content elements
+     */
+    extractWithSelectors($, root) {
+        root.find(BOILERPLATE).remove();
+        const elements = this.outermost($, root.find(TEXT_ELEMENTS), TEXT_ELEMENTS)
+            .filter((i, element) => $(element).text().trim().length > 10); // Filter out very short elements
+
+        const text = this.joinText($, elements);
+        // Fallback to body text if no content found
+        return text || this.joinText($, root);
+    }
+
+    /**
+     * Matched elements not inside another match, so nested text counts once
+     */
+    outermost($, elements, selector) {
+        return elements.filter((i, element) => $(element).parents(selector).length === 0);
+    }
+
+    /**
+     * Text of elements with block boundaries kept as spaces
+     */
+    joinText($, elements) {
+        return elements.toArray()
+            .map(element => {
+                const copy = $(element).clone();
+                copy.find(BLOCK_TAGS).after(' ');
+                return this.normalize(copy.text());
+            })
+            .filter(Boolean)
+            .join(' ');
+    }
+
+    getTagScore(element) {
+        switch (element.tagName) {
+            case 'div':
+                return 5;
+            case 'pre':
+            case 'td':
+            case 'blockquote':
+                return 3;
+            case 'address':
+            case 'ol':
+            case 'ul':
+            case 'dl':
+            case 'dd':
+            case 'dt':
+            case 'li':
+            case 'form':
+                return -3;
+            case 'h1':
+            case 'h2':
+            case 'h3':
+            case 'h4':
+            case 'h5':
+            case 'h6':
+            case 'th':
+                return -5;
+            default:
+                return 0;
+        }
+    }
+
+    getClassWeight(element) {
+        let weight = 0;
+        [element.attribs.class, element.attribs.id].filter(Boolean).forEach(hint => {
+            if (NEGATIVE.test(hint)) weight -= 25;
+            if (POSITIVE.test(hint)) weight += 25;
+        });
+        return weight;
+    }
+
+    /**
+     * Share of an element's text that is link text
+     */
+    getLinkDensity($, element) {
+        const length = this.normalize($(element).text()).length;
+        if (length === 0) {
+            return 0;
+        }
+        const linkLength = $(element).find('a').addBack('a').toArray()
+            .reduce((sum, link) => sum + this.normalize($(link).text()).length, 0);
+        return linkLength / length;
+    }
+
+    normalize(text) {
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    getHost(url) {
+        try {
+            return url ? new URL(url).hostname.toLowerCase() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * The selectors of the rules applying to host, as one selector list
+     */
+    selectorsFor(rules, host) {
+        return rules
+            .filter(rule => !rule.host || (host && (host === rule.host || host.endsWith(`.${rule.host}`))))
+            .map(rule => rule.selector)
+            .join(', ');
+    }
+
+    /**
+     * Parse a "[host=]selector" rule, checking the selector is valid CSS
+     */
+    static parseSiteRule(rule) {
+        const match = rule.match(SITE_RULE);
+        const parsed = match
+            ? { host: match[1].toLowerCase().replace(/^\*\./, ''), selector: match[2].trim() }
+            : { host: null, selector: rule.trim() };
+        try {
+            if (!parsed.selector) {
+                throw new Error('empty selector');
+            }
+            cheerio.load('')(parsed.selector);
+        } catch (error) {
+            throw new Error(`Invalid selector rule "${rule}": ${error.message}`);
+        }
+        return parsed;
+    }
+}
+
+ContentExtractor.MODES = MODES;
+
+module.exports = ContentExtractor;
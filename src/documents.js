@@ -0,0 +1,109 @@
+const { URL } = require('url');
+
+// Document MIME types and the extractor for each
+const DOCUMENT_TYPES = {
+    'application/pdf': 'pdf',
+    'text/plain': 'text',
+    'text/markdown': 'markdown',
+    'text/x-markdown': 'markdown'
+};
+
+// File extensions of extractable documents, followed when extraction is on
+const DOCUMENT_EXTENSIONS = ['pdf', 'txt', 'md', 'markdown'];
+
+/**
+ * Extracts the text and title of non-HTML documents - PDF, plain text and
+ * Markdown - so they can be counted like pages. PDFs are parsed with
+ * pdf-parse (a bundled pdf.js), so no external service is involved.
+ */
+class DocumentExtractor {
+    constructor(options = {}) {
+        this.maxPdfPages = options.maxPdfPages ?? 100; // 0 = all pages
+    }
+
+    /**
+     * Extract { text, title, language } from a document read by
+     * content.readDocument. Markdown served as text/plain is recognised by
+     * its URL's extension.
+     */
+    async extract(document, url) {
+        let kind = DOCUMENT_TYPES[document.mimeType];
+        if (kind === 'text' && url && /\.(md|markdown)$/i.test(new URL(url).pathname)) {
+            kind = 'markdown';
+        }
+
+        switch (kind) {
+            case 'pdf':
+                return this.extractPdf(Buffer.isBuffer(document.data) ? document.data : Buffer.from(document.data, 'latin1'));
+            case 'markdown':
+                return this.extractMarkdown(document.body);
+            case 'text':
+                return this.extractPlainText(document.body);
+            default:
+                throw new Error(`Cannot extract text from ${document.mimeType}`);
+        }
+    }
+
+    async extractPdf(buffer) {
+        // Loaded on first use: pdf.js is large and most crawls never see a PDF
+        const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+        // pdf.js reads the whole underlying ArrayBuffer, so copy small Buffers out of Node's shared pool
+        const pdf = await pdfParse(new Uint8Array(buffer), { max: this.maxPdfPages });
+        const info = pdf.info || {};
+        return {
+            text: pdf.text.trim(),
+            title: (info.Title || '').trim() || this.getFirstLine(pdf.text),
+            language: undefined,
+            pageCount: pdf.numpages
+        };
+    }
+
+    extractMarkdown(markdown) {
+        let body = markdown.replace(/^﻿/, '');
+        let title = '';
+
+        // YAML front matter may name the title
+        const frontMatter = body.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+        if (frontMatter) {
+            const titleLine = frontMatter[1].match(/^title:\s*["']?(.*?)["']?\s*$/m);
+            title = titleLine ? titleLine[1] : '';
+            body = body.slice(frontMatter[0].length);
+        }
+        if (!title) {
+            const heading = body.match(/^#\s+(.+?)\s*#*\s*$/m);
+            title = heading ? heading[1] : this.getFirstLine(body);
+        }
+
+        const text = body
+            .replace(/^(```|~~~)[^\n]*\n[\s\S]*?^\1\s*$/gm, ' ') // fenced code blocks
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // images -> alt text
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // links -> link text
+            .replace(/^\s*\[[^\]]+\]:\s*\S+.*$/gm, ' ') // reference definitions
+            .replace(/<[^>]+>/g, ' ') // inline HTML
+            .replace(/`([^`]*)`/g, '$1')
+            .replace(/^[ \t]{0,3}#{1,6}[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/gm, '$1') // headings
+            .replace(/^[ \t]{0,3}(>+|[-*+]|\d+[.)])[ \t]+/gm, '') // quotes, list markers
+            .replace(/(\*\*|__|\*|_|~~)(\S(?:.*?\S)?)\1/g, '$2') // emphasis
+            .replace(/^\s*([-*_]\s*){3,}$/gm, ' '); // horizontal rules
+
+        return { text: text.trim(), title: title.trim(), language: undefined };
+    }
+
+    extractPlainText(text) {
+        text = text.replace(/^﻿/, '').trim();
+        return { text, title: this.getFirstLine(text), language: undefined };
+    }
+
+    /**
+     * A document's first non-empty line, as a fallback title
+     */
+    getFirstLine(text) {
+        const line = text.split('\n').map(l => l.trim()).find(Boolean) || '';
+        return line.length > 120 ? `${line.slice(0, 117)}...` : line;
+    }
+}
+
+DocumentExtractor.TYPES = Object.keys(DOCUMENT_TYPES);
+DocumentExtractor.EXTENSIONS = DOCUMENT_EXTENSIONS;
+
+module.exports = DocumentExtractor;
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+
+/**
+ * Flags pages whose text exactly or nearly repeats an earlier page.
+ * Exact duplicates share a hash of their word sequence; near-duplicates
+ * have 64-bit SimHash fingerprints (over 3-word shingles) that differ in
+ * at most `threshold` bits. Unrelated pages typically differ in ~30 bits,
+ * while editing 1-3% of a page's words moves its fingerprint by ~3-10.
+ */
+class DuplicateDetector {
+    constructor(options = {}) {
+        this.threshold = options.threshold ?? 10; // Max differing fingerprint bits for a near-duplicate
+        this.shingleSize = options.shingleSize || 3;
+        this.minWords = options.minWords ?? 10; // Shorter pages are only checked for exact duplicates
+        this.hashes = new Map(); // content hash -> first url
+        this.fingerprints = []; // { url, halves: [low 32 bits, high 32 bits] }
+    }
+
+    /**
+     * Fingerprint a page's words and compare them with every page seen so far.
+     * Returns { contentHash, fingerprint, duplicateOf, duplicateType, distance },
+     * or null when the page has no text.
+     */
+    check(url, words) {
+        if (words.length === 0) {
+            return null;
+        }
+
+        const contentHash = crypto.createHash('sha1').update(words.join(' ')).digest('hex');
+        const halves = this.simhash(words);
+        const result = {
+            contentHash,
+            fingerprint: DuplicateDetector.toHex(halves),
+            duplicateOf: null,
+            duplicateType: null,
+            distance: null
+        };
+
+        if (this.hashes.has(contentHash)) {
+            Object.assign(result, { duplicateOf: this.hashes.get(contentHash), duplicateType: 'exact', distance: 0 });
+        } else if (words.length >= this.minWords) {
+            const nearest = this.findNearest(halves);
+            if (nearest) {
+                Object.assign(result, { duplicateOf: nearest.url, duplicateType: 'near', distance: nearest.distance });
+            }
+        }
+
+        this.add(url, result.contentHash, result.fingerprint);
+        return result;
+    }
+
+    /**
+     * Register an already fingerprinted page, e.g. when resuming a crawl
+     */
+    add(url, contentHash, fingerprint) {
+        if (!this.hashes.has(contentHash)) {
+            this.hashes.set(contentHash, url);
+        }
+        this.fingerprints.push({ url, halves: DuplicateDetector.fromHex(fingerprint) });
+    }
+
+    /**
+     * The closest earlier page within the threshold, or null
+     */
+    findNearest(halves) {
+        let nearest = null;
+        for (const entry of this.fingerprints) {
+            const distance = DuplicateDetector.hammingDistance(halves, entry.halves);
+            if (distance <= this.threshold && (!nearest || distance < nearest.distance)) {
+                nearest = { url: entry.url, distance };
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * 64-bit SimHash over overlapping word shingles, as two 32-bit halves
+     */
+    simhash(words) {
+        const size = Math.min(this.shingleSize, words.length);
+        const weights = new Array(64).fill(0);
+
+        for (let i = 0; i + size <= words.length; i++) {
+            const hash = DuplicateDetector.hash(words.slice(i, i + size).join(' '));
+            for (let bit = 0; bit < 64; bit++) {
+                weights[bit] += (hash[bit >> 5] >>> (bit & 31)) & 1 ? 1 : -1;
+            }
+        }
+
+        const halves = [0, 0];
+        weights.forEach((weight, bit) => {
+            if (weight > 0) {
+                halves[bit >> 5] |= 1 << (bit & 31);
+            }
+        });
+        return halves.map(half => half >>> 0);
+    }
+
+    /**
+     * 64-bit hash of a string as two 32-bit halves: FNV-1a, and a
+     * murmur3-style remix of it for the high half
+     */
+    static hash(text) {
+        let low = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            low = Math.imul(low ^ text.charCodeAt(i), 0x01000193);
+        }
+        let high = (low + 0x9e3779b9) | 0;
+        high = Math.imul(high ^ (high >>> 16), 0x85ebca6b);
+        high = Math.imul(high ^ (high >>> 13), 0xc2b2ae35);
+        high ^= high >>> 16;
+        return [low >>> 0, high >>> 0];
+    }
+
+    static hammingDistance(a, b) {
+        return DuplicateDetector.popcount(a[0] ^ b[0]) + DuplicateDetector.popcount(a[1] ^ b[1]);
+    }
+
+    static popcount(value) {
+        let count = 0;
+        for (let bits = value >>> 0; bits; bits &= bits - 1) {
+            count++;
+        }
+        return count;
+    }
+
+    static toHex(halves) {
+        return halves[1].toString(16).padStart(8, '0') + halves[0].toString(16).padStart(8, '0');
+    }
+
+    static fromHex(fingerprint) {
+        return [parseInt(fingerprint.slice(8), 16), parseInt(fingerprint.slice(0, 8), 16)];
+    }
+}
+
+module.exports = DuplicateDetector;
@@ -0,0 +1,260 @@
+const axios = require('axios');
+const { parseContentType } = require('./content');
+
+// Network errors worth another attempt; anything else without a response is fatal
+const RETRYABLE_CODES = new Set([
+    'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNREFUSED',
+    'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'
+]);
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const RETRY_AFTER_STATUSES = new Set([429, 503]);
+
+/**
+ * A failed fetch, flagged as retryable (transient) or fatal
+ */
+class FetchError extends Error {
+    constructor(error, { url, attempts, retryable }) {
+        super(error.message);
+        this.name = 'FetchError';
+        this.url = url;
+        this.status = error.response ? error.response.status : null;
+        this.code = error.code || null;
+        this.retryable = retryable;
+        this.attempts = attempts;
+        this.cause = error;
+    }
+}
+
+/**
+ * HTTP GET and HEAD with retries. Transient failures (timeouts, connection resets,
+ * 5xx, 429) are retried with jittered exponential backoff; 429 and 503
+ * responses wait for their Retry-After header instead.
+ *
+ * Documents (requests with `accept` or `maxSize`) are streamed: their
+ * Content-Type is checked before the body is read, optionally with a HEAD
+ * request first, and the download is aborted once it exceeds maxSize.
+ */
+class Fetcher {
+    constructor(options = {}) {
+        this.httpClient = options.httpClient || axios;
+        this.userAgent = options.userAgent || 'WebCrawler/1.0 (+educational-purpose)';
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 10000;
+        this.maxRedirects = options.maxRedirects ?? 5;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.retryDelay = options.retryDelay ?? 500; // Base backoff in ms
+        this.maxRetryDelay = options.maxRetryDelay || 30000;
+        this.maxRetryAfter = options.maxRetryAfter || 60000; // Longer Retry-After waits are not honoured
+        this.onRetry = options.onRetry || null;
+    }
+
+    /**
+     * Fetch a URL, retrying transient failures. Resolves with the HTTP client's
+     * response plus an `attempts` count and, when it was redirected, the
+     * `redirects` followed ({ url, status, location } per hop); rejects with
+     * a FetchError.
+     *
+     * Options `accept` (MIME types) and `maxSize` (bytes) fetch a document:
+     * its body is a Buffer, and a response of another type or larger size
+     * resolves with `skipped` ('contentType' or 'tooLarge') and no data.
+     * `head: true` checks both with a HEAD request before the GET.
+     */
+    async get(url, options = {}) {
+        const maxRetries = options.maxRetries ?? this.maxRetries;
+        const isDocument = Boolean(options.accept || options.maxSize);
+        const requestConfig = {
+            headers: { 'User-Agent': this.userAgent, ...this.headers, ...options.headers },
+            timeout: options.timeout || this.timeout,
+            maxRedirects: this.maxRedirects,
+            ...(isDocument && { responseType: 'stream' }),
+            ...options.requestConfig
+        };
+
+        if (isDocument && options.head) {
+            const skipped = await this.checkHead(url, requestConfig, options);
+            if (skipped) {
+                return skipped;
+            }
+        }
+
+        return this.request('get', url, requestConfig, maxRetries, isDocument ? response => this.readBody(response, options) : null);
+    }
+
+    /**
+     * HEAD a URL, with the retries and redirect tracking of get()
+     */
+    async head(url, options = {}) {
+        const requestConfig = {
+            headers: { 'User-Agent': this.userAgent, ...this.headers, ...options.headers },
+            timeout: options.timeout || this.timeout,
+            maxRedirects: this.maxRedirects,
+            ...options.requestConfig
+        };
+        return this.request('head', url, requestConfig, options.maxRetries ?? this.maxRetries);
+    }
+
+    /**
+     * Send a request with the HTTP client's get or head method, retrying
+     * transient failures. onResponse may read the body before the response
+     * counts as successful.
+     */
+    async request(method, url, requestConfig, maxRetries, onResponse = null) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const redirects = [];
+                const response = await this.httpClient[method](url, {
+                    ...requestConfig,
+                    beforeRedirect: (redirectOptions, { statusCode }) => redirects.push({
+                        url: redirects.length > 0 ? redirects[redirects.length - 1].location : url,
+                        status: statusCode,
+                        location: redirectOptions.href
+                    })
+                });
+                if (onResponse) {
+                    await onResponse(response);
+                }
+                response.attempts = attempt;
+                if (redirects.length > 0) {
+                    response.redirects = redirects;
+                }
+                return response;
+            } catch (error) {
+                const retryable = this.isRetryable(error);
+                const delay = retryable ? this.getRetryDelay(error, attempt) : null;
+
+                if (!retryable || attempt > maxRetries || delay === null) {
+                    throw new FetchError(error, { url, attempts: attempt, retryable });
+                }
+
+                if (this.onRetry) {
+                    this.onRetry({ url, attempt, delay, error });
+                }
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Why a response cannot be used as a document, judged from its headers
+     */
+    getSkipReason(headers = {}, { accept, maxSize }) {
+        const { mimeType } = parseContentType(headers['content-type']);
+        if (accept && mimeType && !accept.includes(mimeType)) {
+            return 'contentType';
+        }
+        if (maxSize && parseInt(headers['content-length'], 10) > maxSize) {
+            return 'tooLarge';
+        }
+        return null;
+    }
+
+    /**
+     * HEAD a document before fetching it. Resolves with a skipped response
+     * when its headers rule it out; a failed HEAD falls through to the GET.
+     */
+    async checkHead(url, requestConfig, options) {
+        let response;
+        try {
+            response = await this.httpClient.head(url, { ...requestConfig, responseType: undefined });
+        } catch (error) {
+            return null;
+        }
+        const skipped = this.getSkipReason(response.headers, options);
+        if (!skipped) {
+            return null;
+        }
+        return { status: response.status, headers: response.headers, data: null, bytesRead: 0, skipped, attempts: 1 };
+    }
+
+    /**
+     * Read a streamed document body into a Buffer, or abort it when its
+     * type is not accepted or it grows beyond maxSize
+     */
+    async readBody(response, options) {
+        const stream = response.data;
+        response.skipped = this.getSkipReason(response.headers, options);
+        if (!stream || typeof stream.pipe !== 'function') {
+            // HTTP clients that do not stream hand over the whole body
+            response.bytesRead = Buffer.isBuffer(stream) ? stream.length : Buffer.byteLength(String(stream ?? ''));
+            if (!response.skipped && options.maxSize && response.bytesRead > options.maxSize) {
+                response.skipped = 'tooLarge';
+            }
+            if (response.skipped) {
+                response.data = null;
+            }
+            return;
+        }
+
+        response.data = null;
+        response.bytesRead = 0;
+        if (response.skipped) {
+            stream.destroy();
+            return;
+        }
+
+        const chunks = [];
+        for await (const chunk of stream) {
+            response.bytesRead += chunk.length;
+            if (options.maxSize && response.bytesRead > options.maxSize) {
+                response.skipped = 'tooLarge';
+                stream.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        }
+        response.data = Buffer.concat(chunks);
+    }
+
+    /**
+     * Whether an error is transient and the request worth repeating
+     */
+    isRetryable(error) {
+        if (error.response) {
+            return RETRYABLE_STATUSES.has(error.response.status);
+        }
+        return RETRYABLE_CODES.has(error.code);
+    }
+
+    /**
+     * Delay before the next attempt: the server's Retry-After when given,
+     * otherwise exponential backoff with jitter. Null means give up.
+     */
+    getRetryDelay(error, attempt) {
+        const response = error.response;
+        if (response && RETRY_AFTER_STATUSES.has(response.status)) {
+            const retryAfter = this.parseRetryAfter(response.headers && response.headers['retry-after']);
+            if (retryAfter !== null) {
+                return retryAfter <= this.maxRetryAfter ? retryAfter : null;
+            }
+        }
+
+        // Equal jitter: half the backoff is fixed, half random
+        const backoff = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** (attempt - 1));
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    /**
+     * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+     */
+    parseRetryAfter(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        if (/^\s*\d+\s*$/.test(value)) {
+            return parseInt(value, 10) * 1000;
+        }
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Sleep utility
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+Fetcher.FetchError = FetchError;
+
+module.exports = Fetcher;
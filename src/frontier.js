@@ -0,0 +1,225 @@
+const { URL } = require('url');
+const CrawlScope = require('./scope');
+
+const STRATEGIES = ['bfs', 'dfs', 'best-first'];
+const DEFAULT_SITEMAP_PRIORITY = 0.5;
+
+/**
+ * The crawl frontier: URLs waiting to be fetched, kept in a binary heap and
+ * dequeued in the order of the crawl strategy.
+ *
+ * - bfs: shallowest first, in discovery order
+ * - dfs: deepest first, most recently discovered first
+ * - best-first: highest score first, where
+ *   score = pattern boosts + log2(1 + inbound links) + 2 * sitemap priority - depth
+ *
+ * Inbound links are counted as pages are crawled, so a queued URL moves up
+ * as more pages link to it. URLs not listed in a sitemap count as priority
+ * 0.5, the sitemap protocol's default.
+ *
+ * Priority patterns are "pattern=boost" pairs in the crawl scope's pattern
+ * syntax, e.g. "/blog/**=5" or "regex:[?&]page=\d+=-3".
+ */
+class UrlFrontier {
+    constructor(options = {}) {
+        this.strategy = options.strategy || 'best-first';
+        if (!STRATEGIES.includes(this.strategy)) {
+            throw new Error(`Unknown crawl strategy "${this.strategy}" (expected one of ${STRATEGIES.join(', ')})`);
+        }
+        this.priorityPatterns = (options.priorityPatterns || []).map(pattern => UrlFrontier.parsePriorityPattern(pattern));
+        this.heap = [];
+        this.positions = new Map(); // url -> index in heap
+        this.inlinks = new Map(); // url -> links to it found so far
+        this.sequence = 0;
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    has(url) {
+        return this.positions.has(url);
+    }
+
+    /**
+     * Queue a URL ({ url, depth, sitemapPriority? }). Returns false when it
+     * is already queued.
+     */
+    push(item) {
+        if (this.positions.has(item.url)) {
+            return false;
+        }
+        const entry = {
+            url: item.url,
+            depth: item.depth,
+            sitemapPriority: item.sitemapPriority,
+            seq: item.seq ?? this.sequence++, // URLs put back keep their place
+            boost: this.getBoost(item.url)
+        };
+        entry.score = this.score(entry);
+        this.heap.push(entry);
+        this.positions.set(entry.url, this.heap.length - 1);
+        this.siftUp(this.heap.length - 1);
+        return true;
+    }
+
+    /**
+     * Remove and return the next URL to crawl, or null when empty
+     */
+    pop() {
+        if (this.heap.length === 0) {
+            return null;
+        }
+        const next = this.heap[0];
+        const last = this.heap.pop();
+        this.positions.delete(next.url);
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            this.positions.set(last.url, 0);
+            this.siftDown(0);
+        }
+        return next;
+    }
+
+    /**
+     * Count a link to url, raising its score if it is queued
+     */
+    recordLink(url) {
+        this.inlinks.set(url, (this.inlinks.get(url) || 0) + 1);
+        const index = this.positions.get(url);
+        if (index !== undefined) {
+            const entry = this.heap[index];
+            entry.score = this.score(entry);
+            this.siftUp(index);
+        }
+    }
+
+    /**
+     * Order a page's links by how soon they should be crawled. Only
+     * best-first reorders them; bfs and dfs keep document order.
+     */
+    rank(urls, depth) {
+        if (this.strategy !== 'best-first') {
+            return urls;
+        }
+        const scores = new Map(urls.map(url => [url, this.score({ url, depth, boost: this.getBoost(url) })]));
+        // Array.prototype.sort is stable, so ties keep document order
+        return [...urls].sort((a, b) => scores.get(b) - scores.get(a));
+    }
+
+    score(entry) {
+        return entry.boost +
+            Math.log2(1 + (this.inlinks.get(entry.url) || 0)) +
+            2 * (entry.sitemapPriority ?? DEFAULT_SITEMAP_PRIORITY) -
+            entry.depth;
+    }
+
+    /**
+     * Sum of the boosts of the priority patterns matching url
+     */
+    getBoost(url) {
+        if (this.priorityPatterns.length === 0) {
+            return 0;
+        }
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return 0;
+        }
+        const target = { pathname: parsed.pathname, pathAndQuery: parsed.pathname + parsed.search };
+        return this.priorityPatterns
+            .filter(pattern => pattern.matches(target))
+            .reduce((sum, pattern) => sum + pattern.boost, 0);
+    }
+
+    /**
+     * Queued URLs in crawl order, for checkpoints
+     */
+    toArray() {
+        return [...this.heap]
+            .sort((a, b) => (this.before(a, b) ? -1 : 1))
+            .map(({ url, depth, sitemapPriority }) => (sitemapPriority === undefined ? { url, depth } : { url, depth, sitemapPriority }));
+    }
+
+    getInlinks() {
+        return Array.from(this.inlinks.entries());
+    }
+
+    /**
+     * Replace the frontier with URLs and inbound link counts from a checkpoint
+     */
+    restore(items = [], inlinks = []) {
+        this.heap = [];
+        this.positions = new Map();
+        this.inlinks = new Map(inlinks);
+        this.sequence = 0;
+        items.forEach(item => this.push({ url: item.url, depth: item.depth, sitemapPriority: item.sitemapPriority }));
+    }
+
+    /**
+     * Whether entry a should be crawled before entry b
+     */
+    before(a, b) {
+        switch (this.strategy) {
+            case 'bfs':
+                return a.depth !== b.depth ? a.depth < b.depth : a.seq < b.seq;
+            case 'dfs':
+                return a.depth !== b.depth ? a.depth > b.depth : a.seq > b.seq;
+            default:
+                return a.score !== b.score ? a.score > b.score : a.seq < b.seq;
+        }
+    }
+
+    siftUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.before(this.heap[index], this.heap[parent])) {
+                break;
+            }
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    siftDown(index) {
+        for (;;) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let first = index;
+            if (left < this.heap.length && this.before(this.heap[left], this.heap[first])) {
+                first = left;
+            }
+            if (right < this.heap.length && this.before(this.heap[right], this.heap[first])) {
+                first = right;
+            }
+            if (first === index) {
+                break;
+            }
+            this.swap(index, first);
+            index = first;
+        }
+    }
+
+    swap(i, j) {
+        [this.heap[i], this.heap[j]] = [this.heap[j], this.heap[i]];
+        this.positions.set(this.heap[i].url, i);
+        this.positions.set(this.heap[j].url, j);
+    }
+
+    /**
+     * Parse a "pattern=boost" priority rule
+     */
+    static parsePriorityPattern(rule) {
+        const separator = rule.lastIndexOf('=');
+        const boost = separator > 0 ? Number(rule.slice(separator + 1)) : NaN;
+        if (!rule.slice(separator + 1).trim() || Number.isNaN(boost)) {
+            throw new Error(`Invalid priority pattern "${rule}": expected "pattern=boost", e.g. "/blog/**=5"`);
+        }
+        return { ...CrawlScope.compile(rule.slice(0, separator)), boost };
+    }
+}
+
+UrlFrontier.STRATEGIES = STRATEGIES;
+
+module.exports = UrlFrontier;
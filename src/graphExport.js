@@ -0,0 +1,233 @@
+const LinkGraph = require('./linkGraph');
+
+const FORMATS = ['graphml', 'gexf', 'dot'];
+
+// Attributes written for each node and edge, with their types
+const NODE_ATTRIBUTES = [
+    ['title', 'string'],
+    ['depth', 'integer'],
+    ['wordCount', 'integer'],
+    ['responseTime', 'integer'],
+    ['contentType', 'string'],
+    ['crawled', 'boolean'],
+    ['internal', 'boolean'],
+    ['inDegree', 'integer'],
+    ['outDegree', 'integer'],
+    ['pageRank', 'double']
+];
+const EDGE_ATTRIBUTES = [
+    ['anchorText', 'string'],
+    ['rel', 'string'],
+    ['internal', 'boolean'],
+    ['links', 'integer']
+];
+const GRAPHML_TYPES = { string: 'string', integer: 'int', double: 'double', boolean: 'boolean' };
+
+function escapeXml(value) {
+    return String(value)
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function escapeDot(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Writes a crawl's link graph for graph tools: GraphML and GEXF (Gephi,
+ * yEd, Cytoscape) and DOT (Graphviz). Nodes are the crawled pages and the
+ * URLs they link to, identified by URL, with the page's title, depth, word
+ * count, response time, degrees and PageRank. The links between two URLs
+ * become one edge, with their anchor texts, rel tokens and count.
+ *
+ * With pagesOnly, only the crawled pages and the links between them are
+ * written.
+ */
+class GraphExporter {
+    constructor(options = {}) {
+        this.pagesOnly = Boolean(options.pagesOnly);
+    }
+
+    /**
+     * The crawl data ({ pages }) in format ('graphml', 'gexf' or 'dot')
+     */
+    export(crawlData, format) {
+        const graph = this.getGraph(crawlData);
+        switch (format) {
+            case 'graphml':
+                return this.toGraphML(graph);
+            case 'gexf':
+                return this.toGexf(graph);
+            case 'dot':
+                return this.toDot(graph);
+            default:
+                throw new Error(`Unknown graph format "${format}" (expected ${FORMATS.join(', ')})`);
+        }
+    }
+
+    /**
+     * Nodes and edges with the attributes to write; attributes a node does
+     * not have (such as the word count of a page that was not crawled) are
+     * left out
+     */
+    getGraph(crawlData) {
+        const linkGraph = LinkGraph.fromCrawlData(crawlData);
+        const pages = new Map((crawlData.pages || []).map(page => [page.url, page]));
+        const degrees = linkGraph.getDegrees();
+        const pageRank = linkGraph.pageRank();
+        const included = node => node.crawled || !this.pagesOnly;
+
+        const nodes = Array.from(linkGraph.nodes.values()).filter(included).map(node => {
+            const page = pages.get(node.url) || {};
+            return {
+                id: node.url,
+                attributes: {
+                    title: node.title,
+                    depth: node.depth,
+                    wordCount: page.totalWords,
+                    responseTime: page.responseTime,
+                    contentType: page.contentType,
+                    crawled: node.crawled,
+                    internal: node.internal,
+                    ...degrees.get(node.url),
+                    pageRank: pageRank.get(node.url)
+                }
+            };
+        });
+
+        const edges = new Map();
+        linkGraph.edges.filter(edge => included(linkGraph.nodes.get(edge.target))).forEach(edge => {
+            const key = `${edge.source}\n${edge.target}`;
+            if (!edges.has(key)) {
+                edges.set(key, { source: edge.source, target: edge.target, anchorTexts: new Set(), rel: new Set(), internal: edge.internal, links: 0 });
+            }
+            const merged = edges.get(key);
+            merged.links++;
+            if (edge.anchorText) {
+                merged.anchorTexts.add(edge.anchorText);
+            }
+            (edge.rel || []).forEach(token => merged.rel.add(token));
+        });
+
+        return {
+            nodes,
+            edges: Array.from(edges.values()).map((edge, index) => ({
+                id: `e${index}`,
+                source: edge.source,
+                target: edge.target,
+                attributes: {
+                    anchorText: Array.from(edge.anchorTexts).join(' | '),
+                    rel: Array.from(edge.rel).join(' '),
+                    internal: edge.internal,
+                    links: edge.links
+                }
+            }))
+        };
+    }
+
+    toGraphML(graph) {
+        const keys = [
+            ...NODE_ATTRIBUTES.map(([name, type]) => `  <key id="${name}" for="node" attr.name="${name}" attr.type="${GRAPHML_TYPES[type]}"/>`),
+            ...EDGE_ATTRIBUTES.map(([name, type]) => `  <key id="edge_${name}" for="edge" attr.name="${name}" attr.type="${GRAPHML_TYPES[type]}"/>`)
+        ];
+        const data = (attributes, names, prefix = '') => names
+            .filter(([name]) => attributes[name] !== undefined && attributes[name] !== '')
+            .map(([name]) => `      <data key="${prefix}${name}">${escapeXml(attributes[name])}</data>`);
+        const element = (open, lines, close) => lines.length > 0 ? [`${open}>`, ...lines, close].join('\n') : `${open}/>`;
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+                'xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+            ...keys,
+            '  <graph id="site" edgedefault="directed">',
+            ...graph.nodes.map(node => element(`    <node id="${escapeXml(node.id)}"`, data(node.attributes, NODE_ATTRIBUTES), '    </node>')),
+            ...graph.edges.map(edge => element(
+                `    <edge id="${edge.id}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}"`,
+                data(edge.attributes, EDGE_ATTRIBUTES, 'edge_'),
+                '    </edge>'
+            )),
+            '  </graph>',
+            '</graphml>',
+            ''
+        ].join('\n');
+    }
+
+    toGexf(graph) {
+        const declarations = (attributes, kind) => [
+            `    <attributes class="${kind}">`,
+            ...attributes.map(([name, type], index) => `      <attribute id="${index}" title="${name}" type="${type}"/>`),
+            '    </attributes>'
+        ];
+        const values = (attributes, names) => {
+            const lines = names
+                .map(([name], index) => [index, attributes[name]])
+                .filter(([, value]) => value !== undefined && value !== '')
+                .map(([index, value]) => `          <attvalue for="${index}" value="${escapeXml(value)}"/>`);
+            return lines.length > 0 ? ['        <attvalues>', ...lines, '        </attvalues>'] : [];
+        };
+        const element = (open, lines, close) => lines.length > 0 ? [`${open}>`, ...lines, close].join('\n') : `${open}/>`;
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+            '  <graph mode="static" defaultedgetype="directed">',
+            ...declarations(NODE_ATTRIBUTES, 'node'),
+            ...declarations(EDGE_ATTRIBUTES, 'edge'),
+            '    <nodes>',
+            ...graph.nodes.map(node => element(
+                `      <node id="${escapeXml(node.id)}" label="${escapeXml(node.attributes.title || node.id)}"`,
+                values(node.attributes, NODE_ATTRIBUTES),
+                '      </node>'
+            )),
+            '    </nodes>',
+            '    <edges>',
+            ...graph.edges.map(edge => element(
+                `      <edge id="${edge.id}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" weight="${edge.attributes.links}"`,
+                values(edge.attributes, EDGE_ATTRIBUTES),
+                '      </edge>'
+            )),
+            '    </edges>',
+            '  </graph>',
+            '</gexf>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * DOT with the attributes as extra node and edge attributes, which
+     * Graphviz ignores. Crawled pages are boxes labelled with their title,
+     * other URLs dashed ellipses; nofollow links are dashed.
+     */
+    toDot(graph) {
+        const attributeList = (attributes, names, extra) => [
+            ...extra,
+            ...names
+                .filter(([name]) => attributes[name] !== undefined && attributes[name] !== '')
+                .map(([name]) => `${name}="${escapeDot(attributes[name])}"`)
+        ].join(', ');
+
+        return [
+            'digraph site {',
+            '  node [shape=box];',
+            ...graph.nodes.map(node => `  "${escapeDot(node.id)}" [${attributeList(node.attributes, NODE_ATTRIBUTES, [
+                `label="${escapeDot(node.attributes.title || node.id)}"`,
+                ...(node.attributes.crawled ? [] : ['shape=ellipse', 'style=dashed'])
+            ])}];`),
+            ...graph.edges.map(edge => `  "${escapeDot(edge.source)}" -> "${escapeDot(edge.target)}" [${attributeList(edge.attributes, EDGE_ATTRIBUTES, [
+                ...(edge.attributes.rel.split(' ').includes('nofollow') ? ['style=dashed'] : [])
+            ])}];`),
+            '}',
+            ''
+        ].join('\n');
+    }
+}
+
+GraphExporter.FORMATS = FORMATS;
+
+module.exports = GraphExporter;
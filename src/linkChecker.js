@@ -0,0 +1,233 @@
+const { URL } = require('url');
+const Logger = require('./logger');
+
+// A HEAD answered with one of these is conclusive; other error responses are retried with GET
+const CONCLUSIVE_STATUSES = new Set([404, 410]);
+const MAX_ANCHOR_LENGTH = 100;
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Validates the links a crawl discovers. The crawler records every link
+ * with the pages (and anchor text) linking to it, and the outcome of each
+ * URL it fetched itself; checkAll() then checks the remaining links with
+ * a HEAD request, falling back to GET when the HEAD gets an error response
+ * (some servers reject or mishandle HEAD).
+ *
+ * Internal links are always checked, external ones only with
+ * checkExternal. Requests to one host are spaced `delay` ms apart, and
+ * internal links disallowed by robots.txt are skipped.
+ */
+class LinkChecker {
+    constructor(options = {}) {
+        this.fetcher = options.fetcher;
+        this.robots = options.robots || null;
+        this.checkExternal = Boolean(options.checkExternal);
+        this.concurrency = options.concurrency || 5;
+        this.delay = options.delay ?? 0;
+        this.logger = options.logger || new Logger(options.logLevel);
+        this.links = new Map(); // URL -> { internal, referrers: [{ url, anchorText }] }
+        this.results = new Map(); // URL -> outcome of its request
+        this.hostNextRequest = new Map(); // host -> earliest time of its next request
+    }
+
+    /**
+     * Record a link found on the page referrer
+     */
+    addLink(url, { referrer, anchorText = '', internal = true }) {
+        if (!this.links.has(url)) {
+            this.links.set(url, { internal, referrers: [] });
+        }
+        const link = this.links.get(url);
+        if (!link.referrers.some(existing => existing.url === referrer)) {
+            link.referrers.push({ url: referrer, anchorText: anchorText.replace(/\s+/g, ' ').trim().slice(0, MAX_ANCHOR_LENGTH) });
+        }
+    }
+
+    /**
+     * Record the response the crawl got for a URL, so it is not requested again
+     */
+    recordResponse(url, response) {
+        this.results.set(url, this.describeResponse(response, 'GET'));
+    }
+
+    /**
+     * Record a URL the crawl failed to fetch
+     */
+    recordError(url, error) {
+        this.results.set(url, this.describeError(error, 'GET'));
+    }
+
+    /**
+     * Links still to be checked
+     */
+    getPendingLinks() {
+        return Array.from(this.links.entries())
+            .filter(([url, link]) => !this.results.has(url) && (link.internal || this.checkExternal))
+            .map(([url]) => url);
+    }
+
+    /**
+     * Check every pending link, `concurrency` at a time. Resolves with the report.
+     */
+    async checkAll() {
+        const queue = this.getPendingLinks();
+        const worker = async () => {
+            while (queue.length > 0) {
+                const url = queue.shift();
+                const result = await this.checkLink(url);
+                this.results.set(url, result);
+                if (this.isBroken(result)) {
+                    this.logger.debug(`💔 Broken link: ${url} (${result.status || result.error})`);
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+        return this.getReport();
+    }
+
+    /**
+     * HEAD a URL, or GET it (without reading the body) when the HEAD is
+     * answered with an error other than 404 or 410
+     */
+    async checkLink(url) {
+        const link = this.links.get(url);
+        if (this.robots && link && link.internal && !(await this.robots.isAllowed(url))) {
+            return { skipped: 'robots' };
+        }
+
+        await this.waitForHost(url);
+        try {
+            return this.describeResponse(await this.fetcher.head(url), 'HEAD');
+        } catch (error) {
+            // Without a response the host is unreachable, and a GET would fail too
+            if (!error.status || CONCLUSIVE_STATUSES.has(error.status)) {
+                return this.describeError(error, 'HEAD');
+            }
+        }
+
+        await this.waitForHost(url);
+        try {
+            const response = await this.fetcher.get(url, { requestConfig: { responseType: 'stream' } });
+            if (response.data && typeof response.data.destroy === 'function') {
+                response.data.destroy();
+            }
+            return this.describeResponse(response, 'GET');
+        } catch (error) {
+            return this.describeError(error, 'GET');
+        }
+    }
+
+    /**
+     * Wait for the host's next request slot, keeping `delay` between requests to it
+     */
+    async waitForHost(url) {
+        if (!this.delay) {
+            return;
+        }
+        const host = new URL(url).host;
+        const now = Date.now();
+        const slot = Math.max(now, this.hostNextRequest.get(host) || 0);
+        this.hostNextRequest.set(host, slot + this.delay);
+        await this.sleep(slot - now);
+    }
+
+    describeResponse(response, method) {
+        const redirects = response.redirects || [];
+        return {
+            status: response.status || null,
+            method,
+            ...(redirects.length > 0 && { finalUrl: redirects[redirects.length - 1].location, redirects })
+        };
+    }
+
+    describeError(error, method) {
+        return { status: error.status || null, method, error: error.message };
+    }
+
+    /**
+     * An HTTP error status or a request that failed outright
+     */
+    isBroken(result) {
+        return !result.skipped && (result.status >= 400 || Boolean(result.error));
+    }
+
+    /**
+     * The pages linking to a URL, with their anchor text
+     */
+    getReferrers(url) {
+        const link = this.links.get(url);
+        return link ? link.referrers : [];
+    }
+
+    /**
+     * Every checked link with its outcome and referrers, and a summary
+     */
+    getReport() {
+        const links = Array.from(this.results.entries())
+            .filter(([url]) => this.links.has(url))
+            .map(([url, result]) => ({
+                url,
+                internal: this.links.get(url).internal,
+                ...result,
+                broken: this.isBroken(result),
+                referrers: this.getReferrers(url)
+            }));
+        return {
+            summary: {
+                discovered: this.links.size,
+                checked: links.filter(link => !link.skipped).length,
+                broken: links.filter(link => link.broken).length,
+                redirected: links.filter(link => link.redirects).length,
+                skipped: links.filter(link => link.skipped).length,
+                unchecked: this.links.size - links.length,
+                checkExternal: this.checkExternal
+            },
+            links
+        };
+    }
+
+    /**
+     * Broken links, internal ones first, then by the number of pages linking to them
+     */
+    getBrokenLinks() {
+        return this.getReport().links
+            .filter(link => link.broken)
+            .sort((a, b) => (b.internal - a.internal) || (b.referrers.length - a.referrers.length));
+    }
+
+    /**
+     * Broken links as CSV, one row per page linking to each
+     */
+    getBrokenLinksCsv() {
+        const rows = this.getBrokenLinks().flatMap(link => link.referrers.map(referrer => [
+            link.url, link.status, link.error, link.internal, referrer.url, referrer.anchorText
+        ]));
+        return 'url,status,error,internal,referrer,anchor_text\n' +
+            rows.map(row => row.map(csvField).join(',')).join('\n');
+    }
+
+    /**
+     * Discovered links and results, for checkpoints
+     */
+    getState() {
+        return {
+            links: Array.from(this.links.entries()),
+            results: Array.from(this.results.entries())
+        };
+    }
+
+    restoreState(state = {}) {
+        this.links = new Map(state.links || []);
+        this.results = new Map(state.results || []);
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = LinkChecker;
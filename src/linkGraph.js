@@ -0,0 +1,216 @@
+const MAX_ANCHOR_LENGTH = 100;
+
+function clean(text) {
+    return text ? String(text).replace(/\s+/g, ' ').trim() : '';
+}
+
+function isNofollow(edge) {
+    return (edge.rel || []).includes('nofollow');
+}
+
+/**
+ * The directed link graph of a crawl. Nodes are the crawled pages and the
+ * URLs they link to; edges are the links, with their anchor text, rel
+ * tokens and whether they stay on the site.
+ *
+ * Degrees, PageRank and HITS hub and authority scores are computed over
+ * the crawled pages and the links between them. Self-links are ignored,
+ * and so are nofollow links for PageRank and HITS.
+ */
+class LinkGraph {
+    constructor() {
+        this.nodes = new Map(); // URL -> { url, title, depth, crawled, internal }
+        this.edges = []; // { source, target, anchorText, rel, internal }
+        this.aliases = new Map(); // alias URL -> crawled page URL
+    }
+
+    /**
+     * Every link of a page loaded with cheerio, for pageData.outlinks.
+     * Links to a fragment of the page itself are left out, and a link
+     * repeated with the same anchor text and rel is kept once. Image links
+     * take their anchor text from the image's alt text.
+     */
+    static extractOutlinks($, baseUrl, { urlNormalizer, scope }) {
+        const outlinks = new Map();
+        $('a[href]').each((i, element) => {
+            const anchor = $(element);
+            const href = anchor.attr('href');
+            const url = href.trim().startsWith('#') ? null : urlNormalizer.normalize(href, baseUrl);
+            if (!url) {
+                return;
+            }
+            const anchorText = (clean(anchor.text()) || clean(anchor.find('img[alt]').first().attr('alt'))).slice(0, MAX_ANCHOR_LENGTH);
+            const rel = clean(anchor.attr('rel')).toLowerCase().split(' ').filter(Boolean);
+            const key = [url, anchorText, ...rel].join('\n');
+            if (!outlinks.has(key)) {
+                outlinks.set(key, { url, anchorText, ...(rel.length > 0 && { rel }), internal: scope.isInternal(url, baseUrl) });
+            }
+        });
+        return Array.from(outlinks.values());
+    }
+
+    /**
+     * Build the graph from crawl data ({ pages }). Links to a page's
+     * aliases point at the page. Pages crawled before outlinks were
+     * recorded contribute the followed links in their `links`.
+     */
+    static fromCrawlData(crawlData) {
+        const graph = new LinkGraph();
+        const pages = crawlData.pages || [];
+        pages.forEach(page => {
+            (page.aliases || []).forEach(alias => graph.aliases.set(alias, page.url));
+            graph.nodes.set(page.url, { url: page.url, title: page.title || '', depth: page.depth, crawled: true, internal: true });
+        });
+
+        pages.forEach(page => {
+            const outlinks = page.outlinks || (page.links || []).map(url => ({ url, anchorText: '', internal: true }));
+            outlinks.forEach(link => {
+                const target = graph.resolve(link.url);
+                if (!graph.nodes.has(target)) {
+                    graph.nodes.set(target, { url: target, title: '', crawled: false, internal: link.internal });
+                }
+                graph.edges.push({
+                    source: page.url,
+                    target,
+                    anchorText: link.anchorText || '',
+                    ...(link.rel && { rel: link.rel }),
+                    internal: link.internal
+                });
+            });
+        });
+        return graph;
+    }
+
+    /**
+     * The node URL for a URL, which differs for a page's aliases
+     */
+    resolve(url) {
+        return this.aliases.get(url) || url;
+    }
+
+    /**
+     * Nodes of the crawled pages
+     */
+    getPages() {
+        return Array.from(this.nodes.values()).filter(node => node.crawled);
+    }
+
+    /**
+     * The distinct crawled pages each crawled page links to
+     */
+    getPageLinks({ followable = false } = {}) {
+        const links = new Map(this.getPages().map(node => [node.url, new Set()]));
+        this.edges.forEach(edge => {
+            if (edge.source !== edge.target && this.nodes.get(edge.target).crawled && !(followable && isNofollow(edge))) {
+                links.get(edge.source).add(edge.target);
+            }
+        });
+        return links;
+    }
+
+    /**
+     * In-degree (distinct pages linking in) and out-degree (distinct URLs
+     * linked to, with the external ones counted separately) of every node
+     */
+    getDegrees() {
+        const inbound = new Map();
+        const outbound = new Map();
+        this.nodes.forEach((node, url) => {
+            inbound.set(url, new Set());
+            outbound.set(url, new Set());
+        });
+        this.edges.forEach(edge => {
+            if (edge.source !== edge.target) {
+                inbound.get(edge.target).add(edge.source);
+                outbound.get(edge.source).add(edge.target);
+            }
+        });
+
+        const degrees = new Map();
+        this.nodes.forEach((node, url) => {
+            const targets = Array.from(outbound.get(url));
+            degrees.set(url, {
+                inDegree: inbound.get(url).size,
+                outDegree: targets.length,
+                externalOutDegree: targets.filter(target => !this.nodes.get(target).internal).length
+            });
+        });
+        return degrees;
+    }
+
+    /**
+     * PageRank of each crawled page by power iteration. Pages without
+     * links spread their rank over every page, so the ranks sum to 1.
+     */
+    pageRank({ damping = 0.85, maxIterations = 100, tolerance = 1e-6 } = {}) {
+        const links = this.getPageLinks({ followable: true });
+        const urls = Array.from(links.keys());
+        let ranks = new Map(urls.map(url => [url, 1 / urls.length]));
+
+        for (let i = 0; i < maxIterations && urls.length > 0; i++) {
+            const dangling = urls.filter(url => links.get(url).size === 0).reduce((sum, url) => sum + ranks.get(url), 0);
+            const base = (1 - damping) / urls.length + damping * dangling / urls.length;
+            const next = new Map(urls.map(url => [url, base]));
+            urls.forEach(url => {
+                const targets = links.get(url);
+                targets.forEach(target => next.set(target, next.get(target) + damping * ranks.get(url) / targets.size));
+            });
+
+            const change = urls.reduce((sum, url) => sum + Math.abs(next.get(url) - ranks.get(url)), 0);
+            ranks = next;
+            if (change < tolerance) {
+                break;
+            }
+        }
+        return ranks;
+    }
+
+    /**
+     * HITS scores of each crawled page: good hubs link to many good
+     * authorities, good authorities are linked from many good hubs. Each
+     * set of scores sums to 1 (or is all 0 without links).
+     */
+    hits({ maxIterations = 100, tolerance = 1e-6 } = {}) {
+        const links = this.getPageLinks({ followable: true });
+        const urls = Array.from(links.keys());
+        const normalize = scores => {
+            const total = Array.from(scores.values()).reduce((sum, score) => sum + score, 0);
+            return new Map(Array.from(scores.entries()).map(([url, score]) => [url, total > 0 ? score / total : 0]));
+        };
+        let hubs = normalize(new Map(urls.map(url => [url, 1])));
+        let authorities = new Map(urls.map(url => [url, 0]));
+
+        for (let i = 0; i < maxIterations; i++) {
+            const nextAuthorities = new Map(urls.map(url => [url, 0]));
+            links.forEach((targets, url) => targets.forEach(target =>
+                nextAuthorities.set(target, nextAuthorities.get(target) + hubs.get(url))));
+            authorities = normalize(nextAuthorities);
+
+            const nextHubs = new Map(urls.map(url => [url, 0]));
+            links.forEach((targets, url) => targets.forEach(target =>
+                nextHubs.set(url, nextHubs.get(url) + authorities.get(target))));
+            const normalized = normalize(nextHubs);
+
+            const change = urls.reduce((sum, url) => sum + Math.abs(normalized.get(url) - hubs.get(url)), 0);
+            hubs = normalized;
+            if (change < tolerance) {
+                break;
+            }
+        }
+        return { hubs, authorities };
+    }
+
+    /**
+     * Crawled pages no other crawled page links to, apart from the start
+     * pages; the crawl found them through a sitemap or a page it did not
+     * store (such as a noindex page)
+     */
+    getOrphans(startUrls = []) {
+        const linked = new Set();
+        this.getPageLinks().forEach(targets => targets.forEach(target => linked.add(target)));
+        const starts = new Set(startUrls.map(url => this.resolve(url)));
+        return this.getPages().filter(node => !linked.has(node.url) && !starts.has(node.url));
+    }
+}
+
+module.exports = LinkGraph;
@@ -0,0 +1,40 @@
+const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+/**
+ * Minimal leveled console logger driven by performance.logLevel
+ */
+class Logger {
+    constructor(level = 'info') {
+        this.level = LOG_LEVELS[level] !== undefined ? level : 'info';
+    }
+
+    isEnabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+    }
+
+    debug(...args) {
+        if (this.isEnabled('debug')) console.log(...args);
+    }
+
+    info(...args) {
+        if (this.isEnabled('info')) console.log(...args);
+    }
+
+    warn(...args) {
+        if (this.isEnabled('warn')) console.warn(...args);
+    }
+
+    error(...args) {
+        if (this.isEnabled('error')) console.error(...args);
+    }
+}
+
+Logger.LEVELS = LOG_LEVELS;
+
+module.exports = Logger;
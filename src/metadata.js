@@ -0,0 +1,212 @@
+/**
+ * Structured metadata of an HTML page: meta tags, the h1-h3 outline, image
+ * alt text, Open Graph and Twitter card fields, JSON-LD blocks and
+ * microdata items
+ */
+
+const { URL } = require('url');
+
+const MAX_HEADINGS = 50;
+const MAX_IMAGE_SOURCES = 10;
+
+function clean(text) {
+    return text ? String(text).replace(/\s+/g, ' ').trim() : '';
+}
+
+function resolve(href, baseUrl) {
+    if (!href) {
+        return null;
+    }
+    try {
+        return new URL(href.trim(), baseUrl).href;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * content of the first <meta name="..."> (or http-equiv) with a value
+ */
+function getMeta($, name) {
+    const meta = $('meta').filter((i, element) => {
+        const key = element.attribs.name || element.attribs['http-equiv'] || '';
+        return key.toLowerCase() === name && clean(element.attribs.content) !== '';
+    }).first();
+    return meta.length ? clean(meta.attr('content')) : null;
+}
+
+/**
+ * Fields of <meta property="prefix:..."> tags, e.g. og:image -> { image }.
+ * Twitter cards use name= but are often written with property=.
+ * Repeated fields such as og:image become arrays.
+ */
+function getPrefixedMeta($, prefix) {
+    // No prototype, so fields such as og:constructor are plain keys
+    const fields = Object.create(null);
+    $('meta').each((i, element) => {
+        const key = (element.attribs.property || element.attribs.name || '').toLowerCase();
+        const value = clean(element.attribs.content);
+        if (!key.startsWith(`${prefix}:`) || !value) {
+            return;
+        }
+        const field = key.slice(prefix.length + 1);
+        if (field in fields) {
+            fields[field] = [].concat(fields[field], value);
+        } else {
+            fields[field] = value;
+        }
+    });
+    return fields;
+}
+
+function getHeadings($) {
+    return $('h1, h2, h3').toArray()
+        .map(element => ({ level: Number(element.tagName.slice(1)), text: clean($(element).text()) }))
+        .filter(heading => heading.text)
+        .slice(0, MAX_HEADINGS);
+}
+
+/**
+ * Image count and the images without an alt attribute. alt="" marks a
+ * decorative image, so it counts as present.
+ */
+function getImages($, baseUrl) {
+    const images = $('img').toArray();
+    const missing = images.filter(image => image.attribs.alt === undefined);
+    return {
+        total: images.length,
+        missingAlt: missing.length,
+        missingAltSources: missing
+            .map(image => resolve(image.attribs.src, baseUrl))
+            .filter(Boolean)
+            .slice(0, MAX_IMAGE_SOURCES)
+    };
+}
+
+/**
+ * Parsed <script type="application/ld+json"> blocks; a block holding an
+ * array or an @graph contributes each of its items
+ */
+function getJsonLd($) {
+    const items = [];
+    let errors = 0;
+    $('script[type="application/ld+json" i]').each((i, element) => {
+        try {
+            // Some CMSs wrap the JSON in an HTML comment or CDATA section
+            const json = $(element).html().trim().replace(/^(<!--|<!\[CDATA\[)|(-->|\]\]>)$/g, '');
+            const data = JSON.parse(json);
+            [].concat(data).forEach(item => {
+                if (item && Array.isArray(item['@graph'])) {
+                    items.push(...item['@graph']);
+                } else if (item && typeof item === 'object') {
+                    items.push(item);
+                }
+            });
+        } catch (error) {
+            errors++;
+        }
+    });
+    return { items, errors };
+}
+
+function getMicrodataValue($, element, baseUrl) {
+    const attribs = element.attribs;
+    if (attribs.itemscope !== undefined) {
+        return getMicrodataItem($, element, baseUrl);
+    }
+    switch (element.tagName) {
+        case 'meta':
+            return clean(attribs.content);
+        case 'a':
+        case 'link':
+        case 'area':
+            return resolve(attribs.href, baseUrl);
+        case 'img':
+        case 'audio':
+        case 'video':
+        case 'source':
+        case 'iframe':
+            return resolve(attribs.src, baseUrl);
+        case 'time':
+            return clean(attribs.datetime || $(element).text());
+        case 'data':
+        case 'meter':
+            return clean(attribs.value);
+        default:
+            return clean(attribs.content || $(element).text());
+    }
+}
+
+/**
+ * An itemscope element as { type, properties }, where properties holds
+ * the itemprops within it but not within nested items
+ */
+function getMicrodataItem($, scope, baseUrl) {
+    const properties = Object.create(null); // itemprop names such as __proto__ are plain keys
+    const collect = parent => {
+        $(parent).children().each((i, child) => {
+            if (child.attribs.itemprop) {
+                const value = getMicrodataValue($, child, baseUrl);
+                child.attribs.itemprop.split(/\s+/).filter(Boolean).forEach(name => {
+                    properties[name] = name in properties ? [].concat(properties[name], value) : value;
+                });
+            }
+            if (child.attribs.itemscope === undefined) {
+                collect(child);
+            }
+        });
+    };
+    collect(scope);
+
+    const type = clean(scope.attribs.itemtype);
+    return { ...(type && { type: type.includes(' ') ? type.split(' ') : type }), properties };
+}
+
+/**
+ * Top-level microdata items (itemscope elements that are not properties of another item)
+ */
+function getMicrodata($, baseUrl) {
+    return $('[itemscope]').filter((i, element) => element.attribs.itemprop === undefined)
+        .toArray()
+        .map(element => getMicrodataItem($, element, baseUrl));
+}
+
+/**
+ * Schema.org types declared by JSON-LD and microdata items
+ */
+function getStructuredDataTypes(metadata) {
+    const types = [
+        ...metadata.jsonLd.map(item => item['@type']),
+        ...metadata.microdata.map(item => item.type)
+    ];
+    return [...new Set(types.flat().filter(Boolean).map(type => String(type).replace(/^https?:\/\/schema\.org\//, '')))];
+}
+
+/**
+ * Extract the metadata of a page loaded with cheerio
+ */
+function extractMetadata($, url) {
+    const keywords = getMeta($, 'keywords');
+    const jsonLd = getJsonLd($);
+    const metadata = {
+        description: getMeta($, 'description'),
+        keywords: keywords ? keywords.split(',').map(keyword => keyword.trim()).filter(Boolean) : [],
+        canonical: resolve($('link[rel~="canonical" i]').first().attr('href'), url),
+        language: clean($('html').attr('lang')) || getMeta($, 'content-language'),
+        headings: getHeadings($),
+        images: getImages($, url),
+        openGraph: getPrefixedMeta($, 'og'),
+        twitter: getPrefixedMeta($, 'twitter'),
+        jsonLd: jsonLd.items,
+        microdata: getMicrodata($, url)
+    };
+    if (jsonLd.errors > 0) {
+        metadata.jsonLdErrors = jsonLd.errors;
+    }
+    metadata.structuredDataTypes = getStructuredDataTypes(metadata);
+    return metadata;
+}
+
+module.exports = {
+    extractMetadata
+};
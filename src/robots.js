@@ -0,0 +1,118 @@
+const { URL } = require('url');
+const robotsParser = require('robots-parser');
+
+// Crawl-delay values above this are treated as a mistake and capped
+const MAX_CRAWL_DELAY = 60000;
+
+// Directives that may appear as "name: value" in X-Robots-Tag without naming a crawler
+const HEADER_DIRECTIVES = ['unavailable_after', 'max-snippet', 'max-image-preview', 'max-video-preview'];
+
+/**
+ * Fetches and caches robots.txt per origin, answering allow/disallow,
+ * Crawl-delay and Sitemap questions for the crawlers
+ */
+class RobotsCache {
+    constructor(options = {}) {
+        this.fetcher = options.fetcher;
+        this.userAgent = options.userAgent || 'WebCrawler/1.0 (+educational-purpose)';
+        this.maxCrawlDelay = options.maxCrawlDelay || MAX_CRAWL_DELAY;
+        this.cache = new Map(); // origin -> Promise<robots | null>
+        this.loaded = new Map(); // origin -> robots | null, once fetched
+    }
+
+    /**
+     * Get the parsed robots.txt for a URL's origin, or null if it has none
+     */
+    async get(url) {
+        const origin = new URL(url).origin;
+        if (!this.cache.has(origin)) {
+            // Cache the promise so concurrent workers share a single fetch
+            this.cache.set(origin, this.load(origin).then(robots => {
+                this.loaded.set(origin, robots);
+                return robots;
+            }));
+        }
+        return this.cache.get(origin);
+    }
+
+    async load(origin) {
+        const robotsUrl = `${origin}/robots.txt`;
+        try {
+            const response = await this.fetcher.get(robotsUrl, { timeout: 5000 });
+            return robotsParser(robotsUrl, response.data);
+        } catch (error) {
+            // If robots.txt doesn't exist or can't be fetched, assume allowed
+            return null;
+        }
+    }
+
+    async isAllowed(url) {
+        const robots = await this.get(url);
+        return robots ? robots.isAllowed(url, this.userAgent) !== false : true;
+    }
+
+    /**
+     * Sitemap URLs declared in robots.txt for a URL's origin
+     */
+    async getSitemaps(url) {
+        const robots = await this.get(url);
+        return robots ? robots.getSitemaps() : [];
+    }
+
+    /**
+     * Crawl-delay in ms for a URL's origin, from an already fetched robots.txt.
+     * Returns 0 when unknown so rate limiting never waits on a fetch.
+     */
+    getCrawlDelay(url) {
+        let robots;
+        try {
+            robots = this.loaded.get(new URL(url).origin);
+        } catch (error) {
+            return 0;
+        }
+        const seconds = robots ? robots.getCrawlDelay(this.userAgent) : undefined;
+        if (!seconds || seconds <= 0) {
+            return 0;
+        }
+        return Math.min(seconds * 1000, this.maxCrawlDelay);
+    }
+
+    /**
+     * noindex/nofollow directives from a page's robots meta tags and
+     * X-Robots-Tag headers that apply to every crawler or to userAgent
+     */
+    static getPageDirectives($, headers = {}, userAgent = '') {
+        const agent = userAgent.split('/')[0].trim().toLowerCase();
+        const values = [];
+
+        // Documents other than HTML ($ is null) only have the header
+        if ($) {
+            $('meta[name]').each((i, element) => {
+                const name = $(element).attr('name').trim().toLowerCase();
+                if (name === 'robots' || (agent && name === agent)) {
+                    values.push($(element).attr('content') || '');
+                }
+            });
+        }
+
+        [].concat(headers['x-robots-tag'] || []).forEach(value => {
+            // "otherbot: noindex" only applies to the crawler it names
+            const match = String(value).match(/^\s*([\w-]+)\s*:\s*(.*)$/);
+            if (match && !HEADER_DIRECTIVES.includes(match[1].toLowerCase())) {
+                if (match[1].toLowerCase() === agent) {
+                    values.push(match[2]);
+                }
+            } else {
+                values.push(String(value));
+            }
+        });
+
+        const directives = values.join(',').toLowerCase().split(',').map(directive => directive.trim());
+        return {
+            noindex: directives.includes('noindex') || directives.includes('none'),
+            nofollow: directives.includes('nofollow') || directives.includes('none')
+        };
+    }
+}
+
+module.exports = RobotsCache;
@@ -0,0 +1,139 @@
+const { URL } = require('url');
+
+const DEFAULT_EXCLUDED_EXTENSIONS = [
+    'pdf', 'jpg', 'jpeg', 'png', 'gif', 'css', 'js', 'ico', 'svg', 'zip', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx'
+];
+
+/**
+ * Decides which discovered URLs a crawl may follow: the start hosts (plus
+ * any allowed hosts and, optionally, their subdomains), within the path
+ * prefixes, without excluded file extensions, and passing the
+ * include/exclude patterns.
+ *
+ * Patterns are globs where `*` matches within one path segment and `**`
+ * across segments, or regular expressions prefixed with `regex:`. Globs
+ * must match the whole path (or path and query when they contain `?`);
+ * like .gitignore, a glob not starting with `/` may match in any
+ * directory. Regular expressions are searched for in path and query.
+ */
+class CrawlScope {
+    constructor(options = {}) {
+        this.includeSubdomains = Boolean(options.includeSubdomains);
+        this.allowedHosts = (options.allowedHosts || []).map(host => host.toLowerCase());
+        this.pathPrefixes = (options.pathPrefixes || []).map(prefix => prefix.replace(/\/+$/, ''));
+        this.includePatterns = (options.includePatterns || []).map(pattern => CrawlScope.compile(pattern));
+        this.excludePatterns = (options.excludePatterns || []).map(pattern => CrawlScope.compile(pattern));
+        const extensions = options.excludeExtensions || DEFAULT_EXCLUDED_EXTENSIONS;
+        this.excludedExtensions = extensions.length > 0
+            ? new RegExp(`\\.(${extensions.map(ext => ext.replace(/^\./, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})$`, 'i')
+            : null;
+        this.startHosts = new Set();
+    }
+
+    /**
+     * Register a crawl's start URL; its host is always in scope
+     */
+    addStartUrl(url) {
+        this.startHosts.add(new URL(url).hostname.toLowerCase());
+    }
+
+    /**
+     * Whether a link found on baseUrl should be crawled. Before any start
+     * URL is registered, the base page's host stands in for it.
+     */
+    isInScope(url, baseUrl) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return false;
+        }
+
+        if (!this.isInternal(url, baseUrl)) {
+            return false;
+        }
+
+        const pathname = parsed.pathname;
+        if (this.pathPrefixes.length > 0 &&
+            !this.pathPrefixes.some(prefix => !prefix || pathname === prefix || pathname.startsWith(`${prefix}/`))) {
+            return false;
+        }
+        if (this.excludedExtensions && this.excludedExtensions.test(pathname)) {
+            return false;
+        }
+
+        const target = { pathname, pathAndQuery: pathname + parsed.search };
+        if (this.excludePatterns.some(pattern => pattern.matches(target))) {
+            return false;
+        }
+        return this.includePatterns.length === 0 || this.includePatterns.some(pattern => pattern.matches(target));
+    }
+
+    /**
+     * Whether url is on the crawled site: a start host, an allowed host or,
+     * with includeSubdomains, a subdomain. Paths and patterns are not checked.
+     */
+    isInternal(url, baseUrl) {
+        let hostname;
+        try {
+            hostname = new URL(url).hostname.toLowerCase();
+        } catch (error) {
+            return false;
+        }
+        const startHosts = this.startHosts.size > 0 || !baseUrl ? this.startHosts : new Set([new URL(baseUrl).hostname]);
+        return this.isHostAllowed(hostname, startHosts);
+    }
+
+    isHostAllowed(hostname, startHosts = this.startHosts) {
+        for (const host of startHosts) {
+            if (hostname === host) {
+                return true;
+            }
+            // Subdomains of the site, treating www.example.com as example.com
+            const root = host.replace(/^www\./, '');
+            if (this.includeSubdomains && (hostname === root || hostname.endsWith(`.${root}`))) {
+                return true;
+            }
+        }
+        return this.allowedHosts.some(host => host.startsWith('*.')
+            ? hostname.endsWith(host.slice(1))
+            : hostname === host);
+    }
+
+    /**
+     * Compile a glob or `regex:` pattern into a matcher
+     */
+    static compile(pattern) {
+        if (pattern.startsWith('regex:')) {
+            let regex;
+            try {
+                regex = new RegExp(pattern.slice('regex:'.length));
+            } catch (error) {
+                throw new Error(`Invalid scope pattern "${pattern}": ${error.message}`);
+            }
+            return { pattern, matches: target => regex.test(target.pathAndQuery) };
+        }
+
+        let source = pattern.startsWith('/') ? '' : '(?:.*/)?';
+        for (let i = 0; i < pattern.length; i++) {
+            if (pattern.startsWith('/**', i) && i + 3 === pattern.length) {
+                source += '(?:/.*)?'; // "/docs/**" also matches "/docs" itself
+                i += 2;
+            } else if (pattern.startsWith('**', i)) {
+                source += '.*';
+                i++;
+            } else if (pattern[i] === '*') {
+                source += '[^/]*';
+            } else {
+                source += pattern[i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+        const regex = new RegExp(`^${source}$`);
+        const matchQuery = pattern.includes('?');
+        return { pattern, matches: target => regex.test(matchQuery ? target.pathAndQuery : target.pathname) };
+    }
+}
+
+CrawlScope.DEFAULT_EXCLUDED_EXTENSIONS = DEFAULT_EXCLUDED_EXTENSIONS;
+
+module.exports = CrawlScope;
@@ -0,0 +1,200 @@
+const { HTML_TYPES } = require('./content');
+
+// How much a failing check weighs in the score
+const SEVERITY_WEIGHTS = { error: 3, warning: 2, notice: 1 };
+const GRADES = [[90, 'A'], [80, 'B'], [70, 'C'], [60, 'D'], [0, 'F']];
+
+/**
+ * SEO audit of a crawl's stored pages. Each check lists the pages failing
+ * it; the audit score is 100 minus the severity-weighted share of pages
+ * failing each check, so a site where every page fails every check scores 0.
+ *
+ * Checks needing page metadata skip pages crawled without it, and only
+ * HTML pages are audited.
+ */
+class SeoAuditor {
+    constructor(options = {}) {
+        this.thinContentWords = options.thinContentWords ?? 300;
+        this.maxClickDepth = options.maxClickDepth ?? 3;
+    }
+
+    /**
+     * Audit crawl data ({ pages, errors }). Returns null when there are no
+     * HTML pages.
+     */
+    audit(crawlData) {
+        const pages = (crawlData.pages || []).filter(page => !page.contentType || HTML_TYPES.includes(page.contentType));
+        if (pages.length === 0) {
+            return null;
+        }
+        const withMetadata = pages.filter(page => page.metadata);
+        const original = page => !page.duplicateOf;
+        const describe = (page, detail) => ({ url: page.url, title: page.title || '', detail });
+        const h1Count = page => (page.metadata.headings || []).filter(heading => heading.level === 1).length;
+        const clickDepths = this.getClickDepths(pages);
+
+        const checks = [
+            this.check('missing-title', 'Missing title', 'error', pages,
+                pages.filter(page => !(page.title || '').trim()).map(page => describe(page, 'no <title>')),
+                'Give every page a <title> naming its subject'),
+            this.check('duplicate-title', 'Duplicate titles', 'warning', pages,
+                this.sharedItems(SeoAuditor.groupShared(pages.filter(original), page => page.title), 'title'),
+                'Make each title unique, or point copies at one page with rel="canonical"'),
+            this.check('missing-description', 'Missing meta description', 'warning', withMetadata,
+                withMetadata.filter(page => !page.metadata.description).map(page => describe(page, 'no meta description')),
+                'Write a one or two sentence meta description for every page'),
+            this.check('duplicate-description', 'Duplicate meta descriptions', 'warning', withMetadata,
+                this.sharedItems(SeoAuditor.groupShared(withMetadata.filter(original), page => page.metadata.description), 'description'),
+                'Describe each page in its own words'),
+            this.check('missing-h1', 'Missing H1', 'warning', withMetadata,
+                withMetadata.filter(page => h1Count(page) === 0).map(page => describe(page, 'no <h1>')),
+                'Start each page with one <h1> heading'),
+            this.check('multiple-h1', 'Multiple H1s', 'notice', withMetadata,
+                withMetadata.filter(page => h1Count(page) > 1).map(page => describe(page, `${h1Count(page)} <h1> headings`)),
+                'Keep one <h1> per page and use <h2>-<h6> below it'),
+            this.check('thin-content', 'Thin content', 'warning', pages,
+                pages.filter(page => (page.totalWords || 0) < this.thinContentWords).map(page => describe(page, `${page.totalWords || 0} words`)),
+                `Expand pages with fewer than ${this.thinContentWords} words, or merge or noindex them`),
+            this.check('images-missing-alt', 'Images without alt text', 'warning', withMetadata,
+                withMetadata.filter(page => page.metadata.images && page.metadata.images.missingAlt > 0).map(page =>
+                    describe(page, `${page.metadata.images.missingAlt} of ${page.metadata.images.total} images`)),
+                'Add alt text to informative images, and alt="" to decorative ones'),
+            this.check('deep-pages', 'Deep pages', 'notice', pages,
+                pages.filter(page => clickDepths.get(page.url) > this.maxClickDepth).map(page =>
+                    describe(page, `${clickDepths.get(page.url)} clicks from the start page`)),
+                `Link important pages within ${this.maxClickDepth} clicks of the home page`),
+            this.check('redirect-chains', 'Redirect chains', 'warning', pages,
+                pages.filter(page => (page.redirects || []).length > 1).map(page =>
+                    describe(page, [page.url, ...page.redirects.map(hop => hop.location)].join(' -> '))),
+                'Link to the final URL and redirect old URLs there in one hop'),
+            this.brokenLinkCheck(pages, crawlData)
+        ];
+
+        const applicable = checks.filter(check => check.pagesChecked > 0);
+        const totalWeight = applicable.reduce((sum, check) => sum + check.weight, 0);
+        const penalty = applicable.reduce((sum, check) => sum + check.weight * (1 - check.score / 100), 0);
+        const score = totalWeight > 0 ? Math.round(100 * (1 - penalty / totalWeight)) : 100;
+
+        return {
+            score,
+            grade: GRADES.find(([minimum]) => score >= minimum)[1],
+            pagesAudited: pages.length,
+            issuesFound: checks.reduce((sum, check) => sum + check.items.length, 0),
+            thresholds: { thinContentWords: this.thinContentWords, maxClickDepth: this.maxClickDepth },
+            checks
+        };
+    }
+
+    /**
+     * A check's result: the failing items, the pages they affect and a
+     * 0-100 score for the share of checked pages passing
+     */
+    check(id, title, severity, checkedPages, items, advice) {
+        const affectedPages = new Set(items.flatMap(item => item.urls || [item.url])).size;
+        const pagesChecked = checkedPages.length;
+        return {
+            id,
+            title,
+            severity,
+            weight: SEVERITY_WEIGHTS[severity],
+            pagesChecked,
+            affectedPages,
+            score: pagesChecked > 0 ? Math.round(100 * (1 - Math.min(1, affectedPages / pagesChecked))) : 100,
+            advice,
+            items
+        };
+    }
+
+    sharedItems(groups, field) {
+        return groups.map(group => ({
+            url: group.urls[0],
+            detail: `${field} "${group.value}" on ${group.urls.length} pages`,
+            urls: group.urls
+        }));
+    }
+
+    /**
+     * Internal URLs that failed with an HTTP error or a fatal network error,
+     * with the crawled pages linking to them. A crawl with --check-links
+     * covers every internal link; otherwise only the crawled URLs count.
+     */
+    brokenLinkCheck(pages, crawlData) {
+        const broken = crawlData.linkCheck
+            ? crawlData.linkCheck.links
+                .filter(link => link.broken && link.internal)
+                .map(link => ({ url: link.url, reason: link.status || link.error, referrers: link.referrers.map(referrer => referrer.url) }))
+            : (crawlData.errors || [])
+                .filter(error => error.status >= 400 || (!error.status && error.type === 'fatal'))
+                .map(error => ({
+                    url: error.url,
+                    reason: error.status || error.error,
+                    referrers: pages.filter(page => (page.links || []).includes(error.url)).map(page => page.url)
+                }));
+        const items = broken.map(link => ({
+            url: link.url,
+            detail: `${link.reason}, linked from ${link.referrers.length} page${link.referrers.length === 1 ? '' : 's'}`,
+            urls: link.referrers
+        }));
+        // The broken URLs are not pages, so the pages linking to them are the ones affected
+        return this.check('broken-links', 'Broken internal links', 'error', pages, items,
+            'Fix or remove links to missing pages, or redirect the old URLs');
+    }
+
+    /**
+     * Fewest clicks from a start page (depth 0) to each page over the
+     * crawled links; pages not reachable that way keep their crawl depth
+     */
+    getClickDepths(pages) {
+        const byUrl = new Map();
+        pages.forEach(page => {
+            byUrl.set(page.url, page);
+            (page.aliases || []).forEach(alias => byUrl.set(alias, page));
+        });
+
+        const depths = new Map();
+        let frontier = pages.filter(page => page.depth === 0);
+        frontier.forEach(page => depths.set(page.url, 0));
+        for (let depth = 1; frontier.length > 0; depth++) {
+            const next = [];
+            frontier.forEach(page => (page.links || []).forEach(link => {
+                const target = byUrl.get(link);
+                if (target && !depths.has(target.url)) {
+                    depths.set(target.url, depth);
+                    next.push(target);
+                }
+            }));
+            frontier = next;
+        }
+        pages.forEach(page => {
+            if (!depths.has(page.url)) {
+                depths.set(page.url, page.depth || 0);
+            }
+        });
+        return depths;
+    }
+
+    /**
+     * Values (compared case-insensitively) that several pages share, most
+     * shared first
+     */
+    static groupShared(pages, getValue) {
+        const groups = new Map();
+        pages.forEach(page => {
+            const value = (getValue(page) || '').trim();
+            if (value) {
+                const key = value.toLowerCase();
+                if (!groups.has(key)) {
+                    groups.set(key, { value, urls: [] });
+                }
+                groups.get(key).urls.push(page.url);
+            }
+        });
+        return Array.from(groups.values())
+            .filter(group => group.urls.length > 1)
+            .sort((a, b) => b.urls.length - a.urls.length);
+    }
+}
+
+SeoAuditor.SEVERITY_WEIGHTS = SEVERITY_WEIGHTS;
+
+module.exports = SeoAuditor;
@@ -0,0 +1,131 @@
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+const { URL } = require('url');
+
+const DEFAULT_PRIORITY = 0.5;
+const MAX_SITEMAP_SIZE = 50 * 1024 * 1024; // The protocol's limit for an uncompressed sitemap
+
+/**
+ * Reads page URLs from XML sitemaps (https://www.sitemaps.org/protocol.html),
+ * following sitemap index files and unpacking gzipped sitemaps
+ */
+class SitemapParser {
+    constructor(options = {}) {
+        this.fetcher = options.fetcher;
+        this.logger = options.logger || null;
+        this.maxSitemaps = options.maxSitemaps || 50; // Guards against huge or cyclic sitemap indexes
+        this.maxSitemapSize = options.maxSitemapSize || MAX_SITEMAP_SIZE; // Guards against gzip bombs
+    }
+
+    /**
+     * Sitemaps for a site: those declared in robots.txt, else /sitemap.xml
+     */
+    async discover(startUrl, robots) {
+        const declared = robots ? await robots.getSitemaps(startUrl) : [];
+        return declared.length > 0 ? declared : [`${new URL(startUrl).origin}/sitemap.xml`];
+    }
+
+    /**
+     * Fetch sitemaps (and any sitemaps their indexes point to) and return
+     * their page entries, highest priority and most recently modified first
+     */
+    async getEntries(sitemapUrls) {
+        const pending = [...sitemapUrls];
+        const fetched = new Set();
+        const entries = new Map();
+
+        while (pending.length > 0 && fetched.size < this.maxSitemaps) {
+            const sitemapUrl = pending.shift();
+            if (fetched.has(sitemapUrl)) {
+                continue;
+            }
+            fetched.add(sitemapUrl);
+
+            try {
+                // Caps the body as received, including bodies sent with Content-Encoding: gzip
+                const response = await this.fetcher.get(sitemapUrl, {
+                    requestConfig: { responseType: 'arraybuffer', maxContentLength: this.maxSitemapSize }
+                });
+                const { sitemaps, urls } = this.parse(this.decode(response.data));
+                pending.push(...sitemaps);
+                urls.forEach(entry => {
+                    if (!entries.has(entry.url)) {
+                        entries.set(entry.url, entry);
+                    }
+                });
+            } catch (error) {
+                if (this.logger) {
+                    this.logger.warn(`⚠️  Could not read sitemap ${sitemapUrl}: ${error.message}`);
+                }
+            }
+        }
+
+        if (pending.length > 0 && this.logger) {
+            this.logger.warn(`⚠️  Sitemap limit reached - ${pending.length} sitemap(s) not read`);
+        }
+
+        // Array.prototype.sort is stable, so ties keep document order
+        return Array.from(entries.values()).sort((a, b) =>
+            b.priority - a.priority || (b.lastmod ? Date.parse(b.lastmod) : 0) - (a.lastmod ? Date.parse(a.lastmod) : 0)
+        );
+    }
+
+    /**
+     * Page URLs from sitemaps, in crawl order
+     */
+    async getUrls(sitemapUrls) {
+        return (await this.getEntries(sitemapUrls)).map(entry => entry.url);
+    }
+
+    /**
+     * Response body as text, gunzipping it when it is gzip data. Throws
+     * for sitemaps larger than maxSitemapSize once unpacked.
+     */
+    decode(data) {
+        const buffer = Buffer.isBuffer(data) || data instanceof ArrayBuffer ? Buffer.from(data) : Buffer.from(String(data));
+        const isGzip = buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+        const tooLarge = new Error(`sitemap is larger than ${this.maxSitemapSize} bytes`);
+        if (!isGzip) {
+            if (buffer.length > this.maxSitemapSize) {
+                throw tooLarge;
+            }
+            return buffer.toString('utf8');
+        }
+        try {
+            return zlib.gunzipSync(buffer, { maxOutputLength: this.maxSitemapSize }).toString('utf8');
+        } catch (error) {
+            throw error.code === 'ERR_BUFFER_TOO_LARGE' ? tooLarge : error;
+        }
+    }
+
+    /**
+     * Parse a <urlset> or <sitemapindex> document into page entries and child sitemaps
+     */
+    parse(xml) {
+        const $ = cheerio.load(xml, { xmlMode: true });
+        const isHttpUrl = url => /^https?:\/\//i.test(url);
+
+        const sitemaps = $('sitemapindex > sitemap > loc')
+            .map((i, element) => $(element).text().trim())
+            .get()
+            .filter(isHttpUrl);
+
+        const urls = $('urlset > url')
+            .map((i, element) => {
+                const url = $(element).children('loc').text().trim();
+                const lastmod = $(element).children('lastmod').text().trim();
+                const priority = parseFloat($(element).children('priority').text());
+                return {
+                    url,
+                    lastmod: lastmod && !Number.isNaN(Date.parse(lastmod)) ? lastmod : null,
+                    priority: priority >= 0 && priority <= 1 ? priority : DEFAULT_PRIORITY
+                };
+            })
+            .get()
+            .filter(entry => isHttpUrl(entry.url));
+
+        return { sitemaps, urls };
+    }
+}
+
+module.exports = SitemapParser;
@@ -0,0 +1,145 @@
+/**
+ * Porter stemmer for English (M.F. Porter, 1980)
+ */
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANT_SEQ = `${CONSONANT}[^aeiouy]*`;
+const VOWEL_SEQ = `${VOWEL}[aeiou]*`;
+
+const MEASURE_GT_0 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}`);
+const MEASURE_EQ_1 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}(${VOWEL_SEQ})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}${VOWEL_SEQ}${CONSONANT_SEQ}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${CONSONANT_SEQ}${VOWEL}[^aeiouwxy]$`);
+
+const STEP2_SUFFIXES = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+    entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+    iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+const STEP3_SUFFIXES = {
+    icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+function porterStem(word) {
+    if (word.length < 3 || !/^[a-z]+$/.test(word)) {
+        return word;
+    }
+
+    // An initial y is treated as a consonant
+    const initialY = word[0] === 'y';
+    let w = initialY ? 'Y' + word.slice(1) : word;
+    let match;
+
+    // Step 1a: plurals
+    if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+        w = match[1] + match[2];
+    } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+        w = match[1] + match[2];
+    }
+
+    // Step 1b: -eed, -ed, -ing
+    if ((match = /^(.+?)eed$/.exec(w))) {
+        if (MEASURE_GT_0.test(match[1])) {
+            w = w.slice(0, -1);
+        }
+    } else if ((match = /^(.+?)(ed|ing)$/.exec(w))) {
+        const stem = match[1];
+        if (HAS_VOWEL.test(stem)) {
+            w = stem;
+            if (/(at|bl|iz)$/.test(w)) {
+                w += 'e';
+            } else if (/([^aeiouylsz])\1$/.test(w)) {
+                w = w.slice(0, -1);
+            } else if (ENDS_CVC.test(w)) {
+                w += 'e';
+            }
+        }
+    }
+
+    // Step 1c: y -> i
+    if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+        w = match[1] + 'i';
+    }
+
+    // Step 2: double suffixes
+    match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+    if (match && MEASURE_GT_0.test(match[1])) {
+        w = match[1] + STEP2_SUFFIXES[match[2]];
+    }
+
+    // Step 3: -ic-, -full, -ness etc.
+    match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+    if (match && MEASURE_GT_0.test(match[1])) {
+        w = match[1] + STEP3_SUFFIXES[match[2]];
+    }
+
+    // Step 4: remaining suffixes when the stem is long enough
+    if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+        if (MEASURE_GT_1.test(match[1])) {
+            w = match[1];
+        }
+    } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+        const stem = match[1] + match[2];
+        if (MEASURE_GT_1.test(stem)) {
+            w = stem;
+        }
+    }
+
+    // Step 5a: final -e
+    if ((match = /^(.+?)e$/.exec(w))) {
+        const stem = match[1];
+        if (MEASURE_GT_1.test(stem) || (MEASURE_EQ_1.test(stem) && !ENDS_CVC.test(stem))) {
+            w = stem;
+        }
+    }
+
+    // Step 5b: -ll -> -l
+    if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+        w = w.slice(0, -1);
+    }
+
+    return initialY ? 'y' + w.slice(1) : w;
+}
+
+// Built-in stemmers keyed by ISO 639-1 language code
+const STEMMERS = {
+    en: porterStem
+};
+
+/**
+ * Language-aware word normalization. Languages without a registered stemmer
+ * are passed through unchanged.
+ */
+class Stemmer {
+    constructor(options = {}) {
+        this.stemmers = { ...STEMMERS, ...options.stemmers };
+        this.cache = new Map();
+    }
+
+    /**
+     * Register a stemming function (word => stem) for a language
+     */
+    register(language, stemFn) {
+        this.stemmers[language] = stemFn;
+        this.cache.clear();
+    }
+
+    stem(word, language) {
+        const stemFn = this.stemmers[language];
+        if (!stemFn) {
+            return word;
+        }
+
+        const key = `${language}:${word}`;
+        if (!this.cache.has(key)) {
+            this.cache.set(key, stemFn(word));
+        }
+        return this.cache.get(key);
+    }
+}
+
+Stemmer.porterStem = porterStem;
+
+module.exports = Stemmer;
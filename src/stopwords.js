@@ -0,0 +1,87 @@
+/**
+ * Built-in stop-word lists keyed by ISO 639-1 language code.
+ * Lists are intentionally compact: the most frequent function words of each
+ * language, which otherwise dominate word frequency tables.
+ */
+const STOP_WORDS = {
+    en: [
+        'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+        'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could', 'did',
+        'didn', 'do', 'does', 'doesn', 'doing', 'don', 'down', 'during', 'each', 'etc', 'few', 'for', 'from', 'further',
+        'get', 'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his',
+        'how', 'i', 'if', 'in', 'into', 'is', 'isn', 'it', 'its', 'itself', 'just', 'let', 'like', 'may', 'me', 'might',
+        'more', 'most', 'much', 'must', 'my', 'myself', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'one',
+        'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own', 'same', 'she', 'should', 'so', 'some',
+        'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they',
+        'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'upon', 'us', 'very', 'via', 'was', 'wasn',
+        'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'won', 'would',
+        'you', 'your', 'yours', 'yourself', 'yourselves'
+    ],
+    es: [
+        'al', 'algo', 'como', 'con', 'cual', 'cuando', 'de', 'del', 'desde', 'donde', 'el', 'ella', 'ellas', 'ellos',
+        'en', 'entre', 'era', 'es', 'esa', 'ese', 'eso', 'esta', 'está', 'este', 'esto', 'estos', 'fue', 'ha', 'han',
+        'hay', 'la', 'las', 'le', 'les', 'lo', 'los', 'mas', 'más', 'me', 'mi', 'muy', 'ni', 'no', 'nos', 'o', 'otro',
+        'para', 'pero', 'por', 'porque', 'que', 'qué', 'se', 'ser', 'si', 'sí', 'sin', 'sobre', 'son', 'su', 'sus',
+        'también', 'te', 'todo', 'todos', 'tu', 'un', 'una', 'uno', 'unos', 'y', 'ya', 'yo'
+    ],
+    fr: [
+        'au', 'aux', 'avec', 'ce', 'ces', 'cette', 'comme', 'dans', 'de', 'des', 'du', 'elle', 'elles', 'en', 'est',
+        'et', 'été', 'être', 'eu', 'il', 'ils', 'je', 'la', 'le', 'les', 'leur', 'leurs', 'lui', 'mais', 'me', 'même',
+        'mes', 'moi', 'mon', 'ne', 'nos', 'notre', 'nous', 'on', 'ou', 'où', 'par', 'pas', 'plus', 'pour', 'qu', 'que',
+        'qui', 'sa', 'sans', 'se', 'ses', 'son', 'sont', 'sur', 'ta', 'te', 'tes', 'toi', 'ton', 'tout', 'tous', 'tu',
+        'un', 'une', 'vos', 'votre', 'vous', 'y'
+    ],
+    de: [
+        'aber', 'als', 'am', 'an', 'auch', 'auf', 'aus', 'bei', 'bin', 'bis', 'bist', 'da', 'damit', 'dann', 'das',
+        'dass', 'dem', 'den', 'der', 'des', 'die', 'dies', 'diese', 'dieser', 'doch', 'du', 'durch', 'ein', 'eine',
+        'einem', 'einen', 'einer', 'es', 'für', 'hat', 'hatte', 'ich', 'ihr', 'ihre', 'im', 'in', 'ist', 'ja', 'kann',
+        'kein', 'keine', 'man', 'mit', 'nach', 'nicht', 'noch', 'nur', 'oder', 'sein', 'sich', 'sie', 'sind', 'so',
+        'über', 'um', 'und', 'uns', 'unter', 'vom', 'von', 'vor', 'war', 'was', 'wenn', 'werden', 'wie', 'wir', 'wird',
+        'zu', 'zum', 'zur'
+    ],
+    it: [
+        'a', 'al', 'alla', 'anche', 'che', 'chi', 'come', 'con', 'da', 'dal', 'dei', 'del', 'della', 'delle', 'di',
+        'e', 'è', 'gli', 'ha', 'hanno', 'i', 'il', 'in', 'io', 'la', 'le', 'lei', 'lo', 'loro', 'lui', 'ma', 'mi',
+        'nel', 'nella', 'non', 'noi', 'o', 'per', 'più', 'questo', 'questa', 'quello', 'se', 'si', 'sono', 'su',
+        'sua', 'suo', 'sulla', 'tra', 'tu', 'un', 'una', 'uno', 'voi'
+    ],
+    pt: [
+        'a', 'ao', 'aos', 'as', 'até', 'com', 'como', 'da', 'das', 'de', 'dele', 'do', 'dos', 'e', 'é', 'ela', 'ele',
+        'eles', 'em', 'entre', 'era', 'essa', 'esse', 'esta', 'está', 'este', 'eu', 'foi', 'há', 'isso', 'já', 'lhe',
+        'mais', 'mas', 'me', 'muito', 'na', 'não', 'nas', 'nem', 'no', 'nos', 'num', 'numa', 'o', 'os', 'ou', 'para',
+        'pela', 'pelo', 'por', 'quando', 'que', 'se', 'sem', 'ser', 'seu', 'sua', 'são', 'também', 'te', 'um', 'uma',
+        'você'
+    ],
+    nl: [
+        'aan', 'al', 'als', 'bij', 'dat', 'de', 'den', 'der', 'deze', 'die', 'dit', 'door', 'een', 'en', 'er', 'had',
+        'heb', 'hebben', 'heeft', 'het', 'hij', 'hoe', 'hun', 'ik', 'in', 'is', 'je', 'kan', 'maar', 'me', 'met', 'mij',
+        'naar', 'niet', 'nog', 'nu', 'of', 'om', 'ons', 'ook', 'op', 'over', 'te', 'tot', 'uit', 'van', 'voor', 'was',
+        'wat', 'we', 'wel', 'werd', 'wij', 'wordt', 'zal', 'ze', 'zich', 'zijn', 'zo', 'zou'
+    ],
+    ru: [
+        'а', 'без', 'бы', 'был', 'была', 'были', 'было', 'в', 'вам', 'вас', 'весь', 'во', 'вот', 'все', 'всё', 'вы',
+        'где', 'да', 'для', 'до', 'его', 'ее', 'её', 'если', 'есть', 'же', 'за', 'и', 'из', 'или', 'им', 'их', 'к',
+        'как', 'когда', 'ко', 'кто', 'ли', 'мы', 'на', 'над', 'не', 'него', 'нет', 'ни', 'но', 'о', 'об', 'он', 'она',
+        'они', 'оно', 'от', 'по', 'под', 'при', 'с', 'со', 'так', 'также', 'то', 'только', 'тот', 'у', 'уже', 'чем',
+        'что', 'это', 'этот', 'я'
+    ],
+    ar: [
+        'أن', 'أو', 'إلى', 'إن', 'التي', 'الذي', 'الذين', 'ثم', 'حتى', 'على', 'عن', 'عند', 'في', 'قد', 'كان', 'كانت',
+        'كل', 'لا', 'لم', 'لن', 'له', 'لها', 'ما', 'مع', 'من', 'هذا', 'هذه', 'هو', 'هي', 'و', 'ولا', 'وهو', 'وهي',
+        'يا', 'بين', 'بعد', 'قبل', 'ذلك', 'تلك', 'كما', 'أي', 'غير', 'منذ', 'هناك'
+    ],
+    zh: [
+        '的', '了', '和', '是', '在', '我', '有', '他', '这', '中', '大', '来', '上', '个', '们', '到', '说', '也', '就',
+        '你', '要', '会', '对', '与', '而', '为', '以', '及', '等', '或', '被', '从', '但', '都', '把', '这个', '那个',
+        '我们', '你们', '他们', '她们', '它们', '一个', '没有', '什么', '因为', '所以', '如果', '可以', '已经', '还是'
+    ],
+    ja: [
+        'の', 'に', 'は', 'を', 'た', 'が', 'で', 'て', 'と', 'し', 'れ', 'さ', 'ある', 'いる', 'も', 'する', 'から',
+        'な', 'こと', 'として', 'い', 'や', 'れる', 'など', 'なっ', 'ない', 'この', 'ため', 'その', 'あっ', 'よう',
+        'また', 'もの', 'という', 'あり', 'まで', 'られ', 'なる', 'へ', 'か', 'だ', 'これ', 'によって', 'により',
+        'おり', 'より', 'による', 'ず', 'なり', 'られる', 'において', 'ば', 'なかっ', 'なく', 'しかし', 'について',
+        'です', 'ます', 'でき', 'それ'
+    ]
+};
+
+module.exports = STOP_WORDS;
@@ -0,0 +1,85 @@
+/**
+ * Built-in topic taxonomies. Each category maps keywords to weights; a weight
+ * of 3 marks a strong signal for the category, 1 a weak one. Multi-word
+ * keywords match crawled phrases (when ngrams are enabled).
+ */
+const TAXONOMIES = {
+    general: {
+        'Business/Commerce': {
+            business: 3, company: 2, service: 1, services: 1, product: 2, products: 2, customer: 3, customers: 3,
+            market: 2, sales: 2, pricing: 2, enterprise: 2, revenue: 3, partners: 1, industry: 1
+        },
+        'Technology': {
+            technology: 3, software: 3, data: 2, system: 1, digital: 2, tech: 3, cloud: 2, code: 2, developer: 3,
+            api: 3, platform: 1, computer: 2, internet: 1, app: 1, security: 1, programming: 3
+        },
+        'News/Information': {
+            news: 3, report: 2, article: 2, story: 2, update: 1, information: 1, breaking: 3, press: 2,
+            published: 2, editor: 2, headline: 3, journalist: 3
+        },
+        'Education': {
+            education: 3, learn: 2, learning: 2, course: 3, courses: 3, student: 3, students: 3, school: 3,
+            university: 3, teacher: 3, tutorial: 2, lesson: 2, research: 1
+        },
+        'Health': {
+            health: 3, medical: 3, patient: 3, patients: 3, doctor: 3, care: 1, treatment: 3, disease: 3,
+            clinical: 3, hospital: 3, wellness: 2, symptoms: 3
+        },
+        'Finance': {
+            finance: 3, financial: 3, bank: 3, banking: 3, investment: 3, loan: 3, credit: 2, insurance: 2,
+            tax: 2, stock: 2, fund: 2, payment: 1
+        },
+        'Travel': {
+            travel: 3, hotel: 3, flight: 3, booking: 2, destination: 3, trip: 2, tour: 2, vacation: 3, airport: 2
+        },
+        'Entertainment': {
+            music: 3, movie: 3, film: 3, game: 2, games: 2, video: 1, entertainment: 3, show: 1, artist: 2, album: 3
+        },
+        'Sports': {
+            sport: 3, sports: 3, team: 1, league: 3, match: 2, player: 2, season: 1, championship: 3, score: 1
+        },
+        'Government/Legal': {
+            government: 3, public: 1, policy: 2, law: 3, legal: 3, court: 3, regulation: 3, council: 2,
+            election: 3, rights: 1
+        }
+    },
+    ecommerce: {
+        'Product Listing': {
+            product: 3, products: 3, price: 3, shop: 2, buy: 3, stock: 2, size: 1, colour: 1, color: 1,
+            'add to cart': 3, 'back in stock': 3
+        },
+        'Checkout/Cart': {
+            cart: 3, checkout: 3, basket: 3, payment: 2, order: 2, coupon: 2, 'shopping cart': 3
+        },
+        'Shipping/Returns': {
+            shipping: 3, delivery: 3, returns: 3, refund: 3, tracking: 2, 'free shipping': 3
+        },
+        'Customer Support': {
+            support: 3, help: 2, contact: 2, faq: 3, question: 1, questions: 1, 'customer service': 3
+        },
+        'Reviews': {
+            review: 3, reviews: 3, rating: 3, stars: 2, recommend: 1, 'customer reviews': 3
+        }
+    },
+    software: {
+        'Documentation': {
+            documentation: 3, docs: 3, guide: 2, reference: 2, tutorial: 2, example: 1, examples: 1,
+            parameter: 3, parameters: 3, 'getting started': 3
+        },
+        'API': {
+            api: 3, endpoint: 3, endpoints: 3, request: 2, response: 2, json: 2, authentication: 2, token: 1,
+            'rest api': 3
+        },
+        'Release Notes': {
+            release: 3, changelog: 3, version: 2, fixed: 2, deprecated: 3, breaking: 2, 'release notes': 3
+        },
+        'Pricing/Plans': {
+            pricing: 3, plan: 2, plans: 2, free: 1, trial: 3, subscription: 3, billing: 2, enterprise: 1
+        },
+        'Community/Blog': {
+            blog: 3, community: 3, forum: 3, post: 1, posts: 1, discussion: 2, contribute: 2, author: 1
+        }
+    }
+};
+
+module.exports = TAXONOMIES;
@@ -0,0 +1,213 @@
+const STOP_WORDS = require('./stopwords');
+
+// Scripts written without spaces between words need dictionary segmentation
+const NO_SPACE_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+const WORD_RUN = /[\p{L}\p{M}\p{N}]+/gu;
+const NUMBER_ONLY = /^\p{N}+$/u;
+
+// Punctuation that ends a phrase; n-grams never span these
+const PHRASE_BOUNDARY = /[.!?;:,()[\]{}"“”«»|•·\u3001\u3002\uFF01\uFF0C\uFF1F\n\r\t]+/u;
+
+// Non-Latin scripts and the language assumed when they dominate a page
+const SCRIPT_LANGUAGES = [
+    { language: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu },
+    { language: 'zh', pattern: /\p{Script=Han}/gu },
+    { language: 'ko', pattern: /\p{Script=Hangul}/gu },
+    { language: 'ru', pattern: /\p{Script=Cyrillic}/gu },
+    { language: 'ar', pattern: /\p{Script=Arabic}/gu },
+    { language: 'el', pattern: /\p{Script=Greek}/gu },
+    { language: 'he', pattern: /\p{Script=Hebrew}/gu },
+    { language: 'th', pattern: /\p{Script=Thai}/gu },
+    { language: 'hi', pattern: /\p{Script=Devanagari}/gu }
+];
+const LATIN = /\p{Script=Latin}/gu;
+
+class Tokenizer {
+    constructor(options = {}) {
+        this.minWordLength = options.minWordLength || 3;
+        this.maxWordLength = options.maxWordLength || 50;
+        this.excludeCommonWords = options.excludeCommonWords !== false;
+        this.language = options.language && options.language !== 'auto' ? options.language : null;
+        this.defaultLanguage = options.defaultLanguage || 'en';
+        this.segmenters = new Map();
+
+        // Built-in lists plus any user-supplied ones ({ en: [...], xx: [...] })
+        this.stopWords = new Map();
+        Object.entries(STOP_WORDS).forEach(([language, words]) => this.addStopWords(language, words));
+        Object.entries(options.stopWords || {}).forEach(([language, words]) => this.addStopWords(language, words));
+    }
+
+    /**
+     * Register additional stop words for a language
+     */
+    addStopWords(language, words) {
+        const list = this.stopWords.get(language) || new Set();
+        words.forEach(word => list.add(word.toLowerCase()));
+        this.stopWords.set(language, list);
+    }
+
+    isStopWord(word, language) {
+        const list = this.stopWords.get(language);
+        return Boolean(list && list.has(word));
+    }
+
+    /**
+     * Detect a page's language from its declared <html lang> or, failing that,
+     * from the dominant script and stop-word overlap of its text
+     */
+    detectLanguage(text, declaredLanguage) {
+        if (this.language) {
+            return this.language;
+        }
+
+        const declared = (declaredLanguage || '').trim().toLowerCase().split(/[-_]/)[0];
+        if (/^[a-z]{2,3}$/.test(declared)) {
+            return declared;
+        }
+
+        const sample = (text || '').slice(0, 5000);
+        const latinCount = (sample.match(LATIN) || []).length;
+
+        // Japanese mixes kana with Han, so kana presence wins over Han counts
+        let best = { language: null, count: latinCount };
+        for (const { language, pattern } of SCRIPT_LANGUAGES) {
+            const count = (sample.match(pattern) || []).length;
+            if (language === 'ja' && count > 0 && count * 10 >= latinCount) {
+                return 'ja';
+            }
+            if (count > best.count) {
+                best = { language, count };
+            }
+        }
+        if (best.language) {
+            return best.language;
+        }
+
+        // Latin script: pick the language whose stop words occur most often
+        const words = sample.toLowerCase().match(WORD_RUN) || [];
+        let bestLanguage = this.defaultLanguage;
+        let bestHits = 0;
+        this.stopWords.forEach((list, language) => {
+            const hits = words.filter(word => list.has(word)).length;
+            if (hits > bestHits) {
+                bestLanguage = language;
+                bestHits = hits;
+            }
+        });
+
+        return bestLanguage;
+    }
+
+    /**
+     * Split text into lowercase word tokens, keeping letters of any script
+     */
+    tokenize(text, language = this.defaultLanguage) {
+        return this.splitWords((text || '').normalize('NFC').toLowerCase(), language)
+            .filter(token => this.isCountable(token, language));
+    }
+
+    /**
+     * Split already-normalized text into raw word tokens, without filtering
+     */
+    splitWords(text, language) {
+        const runs = text.match(WORD_RUN) || [];
+        const tokens = [];
+
+        for (const run of runs) {
+            if (NO_SPACE_SCRIPT.test(run)) {
+                tokens.push(...this.segment(run, language));
+            } else {
+                tokens.push(run);
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Segment CJK/Thai runs into words, with character bigrams as fallback
+     */
+    segment(run, language) {
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            if (!this.segmenters.has(language)) {
+                this.segmenters.set(language, new Intl.Segmenter(language, { granularity: 'word' }));
+            }
+            return Array.from(this.segmenters.get(language).segment(run))
+                .filter(segment => segment.isWordLike)
+                .map(segment => segment.segment);
+        }
+
+        const chars = Array.from(run);
+        if (chars.length < 3) {
+            return [run];
+        }
+        return chars.slice(0, -1).map((char, i) => char + chars[i + 1]);
+    }
+
+    /**
+     * Length and number filtering shared by words and phrase edges
+     */
+    isWordShaped(token) {
+        // Characters carry far more meaning in CJK/Thai, so two suffice there
+        const length = Array.from(token).length;
+        const minLength = NO_SPACE_SCRIPT.test(token) ? Math.min(2, this.minWordLength) : this.minWordLength;
+
+        return length >= minLength && length < this.maxWordLength && !NUMBER_ONLY.test(token);
+    }
+
+    /**
+     * Length, number and stop-word filtering
+     */
+    isCountable(token, language) {
+        return this.isWordShaped(token) && !(this.excludeCommonWords && this.isStopWord(token, language));
+    }
+
+    /**
+     * Whether a token may start or end a phrase. Stop words are always
+     * excluded here, so "of the" never counts but "terms of service" does.
+     */
+    isPhraseEdge(token, language) {
+        return this.isWordShaped(token) && !this.isStopWord(token, language);
+    }
+
+    /**
+     * Count n-gram (phrase) frequency in text, e.g. sizes [2, 3] for bigrams and trigrams
+     */
+    countNgrams(text, language, sizes = [2, 3]) {
+        const phraseCount = Object.create(null);
+        const segments = (text || '').normalize('NFC').toLowerCase().split(PHRASE_BOUNDARY);
+
+        for (const segment of segments) {
+            const tokens = this.splitWords(segment, language);
+
+            for (const n of sizes) {
+                for (let i = 0; i + n <= tokens.length; i++) {
+                    const gram = tokens.slice(i, i + n);
+                    if (!this.isPhraseEdge(gram[0], language) ||
+                        !this.isPhraseEdge(gram[n - 1], language) ||
+                        gram.some(token => NUMBER_ONLY.test(token))) {
+                        continue;
+                    }
+                    const phrase = gram.join(' ');
+                    phraseCount[phrase] = (phraseCount[phrase] || 0) + 1;
+                }
+            }
+        }
+
+        return phraseCount;
+    }
+
+    /**
+     * Count word frequency in text. The counts have no prototype, so words
+     * such as "constructor" start from zero.
+     */
+    countWords(text, language) {
+        const wordCount = Object.create(null);
+        for (const word of this.tokenize(text, language)) {
+            wordCount[word] = (wordCount[word] || 0) + 1;
+        }
+        return wordCount;
+    }
+}
+
+module.exports = Tokenizer;
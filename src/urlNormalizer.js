@@ -0,0 +1,115 @@
+const { URL } = require('url');
+
+// Query parameters that only track campaigns or sessions and never change page content
+const TRACKING_PARAMS = new Set([
+    'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'fbclid', 'msclkid', 'yclid', 'twclid', 'ttclid', 'igshid',
+    'li_fat_id', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'phpsessid', 'jsessionid', 'sid'
+]);
+const TRACKING_PREFIXES = ['utm_'];
+
+const UNRESERVED = /[A-Za-z0-9\-._~]/;
+
+/**
+ * Normalizes URLs so that variants of the same page share one key:
+ * fragments and tracking parameters are dropped, query parameters sorted,
+ * percent-encoding and trailing slashes normalized, and http/https variants
+ * of a host collapsed onto the scheme first seen for it.
+ */
+class UrlNormalizer {
+    constructor(options = {}) {
+        // true for every host, or a list of hosts that serve paths case-insensitively
+        this.lowercasePaths = options.lowercasePaths || false;
+        this.trackingParams = new Set([...TRACKING_PARAMS, ...(options.trackingParams || [])]);
+        this.schemes = new Map(); // host -> first scheme seen
+    }
+
+    /**
+     * Normalize an absolute or relative (to base) URL. Returns null for
+     * invalid and non-HTTP(S) URLs.
+     */
+    normalize(href, base) {
+        let url;
+        try {
+            url = new URL(href, base);
+        } catch (error) {
+            return null;
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return null;
+        }
+
+        url.hash = '';
+        url.hostname = url.hostname.replace(/\.$/, '');
+
+        const knownScheme = this.schemes.get(url.hostname);
+        if (knownScheme) {
+            url.protocol = knownScheme;
+        } else {
+            this.schemes.set(url.hostname, url.protocol);
+        }
+
+        let pathname = this.normalizeEncoding(url.pathname).replace(/\/{2,}/g, '/');
+        if (pathname.length > 1 && pathname.endsWith('/')) {
+            pathname = pathname.slice(0, -1);
+        }
+        if (this.lowercasePaths === true ||
+            (Array.isArray(this.lowercasePaths) && this.lowercasePaths.includes(url.hostname))) {
+            pathname = pathname.toLowerCase();
+        }
+        url.pathname = pathname;
+
+        // Work on the raw query string so values keep their original encoding
+        const params = url.search.slice(1).split('&')
+            .filter(param => param && !this.isTrackingParam(param.split('=')[0]))
+            .map(param => this.normalizeEncoding(param))
+            .sort((a, b) => {
+                const keyA = a.split('=')[0];
+                const keyB = b.split('=')[0];
+                return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+            });
+        url.search = params.length > 0 ? `?${params.join('&')}` : '';
+
+        return url.toString();
+    }
+
+    /**
+     * Resolve an absolute or relative (to base) URL without normalizing it,
+     * dropping only the fragment: the URL to request for a link. Returns
+     * null for invalid and non-HTTP(S) URLs.
+     */
+    static resolve(href, base) {
+        let url;
+        try {
+            url = new URL(href, base);
+        } catch (error) {
+            return null;
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return null;
+        }
+        url.hash = '';
+        return url.toString();
+    }
+
+    isTrackingParam(key) {
+        let name;
+        try {
+            name = decodeURIComponent(key).toLowerCase();
+        } catch (error) {
+            name = key.toLowerCase();
+        }
+        return this.trackingParams.has(name) || TRACKING_PREFIXES.some(prefix => name.startsWith(prefix));
+    }
+
+    /**
+     * Decode percent-escapes of unreserved characters and uppercase the rest
+     */
+    normalizeEncoding(value) {
+        return value.replace(/%([0-9a-fA-F]{2})/g, (match, hex) => {
+            const char = String.fromCharCode(parseInt(hex, 16));
+            return UNRESERVED.test(char) ? char : `%${hex.toUpperCase()}`;
+        });
+    }
+}
+
+module.exports = UrlNormalizer;
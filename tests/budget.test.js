@@ -0,0 +1,81 @@
+const CrawlBudget = require('../src/budget');
+const WebCrawler = require('../src/WebCrawler');
+const ConcurrentWebCrawler = require('../src/ConcurrentWebCrawler');
+const { mockFetcher } = require('./helpers/mockFetcher');
+
+// A home page linking to five pages on the same host
+function mockSite() {
+    const routes = {
+        'https://example.com/robots.txt': 'User-agent: *\nAllow: /',
+        'https://example.com/': `<html><body><p>Home page</p>${[1, 2, 3, 4, 5].map(i => `<a href="/page${i}">Page ${i}</a>`).join('')}</body></html>`
+    };
+    [1, 2, 3, 4, 5].forEach(i => {
+        routes[`https://example.com/page${i}`] = `<html><body><p>Page number ${i}</p></body></html>`;
+    });
+    return mockFetcher(routes);
+}
+
+describe('CrawlBudget', () => {
+    test('should reserve pages up to the global and per-host budgets', () => {
+        const budget = new CrawlBudget({ maxPages: 3, maxPagesPerDomain: 2 });
+
+        expect(budget.reserve('https://a.com/1')).toBeNull();
+        expect(budget.reserve('https://a.com/2')).toBeNull();
+        expect(budget.reserve('https://a.com/3')).toBe('maxPagesPerDomain');
+        expect(budget.reserve('https://b.com/1')).toBeNull();
+        expect(budget.reserve('https://b.com/2')).toBe('maxPages');
+
+        // A failed fetch gives its reservation back
+        budget.release('https://b.com/1');
+        expect(budget.reserve('https://b.com/2')).toBeNull();
+        expect(budget.getSummary()).toMatchObject({ pagesPerHost: { 'a.com': 2, 'b.com': 1 }, skippedUrls: 1 });
+    });
+
+    test('should stop on the download and time budgets', () => {
+        const bytes = new CrawlBudget({ maxBytes: 10 });
+        bytes.recordResponse({ data: 'ünïcode' });
+        expect(bytes.reserve('https://a.com/')).toBeNull();
+        bytes.recordResponse({ data: {}, headers: { 'content-length': '5' } });
+        expect(bytes.bytesDownloaded).toBe(14);
+        expect(bytes.reserve('https://a.com/next')).toBe('maxBytes');
+
+        const time = new CrawlBudget({ maxDuration: 1000, startTime: Date.now() - 2000 });
+        expect(time.reserve('https://a.com/')).toBe('maxDuration');
+        expect(new CrawlBudget().reserve('https://a.com/')).toBeNull();
+    });
+});
+
+describe('Crawl budgets', () => {
+    test('should never exceed the page budget with concurrent workers', async () => {
+        const crawler = new ConcurrentWebCrawler({
+            fetcher: mockSite(), maxPages: 3, concurrency: 4, delay: 0, maxLinksPerPage: 10,
+            logLevel: 'silent', enableCheckpoints: false
+        });
+        await crawler.crawl('https://example.com/');
+
+        expect(crawler.crawlData).toHaveLength(3);
+        expect(crawler.stopReason).toBe('maxPages');
+        expect(crawler.frontier.size).toBeGreaterThan(0);
+    });
+
+    test('should skip URLs beyond the per-host budget and record why the crawl ended', async () => {
+        const crawler = new ConcurrentWebCrawler({
+            fetcher: mockSite(), maxPagesPerDomain: 4, concurrency: 2, delay: 0, maxLinksPerPage: 10,
+            logLevel: 'silent', enableCheckpoints: false
+        });
+        await crawler.crawl('https://example.com/');
+
+        expect(crawler.crawlData).toHaveLength(4);
+        expect(crawler.stopReason).toBe('maxPagesPerDomain');
+        expect(crawler.budget.getSummary().skippedUrls).toBe(2);
+    });
+
+    test('should stop a sequential crawl once the download budget is used', async () => {
+        const crawler = new WebCrawler({ fetcher: mockSite(), maxBytes: 300, delay: 0, logLevel: 'silent' });
+        await crawler.crawl('https://example.com/');
+
+        expect(crawler.stopReason).toBe('maxBytes');
+        expect(crawler.crawlData.length).toBeLessThan(6);
+        expect(crawler.budget.bytesDownloaded).toBeGreaterThanOrEqual(300);
+    });
+});
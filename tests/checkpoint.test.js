@@ -0,0 +1,120 @@
+const ConcurrentWebCrawler = require('../src/ConcurrentWebCrawler');
+const CheckpointManager = require('../src/CheckpointManager');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('Checkpointing', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'crawler-checkpoint-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(tempDir);
+    });
+
+    test('should snapshot the frontier and put in-flight URLs back in the queue', () => {
+        const crawler = new ConcurrentWebCrawler({ maxDepth: 2 });
+        crawler.startUrl = 'https://example.com';
+        crawler.visitedUrls = new Set(['https://example.com', 'https://example.com/busy']);
+        crawler.inFlightUrls.set('https://example.com/busy', 1);
+        crawler.frontier.push({ url: 'https://example.com/next', depth: 1 });
+
+        const state = crawler.getCheckpointState();
+        expect(state.visitedUrls).toEqual(['https://example.com']);
+        expect(state.urlQueue).toEqual([
+            { url: 'https://example.com/busy', depth: 1 },
+            { url: 'https://example.com/next', depth: 1 }
+        ]);
+    });
+
+    test('should restore crawl state from a saved checkpoint', async () => {
+        const checkpointFile = path.join(tempDir, 'checkpoint-test.json');
+        const crawler = new ConcurrentWebCrawler({ maxDepth: 3, checkpointFile });
+        crawler.startUrl = 'https://example.com';
+        crawler.visitedUrls.add('https://example.com');
+        crawler.frontier.push({ url: 'https://example.com/about', depth: 1 });
+        crawler.updateSharedData({ url: 'https://example.com', totalWords: 3, linkCount: 1 }, { crawl: 2, data: 1 });
+
+        expect(await crawler.saveCheckpoint()).toBe(checkpointFile);
+
+        const resumed = new ConcurrentWebCrawler({ maxDepth: 1 });
+        resumed.restoreState(await resumed.checkpointManager.load(checkpointFile));
+
+        expect(resumed.startUrl).toBe('https://example.com');
+        expect(resumed.maxDepth).toBe(3);
+        expect(resumed.visitedUrls.has('https://example.com')).toBe(true);
+        expect(resumed.frontier.toArray()).toEqual([{ url: 'https://example.com/about', depth: 1 }]);
+        expect(resumed.wordFrequency.get('crawl')).toBe(2);
+        expect(resumed.totalWords).toBe(3);
+        expect(resumed.totalPages).toBe(1);
+        expect(resumed.metrics.wordsPerPage).toEqual([3]);
+    });
+
+    test('should remove the checkpoint when a resumed crawl completes', async () => {
+        const checkpointFile = path.join(tempDir, 'checkpoint-done.json');
+        const crawler = new ConcurrentWebCrawler({ checkpointFile, progressCallback: () => {} });
+        crawler.startUrl = 'https://example.com';
+        await crawler.saveCheckpoint();
+
+        const resumed = new ConcurrentWebCrawler({ progressCallback: () => {} });
+        await resumed.resume(checkpointFile);
+
+        expect(await fs.pathExists(checkpointFile)).toBe(false);
+    });
+
+    test('should report a loaded checkpoint\'s settings before resuming it', async () => {
+        const checkpointFile = path.join(tempDir, 'checkpoint-depth.json');
+        const crawler = new ConcurrentWebCrawler({ maxDepth: 4, checkpointFile, progressCallback: () => {} });
+        crawler.startUrl = 'https://example.com';
+        await crawler.saveCheckpoint();
+
+        const resumed = new ConcurrentWebCrawler({ maxDepth: 2, logLevel: 'silent', progressCallback: () => {} });
+        await resumed.loadCheckpoint(checkpointFile);
+        expect(resumed.maxDepth).toBe(4);
+
+        await resumed.resume();
+        expect(resumed.startUrl).toBe('https://example.com');
+        expect(await fs.pathExists(checkpointFile)).toBe(false);
+    });
+
+    test('should not crawl a page twice when resuming from a periodic checkpoint', async () => {
+        const links = {
+            'https://example.com/': '<a href="/p0">P0</a> <a href="/p1">P1</a> <a href="/p2">P2</a>'
+        };
+        const fetcher = {
+            get: jest.fn(async url => ({ status: 200, data: `<html><body><p>${links[url] || 'Leaf page'}</p></body></html>`, attempts: 1 }))
+        };
+        const options = { fetcher, concurrency: 2, delay: 0, respectRobotsTxt: false, logLevel: 'silent', progressCallback: () => {} };
+
+        const crawler = new ConcurrentWebCrawler({ ...options, checkpointInterval: 1, dataDir: tempDir });
+        const snapshots = [];
+        jest.spyOn(crawler.checkpointManager, 'save').mockImplementation(async state => {
+            snapshots.push(JSON.parse(JSON.stringify(state)));
+        });
+        await crawler.crawl('https://example.com/');
+        expect(crawler.totalPages).toBe(4);
+        expect(snapshots).toHaveLength(4);
+
+        for (const snapshot of snapshots) {
+            const resumed = new ConcurrentWebCrawler({ ...options, enableCheckpoints: false });
+            resumed.restoreState(snapshot);
+            await resumed.runWorkers();
+
+            const urls = resumed.crawlData.map(page => page.url);
+            expect(urls.sort()).toEqual(['https://example.com/', 'https://example.com/p0', 'https://example.com/p1', 'https://example.com/p2']);
+            expect(resumed.totalPages).toBe(4);
+        }
+    });
+
+    test('should find the latest checkpoint in the data directory', async () => {
+        await fs.writeJSON(path.join(tempDir, 'checkpoint-2024-01-01T00-00-00.json'), { version: 1 });
+        await fs.writeJSON(path.join(tempDir, 'checkpoint-2024-02-01T00-00-00.json'), { version: 1 });
+
+        const manager = new CheckpointManager({ dataDir: tempDir });
+        const latest = await manager.findLatestCheckpoint();
+        expect(path.basename(latest)).toBe('checkpoint-2024-02-01T00-00-00.json');
+    });
+});
@@ -0,0 +1,94 @@
+const TopicClassifier = require('../src/classifier');
+const DataAnalyzer = require('../src/analyzer');
+const Tokenizer = require('../src/tokenizer');
+const path = require('path');
+
+describe('TopicClassifier', () => {
+    test('should classify pages with confidence from weighted keywords', () => {
+        const classifier = new TopicClassifier({
+            taxonomy: {
+                Billing: { invoice: 3, refund: 2 },
+                Account: ['password', 'login']
+            }
+        });
+
+        const page = classifier.classifyPage({
+            url: 'https://example.com/billing',
+            title: 'Billing help',
+            words: { invoice: 4, refund: 1, password: 1 }
+        });
+        expect(page.topic).toBe('Billing');
+        expect(page.confidence).toBeGreaterThan(0.8);
+        expect(page.topics.map(t => t.topic)).toEqual(['Billing']);
+
+        const unmatched = classifier.classifyPage({ url: 'https://example.com/', words: { welcome: 2 } });
+        expect(unmatched.topic).toBe('General Content');
+        expect(unmatched.confidence).toBe(0);
+    });
+
+    test('should match multi-word keywords against phrases', () => {
+        const classifier = new TopicClassifier({ taxonomy: 'ecommerce' });
+        const [best] = classifier.classify({ delivery: 1 }, { 'free shipping': 3 });
+        expect(best.topic).toBe('Shipping/Returns');
+        expect(best.matches).toEqual(['delivery', 'free shipping']);
+    });
+
+    test('should load taxonomy files and reject invalid ones', async () => {
+        const classifier = await TopicClassifier.load(path.join(__dirname, '..', 'examples', 'taxonomy.json'));
+        expect(classifier.name).toBe('support-site');
+        expect(classifier.categories.get('Product Guides').get('guide')).toBe(1);
+
+        expect(() => new TopicClassifier({ taxonomy: { Empty: [] } })).toThrow('category "Empty" has no keywords');
+        expect(() => new TopicClassifier({ taxonomy: { Bad: { word: -1 } } })).toThrow('positive weight');
+        expect(() => new TopicClassifier({ taxonomy: 'unknown' })).toThrow('Unknown taxonomy');
+        await expect(TopicClassifier.load('missing-taxonomy.json')).rejects.toThrow('Taxonomy file not found');
+    });
+
+    test('should only use keywords the tokenizer can count', async () => {
+        // Phrases never start or end with a stop word, so "not working" would never match
+        const tokenizer = new Tokenizer({ excludeCommonWords: true });
+        const example = await TopicClassifier.load(path.join(__dirname, '..', 'examples', 'taxonomy.json'));
+        const classifiers = [example, ...Object.keys(TopicClassifier.TAXONOMIES).map(taxonomy => new TopicClassifier({ taxonomy }))];
+
+        classifiers.forEach(classifier => classifier.categories.forEach(keywords => keywords.forEach((weight, keyword) => {
+            const counts = keyword.includes(' ') ? tokenizer.countNgrams(keyword, 'en') : tokenizer.countWords(keyword, 'en');
+            expect([classifier.name, keyword, counts[keyword]]).toEqual([classifier.name, keyword, 1]);
+        })));
+
+        const text = 'The app stopped working after the update';
+        const [best] = example.classify(tokenizer.countWords(text, 'en'), tokenizer.countNgrams(text, 'en'));
+        expect(best).toMatchObject({ topic: 'Troubleshooting', matches: ['stopped working'] });
+    });
+
+    test('should report site topics and per-page classifications in the analyzer', () => {
+        const analyzer = new DataAnalyzer({ logLevel: 'silent' });
+        const topics = analyzer.analyzeTopics({
+            pages: [
+                { url: 'https://example.com/a', title: 'Courses', words: { course: 5, students: 2 } },
+                { url: 'https://example.com/b', title: 'Clinic', words: { patients: 3, treatment: 2 } },
+                { url: 'https://example.com/c', title: 'Lessons', words: { lesson: 4, teacher: 1 } }
+            ],
+            topWords: []
+        });
+
+        expect(topics.taxonomy).toBe('general');
+        expect(topics.siteTopics[0].topic).toBe('Education');
+        expect(topics.distribution).toEqual({ Education: 2, Health: 1 });
+        expect(topics.pageTopics[1]).toMatchObject({ url: 'https://example.com/b', topic: 'Health' });
+    });
+
+    test('should score keywords named like Object.prototype members', () => {
+        const classifier = new TopicClassifier({ taxonomy: { Building: ['constructor', 'builder'], Text: ['tostring'] } });
+        const analyzer = new DataAnalyzer({ classifier, logLevel: 'silent' });
+        const topics = analyzer.analyzeTopics({
+            pages: [
+                { url: 'https://example.com/a', words: { constructor: 2, builder: 1 } },
+                { url: 'https://example.com/b', words: { constructor: 1 } }
+            ],
+            topWords: []
+        });
+
+        expect(topics.siteTopics).toEqual([expect.objectContaining({ topic: 'Building', matches: ['constructor', 'builder'] })]);
+        expect(topics.pageTopics[1]).toMatchObject({ topic: 'Building', topics: [{ topic: 'Building', matches: ['constructor'] }] });
+    });
+});
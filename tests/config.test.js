@@ -0,0 +1,133 @@
+const { loadConfig, validateConfig, parseSize, toCrawlerOptions } = require('../src/config');
+const WebCrawler = require('../src/WebCrawler');
+const ConcurrentWebCrawler = require('../src/ConcurrentWebCrawler');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+describe('Configuration', () => {
+    let tempDir;
+    let configFile;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'crawler-config-'));
+        configFile = path.join(tempDir, 'config.json');
+        await fs.writeJSON(configFile, {
+            crawler: { maxDepth: 3, delay: 200, maxLinksPerPage: 8 },
+            analysis: { minWordLength: 4 },
+            storage: { dataDirectory: './crawl-output' }
+        });
+    });
+
+    afterEach(async () => {
+        await fs.remove(tempDir);
+    });
+
+    test('should fall back to schema defaults', async () => {
+        const config = await loadConfig({ configFile, env: {} });
+        expect(config.crawler.requestTimeout).toBe(10000);
+        expect(config.performance.logLevel).toBe('info');
+    });
+
+    test('should apply precedence CLI > env > file > defaults', async () => {
+        const config = await loadConfig({
+            configFile,
+            env: { CRAWLER_MAX_DEPTH: '4', CRAWLER_DELAY: '300', LOG_LEVEL: 'warn' },
+            argv: ['https://example.com', '--depth=5']
+        });
+        expect(config.crawler.maxDepth).toBe(5);
+        expect(config.crawler.delay).toBe(300);
+        expect(config.crawler.maxLinksPerPage).toBe(8);
+        expect(config.performance.logLevel).toBe('warn');
+    });
+
+    test('should read the config file from --config and resolve storage paths against it', async () => {
+        const config = await loadConfig({ argv: [`--config=${configFile}`], env: {} });
+        expect(config.configFile).toBe(configFile);
+        expect(config.storage.dataDirectory).toBe(path.join(tempDir, 'crawl-output'));
+    });
+
+    test('should parse boolean flags', async () => {
+        const config = await loadConfig({ configFile, env: {}, argv: ['--no-respect-robots-txt', '--save-csv=false'] });
+        expect(config.crawler.respectRobotsTxt).toBe(false);
+        expect(config.storage.saveCsv).toBe(false);
+    });
+
+    test('should parse list options from repeated and comma-separated flags', async () => {
+        const config = await loadConfig({
+            configFile,
+            env: { CRAWLER_ALLOWED_HOSTS: 'docs.example.org, *.example.net' },
+            argv: ['--exclude=*.php,/private/**', '--exclude=regex:page=\\d+', '--path-prefix=/docs/']
+        });
+        expect(config.crawler.excludePatterns).toEqual(['*.php', '/private/**', 'regex:page=\\d+']);
+        expect(config.crawler.allowedHosts).toEqual(['docs.example.org', '*.example.net']);
+        expect(config.crawler.pathPrefixes).toEqual(['/docs/']);
+        expect(config.crawler.includePatterns).toEqual([]);
+        expect(() => validateConfig({ crawler: { allowedHosts: 'example.org' } })).toThrow('expected a list');
+    });
+
+    test('should keep commas inside pattern brackets and selector lists', async () => {
+        const config = await loadConfig({
+            configFile,
+            env: { CRAWLER_REMOVE_SELECTORS: 'example.com=aside, .related' },
+            argv: ['--exclude=regex:^/p{1,3}/,*.php', '--include=regex:^/(en,de|fr)/', '--content-selector=main, article', '--content-selector=.post']
+        });
+        expect(config.crawler.excludePatterns).toEqual(['regex:^/p{1,3}/', '*.php']);
+        expect(config.crawler.includePatterns).toEqual(['regex:^/(en,de|fr)/']);
+        expect(config.crawler.contentSelectors).toEqual(['main, article', '.post']);
+        expect(config.crawler.removeSelectors).toEqual(['example.com=aside, .related']);
+    });
+
+    test('should reject invalid values and unknown options', async () => {
+        expect(() => validateConfig({ crawler: { maxDepth: -1 } })).toThrow('"crawler.maxDepth" must be >= 0');
+        expect(() => validateConfig({ crawler: { maxDepht: 2 } })).toThrow('unknown option "crawler.maxDepht"');
+        await expect(loadConfig({ configFile, env: { CRAWLER_DELAY: 'fast' } })).rejects.toThrow('environment variables');
+        await expect(loadConfig({ configFile: path.join(tempDir, 'missing.json') })).rejects.toThrow('Config file not found');
+    });
+
+    test('should parse memory sizes', () => {
+        expect(parseSize('512MB')).toBe(512 * 1024 * 1024);
+        expect(parseSize('1.5kb')).toBe(1536);
+        expect(parseSize('lots')).toBeNaN();
+    });
+
+    test('should be honoured by the crawler', async () => {
+        const config = await loadConfig({ configFile, env: {} });
+        const crawler = new WebCrawler(toCrawlerOptions(config));
+        expect(crawler.maxDepth).toBe(3);
+        expect(crawler.maxLinksPerPage).toBe(8);
+        expect(crawler.dataDir).toBe(path.join(tempDir, 'crawl-output'));
+
+        const wordCount = crawler.countWords('the big brown bear');
+        expect(wordCount['big']).toBeUndefined();
+        expect(wordCount['brown']).toBe(1);
+    });
+
+    test('should leave the delay to each crawler\'s default unless one is given', async () => {
+        const emptyFile = path.join(tempDir, 'empty.json');
+        await fs.writeJSON(emptyFile, {});
+        const defaults = toCrawlerOptions(await loadConfig({ configFile: emptyFile, env: {} }));
+        expect(new WebCrawler(defaults).delay).toBe(1000);
+        expect(new ConcurrentWebCrawler({ ...defaults, enableCheckpoints: false }).delay).toBe(500);
+
+        const config = toCrawlerOptions(await loadConfig({ configFile, env: {} }));
+        expect(new ConcurrentWebCrawler({ ...config, enableCheckpoints: false }).delay).toBe(200);
+    });
+
+    test('should be honoured by the concurrent crawler\'s workers', async () => {
+        const config = await loadConfig({ configFile, env: {}, argv: ['--concurrency=2', '--no-respect-robots-txt', '--log-level=silent'] });
+        // A chain of pages, one level deeper each: / -> /1 -> /2 -> /3 -> /4
+        const fetcher = {
+            get: jest.fn(async url => {
+                const level = Number(new URL(url).pathname.slice(1)) || 0;
+                return { status: 200, data: `<html><body><p>the level page</p><a href="/${level + 1}">Next</a></body></html>`, attempts: 1 };
+            })
+        };
+        const crawler = new ConcurrentWebCrawler({ ...toCrawlerOptions(config), fetcher, progressCallback: () => {} });
+        await crawler.crawl('https://example.com/');
+
+        expect(crawler.crawlData.map(page => page.url)).toEqual(['/', '/1', '/2', '/3'].map(page => `https://example.com${page}`));
+        expect(Array.from(crawler.wordFrequency.keys())).toEqual(['level', 'page']);
+        expect(crawler.metrics.successfulRequests).toBe(4);
+    });
+});
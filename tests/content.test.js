@@ -0,0 +1,69 @@
+const content = require('../src/content');
+const WebCrawler = require('../src/WebCrawler');
+const ConcurrentWebCrawler = require('../src/ConcurrentWebCrawler');
+const { mockFetcher } = require('./helpers/mockFetcher');
+
+describe('Content inspection', () => {
+    test('should parse Content-Type headers', () => {
+        expect(content.parseContentType('Text/HTML; Charset="ISO-8859-1"')).toEqual({ mimeType: 'text/html', charset: 'iso-8859-1' });
+        expect(content.parseContentType(undefined)).toEqual({ mimeType: null, charset: null });
+    });
+
+    test('should sniff the type of responses without a Content-Type', () => {
+        expect(content.sniffMimeType(Buffer.from('%PDF-1.7\n...'))).toBe('application/pdf');
+        expect(content.sniffMimeType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a]))).toBe('image/png');
+        expect(content.sniffMimeType(Buffer.from([0x00, 0x01, 0x02]))).toBe('application/octet-stream');
+        expect(content.sniffMimeType('<!DOCTYPE html><html></html>')).toBe('text/html');
+        expect(content.sniffMimeType('Just some words')).toBe('text/plain');
+    });
+
+    test('should decode using the BOM, header or meta charset', () => {
+        const latin1 = Buffer.from('<html><head><meta charset="iso-8859-1"></head><body>Caf\xe9</body></html>', 'latin1');
+        expect(content.readDocument({ headers: { 'content-type': 'text/html' }, data: latin1 }).body).toContain('Café');
+        expect(content.readDocument({ headers: { 'content-type': 'text/html; charset=windows-1252' }, data: Buffer.from('<p>\x93Hi\x94</p>', 'latin1') }).body)
+            .toBe('<p>“Hi”</p>');
+
+        const bom = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('<p>Café</p>')]);
+        expect(content.readDocument({ headers: { 'content-type': 'text/html; charset=iso-8859-1' }, data: bom })).toMatchObject({
+            charset: 'utf-8',
+            body: '<p>Café</p>'
+        });
+    });
+
+    test('should skip non-HTML responses', () => {
+        expect(content.readDocument({ headers: {}, data: Buffer.from('%PDF-1.4') })).toMatchObject({
+            mimeType: 'application/pdf',
+            skipped: 'contentType',
+            size: 8,
+            body: null
+        });
+        expect(content.readDocument({ headers: { 'content-type': 'text/html' }, data: null, bytesRead: 2048, skipped: 'tooLarge' }))
+            .toMatchObject({ skipped: 'tooLarge', size: 2048 });
+    });
+});
+
+describe('Skipped resources during a crawl', () => {
+    const routes = {
+        'https://example.com/robots.txt': 'User-agent: *\nAllow: /',
+        'https://example.com/': '<html><body><p>Home</p><a href="/report">Report</a><a href="/photo">Photo</a></body></html>',
+        'https://example.com/report': { data: Buffer.from('%PDF-1.4 binary'), headers: { 'content-type': 'application/pdf' } },
+        'https://example.com/photo': { data: Buffer.from([0xff, 0xd8, 0xff, 0xe0]), headers: {} }
+    };
+    const fetcher = () => mockFetcher(routes);
+
+    test('should record non-HTML responses instead of parsing them', async () => {
+        for (const Crawler of [WebCrawler, ConcurrentWebCrawler]) {
+            const crawler = new Crawler({ fetcher: fetcher(), delay: 0, logLevel: 'silent', enableCheckpoints: false });
+            await crawler.crawl('https://example.com/');
+
+            expect(crawler.crawlData.map(page => page.url)).toEqual(['https://example.com/']);
+            expect(crawler.crawlData[0].contentType).toBe('text/html');
+            expect(crawler.skippedResources.map(({ url, reason, contentType }) => ({ url, reason, contentType })).sort((a, b) => a.url.localeCompare(b.url)))
+                .toEqual([
+                    { url: 'https://example.com/photo', reason: 'contentType', contentType: 'image/jpeg' },
+                    { url: 'https://example.com/report', reason: 'contentType', contentType: 'application/pdf' }
+                ]);
+            expect(crawler.metrics.skippedResources).toBe(2);
+        }
+    });
+});
@@ -0,0 +1,73 @@
+const cheerio = require('cheerio');
+const ContentExtractor = require('../src/contentExtractor');
+const WebCrawler = require('../src/WebCrawler');
+const { loadConfig } = require('../src/config');
+
+const STORY = 'The river town rebuilt its old mill as a library, keeping the stone walls, the wheel and the oak beams. ' +
+    'Volunteers sorted donated books for months, and the reading room now overlooks the weir.';
+
+const ARTICLE_PAGE = `<html><body>
+    <header><a href="/">Home</a> <a href="/news">News</a></header>
+    <div class="sidebar"><p>Subscribe to our newsletter for weekly updates on local events</p></div>
+    <div id="main-content" class="post">
+        <h1>Mill becomes library</h1>
+        <p>${STORY}</p>
+        <p>Opening hours are posted at the door, and the caf&eacute; serves coffee, tea and cake.</p>
+        <ul class="share"><li><a href="/s/1">Share on one network</a></li><li><a href="/s/2">Share on another</a></li></ul>
+    </div>
+    <div class="comments"><p>Great news, I will visit soon, thanks for sharing this lovely story</p></div>
+    <footer><p>Copyright River Town Gazette, all rights reserved</p></footer>
+</body></html>`;
+
+function extract(html, options, url = 'https://example.com/story') {
+    return new ContentExtractor(options).extract(cheerio.load(html), url);
+}
+
+describe('ContentExtractor', () => {
+    test('should keep the main article and drop navigation, sidebars, comments and link lists', () => {
+        const text = extract(ARTICLE_PAGE);
+        expect(text).toContain('The river town rebuilt its old mill');
+        expect(text).toContain('café serves coffee');
+        expect(text).not.toMatch(/Home|Subscribe|Share on|Great news|Copyright/);
+    });
+
+    test('should count nested elements once in selectors mode', () => {
+        const html = `<html><body><nav>Menu links here</nav><section><p>${STORY}</p></section></body></html>`;
+        expect(extract(html, { mode: 'selectors' })).toBe(STORY);
+    });
+
+    test('should fall back to selectors for pages without a substantial block', () => {
+        expect(extract('<html><body><nav>Site menu</nav><p>Short page text</p><h2>Contact the team</h2></body></html>'))
+            .toBe('Short page text Contact the team');
+        expect(extract('<html><body>Just some loose body text</body></html>')).toBe('Just some loose body text');
+    });
+
+    test('should apply content and removal selectors for matching hosts', () => {
+        const options = {
+            contentSelectors: ['example.com=.comments'],
+            removeSelectors: ['.post h1', 'other.org=#main-content']
+        };
+        expect(extract(ARTICLE_PAGE, options, 'https://blog.example.com/story')).toBe('Great news, I will visit soon, thanks for sharing this lovely story');
+
+        const elsewhere = extract(ARTICLE_PAGE, options, 'https://news.test/story');
+        expect(elsewhere).toContain('The river town rebuilt');
+        expect(elsewhere).not.toContain('Mill becomes library');
+        expect(extract(ARTICLE_PAGE, options, 'https://other.org/story')).not.toContain('The river town rebuilt');
+    });
+
+    test('should reject unknown modes and invalid selectors', () => {
+        expect(() => new ContentExtractor({ mode: 'magic' })).toThrow('Unknown content extraction mode "magic"');
+        expect(() => new ContentExtractor({ removeSelectors: ['example.com=div[['] })).toThrow('Invalid selector rule "example.com=div[["');
+        expect(ContentExtractor.parseSiteRule('a[href="x=y"]')).toEqual({ host: null, selector: 'a[href="x=y"]' });
+    });
+
+    test('should leave the page intact for link extraction', async () => {
+        const crawler = new WebCrawler({ logLevel: 'silent' });
+        const $ = cheerio.load(ARTICLE_PAGE);
+        crawler.extractText($, 'https://example.com/story');
+        expect(crawler.extractLinks($, 'https://example.com/story')).toContain('https://example.com/news');
+
+        const config = await loadConfig({ argv: ['--content-extraction=selectors', '--remove-selector=example.com=.ads'], env: {} });
+        expect(config.crawler).toMatchObject({ contentExtraction: 'selectors', removeSelectors: ['example.com=.ads'] });
+    });
+});
@@ -2,6 +2,7 @@ const WebCrawler = require('../src/WebCrawler');
 const DataAnalyzer = require('../src/analyzer');
 const fs = require('fs-extra');
 const path = require('path');
+const os = require('os');
 
 describe('WebCrawler', () => {
     let crawler;
@@ -139,6 +140,95 @@ describe('DataAnalyzer', () => {
         expect(themes).toContain('Business/Commerce');
         expect(themes).toContain('Technology');
     });
+
+    test('should analyze phrases only when the crawl collected them', () => {
+        expect(analyzer.analyzePhrases({ topWords: [] })).toBeNull();
+
+        const phraseAnalysis = analyzer.analyzePhrases({
+            topPhrases: [
+                { phrase: 'machine learning', n: 2, count: 5, percentage: '50.00' },
+                { phrase: 'terms of service', n: 3, count: 3, percentage: '30.00' },
+                { phrase: 'privacy policy', n: 2, count: 2, percentage: '20.00' }
+            ]
+        });
+        expect(phraseAnalysis.topBigrams.map(p => p.phrase)).toEqual(['machine learning', 'privacy policy']);
+        expect(phraseAnalysis.topTrigrams.map(p => p.phrase)).toEqual(['terms of service']);
+    });
+
+    test('should rank page keywords by TF-IDF', () => {
+        const pages = [
+            { url: 'https://example.com/', title: 'Home', words: { menu: 2, welcome: 3 } },
+            { url: 'https://example.com/pricing', title: 'Pricing', words: { menu: 2, pricing: 4, plans: 1 } },
+            { url: 'https://example.com/blog', title: 'Blog', words: { menu: 2, pricing: 1, article: 3 } }
+        ];
+        expect(analyzer.analyzeKeywords({ pages: pages.slice(0, 1) })).toBeNull();
+
+        const keywordAnalysis = analyzer.analyzeKeywords({ pages });
+        const pricingPage = keywordAnalysis.pageKeywords[1];
+
+        expect(keywordAnalysis.documentCount).toBe(3);
+        // "menu" is on every page, so it never counts as distinctive
+        expect(pricingPage.keywords.map(k => k.term)).toEqual(['pricing', 'plans']);
+        expect(keywordAnalysis.distinctiveTerms.map(t => t.term)).not.toContain('menu');
+        expect(keywordAnalysis.distinctiveTerms.find(t => t.term === 'pricing')).toMatchObject({
+            pages: 2,
+            topPage: 'https://example.com/pricing'
+        });
+    });
+
+    test('should cluster duplicate pages around the original', () => {
+        const pages = [
+            { url: 'https://example.com/post', title: 'Post', fingerprint: 'a1', contentHash: 'h1' },
+            { url: 'https://example.com/post/print', fingerprint: 'a1', contentHash: 'h1', duplicateOf: 'https://example.com/post', duplicateType: 'exact', duplicateDistance: 0 },
+            { url: 'https://example.com/post?page=1', fingerprint: 'a3', contentHash: 'h2', duplicateOf: 'https://example.com/post/print', duplicateType: 'near', duplicateDistance: 4 },
+            { url: 'https://example.com/about', title: 'About', fingerprint: 'ff', contentHash: 'h3' }
+        ];
+        expect(analyzer.analyzeDuplicates({ pages: [{ url: 'https://example.com/' }] })).toBeNull();
+
+        const duplicateAnalysis = analyzer.analyzeDuplicates({ pages, metadata: {} });
+        expect(duplicateAnalysis).toMatchObject({ pagesChecked: 4, duplicatePages: 2, exactDuplicates: 1, nearDuplicates: 1 });
+        expect(duplicateAnalysis.clusters).toHaveLength(1);
+        expect(duplicateAnalysis.clusters[0].url).toBe('https://example.com/post');
+        expect(duplicateAnalysis.clusters[0].duplicates.map(d => d.url)).toEqual([
+            'https://example.com/post/print',
+            'https://example.com/post?page=1'
+        ]);
+    });
+
+    test('should escape page titles, URLs and descriptions in the HTML report', async () => {
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'crawler-report-'));
+        const title = 'Home </script><img src=x onerror=alert(1)>';
+        const page = (url, fields) => ({
+            url, title, totalWords: 120, linkCount: 1, responseTime: 100, words: { home: 3 },
+            metadata: { description: '<b>Shared</b> description' }, ...fields
+        });
+        await fs.writeJSON(path.join(tempDir, 'crawl-data-2024-01-01T00-00-00.json'), {
+            metadata: { startTime: new Date().toISOString(), totalPages: 2, totalWords: 240, metrics: { requestCount: 2, successfulRequests: 2, successRate: 100, averageResponseTime: 100, totalExecutionTime: 500 } },
+            pages: [
+                page('https://example.com/?q=<script>', { fingerprint: 'a1', contentHash: 'h1' }),
+                page('https://example.com/copy', { fingerprint: 'a1', contentHash: 'h1', duplicateOf: 'https://example.com/?q=<script>', duplicateType: 'exact', duplicateDistance: 0 })
+            ],
+            topWords: [{ word: 'home', count: 6, percentage: '100.00' }],
+            errors: []
+        });
+
+        try {
+            analyzer = new DataAnalyzer({ dataDir: tempDir, reportsDir: tempDir, logLevel: 'silent' });
+            jest.spyOn(analyzer, 'openInBrowser').mockResolvedValue();
+            await analyzer.generateReport();
+
+            const htmlFile = (await fs.readdir(tempDir)).find(file => file.endsWith('.html'));
+            const html = await fs.readFile(path.join(tempDir, htmlFile), 'utf8');
+            expect(html).not.toContain('<img src=x');
+            expect(html).not.toContain('<b>Shared</b>');
+            expect(html).not.toContain('?q=<script>');
+            expect(html).toContain('Home &lt;/script&gt;&lt;img src=x onerror=alert(1)&gt;');
+            // The report's own scripts are the only ones in the page
+            expect(html.match(/<\/script>/g)).toHaveLength(html.match(/<script[ >]/g).length);
+        } finally {
+            await fs.remove(tempDir);
+        }
+    });
 });
 
 // Integration test
@@ -0,0 +1,128 @@
+const DocumentExtractor = require('../src/documents');
+const WebCrawler = require('../src/WebCrawler');
+const ConcurrentWebCrawler = require('../src/ConcurrentWebCrawler');
+const { mockFetcher } = require('./helpers/mockFetcher');
+
+// A one-page PDF with a Helvetica text line per entry and an Info title
+function makePdf(lines, title) {
+    const content = `BT /F1 12 Tf 72 720 Td 14 TL ${lines.map(line => `(${line}) Tj T*`).join(' ')} ET`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+        `<< /Title (${title}) >>`
+    ];
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xref}\n%%EOF`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+function mockSite() {
+    const routes = {
+        'https://example.com/robots.txt': { data: 'User-agent: *\nAllow: /' },
+        'https://example.com/': {
+            headers: { 'content-type': 'text/html' },
+            data: '<html><body><p>Reports</p><a href="/report.pdf">Report</a><a href="/notes.txt">Notes</a><a href="/readme.md">Readme</a></body></html>'
+        },
+        'https://example.com/report.pdf': { headers: { 'content-type': 'application/pdf' }, data: makePdf(['Quarterly crawler report'], 'Crawler Report') },
+        'https://example.com/notes.txt': { headers: { 'content-type': 'text/plain; charset=utf-8' }, data: Buffer.from('Release notes\nCrawler notes for the release') },
+        'https://example.com/readme.md': { headers: { 'content-type': 'text/plain' }, data: Buffer.from('# Crawler Readme\n\nSee the [crawler guide](/guide) for **details**.') }
+    };
+    return mockFetcher(routes);
+}
+
+describe('DocumentExtractor', () => {
+    const extractor = new DocumentExtractor();
+
+    test('should extract the text and title of a PDF', async () => {
+        const document = { mimeType: 'application/pdf', data: makePdf(['Quarterly crawler report', 'Second page line'], 'Annual Report') };
+        expect(await extractor.extract(document, 'https://example.com/report.pdf')).toMatchObject({
+            text: 'Quarterly crawler report\nSecond page line',
+            title: 'Annual Report',
+            pageCount: 1
+        });
+    });
+
+    test('should strip Markdown syntax and take the title from front matter or the first heading', async () => {
+        const markdown = '---\ntitle: "Setup Guide"\n---\n# Install\n\n- Run `npm install`\n- Read the [docs](https://example.com/docs)\n\n```sh\nrm -rf /\n```\n**Done**';
+        const result = await extractor.extract({ mimeType: 'text/markdown', body: markdown }, 'https://example.com/setup');
+        expect(result.title).toBe('Setup Guide');
+        expect(result.text).toBe('Install\n\nRun npm install\nRead the docs\n\n \nDone');
+
+        // Markdown served as text/plain is recognised by its extension
+        expect((await extractor.extract({ mimeType: 'text/plain', body: 'Intro\n\n## Usage ##' }, 'https://example.com/README.md')).text)
+            .toBe('Intro\n\nUsage');
+    });
+
+    test('should use the first line of plain text as its title', async () => {
+        expect(await extractor.extract({ mimeType: 'text/plain', body: '\n  Changelog  \nFixed bugs\n' }, 'https://example.com/CHANGES')).toEqual({
+            text: 'Changelog  \nFixed bugs',
+            title: 'Changelog',
+            language: undefined
+        });
+        await expect(extractor.extract({ mimeType: 'image/png' }, 'https://example.com/a.png')).rejects.toThrow('Cannot extract text from image/png');
+    });
+});
+
+describe('Document crawling', () => {
+    test.each([
+        ['sequential', WebCrawler],
+        ['concurrent', ConcurrentWebCrawler]
+    ])('should index PDF, text and Markdown documents in a %s crawl', async (name, Crawler) => {
+        const crawler = new Crawler({
+            fetcher: mockSite(), extractDocuments: true, maxDepth: 1, delay: 0, maxLinksPerPage: 10,
+            logLevel: 'silent', enableCheckpoints: false
+        });
+        await crawler.crawl('https://example.com/');
+
+        const pages = Object.fromEntries(crawler.crawlData.map(page => [new URL(page.url).pathname, page]));
+        expect(pages['/report.pdf']).toMatchObject({ contentType: 'application/pdf', title: 'Crawler Report' });
+        expect(pages['/notes.txt']).toMatchObject({ contentType: 'text/plain', title: 'Release notes' });
+        expect(pages['/readme.md']).toMatchObject({ title: 'Crawler Readme' });
+        expect(crawler.metrics.documentPages).toBe(3);
+        expect(crawler.wordFrequency.get('crawler')).toBe(4);
+    });
+
+    test.each([
+        ['sequential', WebCrawler],
+        ['concurrent', ConcurrentWebCrawler]
+    ])('should skip a document it cannot extract in a %s crawl, not report it broken', async (name, Crawler) => {
+        const fetcher = mockSite();
+        const get = fetcher.get;
+        fetcher.get = jest.fn(async (url, options) => url === 'https://example.com/report.pdf'
+            ? { status: 200, headers: { 'content-type': 'application/pdf' }, data: Buffer.from('%PDF-1.4 not really a PDF'), attempts: 1 }
+            : get(url, options));
+        const crawler = new Crawler({
+            fetcher, extractDocuments: true, checkLinks: true, maxDepth: 1, delay: 0, maxLinksPerPage: 10,
+            logLevel: 'silent', enableCheckpoints: false
+        });
+        await crawler.crawl('https://example.com/');
+
+        expect(crawler.crawlData.map(page => new URL(page.url).pathname).sort()).toEqual(['/', '/notes.txt', '/readme.md']);
+        expect(crawler.skippedPages).toEqual([expect.objectContaining({ url: 'https://example.com/report.pdf', reason: 'extractionFailed' })]);
+        expect(crawler.errors).toEqual([]);
+        expect(crawler.metrics).toMatchObject({ requestCount: 4, successfulRequests: 4, failedRequests: 0, documentPages: 2 });
+        expect(crawler.linkChecker.getBrokenLinks()).toEqual([]);
+    });
+
+    test('should skip documents when extraction is off', async () => {
+        const crawler = new ConcurrentWebCrawler({
+            fetcher: mockSite(), maxDepth: 1, delay: 0, maxLinksPerPage: 10, excludeExtensions: [],
+            logLevel: 'silent', enableCheckpoints: false
+        });
+        await crawler.crawl('https://example.com/');
+
+        expect(crawler.crawlData.map(page => page.url)).toEqual(['https://example.com/']);
+        expect(crawler.skippedResources.map(resource => resource.contentType).sort()).toEqual(['application/pdf', 'text/plain', 'text/plain']);
+    });
+});
@@ -0,0 +1,81 @@
+const DuplicateDetector = require('../src/duplicates');
+const WebCrawler = require('../src/WebCrawler');
+const ConcurrentWebCrawler = require('../src/ConcurrentWebCrawler');
+const { mockFetcher } = require('./helpers/mockFetcher');
+
+const ARTICLE = `Search engines crawl the web by following links from page to page. Each crawler keeps a
+frontier of URLs to visit, fetches them politely, extracts the text and the links, and repeats the
+process until its budget runs out. Good crawlers respect robots rules, back off when servers struggle
+and avoid fetching the same content twice, which is why duplicate detection matters so much in practice.`;
+
+function words(text) {
+    return text.toLowerCase().match(/\w+/g);
+}
+
+describe('DuplicateDetector', () => {
+    test('should flag exact and near-duplicates but not unrelated pages', () => {
+        const detector = new DuplicateDetector();
+        const original = detector.check('https://example.com/a', words(ARTICLE));
+        expect(original.duplicateOf).toBeNull();
+        expect(original.fingerprint).toMatch(/^[0-9a-f]{16}$/);
+
+        expect(detector.check('https://example.com/a/print', words(ARTICLE))).toMatchObject({
+            duplicateOf: 'https://example.com/a',
+            duplicateType: 'exact',
+            distance: 0
+        });
+
+        const edited = detector.check('https://example.com/a?page=2', words(ARTICLE.replace('twice', 'again')));
+        expect(edited.duplicateType).toBe('near');
+        expect(edited.distance).toBeLessThanOrEqual(detector.threshold);
+
+        const unrelated = 'Our bakery sells fresh sourdough bread, croissants and seasonal fruit tarts every morning from seven. ' +
+            'Order birthday cakes two days ahead, and ask about gluten free options at the counter.';
+        expect(detector.check('https://example.com/bakery', words(unrelated)).duplicateOf).toBeNull();
+    });
+
+    test('should only check short pages for exact copies and skip empty ones', () => {
+        const detector = new DuplicateDetector();
+        expect(detector.check('https://example.com/empty', [])).toBeNull();
+
+        detector.check('https://example.com/a', ['page', 'not', 'found']);
+        expect(detector.check('https://example.com/b', ['page', 'not', 'found']).duplicateType).toBe('exact');
+        expect(detector.check('https://example.com/c', ['page', 'not', 'here']).duplicateOf).toBeNull();
+    });
+
+    test('should compute Hamming distances across both fingerprint halves', () => {
+        expect(DuplicateDetector.hammingDistance([0, 0], [0xffffffff, 1])).toBe(33);
+        expect(DuplicateDetector.fromHex(DuplicateDetector.toHex([0x80000001, 0xdeadbeef]))).toEqual([0x80000001, 0xdeadbeef]);
+    });
+});
+
+describe('Duplicate pages during a crawl', () => {
+    const page = body => `<html><body><p>${body}</p></body></html>`;
+    const routes = {
+        'https://example.com/robots.txt': 'User-agent: *\nAllow: /',
+        'https://example.com/': `<html><body><p>${ARTICLE}</p><a href="/print">Print</a></body></html>`,
+        'https://example.com/print': page(ARTICLE)
+    };
+
+    test('should record duplicates and optionally keep them out of word counts', async () => {
+        const counting = new WebCrawler({ fetcher: mockFetcher(routes), delay: 0, logLevel: 'silent' });
+        await counting.crawl('https://example.com/');
+        expect(counting.crawlData[1]).toMatchObject({ duplicateOf: 'https://example.com/', duplicateType: 'exact' });
+        expect(counting.metrics.duplicatePages).toBe(1);
+
+        const excluding = new WebCrawler({ fetcher: mockFetcher(routes), delay: 0, excludeDuplicates: true, logLevel: 'silent' });
+        await excluding.crawl('https://example.com/');
+        expect(excluding.crawlData).toHaveLength(2);
+        expect(excluding.totalWords * 2).toBe(counting.totalWords);
+    });
+
+    test('should remember fingerprints when a concurrent crawl resumes', () => {
+        const crawler = new ConcurrentWebCrawler({ logLevel: 'silent', enableCheckpoints: false });
+        const duplicate = crawler.checkDuplicate('https://example.com/', ARTICLE, 'en');
+        crawler.crawlData.push({ url: 'https://example.com/', ...crawler.describeDuplicate(duplicate) });
+
+        const resumed = new ConcurrentWebCrawler({ logLevel: 'silent', enableCheckpoints: false });
+        resumed.restoreState(JSON.parse(JSON.stringify(crawler.getCheckpointState())));
+        expect(resumed.checkDuplicate('https://example.com/print', ARTICLE, 'en').duplicateOf).toBe('https://example.com/');
+    });
+});
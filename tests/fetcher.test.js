@@ -0,0 +1,163 @@
+const Fetcher = require('../src/fetcher');
+const WebCrawler = require('../src/WebCrawler');
+
+function httpError(status, headers = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers };
+    return error;
+}
+
+function networkError(code) {
+    const error = new Error(`socket error ${code}`);
+    error.code = code;
+    return error;
+}
+
+describe('Fetcher', () => {
+    let httpClient;
+    let fetcher;
+
+    beforeEach(() => {
+        httpClient = { get: jest.fn() };
+        fetcher = new Fetcher({ httpClient, maxRetries: 3, retryDelay: 100 });
+        jest.spyOn(fetcher, 'sleep').mockResolvedValue();
+    });
+
+    test('should retry transient failures and report the attempt count', async () => {
+        httpClient.get
+            .mockRejectedValueOnce(networkError('ECONNRESET'))
+            .mockRejectedValueOnce(httpError(502))
+            .mockResolvedValueOnce({ status: 200, data: '<html></html>' });
+
+        const response = await fetcher.get('https://example.com/');
+        expect(response.attempts).toBe(3);
+        expect(fetcher.sleep).toHaveBeenCalledTimes(2);
+
+        // Backoff grows with each attempt, jittered between half and full
+        const [[first], [second]] = fetcher.sleep.mock.calls;
+        expect(first).toBeGreaterThanOrEqual(50);
+        expect(first).toBeLessThanOrEqual(100);
+        expect(second).toBeGreaterThanOrEqual(100);
+        expect(second).toBeLessThanOrEqual(200);
+    });
+
+    test('should fail fast on fatal errors', async () => {
+        httpClient.get.mockRejectedValue(httpError(404));
+
+        await expect(fetcher.get('https://example.com/missing')).rejects.toMatchObject({
+            name: 'FetchError',
+            status: 404,
+            retryable: false,
+            attempts: 1
+        });
+        expect(httpClient.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should give up after maxRetries and flag the error as retryable', async () => {
+        httpClient.get.mockRejectedValue(networkError('ETIMEDOUT'));
+
+        await expect(fetcher.get('https://example.com/slow')).rejects.toMatchObject({
+            code: 'ETIMEDOUT',
+            retryable: true,
+            attempts: 4
+        });
+    });
+
+    test('should honour Retry-After on 429 and 503', async () => {
+        const onRetry = jest.fn();
+        fetcher.onRetry = onRetry;
+        httpClient.get
+            .mockRejectedValueOnce(httpError(429, { 'retry-after': '2' }))
+            .mockResolvedValueOnce({ status: 200, data: '' });
+
+        await fetcher.get('https://example.com/');
+        expect(fetcher.sleep).toHaveBeenCalledWith(2000);
+        expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, delay: 2000 }));
+
+        // Waits beyond maxRetryAfter are not honoured
+        httpClient.get.mockRejectedValueOnce(httpError(503, { 'retry-after': '3600' }));
+        await expect(fetcher.get('https://example.com/')).rejects.toMatchObject({ status: 503, attempts: 1 });
+    });
+
+    test('should record the redirects followed', async () => {
+        httpClient.get.mockImplementation(async (url, config) => {
+            config.beforeRedirect({ href: 'https://example.com/new' }, { statusCode: 301 });
+            config.beforeRedirect({ href: 'https://example.com/newest' }, { statusCode: 302 });
+            return { status: 200, data: '' };
+        });
+
+        expect((await fetcher.get('https://example.com/old')).redirects).toEqual([
+            { url: 'https://example.com/old', status: 301, location: 'https://example.com/new' },
+            { url: 'https://example.com/new', status: 302, location: 'https://example.com/newest' }
+        ]);
+    });
+
+    test('should send HEAD requests with the same retries', async () => {
+        httpClient.head = jest.fn()
+            .mockRejectedValueOnce(httpError(503))
+            .mockResolvedValueOnce({ status: 200, headers: {} });
+
+        expect(await fetcher.head('https://example.com/')).toMatchObject({ status: 200, attempts: 2 });
+        expect(httpClient.head).toHaveBeenCalledWith('https://example.com/', expect.objectContaining({ maxRedirects: 5 }));
+    });
+
+    test('should record retry counts and error types in crawler metrics', async () => {
+        const crawler = new WebCrawler({ maxDepth: 0, respectRobotsTxt: false, logLevel: 'silent', retryDelay: 0 });
+        jest.spyOn(crawler.fetcher, 'sleep').mockResolvedValue();
+        crawler.fetcher.httpClient = {
+            get: jest.fn()
+                .mockRejectedValueOnce(networkError('ECONNRESET'))
+                .mockResolvedValueOnce({ status: 200, data: '<html><body><p>Hello crawler</p></body></html>' })
+                .mockRejectedValueOnce(httpError(404))
+        };
+
+        await crawler.crawl('https://example.com/');
+        await crawler.crawl('https://example.com/missing');
+
+        const metrics = crawler.calculateMetrics();
+        expect(metrics.retries).toBe(1);
+        expect(metrics.recoveredRequests).toBe(1);
+        expect(metrics.fatalErrors).toBe(1);
+        expect(crawler.errors[0]).toMatchObject({ type: 'fatal', status: 404, attempts: 1 });
+    });
+});
+
+describe('Fetcher documents', () => {
+    const { Readable } = require('stream');
+
+    function streamed(body, headers) {
+        const data = Readable.from([Buffer.from(body.slice(0, 4)), Buffer.from(body.slice(4))]);
+        return { status: 200, headers, data };
+    }
+
+    test('should read accepted documents into a Buffer', async () => {
+        const httpClient = { get: jest.fn().mockResolvedValue(streamed('<p>Hello</p>', { 'content-type': 'text/html' })) };
+        const response = await new Fetcher({ httpClient }).get('https://example.com/', { accept: ['text/html'], maxSize: 100 });
+
+        expect(httpClient.get).toHaveBeenCalledWith('https://example.com/', expect.objectContaining({ responseType: 'stream' }));
+        expect(response.data.toString()).toBe('<p>Hello</p>');
+        expect(response).toMatchObject({ bytesRead: 12, skipped: null });
+    });
+
+    test('should abort documents of another type or over the size limit', async () => {
+        const pdf = streamed('%PDF-1.4 ...', { 'content-type': 'application/pdf' });
+        const stream = pdf.data;
+        const httpClient = { get: jest.fn().mockResolvedValueOnce(pdf) };
+        const fetcher = new Fetcher({ httpClient });
+        expect(await fetcher.get('https://example.com/file', { accept: ['text/html'] })).toMatchObject({ data: null, skipped: 'contentType' });
+        expect(stream.destroyed).toBe(true);
+
+        httpClient.get.mockResolvedValueOnce(streamed('<p>A long page</p>', { 'content-type': 'text/html' }));
+        expect(await fetcher.get('https://example.com/big', { accept: ['text/html'], maxSize: 10 })).toMatchObject({ data: null, skipped: 'tooLarge' });
+    });
+
+    test('should skip documents ruled out by a HEAD request', async () => {
+        const httpClient = {
+            head: jest.fn().mockResolvedValue({ status: 200, headers: { 'content-type': 'image/png', 'content-length': '5000' } }),
+            get: jest.fn()
+        };
+        const response = await new Fetcher({ httpClient }).get('https://example.com/image', { accept: ['text/html'], head: true });
+        expect(response).toMatchObject({ skipped: 'contentType', data: null });
+        expect(httpClient.get).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,69 @@
+const UrlFrontier = require('../src/frontier');
+const ConcurrentWebCrawler = require('../src/ConcurrentWebCrawler');
+const { loadConfig } = require('../src/config');
+
+function drain(frontier) {
+    const urls = [];
+    let item;
+    while ((item = frontier.pop())) {
+        urls.push(item.url.replace('https://example.com', ''));
+    }
+    return urls;
+}
+
+function fill(frontier) {
+    [['/a', 1], ['/b', 2], ['/c', 1], ['/d', 2]].forEach(([path, depth]) => {
+        frontier.push({ url: `https://example.com${path}`, depth });
+    });
+    return frontier;
+}
+
+describe('UrlFrontier', () => {
+    test('should dequeue breadth-first and depth-first', () => {
+        expect(drain(fill(new UrlFrontier({ strategy: 'bfs' })))).toEqual(['/a', '/c', '/b', '/d']);
+        expect(drain(fill(new UrlFrontier({ strategy: 'dfs' })))).toEqual(['/d', '/b', '/c', '/a']);
+    });
+
+    test('should dequeue best-first by boosts, inbound links and sitemap priority', () => {
+        const frontier = fill(new UrlFrontier({ priorityPatterns: ['/d=1.5'] }));
+        frontier.push({ url: 'https://example.com/e', depth: 1, sitemapPriority: 0.2 });
+        // Three links lift /b by log2(4) = 2 and the boost lifts /d, ahead of the shallower pages
+        ['/b', '/b', '/b'].forEach(path => frontier.recordLink(`https://example.com${path}`));
+
+        expect(frontier.has('https://example.com/b')).toBe(true);
+        expect(frontier.push({ url: 'https://example.com/b', depth: 1 })).toBe(false);
+        expect(drain(frontier)).toEqual(['/b', '/d', '/a', '/c', '/e']);
+    });
+
+    test('should rank a page\'s links only for best-first', () => {
+        const links = ['https://example.com/about', 'https://example.com/blog/post'];
+        expect(new UrlFrontier({ priorityPatterns: ['/blog/**=5'] }).rank(links, 1)).toEqual([links[1], links[0]]);
+        expect(new UrlFrontier({ strategy: 'bfs', priorityPatterns: ['/blog/**=5'] }).rank(links, 1)).toEqual(links);
+    });
+
+    test('should reject unknown strategies and malformed priority patterns', () => {
+        expect(() => new UrlFrontier({ strategy: 'random' })).toThrow('Unknown crawl strategy "random"');
+        expect(() => new UrlFrontier({ priorityPatterns: ['/blog/**'] })).toThrow('Invalid priority pattern "/blog/**"');
+        expect(UrlFrontier.parsePriorityPattern('regex:[?&]page=\\d+=-3').boost).toBe(-3);
+    });
+
+    test('should round-trip the queue and inbound links through a checkpoint', () => {
+        const crawler = new ConcurrentWebCrawler({ logLevel: 'silent', enableCheckpoints: false });
+        crawler.addLinksToQueue(['https://example.com/a', 'https://example.com/b'], 1);
+        crawler.addLinksToQueue(['https://example.com/b'], 2);
+
+        const resumed = new ConcurrentWebCrawler({ logLevel: 'silent', enableCheckpoints: false });
+        resumed.restoreState(JSON.parse(JSON.stringify(crawler.getCheckpointState())));
+        expect(resumed.frontier.toArray()).toEqual([
+            { url: 'https://example.com/b', depth: 1 },
+            { url: 'https://example.com/a', depth: 1 }
+        ]);
+    });
+
+    test('should read the strategy and priority patterns from the command line', async () => {
+        const config = await loadConfig({ argv: ['--strategy=dfs', '--priority=/blog/**=5', '--priority=/tag/*=-2'], env: {} });
+        expect(config.crawler.strategy).toBe('dfs');
+        expect(config.crawler.priorityPatterns).toEqual(['/blog/**=5', '/tag/*=-2']);
+        await expect(loadConfig({ argv: ['--strategy=random'], env: {} })).rejects.toThrow('"crawler.strategy" must be one of bfs, dfs, best-first');
+    });
+});
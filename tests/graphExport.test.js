@@ -0,0 +1,74 @@
+const cheerio = require('cheerio');
+const GraphExporter = require('../src/graphExport');
+
+const crawlData = {
+    pages: [
+        {
+            url: 'https://example.com/',
+            title: 'Home & "Welcome"',
+            depth: 0,
+            totalWords: 420,
+            responseTime: 120,
+            contentType: 'text/html',
+            outlinks: [
+                { url: 'https://example.com/about', anchorText: 'About', internal: true },
+                { url: 'https://example.com/about', anchorText: 'Our <team>', rel: ['nofollow'], internal: true },
+                { url: 'https://other.org/', anchorText: 'Partner', internal: false }
+            ]
+        },
+        {
+            url: 'https://example.com/about',
+            title: 'About',
+            depth: 1,
+            totalWords: 80,
+            responseTime: 95,
+            contentType: 'text/html',
+            outlinks: [{ url: 'https://example.com/', anchorText: 'Home', internal: true }]
+        }
+    ]
+};
+
+describe('GraphExporter', () => {
+    test('should write GraphML with node and edge attributes', () => {
+        const graphml = new GraphExporter().export(crawlData, 'graphml');
+        const $ = cheerio.load(graphml, { xmlMode: true });
+
+        expect($('graph').attr('edgedefault')).toBe('directed');
+        expect($('node')).toHaveLength(3);
+        expect($('edge')).toHaveLength(3);
+        const home = $('node[id="https://example.com/"]');
+        expect(home.find('data[key="title"]').text()).toBe('Home & "Welcome"');
+        expect(home.find('data[key="wordCount"]').text()).toBe('420');
+        expect(home.find('data[key="responseTime"]').text()).toBe('120');
+        expect($('key[id="pageRank"]').attr('attr.type')).toBe('double');
+
+        const about = $('edge[target="https://example.com/about"]');
+        expect(about.find('data[key="edge_anchorText"]').text()).toBe('About | Our <team>');
+        expect(about.find('data[key="edge_rel"]').text()).toBe('nofollow');
+        expect(about.find('data[key="edge_links"]').text()).toBe('2');
+        // A URL that was not crawled has no page attributes
+        expect($('node[id="https://other.org/"] data[key="wordCount"]')).toHaveLength(0);
+    });
+
+    test('should write GEXF with weighted edges, and only crawled pages when asked', () => {
+        const gexf = new GraphExporter({ pagesOnly: true }).export(crawlData, 'gexf');
+        const $ = cheerio.load(gexf, { xmlMode: true });
+
+        expect($('nodes > node').map((i, node) => $(node).attr('id')).get()).toEqual(['https://example.com/', 'https://example.com/about']);
+        expect($('nodes > node').first().attr('label')).toBe('Home & "Welcome"');
+        const depth = $('attributes[class="node"] attribute[title="depth"]');
+        expect(depth.attr('type')).toBe('integer');
+        expect($('nodes > node').last().find(`attvalue[for="${depth.attr('id')}"]`).attr('value')).toBe('1');
+        expect($('edges > edge').map((i, edge) => $(edge).attr('weight')).get()).toEqual(['2', '1']);
+    });
+
+    test('should write DOT and reject unknown formats', () => {
+        const dot = new GraphExporter().export(crawlData, 'dot');
+
+        expect(dot.startsWith('digraph site {')).toBe(true);
+        expect(dot).toContain('"https://example.com/" [label="Home & \\"Welcome\\"", title="Home & \\"Welcome\\"", depth="0", wordCount="420"');
+        expect(dot).toContain('"https://other.org/" [label="https://other.org/", shape=ellipse, style=dashed, crawled="false", internal="false"');
+        expect(dot).toContain('"https://example.com/" -> "https://example.com/about" [style=dashed, anchorText="About | Our <team>", rel="nofollow", internal="true", links="2"];');
+        expect(() => new GraphExporter().export(crawlData, 'svg')).toThrow('Unknown graph format "svg"');
+    });
+});
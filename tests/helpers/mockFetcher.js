@@ -0,0 +1,33 @@
+/**
+ * Test doubles for the crawlers' HTTP fetcher
+ */
+
+/**
+ * An error like the ones the fetcher throws for an HTTP error status
+ */
+function fetchError(status, message = `Request failed with status code ${status}`) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * A fetcher answering GET requests from a table of routes. A route is either
+ * the response body (a string or Buffer) or a response object such as
+ * { data, headers }. Other URLs fail with a 404.
+ */
+function mockFetcher(routes) {
+    return {
+        get: jest.fn(async url => {
+            if (!Object.prototype.hasOwnProperty.call(routes, url)) {
+                throw fetchError(404);
+            }
+            const route = routes[url];
+            return typeof route === 'string' || Buffer.isBuffer(route)
+                ? { data: route, attempts: 1 }
+                : { ...route, attempts: 1 };
+        })
+    };
+}
+
+module.exports = { fetchError, mockFetcher };
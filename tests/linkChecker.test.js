@@ -0,0 +1,159 @@
+const LinkChecker = require('../src/linkChecker');
+const WebCrawler = require('../src/WebCrawler');
+const ConcurrentWebCrawler = require('../src/ConcurrentWebCrawler');
+const DataAnalyzer = require('../src/analyzer');
+const SeoAuditor = require('../src/seo');
+const { fetchError } = require('./helpers/mockFetcher');
+
+const HOME = `<html><body>
+    <a href="/about">About us</a>
+    <a href="/gone">Old   news</a>
+    <a href="/moved" rel="nofollow">Moved</a>
+    <a href="#top">Top</a>
+    <a href="https://other.org/page">Partner, "Other"</a>
+</body></html>`;
+
+// GET answers for the crawl, HEAD answers for the links it does not follow
+function siteFetcher() {
+    return {
+        get: jest.fn(async url => {
+            if (url.endsWith('robots.txt')) {
+                return { status: 200, data: '' };
+            }
+            if (url === 'https://example.com/gone') {
+                throw fetchError(404);
+            }
+            if (url === 'https://example.com/about') {
+                return { status: 200, data: '<html><body><a href="/gone">Gone page</a></body></html>', attempts: 1 };
+            }
+            return { status: 200, data: HOME, attempts: 1 };
+        }),
+        head: jest.fn(async url => {
+            if (url === 'https://example.com/moved') {
+                return { status: 200, redirects: [{ url, status: 301, location: 'https://example.com/new' }] };
+            }
+            return { status: 200 };
+        })
+    };
+}
+
+describe('LinkChecker', () => {
+    test('should fall back to GET when a HEAD gets an error response', async () => {
+        const fetcher = {
+            head: jest.fn()
+                .mockRejectedValueOnce(fetchError(405))
+                .mockRejectedValueOnce(fetchError(410))
+                .mockRejectedValueOnce(fetchError(null, 'getaddrinfo ENOTFOUND')),
+            get: jest.fn().mockResolvedValue({ status: 200, data: { destroy: jest.fn() } })
+        };
+        const checker = new LinkChecker({ fetcher, logLevel: 'silent' });
+
+        expect(await checker.checkLink('https://example.com/no-head')).toEqual({ status: 200, method: 'GET' });
+        expect(await checker.checkLink('https://example.com/removed')).toMatchObject({ status: 410, method: 'HEAD' });
+        expect(await checker.checkLink('https://down.test/')).toMatchObject({ status: null, method: 'HEAD', error: 'getaddrinfo ENOTFOUND' });
+        expect(fetcher.get).toHaveBeenCalledTimes(1);
+        expect(fetcher.get).toHaveBeenCalledWith('https://example.com/no-head', { requestConfig: { responseType: 'stream' } });
+    });
+
+    test('should check external links only when asked and skip robots.txt disallowed ones', async () => {
+        const fetcher = { head: jest.fn().mockResolvedValue({ status: 200 }) };
+        const robots = { isAllowed: jest.fn(async url => !url.includes('/private')) };
+        const checker = new LinkChecker({ fetcher, robots, logLevel: 'silent' });
+        checker.addLink('https://example.com/private/a', { referrer: 'https://example.com/' });
+        checker.addLink('https://other.org/', { referrer: 'https://example.com/', internal: false });
+        checker.recordResponse('https://example.com/', { status: 200 });
+        checker.addLink('https://example.com/', { referrer: 'https://example.com/about' });
+
+        expect((await checker.checkAll()).summary).toMatchObject({ discovered: 3, checked: 1, skipped: 1, unchecked: 1, broken: 0 });
+        expect(fetcher.head).not.toHaveBeenCalled();
+
+        checker.checkExternal = true;
+        await checker.checkAll();
+        expect(fetcher.head).toHaveBeenCalledWith('https://other.org/');
+    });
+
+    test('should check every discovered link after a crawl and save the broken ones', async () => {
+        const fetcher = siteFetcher();
+        const crawler = new WebCrawler({ fetcher, maxDepth: 1, delay: 0, checkLinks: true, logLevel: 'silent' });
+        await crawler.crawl('https://example.com/');
+        const report = await crawler.checkLinks();
+
+        // The crawl fetched the followed links, so only the nofollow one is checked
+        expect(fetcher.head.mock.calls.map(([url]) => url)).toEqual(['https://example.com/moved']);
+        expect(report.summary).toMatchObject({ discovered: 4, checked: 3, broken: 1, redirected: 1, unchecked: 1 });
+        expect(crawler.linkChecker.getBrokenLinks()).toEqual([expect.objectContaining({
+            url: 'https://example.com/gone',
+            status: 404,
+            internal: true,
+            referrers: [{ url: 'https://example.com/', anchorText: 'Old news' }, { url: 'https://example.com/about', anchorText: 'Gone page' }]
+        })]);
+        expect(crawler.getErrors()[0]).toMatchObject({ url: 'https://example.com/gone', status: 404, referrers: [{ anchorText: 'Old news' }, { anchorText: 'Gone page' }] });
+        expect(report.links.find(link => link.url === 'https://example.com/moved')).toMatchObject({ finalUrl: 'https://example.com/new', broken: false });
+        expect(crawler.linkChecker.getBrokenLinksCsv()).toBe('url,status,error,internal,referrer,anchor_text\n' +
+            'https://example.com/gone,404,Request failed with status code 404,true,https://example.com/,Old news\n' +
+            'https://example.com/gone,404,Request failed with status code 404,true,https://example.com/about,Gone page');
+
+        const concurrent = new ConcurrentWebCrawler({
+            fetcher: siteFetcher(), maxDepth: 1, delay: 0, checkLinks: true, checkExternalLinks: true, enableCheckpoints: false, logLevel: 'silent'
+        });
+        await concurrent.crawl('https://example.com/');
+        expect((await concurrent.checkLinks()).summary).toMatchObject({ discovered: 4, checked: 4, broken: 1 });
+        expect(concurrent.linkChecker.getReferrers('https://other.org/page')).toEqual([{ url: 'https://example.com/', anchorText: 'Partner, "Other"' }]);
+    });
+
+    test.each([
+        ['WebCrawler', WebCrawler],
+        ['ConcurrentWebCrawler', ConcurrentWebCrawler]
+    ])('should check each link as written with %s', async (name, Crawler) => {
+        const working = ['https://example.com/', 'https://example.com/docs', 'https://example.com/page'];
+        const fetcher = {
+            get: jest.fn(async url => {
+                if (url.endsWith('robots.txt')) {
+                    return { status: 200, data: '' };
+                }
+                if (!working.includes(url)) {
+                    throw fetchError(404);
+                }
+                return { status: 200, data: '<html><body><a href="/docs">Docs</a> <a href="/docs/">Docs again</a> <a href="/page">Page</a> <a href="/page?sid=1">Session page</a></body></html>', attempts: 1 };
+            }),
+            head: jest.fn(async url => {
+                if (!working.includes(url)) {
+                    throw fetchError(404);
+                }
+                return { status: 200 };
+            })
+        };
+        const crawler = new Crawler({ fetcher, maxDepth: 1, delay: 0, checkLinks: true, enableCheckpoints: false, logLevel: 'silent', progressCallback: () => {} });
+        await crawler.crawl('https://example.com/');
+        const report = await crawler.checkLinks();
+
+        // Both variants share a normalized URL, so the crawl fetched only the first as written
+        expect(report.summary).toMatchObject({ discovered: 4, checked: 4, broken: 2 });
+        expect(crawler.linkChecker.getBrokenLinks().map(link => link.url).sort()).toEqual(['https://example.com/docs/', 'https://example.com/page?sid=1']);
+        expect(crawler.linkChecker.getReferrers('https://example.com/docs/')).toEqual([{ url: 'https://example.com/', anchorText: 'Docs again' }]);
+    });
+
+    test('should report broken links in the analysis and SEO audit', () => {
+        const linkCheck = {
+            summary: { discovered: 3, checked: 3, broken: 2, redirected: 1, skipped: 0, unchecked: 0, checkExternal: true },
+            links: [
+                { url: 'https://example.com/gone', internal: true, status: 404, broken: true, referrers: [{ url: 'https://example.com/', anchorText: 'Old news' }] },
+                { url: 'https://down.test/', internal: false, status: null, error: 'getaddrinfo ENOTFOUND', broken: true, referrers: [{ url: 'https://example.com/', anchorText: '' }] },
+                { url: 'https://example.com/old', internal: true, status: 200, finalUrl: 'https://example.com/new', redirects: [{}], broken: false, referrers: [{ url: 'https://example.com/' }] }
+            ]
+        };
+        const analyzer = new DataAnalyzer({ logLevel: 'silent' });
+        expect(analyzer.analyzeLinks({ pages: [] })).toBeNull();
+
+        const analysis = analyzer.analyzeLinks({ linkCheck });
+        expect(analysis).toMatchObject({ brokenInternal: 1, brokenExternal: 1, statusCodes: { 200: 1, 404: 1, 'no response': 1 } });
+        const section = analyzer.generateLinkSection(analysis);
+        expect(section).toContain('- `https://example.com/gone` (404) - linked from `https://example.com/` ("Old news")');
+        expect(section).toContain('- `https://example.com/old` -> `https://example.com/new` (1 hop, linked from 1 page)');
+
+        const pages = [{ url: 'https://example.com/', title: 'Home', depth: 0, totalWords: 500 }];
+        const audit = new SeoAuditor().audit({ pages, linkCheck, errors: [] });
+        expect(audit.checks.find(check => check.id === 'broken-links').items)
+            .toEqual([{ url: 'https://example.com/gone', detail: '404, linked from 1 page', urls: ['https://example.com/'] }]);
+    });
+});
@@ -0,0 +1,155 @@
+const cheerio = require('cheerio');
+const LinkGraph = require('../src/linkGraph');
+const WebCrawler = require('../src/WebCrawler');
+const DataAnalyzer = require('../src/analyzer');
+const UrlNormalizer = require('../src/urlNormalizer');
+const CrawlScope = require('../src/scope');
+
+const link = path => `https://example.com${path}`;
+
+function page(path, targets, fields = {}) {
+    return {
+        url: link(path),
+        title: `Page ${path}`,
+        depth: 1,
+        outlinks: targets.map(target => typeof target === 'string'
+            ? { url: target.startsWith('/') ? link(target) : target, anchorText: '', internal: target.startsWith('/') }
+            : target),
+        ...fields
+    };
+}
+
+describe('LinkGraph', () => {
+    test('should extract every link with its anchor text, rel and site', () => {
+        const $ = cheerio.load(`<html><body>
+            <a href="/about">About   us</a>
+            <a href="/about">About us</a>
+            <a href="/about" rel="NoFollow ugc">About us</a>
+            <a href="/shop"><img src="cart.png" alt="Shop"></a>
+            <a href="#top">Top</a>
+            <a href="https://other.org/">Partner</a>
+        </body></html>`);
+        const scope = new CrawlScope();
+        scope.addStartUrl(link('/'));
+
+        expect(LinkGraph.extractOutlinks($, link('/'), { urlNormalizer: new UrlNormalizer(), scope })).toEqual([
+            { url: link('/about'), anchorText: 'About us', internal: true },
+            { url: link('/about'), anchorText: 'About us', rel: ['nofollow', 'ugc'], internal: true },
+            { url: link('/shop'), anchorText: 'Shop', internal: true },
+            { url: 'https://other.org/', anchorText: 'Partner', internal: false }
+        ]);
+    });
+
+    test('should record links to visited pages that the crawl does not follow', async () => {
+        const pages = {
+            [link('/')]: '<html><body><a href="/about">About</a></body></html>',
+            [link('/about')]: '<html><body><a href="/">Home</a> <a href="/about">About</a> <a href="/contact" rel="nofollow">Contact</a></body></html>'
+        };
+        const fetcher = {
+            get: jest.fn(async url => ({ status: 200, data: pages[url] || '', attempts: 1 }))
+        };
+        const crawler = new WebCrawler({ fetcher, maxDepth: 1, delay: 0, logLevel: 'silent' });
+        await crawler.crawl(link('/'));
+
+        const about = crawler.getPages().find(crawled => crawled.url === link('/about'));
+        expect(about.links).toEqual([]);
+        expect(about.outlinks.map(outlink => outlink.url)).toEqual([link('/'), link('/about'), link('/contact')]);
+        expect(crawler.startUrl).toBe(link('/'));
+
+        const withoutGraph = new WebCrawler({ fetcher, maxDepth: 0, delay: 0, recordLinkGraph: false, logLevel: 'silent' });
+        await withoutGraph.crawl(link('/'));
+        expect(withoutGraph.getPages()[0].outlinks).toBeUndefined();
+    });
+
+    test('should compute degrees, PageRank, hubs, authorities and orphans', () => {
+        const graph = LinkGraph.fromCrawlData({
+            pages: [
+                page('/', ['/a', '/b', '/c-alias', 'https://other.org/'], { depth: 0 }),
+                page('/a', ['/', '/c', '/c']),
+                page('/b', ['/', '/c', { url: link('/a'), anchorText: 'A', rel: ['nofollow'], internal: true }]),
+                page('/c', ['/', '/c'], { aliases: [link('/c-alias')] }),
+                page('/landing', ['/'], { depth: 0 })
+            ]
+        });
+
+        expect(graph.nodes.size).toBe(6);
+        expect(graph.getDegrees().get(link('/c'))).toEqual({ inDegree: 3, outDegree: 1, externalOutDegree: 0 });
+        expect(graph.getDegrees().get(link('/'))).toMatchObject({ inDegree: 4, outDegree: 4, externalOutDegree: 1 });
+
+        const ranks = graph.pageRank();
+        const total = Array.from(ranks.values()).reduce((sum, rank) => sum + rank, 0);
+        expect(total).toBeCloseTo(1, 5);
+        expect(ranks.get(link('/'))).toBeGreaterThan(ranks.get(link('/c')));
+        expect(ranks.get(link('/c'))).toBeGreaterThan(ranks.get(link('/a')));
+        expect(ranks.get(link('/landing'))).toBeCloseTo(0.15 / 5, 5);
+
+        const { hubs, authorities } = graph.hits();
+        // /a and /b link to the two pages most linked to, / only to one of them
+        expect(hubs.get(link('/a'))).toBeCloseTo(hubs.get(link('/b')), 5);
+        expect(hubs.get(link('/a'))).toBeGreaterThan(hubs.get(link('/')));
+        expect(Array.from(authorities.entries()).sort((a, b) => b[1] - a[1]).map(([url]) => url).slice(0, 2)).toEqual([link('/'), link('/c')]);
+
+        expect(graph.getOrphans([link('/')]).map(node => node.url)).toEqual([link('/landing')]);
+        expect(graph.getOrphans()).toHaveLength(1);
+    });
+
+    test('should add the link graph to the report', () => {
+        const analyzer = new DataAnalyzer({ logLevel: 'silent' });
+        expect(analyzer.analyzeLinkGraph({ pages: [] })).toBeNull();
+
+        const analysis = analyzer.analyzeLinkGraph({
+            metadata: { startUrl: link('/') },
+            pages: [
+                page('/', ['/a', 'https://other.org/'], { depth: 0 }),
+                page('/a', ['/']),
+                page('/landing', [], { depth: 0 }),
+                // Crawled before outlinks were recorded
+                { url: link('/old'), title: '', depth: 1, links: [link('/a')] }
+            ]
+        });
+        expect(analysis).toMatchObject({ pages: 4, nodes: 5, links: 4, internalLinks: 3, externalLinks: 1, nofollowLinks: 0 });
+        expect(analysis.orphans).toEqual([{ url: link('/landing'), title: 'Page /landing' }, { url: link('/old'), title: '' }]);
+        expect(analysis.topPageRank[0]).toMatchObject({ url: link('/a'), inDegree: 2, outDegree: 1 });
+        expect(analysis.pageMetrics).toHaveLength(4);
+
+        const section = analyzer.generateLinkGraphSection(analysis);
+        expect(section).toContain('## Link Graph');
+        expect(section).toContain('- **Links:** 4 (3 internal, 1 external, 0 nofollow)');
+        expect(section).toContain(`1. **Page /a** (\`${link('/a')}\`): ${analysis.topPageRank[0].pageRank} (2 in, 1 out)`);
+        expect(section).toContain(`- **Page /landing** (\`${link('/landing')}\`)`);
+    });
+
+    test('should map the site for the HTML report', () => {
+        const analyzer = new DataAnalyzer({ logLevel: 'silent' });
+        const crawlData = {
+            pages: [
+                page('/', ['/a', '/gone', '/a'], { depth: 0, totalWords: 300 }),
+                page('/a', ['/'], { title: '</script><b>A</b>', totalWords: 100, duplicateOf: link('/') }),
+                page('/b', ['/a'], { depth: 2, redirects: [{ url: link('/b'), status: 301, location: link('/b/') }] })
+            ],
+            errors: [
+                { url: link('/gone'), error: 'Request failed with status code 404', status: 404 },
+                { url: link('/unlinked'), error: 'timeout' }
+            ]
+        };
+
+        const siteGraph = analyzer.getSiteGraph(crawlData);
+        expect(siteGraph.nodes.map(node => [node.url, node.status, node.depth])).toEqual([
+            [link('/'), 'ok', 0], [link('/a'), 'duplicate', 1], [link('/b'), 'redirected', 2], [link('/gone'), 'error', 1]
+        ]);
+        expect(siteGraph.nodes[3]).toMatchObject({ statusCode: 404, inDegree: 1, words: 0 });
+        expect(siteGraph.links).toEqual([[0, 1], [0, 3], [1, 0], [2, 1]]);
+        expect(analyzer.getSiteGraph({ pages: [] })).toBeNull();
+
+        const capped = analyzer.getSiteGraph(crawlData, 2);
+        expect(capped).toMatchObject({ totalNodes: 4, links: [[0, 1], [1, 0]] });
+        expect(capped.nodes.map(node => node.url)).toEqual([link('/'), link('/a')]);
+
+        const html = analyzer.generateSiteGraphHtml(siteGraph);
+        expect(html).toContain('<p>4 pages and the 4 links between them');
+        expect(html).toContain('\\u003c/script>\\u003cb>A\\u003c/b>');
+        expect(html).not.toContain('</script><b>');
+        expect(html).not.toMatch(/<script src=/);
+        expect(analyzer.generateSiteGraphHtml(capped)).toContain('The 2 pages with the highest PageRank (of 4)');
+    });
+});
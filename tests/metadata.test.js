@@ -0,0 +1,115 @@
+const cheerio = require('cheerio');
+const { extractMetadata } = require('../src/metadata');
+const WebCrawler = require('../src/WebCrawler');
+const DataAnalyzer = require('../src/analyzer');
+
+const PAGE = `<html lang="en-GB"><head>
+    <title>Sourdough Starter Guide</title>
+    <meta name="Description" content="  How to feed and keep a sourdough starter. ">
+    <meta name="keywords" content="sourdough, baking, ,starter">
+    <link rel="Canonical" href="/guides/sourdough">
+    <meta property="og:title" content="Sourdough Starter Guide">
+    <meta property="og:image" content="https://example.com/a.jpg">
+    <meta property="og:image" content="https://example.com/b.jpg">
+    <meta name="twitter:card" content="summary_large_image">
+    <script type="application/ld+json">{"@context": "https://schema.org", "@graph": [{"@type": "Article", "headline": "Starter"}, {"@type": "BreadcrumbList"}]}</script>
+    <script type="application/ld+json">{ not json }</script>
+</head><body>
+    <h1>Sourdough <em>Starter</em></h1>
+    <h2>Feeding</h2><h4>Ignored</h4><h3>Storage</h3>
+    <div itemscope itemtype="https://schema.org/Recipe">
+        <span itemprop="name">Country loaf</span>
+        <img itemprop="image" src="/loaf.jpg">
+        <time itemprop="cookTime" datetime="PT45M">45 minutes</time>
+        <div itemprop="author" itemscope itemtype="https://schema.org/Person"><span itemprop="name">Ada</span></div>
+        <ul><li itemprop="recipeIngredient">Flour</li><li itemprop="recipeIngredient">Water</li></ul>
+    </div>
+</body></html>`;
+
+describe('Page metadata', () => {
+    test('should extract meta tags, headings and social card fields', () => {
+        const metadata = extractMetadata(cheerio.load(PAGE), 'https://example.com/blog/starter');
+
+        expect(metadata).toMatchObject({
+            description: 'How to feed and keep a sourdough starter.',
+            keywords: ['sourdough', 'baking', 'starter'],
+            canonical: 'https://example.com/guides/sourdough',
+            language: 'en-GB',
+            headings: [{ level: 1, text: 'Sourdough Starter' }, { level: 2, text: 'Feeding' }, { level: 3, text: 'Storage' }],
+            images: { total: 1, missingAlt: 1, missingAltSources: ['https://example.com/loaf.jpg'] },
+            openGraph: { title: 'Sourdough Starter Guide', image: ['https://example.com/a.jpg', 'https://example.com/b.jpg'] },
+            twitter: { card: 'summary_large_image' }
+        });
+    });
+
+    test('should keep fields named like Object.prototype members', () => {
+        const metadata = extractMetadata(cheerio.load(`<html><head>
+            <meta property="og:constructor" content="Builder">
+            <meta property="og:toString" content="Text">
+            <meta property="og:toString" content="More text">
+        </head><body>
+            <div itemscope><span itemprop="__proto__">Polluted</span><span itemprop="hasOwnProperty">Own</span></div>
+        </body></html>`), 'https://example.com/');
+
+        expect(metadata.openGraph.constructor).toBe('Builder');
+        expect(metadata.openGraph.tostring).toEqual(['Text', 'More text']);
+        expect(Object.keys(metadata.microdata[0].properties)).toEqual(['__proto__', 'hasOwnProperty']);
+        expect(metadata.microdata[0].properties.__proto__).toBe('Polluted');
+    });
+
+    test('should parse JSON-LD and microdata blocks', () => {
+        const metadata = extractMetadata(cheerio.load(PAGE), 'https://example.com/blog/starter');
+
+        expect(metadata.jsonLd).toEqual([{ '@type': 'Article', headline: 'Starter' }, { '@type': 'BreadcrumbList' }]);
+        expect(metadata.jsonLdErrors).toBe(1);
+        expect(metadata.microdata).toEqual([{
+            type: 'https://schema.org/Recipe',
+            properties: {
+                name: 'Country loaf',
+                image: 'https://example.com/loaf.jpg',
+                cookTime: 'PT45M',
+                author: { type: 'https://schema.org/Person', properties: { name: 'Ada' } },
+                recipeIngredient: ['Flour', 'Water']
+            }
+        }]);
+        expect(metadata.structuredDataTypes).toEqual(['Article', 'BreadcrumbList', 'Recipe']);
+    });
+
+    test('should store metadata with each crawled page', async () => {
+        const fetcher = {
+            get: jest.fn(async url => ({ data: url.endsWith('robots.txt') ? '' : PAGE, attempts: 1 }))
+        };
+        const crawler = new WebCrawler({ fetcher, maxDepth: 0, delay: 0, respectCanonical: false, logLevel: 'silent' });
+        await crawler.crawl('https://example.com/blog/starter');
+
+        expect(crawler.crawlData[0].metadata).toMatchObject({ description: 'How to feed and keep a sourdough starter.', structuredDataTypes: ['Article', 'BreadcrumbList', 'Recipe'] });
+    });
+
+    test('should report missing descriptions and shared titles', () => {
+        const metadata = (description, headings = [{ level: 1, text: 'Heading' }]) => ({ description, headings, openGraph: {}, twitter: {}, structuredDataTypes: [] });
+        const pages = [
+            { url: 'https://example.com/', title: 'Shop', metadata: metadata('Handmade bowls') },
+            { url: 'https://example.com/bowls', title: 'Shop', metadata: metadata(null, []) },
+            { url: 'https://example.com/bowls?print=1', title: 'Shop', duplicateOf: 'https://example.com/bowls', metadata: metadata(null) },
+            { url: 'https://example.com/about', title: '', metadata: { ...metadata('handmade bowls'), structuredDataTypes: ['Organization'] } }
+        ];
+        const analyzer = new DataAnalyzer({ logLevel: 'silent' });
+        expect(analyzer.analyzeMetadata({ pages: [{ url: 'https://example.com/' }] })).toBeNull();
+
+        const analysis = analyzer.analyzeMetadata({ pages });
+        expect(analysis).toMatchObject({
+            pagesChecked: 4,
+            missingTitles: ['https://example.com/about'],
+            duplicateTitles: [{ title: 'Shop', urls: ['https://example.com/', 'https://example.com/bowls'] }],
+            duplicateDescriptions: [{ description: 'Handmade bowls', urls: ['https://example.com/', 'https://example.com/about'] }],
+            structuredDataPages: 1,
+            structuredDataTypes: [{ type: 'Organization', pages: 1 }]
+        });
+        expect(analysis.missingDescriptions.map(page => page.url)).toEqual(['https://example.com/bowls', 'https://example.com/bowls?print=1']);
+        expect(analysis.missingH1.map(page => page.url)).toEqual(['https://example.com/bowls']);
+
+        const section = analyzer.generateMetadataSection(analysis);
+        expect(section).toContain('## Page Metadata');
+        expect(section).toContain('- "Shop": `https://example.com/`, `https://example.com/bowls`');
+    });
+});
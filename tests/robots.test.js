@@ -0,0 +1,219 @@
+const RobotsCache = require('../src/robots');
+const SitemapParser = require('../src/sitemap');
+const WebCrawler = require('../src/WebCrawler');
+const ConcurrentWebCrawler = require('../src/ConcurrentWebCrawler');
+const { mockFetcher } = require('./helpers/mockFetcher');
+
+const ROBOTS_TXT = [
+    'User-agent: *',
+    'Disallow: /private',
+    'Crawl-delay: 2',
+    'Sitemap: https://example.com/sitemap.xml'
+].join('\n');
+
+const SITEMAP_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+    <url><loc>https://example.com/</loc></url>
+    <url><loc>https://example.com/about</loc></url>
+    <url><loc>https://other.com/elsewhere</loc></url>
+</urlset>`;
+
+describe('RobotsCache', () => {
+    test('should answer allow, Crawl-delay and Sitemap questions from one fetch', async () => {
+        const fetcher = mockFetcher({ 'https://example.com/robots.txt': ROBOTS_TXT });
+        const robots = new RobotsCache({ fetcher });
+
+        // Crawl-delay is only known once robots.txt has been fetched
+        expect(robots.getCrawlDelay('https://example.com/')).toBe(0);
+
+        const [allowed, disallowed] = await Promise.all([
+            robots.isAllowed('https://example.com/page'),
+            robots.isAllowed('https://example.com/private/page')
+        ]);
+        expect(allowed).toBe(true);
+        expect(disallowed).toBe(false);
+        expect(robots.getCrawlDelay('https://example.com/page')).toBe(2000);
+        expect(await robots.getSitemaps('https://example.com/')).toEqual(['https://example.com/sitemap.xml']);
+        expect(fetcher.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should allow everything when robots.txt is missing and cap huge delays', async () => {
+        const robots = new RobotsCache({ fetcher: mockFetcher({}) });
+        expect(await robots.isAllowed('https://example.com/private')).toBe(true);
+        expect(await robots.getSitemaps('https://example.com/')).toEqual([]);
+
+        const slow = new RobotsCache({
+            fetcher: mockFetcher({ 'https://slow.com/robots.txt': 'User-agent: *\nCrawl-delay: 86400' })
+        });
+        await slow.get('https://slow.com/');
+        expect(slow.getCrawlDelay('https://slow.com/')).toBe(60000);
+    });
+});
+
+describe('Crawl-delay and sitemap seeds', () => {
+    test('should wait for Crawl-delay when it exceeds the configured delay', async () => {
+        const fetcher = mockFetcher({ 'https://example.com/robots.txt': ROBOTS_TXT });
+        const crawler = new WebCrawler({ delay: 500, fetcher, logLevel: 'silent' });
+        await crawler.checkRobotsTxt('https://example.com/');
+
+        expect(crawler.getRequestDelay('https://example.com/next')).toBe(2000);
+        expect(crawler.getRequestDelay('https://unknown.com/')).toBe(500);
+
+        crawler.respectCrawlDelay = false;
+        expect(crawler.getRequestDelay('https://example.com/next')).toBe(500);
+    });
+
+    test('should space concurrent workers by the site Crawl-delay', async () => {
+        const fetcher = mockFetcher({ 'https://example.com/robots.txt': ROBOTS_TXT });
+        const crawler = new ConcurrentWebCrawler({ delay: 0, fetcher, logLevel: 'silent', enableCheckpoints: false });
+        const sleep = jest.spyOn(crawler, 'sleep').mockResolvedValue();
+        await crawler.checkRobotsTxt('https://example.com/');
+
+        await Promise.all([
+            crawler.waitForCrawlDelay('https://example.com/a'),
+            crawler.waitForCrawlDelay('https://example.com/b')
+        ]);
+        const waits = sleep.mock.calls.map(([ms]) => ms).sort((a, b) => a - b);
+        expect(waits[1] - waits[0]).toBeGreaterThanOrEqual(1900);
+    });
+
+    test('should queue requests per host, spacing each host by its Crawl-delay', async () => {
+        const fetcher = mockFetcher({
+            'https://example.com/robots.txt': ROBOTS_TXT,
+            'https://other.com/robots.txt': ROBOTS_TXT
+        });
+        const crawler = new ConcurrentWebCrawler({ delay: 0, fetcher, logLevel: 'silent', enableCheckpoints: false });
+        await crawler.checkRobotsTxt('https://example.com/');
+        await crawler.checkRobotsTxt('https://other.com/');
+
+        jest.useFakeTimers();
+        try {
+            const start = Date.now();
+            const startTimes = {};
+            const waitFor = url => crawler.waitForCrawlDelay(url).then(() => { startTimes[url] = Date.now() - start; });
+            const waits = Promise.all([
+                waitFor('https://example.com/a'),
+                waitFor('https://example.com/b'),
+                waitFor('https://other.com/a'),
+                waitFor('https://other.com/b')
+            ]);
+            await jest.advanceTimersByTimeAsync(5000);
+            await waits;
+
+            expect(startTimes).toEqual({
+                'https://example.com/a': 0,
+                'https://other.com/a': 0,
+                'https://example.com/b': 2000,
+                'https://other.com/b': 2000
+            });
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('should wait for the Crawl-delay slot before each worker fetches', async () => {
+        const pages = ['/', '/1', '/2', '/3', '/4'];
+        const fetcher = mockFetcher({
+            'https://example.com/robots.txt': 'User-agent: *\nCrawl-delay: 0.2',
+            ...Object.fromEntries(pages.map(page => [`https://example.com${page}`,
+                page === '/' ? `<html><body>${pages.map(link => `<a href="${link}">Page</a>`).join(' ')}</body></html>` : '<html><body>Page</body></html>'
+            ]))
+        });
+        const fetch = fetcher.get;
+        const fetchTimes = [];
+        fetcher.get = jest.fn((url, options) => {
+            if (!url.endsWith('/robots.txt')) {
+                fetchTimes.push(Date.now());
+            }
+            return fetch(url, options);
+        });
+        const crawler = new ConcurrentWebCrawler({ concurrency: 5, delay: 0, fetcher, logLevel: 'silent', enableCheckpoints: false, progressCallback: () => {} });
+        await crawler.crawl('https://example.com/');
+
+        expect(fetchTimes).toHaveLength(5);
+        fetchTimes.slice(1).forEach((time, index) => expect(time - fetchTimes[index]).toBeGreaterThanOrEqual(190));
+    });
+
+    test('should seed the queue with same-site sitemap URLs', async () => {
+        const fetcher = mockFetcher({
+            'https://example.com/robots.txt': ROBOTS_TXT,
+            'https://example.com/sitemap.xml': SITEMAP_XML
+        });
+        const crawler = new ConcurrentWebCrawler({ fetcher, useSitemaps: true, logLevel: 'silent', enableCheckpoints: false });
+        crawler.frontier.push({ url: 'https://example.com/', depth: 0 });
+
+        await crawler.addSitemapSeeds('https://example.com/');
+        expect(crawler.frontier.toArray().map(item => item.url)).toEqual(['https://example.com/', 'https://example.com/about']);
+    });
+
+    test('should crawl only sitemap URLs in sitemap-only mode', async () => {
+        const fetcher = mockFetcher({
+            'https://example.com/robots.txt': 'User-agent: *\nAllow: /',
+            'https://example.com/sitemap.xml': SITEMAP_XML,
+            'https://example.com/': '<html><body><a href="/linked">Linked</a></body></html>',
+            'https://example.com/about': '<html><body><a href="/linked">Linked</a></body></html>'
+        });
+        const crawler = new WebCrawler({ fetcher, sitemapOnly: true, delay: 0, logLevel: 'silent' });
+
+        await crawler.crawl('https://example.com/start');
+        expect(crawler.crawlData.map(page => page.url)).toEqual(['https://example.com/', 'https://example.com/about']);
+    });
+
+    test('should parse sitemap locations and skip unreadable sitemaps', async () => {
+        const parser = new SitemapParser({ fetcher: mockFetcher({ 'https://example.com/sitemap.xml': SITEMAP_XML }) });
+        expect(await parser.getUrls(['https://example.com/sitemap.xml', 'https://example.com/missing.xml'])).toEqual([
+            'https://example.com/',
+            'https://example.com/about',
+            'https://other.com/elsewhere'
+        ]);
+    });
+});
+
+describe('Page robots directives', () => {
+    const cheerio = require('cheerio');
+    const routes = {
+        'https://example.com/robots.txt': 'User-agent: *\nAllow: /',
+        'https://example.com/': `<html><body><p>Home page</p>
+            <a href="/hidden">Hidden</a><a href="/ad" rel="sponsored nofollow">Ad</a><a href="/header">Header</a></body></html>`,
+        'https://example.com/hidden': '<html><head><meta name="robots" content="noindex"></head><body><p>Secret words</p><a href="/deep">Deep</a></body></html>',
+        'https://example.com/header': { data: '<html><body><p>Header page</p><a href="/unfollowed">Next</a></body></html>', headers: { 'x-robots-tag': 'nofollow' } },
+        'https://example.com/deep': '<html><body><p>Deep page</p></body></html>',
+        'https://example.com/unfollowed': '<html><body><p>Unfollowed page</p></body></html>',
+        'https://example.com/ad': '<html><body><p>Advert</p></body></html>'
+    };
+    const fetcher = () => mockFetcher(routes);
+
+    test('should read meta robots tags and X-Robots-Tag headers for this crawler', () => {
+        const $ = cheerio.load('<meta name="robots" content="index, follow"><meta name="WebCrawler" content="NOINDEX">');
+        expect(RobotsCache.getPageDirectives($, {}, 'WebCrawler/1.0')).toEqual({ noindex: true, nofollow: false });
+        expect(RobotsCache.getPageDirectives($, {}, 'OtherBot/2.0')).toEqual({ noindex: false, nofollow: false });
+
+        const empty = cheerio.load('<p>No meta</p>');
+        expect(RobotsCache.getPageDirectives(empty, { 'x-robots-tag': 'none' }, 'WebCrawler/1.0')).toEqual({ noindex: true, nofollow: true });
+        expect(RobotsCache.getPageDirectives(empty, { 'x-robots-tag': ['otherbot: noindex', 'unavailable_after: 25 Jun 2030 15:00:00 PST'] }, 'WebCrawler/1.0'))
+            .toEqual({ noindex: false, nofollow: false });
+    });
+
+    test('should skip noindex pages and not follow nofollow pages or links', async () => {
+        for (const Crawler of [WebCrawler, ConcurrentWebCrawler]) {
+            const crawler = new Crawler({ fetcher: fetcher(), delay: 0, maxDepth: 3, maxLinksPerPage: 10, logLevel: 'silent', enableCheckpoints: false });
+            await crawler.crawl('https://example.com/');
+
+            expect(crawler.crawlData.map(page => page.url).sort()).toEqual([
+                'https://example.com/',
+                'https://example.com/deep',
+                'https://example.com/header'
+            ]);
+            expect(crawler.wordFrequency.has('secret')).toBe(false);
+            expect(crawler.skippedPages).toEqual([expect.objectContaining({ url: 'https://example.com/hidden', reason: 'noindex' })]);
+            expect(crawler.metrics).toMatchObject({ noindexPages: 1, nofollowPages: 1, nofollowLinks: 1 });
+        }
+    });
+
+    test('should ignore the directives when opted out', async () => {
+        const crawler = new WebCrawler({ fetcher: fetcher(), delay: 0, maxDepth: 3, maxLinksPerPage: 10, respectRobotsMeta: false, logLevel: 'silent' });
+        await crawler.crawl('https://example.com/');
+        expect(crawler.crawlData).toHaveLength(6);
+        expect(crawler.skippedPages).toEqual([]);
+    });
+});
@@ -0,0 +1,81 @@
+const cheerio = require('cheerio');
+const CrawlScope = require('../src/scope');
+const WebCrawler = require('../src/WebCrawler');
+const ConcurrentWebCrawler = require('../src/ConcurrentWebCrawler');
+
+describe('CrawlScope', () => {
+    test('should keep links on the start host and skip file downloads by default', () => {
+        const scope = new CrawlScope();
+        scope.addStartUrl('https://example.com/');
+
+        expect(scope.isInScope('https://example.com/about')).toBe(true);
+        expect(scope.isInScope('https://blog.example.com/')).toBe(false);
+        expect(scope.isInScope('https://example.com/brochure.PDF')).toBe(false);
+    });
+
+    test('should match glob and regex include/exclude patterns', () => {
+        const scope = new CrawlScope({
+            includePatterns: ['/blog/**', '/products/*'],
+            excludePatterns: ['*.php', '*?*sort=*', 'regex:page=\\d{3,}']
+        });
+        scope.addStartUrl('https://example.com/');
+
+        expect(scope.isInScope('https://example.com/blog')).toBe(true);
+        expect(scope.isInScope('https://example.com/blog/2024/post')).toBe(true);
+        expect(scope.isInScope('https://example.com/products/shoes')).toBe(true);
+        expect(scope.isInScope('https://example.com/products/shoes/red')).toBe(false); // * stays within a segment
+        expect(scope.isInScope('https://example.com/about')).toBe(false);
+        expect(scope.isInScope('https://example.com/blog/feed.php')).toBe(false);
+        expect(scope.isInScope('https://example.com/blog?a=1&sort=date')).toBe(false);
+        expect(scope.isInScope('https://example.com/blog?page=120')).toBe(false);
+        expect(scope.isInScope('https://example.com/blog?page=12')).toBe(true);
+        expect(() => new CrawlScope({ excludePatterns: ['regex:(unclosed'] })).toThrow('Invalid scope pattern');
+    });
+
+    test('should scope by path prefix, subdomains and allowed hosts', () => {
+        const scope = new CrawlScope({
+            pathPrefixes: ['/docs/'],
+            includeSubdomains: true,
+            allowedHosts: ['api.example.org', '*.example-cdn.net']
+        });
+        scope.addStartUrl('https://www.example.com/docs/');
+
+        expect(scope.isInScope('https://www.example.com/docs')).toBe(true);
+        expect(scope.isInScope('https://www.example.com/docs/guide')).toBe(true);
+        expect(scope.isInScope('https://www.example.com/docsearch')).toBe(false);
+        expect(scope.isInScope('https://blog.example.com/docs/post')).toBe(true);
+        expect(scope.isInScope('https://api.example.org/docs/v1')).toBe(true);
+        expect(scope.isInScope('https://eu.example-cdn.net/docs/file')).toBe(true);
+        expect(scope.isInScope('https://example-cdn.net/docs/file')).toBe(false);
+        expect(scope.isInScope('https://notexample.com/docs/')).toBe(false);
+    });
+});
+
+describe('Crawl scope in extractLinks', () => {
+    const html = `<html><body>
+        <a href="/docs/intro">Intro</a>
+        <a href="/docs/print?id=1&print=1">Print</a>
+        <a href="/pricing">Pricing</a>
+        <a href="https://help.example.com/docs/faq">Help</a>
+    </body></html>`;
+    const options = {
+        pathPrefixes: ['/docs'],
+        excludePatterns: ['*?*print=*'],
+        includeSubdomains: true,
+        logLevel: 'silent',
+        enableCheckpoints: false
+    };
+
+    test.each([
+        ['WebCrawler', WebCrawler],
+        ['ConcurrentWebCrawler', ConcurrentWebCrawler]
+    ])('%s should follow only links within the configured scope', (name, Crawler) => {
+        const crawler = new Crawler(options);
+        crawler.scope.addStartUrl('https://example.com/docs');
+
+        expect(crawler.extractLinks(cheerio.load(html), 'https://example.com/docs')).toEqual([
+            'https://example.com/docs/intro',
+            'https://help.example.com/docs/faq'
+        ]);
+    });
+});
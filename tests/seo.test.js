@@ -0,0 +1,132 @@
+const SeoAuditor = require('../src/seo');
+const DataAnalyzer = require('../src/analyzer');
+const { loadConfig, toAnalyzerOptions } = require('../src/config');
+
+const WORDS = 400;
+
+function page(path, options = {}) {
+    const { h1 = 1, description = `About ${path}`, images = { total: 0, missingAlt: 0 }, ...fields } = options;
+    return {
+        url: `https://example.com${path}`,
+        title: `Page ${path}`,
+        depth: 1,
+        totalWords: WORDS,
+        links: [],
+        metadata: {
+            description,
+            headings: Array.from({ length: h1 }, () => ({ level: 1, text: 'Heading' })),
+            images
+        },
+        ...fields
+    };
+}
+
+function findCheck(audit, id) {
+    return audit.checks.find(check => check.id === id);
+}
+
+describe('SeoAuditor', () => {
+    test('should score a clean site 100', () => {
+        const audit = new SeoAuditor().audit({
+            pages: [page('/', { depth: 0, links: ['https://example.com/a'] }), page('/a')],
+            errors: []
+        });
+        expect(audit).toMatchObject({ score: 100, grade: 'A', pagesAudited: 2, issuesFound: 0 });
+        expect(new SeoAuditor().audit({ pages: [{ url: 'https://example.com/a.pdf', contentType: 'application/pdf' }] })).toBeNull();
+    });
+
+    test('should flag titles, descriptions, headings, thin content and images', () => {
+        const pages = [
+            page('/', { depth: 0, title: 'Shop', description: 'Bowls' }),
+            page('/bowls', { title: 'Shop', description: 'bowls', h1: 0 }),
+            page('/bowls?print=1', { title: 'Shop', duplicateOf: 'https://example.com/bowls' }),
+            page('/about', { title: ' ', description: null, h1: 2, totalWords: 120 }),
+            page('/gallery', { images: { total: 4, missingAlt: 3 } })
+        ];
+        const audit = new SeoAuditor().audit({ pages, errors: [] });
+
+        expect(findCheck(audit, 'missing-title').items.map(item => item.url)).toEqual(['https://example.com/about']);
+        expect(findCheck(audit, 'duplicate-title')).toMatchObject({
+            affectedPages: 2,
+            items: [{ url: 'https://example.com/', detail: 'title "Shop" on 2 pages', urls: ['https://example.com/', 'https://example.com/bowls'] }]
+        });
+        expect(findCheck(audit, 'duplicate-description').items[0].urls).toEqual(['https://example.com/', 'https://example.com/bowls']);
+        expect(findCheck(audit, 'missing-description').affectedPages).toBe(1);
+        expect(findCheck(audit, 'missing-h1').items.map(item => item.url)).toEqual(['https://example.com/bowls']);
+        expect(findCheck(audit, 'multiple-h1').items[0]).toMatchObject({ url: 'https://example.com/about', detail: '2 <h1> headings' });
+        expect(findCheck(audit, 'thin-content').items[0]).toMatchObject({ url: 'https://example.com/about', detail: '120 words' });
+        expect(findCheck(audit, 'images-missing-alt').items[0].detail).toBe('3 of 4 images');
+        expect(audit.score).toBeLessThan(100);
+    });
+
+    test('should measure click depth over the crawled links', () => {
+        const link = path => `https://example.com${path}`;
+        const pages = [
+            page('/', { depth: 0, links: [link('/1'), link('/shortcut')] }),
+            page('/1', { links: [link('/2')] }),
+            page('/2', { depth: 2, links: [link('/3')] }),
+            page('/3', { depth: 3, links: [link('/4')] }),
+            page('/4', { depth: 4 }),
+            page('/shortcut', { links: [link('/4-alias')] }),
+            page('/orphan', { depth: 5 })
+        ];
+        pages[4].aliases = [link('/4-alias')];
+        const auditor = new SeoAuditor({ maxClickDepth: 2 });
+
+        const depths = auditor.getClickDepths(pages);
+        expect(depths.get(link('/4'))).toBe(2);
+        expect(depths.get(link('/orphan'))).toBe(5);
+        expect(findCheck(auditor.audit({ pages }), 'deep-pages').items.map(item => item.url)).toEqual([link('/3'), link('/orphan')]);
+    });
+
+    test('should report redirect chains and broken links with the pages linking to them', () => {
+        const pages = [
+            page('/', {
+                depth: 0,
+                links: ['https://example.com/gone', 'https://example.com/moved'],
+                redirects: [{ url: 'https://example.com/', status: 301, location: 'https://example.com/index' }]
+            }),
+            page('/moved', {
+                links: ['https://example.com/gone'],
+                redirects: [
+                    { url: 'https://example.com/moved', status: 301, location: 'https://example.com/moved/' },
+                    { url: 'https://example.com/moved/', status: 302, location: 'https://example.com/final' }
+                ]
+            })
+        ];
+        const errors = [
+            { url: 'https://example.com/gone', error: 'Request failed', type: 'fatal', status: 404 },
+            { url: 'https://example.com/slow', error: 'timeout', type: 'transient' }
+        ];
+        const audit = new SeoAuditor().audit({ pages, errors });
+
+        expect(findCheck(audit, 'redirect-chains').items).toEqual([{
+            url: 'https://example.com/moved',
+            title: 'Page /moved',
+            detail: 'https://example.com/moved -> https://example.com/moved/ -> https://example.com/final'
+        }]);
+        expect(findCheck(audit, 'broken-links')).toMatchObject({
+            severity: 'error',
+            affectedPages: 2,
+            score: 0,
+            items: [{ url: 'https://example.com/gone', detail: '404, linked from 2 pages', urls: ['https://example.com/', 'https://example.com/moved'] }]
+        });
+    });
+
+    test('should add the audit to the reports', async () => {
+        const config = await loadConfig({ argv: ['--thin-content-words=500', '--max-click-depth=2'], env: {} });
+        const analyzer = new DataAnalyzer({ ...toAnalyzerOptions(config), logLevel: 'silent' });
+        expect(analyzer.seoAuditor).toMatchObject({ thinContentWords: 500, maxClickDepth: 2 });
+
+        const audit = analyzer.analyzeSeo({ pages: [page('/', { depth: 0, title: '<Home>', description: null })] });
+        const section = analyzer.generateSeoAuditSection(audit);
+        expect(section).toContain('## SEO Audit');
+        expect(section).toContain('- ⚠️ **Thin content** (warning): 1 of 1 pages');
+        expect(section).toContain('- `https://example.com/`: no meta description');
+
+        const html = analyzer.generateSeoAuditHtml(audit);
+        expect(html).toContain(`<div class="stat-value">${audit.score}/100</div>`);
+        expect(html).toContain('<span class="severity severity-warning">warning</span>');
+        expect(html).not.toContain('<Home>');
+    });
+});
@@ -0,0 +1,75 @@
+const http = require('http');
+const zlib = require('zlib');
+const Fetcher = require('../src/fetcher');
+const RobotsCache = require('../src/robots');
+const SitemapParser = require('../src/sitemap');
+const { mockFetcher } = require('./helpers/mockFetcher');
+
+describe('SitemapParser', () => {
+    test('should follow sitemap indexes, unpack gzip and order by priority and lastmod', async () => {
+        const index = `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+            <sitemap><loc>https://example.com/pages.xml.gz</loc></sitemap>
+            <sitemap><loc>https://example.com/index.xml</loc></sitemap>
+        </sitemapindex>`;
+        const pages = `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+            <url><loc>https://example.com/old</loc><lastmod>2020-01-01</lastmod></url>
+            <url><loc>https://example.com/new</loc><lastmod>2024-06-01</lastmod></url>
+            <url><loc>https://example.com/important</loc><priority>0.9</priority></url>
+            <url><loc>https://example.com/minor</loc><priority>0.1</priority></url>
+        </urlset>`;
+        const fetcher = mockFetcher({
+            'https://example.com/index.xml': index,
+            'https://example.com/pages.xml.gz': zlib.gzipSync(pages)
+        });
+        const parser = new SitemapParser({ fetcher });
+
+        expect(await parser.getUrls(['https://example.com/index.xml'])).toEqual([
+            'https://example.com/important',
+            'https://example.com/new',
+            'https://example.com/old',
+            'https://example.com/minor'
+        ]);
+        // The index lists itself, but each sitemap is only read once
+        expect(fetcher.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('should skip sitemaps that unpack beyond the size limit', async () => {
+        const sitemap = url => `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><url><loc>${url}</loc></url></urlset>`;
+        const fetcher = mockFetcher({
+            'https://example.com/bomb.xml.gz': zlib.gzipSync(sitemap('https://example.com/bomb') + ' '.repeat(10000)),
+            'https://example.com/pages.xml.gz': zlib.gzipSync(sitemap('https://example.com/page'))
+        });
+        const logger = { warn: jest.fn() };
+        const parser = new SitemapParser({ fetcher, logger, maxSitemapSize: 1000 });
+
+        expect(await parser.getUrls(['https://example.com/bomb.xml.gz', 'https://example.com/pages.xml.gz'])).toEqual(['https://example.com/page']);
+        expect(logger.warn).toHaveBeenCalledWith('⚠️  Could not read sitemap https://example.com/bomb.xml.gz: sitemap is larger than 1000 bytes');
+    });
+
+    test('should fall back to /sitemap.xml when robots.txt declares none', async () => {
+        const parser = new SitemapParser({ fetcher: mockFetcher({}) });
+        const robots = new RobotsCache({ fetcher: mockFetcher({}) });
+        expect(await parser.discover('https://example.com/page', robots)).toEqual(['https://example.com/sitemap.xml']);
+    });
+
+    test('should not download sitemaps beyond the size limit, even gzip-encoded', async () => {
+        const xml = `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><url><loc>https://example.com/page</loc></url></urlset>`;
+        const server = http.createServer((request, response) => {
+            const body = request.url === '/bomb.xml' ? xml + ' '.repeat(100000) : xml;
+            response.writeHead(200, { 'content-type': 'application/xml', 'content-encoding': 'gzip' });
+            response.end(zlib.gzipSync(body));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const origin = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+            const logger = { warn: jest.fn() };
+            const parser = new SitemapParser({ fetcher: new Fetcher({ maxRetries: 0 }), logger, maxSitemapSize: 1000 });
+
+            expect(await parser.getUrls([`${origin}/bomb.xml`, `${origin}/pages.xml`])).toEqual(['https://example.com/page']);
+            expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining(`Could not read sitemap ${origin}/bomb.xml: maxContentLength size of 1000 exceeded`));
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,33 @@
+const Stemmer = require('../src/stemmer');
+const WebCrawler = require('../src/WebCrawler');
+
+describe('Stemmer', () => {
+    test('should reduce English inflections to a common stem', () => {
+        const stemmer = new Stemmer();
+        ['crawl', 'crawls', 'crawling', 'crawled'].forEach(word => {
+            expect(stemmer.stem(word, 'en')).toBe('crawl');
+        });
+        expect(stemmer.stem('relational', 'en')).toBe('relat');
+        expect(stemmer.stem('ponies', 'en')).toBe('poni');
+    });
+
+    test('should pass through languages without a stemmer and accept new ones', () => {
+        const stemmer = new Stemmer();
+        expect(stemmer.stem('gatos', 'es')).toBe('gatos');
+        stemmer.register('es', word => word.replace(/s$/, ''));
+        expect(stemmer.stem('gatos', 'es')).toBe('gato');
+    });
+
+    test('should aggregate counts by stem and display the most frequent surface form', () => {
+        const crawler = new WebCrawler({ stemming: true });
+        crawler.updateGlobalWordFrequency({ crawling: 3, crawl: 1, crawled: 2 }, 'en');
+        crawler.updateGlobalWordFrequency({ crawls: 1, data: 2 }, 'en');
+
+        expect(crawler.wordFrequency.get('crawl')).toBe(7);
+        const [top] = crawler.getTopWords(1);
+        expect(top.word).toBe('crawling');
+        expect(top.stem).toBe('crawl');
+        expect(top.variants).toEqual(expect.arrayContaining(['crawl', 'crawling', 'crawled', 'crawls']));
+        expect(crawler.getWordFrequencyCsv().split('\n')[1]).toMatch(/^crawling,7,[\d.]+,crawl,/);
+    });
+});
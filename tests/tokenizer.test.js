@@ -0,0 +1,117 @@
+const Tokenizer = require('../src/tokenizer');
+const ConcurrentWebCrawler = require('../src/ConcurrentWebCrawler');
+
+describe('Tokenizer', () => {
+    let tokenizer;
+
+    beforeEach(() => {
+        tokenizer = new Tokenizer();
+    });
+
+    test('should drop stop words when excluding common words', () => {
+        const wordCount = tokenizer.countWords('The crawler and the parser work with the data', 'en');
+        expect(wordCount['the']).toBeUndefined();
+        expect(wordCount['and']).toBeUndefined();
+        expect(wordCount['with']).toBeUndefined();
+        expect(wordCount['crawler']).toBe(1);
+        expect(wordCount['data']).toBe(1);
+    });
+
+    test('should keep stop words when filtering is disabled', () => {
+        const wordCount = new Tokenizer({ excludeCommonWords: false }).countWords('the crawler and the parser', 'en');
+        expect(wordCount['the']).toBe(2);
+    });
+
+    test('should use the stop words of the page language', () => {
+        const wordCount = tokenizer.countWords('Der Crawler und die Daten für das Projekt', 'de');
+        expect(wordCount['und']).toBeUndefined();
+        expect(wordCount['für']).toBeUndefined();
+        expect(wordCount['crawler']).toBe(1);
+        expect(wordCount['projekt']).toBe(1);
+    });
+
+    test('should count words named like Object.prototype members', () => {
+        const wordCount = tokenizer.countWords('The constructor calls another constructor with __proto__ and hasOwnProperty', 'en');
+        expect(wordCount['constructor']).toBe(2);
+        expect(wordCount['proto']).toBe(1);
+        expect(wordCount['hasownproperty']).toBe(1);
+        expect(Object.values(wordCount).every(Number.isInteger)).toBe(true);
+
+        const phrases = tokenizer.countNgrams('Constructor function. Another constructor function', 'en');
+        expect(phrases['constructor function']).toBe(2);
+        expect(Object.values(phrases).every(Number.isInteger)).toBe(true);
+    });
+
+    test('should keep Cyrillic and Arabic words intact', () => {
+        const russian = tokenizer.countWords('Поисковый робот и данные, данные!', 'ru');
+        expect(russian['поисковый']).toBe(1);
+        expect(russian['данные']).toBe(2);
+        expect(russian['и']).toBeUndefined();
+
+        const arabic = tokenizer.countWords('تحليل البيانات في الموقع', 'ar');
+        expect(arabic['تحليل']).toBe(1);
+        expect(arabic['البيانات']).toBe(1);
+        expect(arabic['في']).toBeUndefined();
+    });
+
+    test('should segment CJK text into words', () => {
+        const tokens = tokenizer.tokenize('我们的数据分析工具', 'zh');
+        expect(tokens.length).toBeGreaterThan(0);
+        expect(tokens.join('')).not.toContain('的');
+        tokens.forEach(token => expect(Array.from(token).length).toBeGreaterThanOrEqual(2));
+    });
+
+    test('should detect language from <html lang> first', () => {
+        expect(tokenizer.detectLanguage('The quick brown fox', 'fr-CA')).toBe('fr');
+    });
+
+    test('should detect language from script and stop words', () => {
+        expect(tokenizer.detectLanguage('Это страница о поисковых роботах')).toBe('ru');
+        expect(tokenizer.detectLanguage('これはウェブクローラーのテストです')).toBe('ja');
+        expect(tokenizer.detectLanguage('这是一个网络爬虫的测试页面')).toBe('zh');
+        expect(tokenizer.detectLanguage('مرحبا بكم في الموقع')).toBe('ar');
+        expect(tokenizer.detectLanguage('El robot de la web y los datos para el análisis')).toBe('es');
+        expect(tokenizer.detectLanguage('The robot and the data for the analysis')).toBe('en');
+    });
+
+    test('should accept custom stop words and forced language', () => {
+        const custom = new Tokenizer({ language: 'en', stopWords: { en: ['crawler'] } });
+        expect(custom.detectLanguage('Der Crawler und die Daten', 'de')).toBe('en');
+        expect(custom.countWords('crawler results', 'en')).toEqual({ results: 1 });
+    });
+
+    test('should be used by the crawlers with the configured filtering', () => {
+        const crawler = new ConcurrentWebCrawler({ excludeCommonWords: true });
+        const wordCount = crawler.countWords('The crawler and the 2024 report', 'en');
+        expect(wordCount).toEqual({ crawler: 1, report: 1 });
+    });
+});
+
+describe('N-grams', () => {
+    const WebCrawler = require('../src/WebCrawler');
+
+    test('should count bigrams and trigrams that do not start or end with stop words', () => {
+        const tokenizer = new Tokenizer();
+        const phrases = tokenizer.countNgrams('Machine learning is fun. Read the terms of service and the privacy policy.', 'en');
+        expect(phrases['machine learning']).toBe(1);
+        expect(phrases['terms of service']).toBe(1);
+        expect(phrases['privacy policy']).toBe(1);
+        expect(phrases['of the']).toBeUndefined();
+        expect(phrases['the privacy']).toBeUndefined();
+    });
+
+    test('should not build phrases across sentence boundaries', () => {
+        const phrases = new Tokenizer().countNgrams('We love machine. Learning happens later.', 'en');
+        expect(phrases['machine learning']).toBeUndefined();
+    });
+
+    test('should aggregate phrases globally when enabled', () => {
+        const crawler = new WebCrawler({ ngrams: true });
+        crawler.updateGlobalPhraseFrequency({ 'machine learning': 2, 'privacy policy': 1 });
+        crawler.updateGlobalPhraseFrequency({ 'machine learning': 1, 'deep neural network': 1 });
+
+        const topPhrases = crawler.getTopPhrases(2);
+        expect(topPhrases[0]).toEqual({ phrase: 'machine learning', n: 2, count: 3, percentage: '60.00' });
+        expect(crawler.getPhraseFrequencyCsv().split('\n')[0]).toBe('phrase,n,count,percentage');
+    });
+});
@@ -0,0 +1,141 @@
+const UrlNormalizer = require('../src/urlNormalizer');
+const WebCrawler = require('../src/WebCrawler');
+const ConcurrentWebCrawler = require('../src/ConcurrentWebCrawler');
+const { mockFetcher } = require('./helpers/mockFetcher');
+
+describe('UrlNormalizer', () => {
+    let normalizer;
+
+    beforeEach(() => {
+        normalizer = new UrlNormalizer();
+    });
+
+    test('should drop fragments and tracking parameters and sort the query', () => {
+        expect(normalizer.normalize('https://example.com/page?utm_source=x&b=2&fbclid=abc&a=1#section'))
+            .toBe('https://example.com/page?a=1&b=2');
+        expect(normalizer.normalize('https://example.com/page?utm_medium=email')).toBe('https://example.com/page');
+    });
+
+    test('should normalize slashes, ports, host case and percent-encoding', () => {
+        expect(normalizer.normalize('HTTPS://Example.COM:443//docs//guide/')).toBe('https://example.com/docs/guide');
+        expect(normalizer.normalize('https://example.com/%7Euser/a%2fb')).toBe('https://example.com/~user/a%2Fb');
+        expect(normalizer.normalize('https://example.com')).toBe('https://example.com/');
+        expect(normalizer.normalize('../about/', 'https://example.com/blog/post')).toBe('https://example.com/about');
+    });
+
+    test('should collapse http and https variants onto the first scheme seen', () => {
+        expect(normalizer.normalize('https://example.com/a')).toBe('https://example.com/a');
+        expect(normalizer.normalize('http://example.com/b')).toBe('https://example.com/b');
+    });
+
+    test('should reject non-HTTP and invalid URLs and lowercase paths on request', () => {
+        expect(normalizer.normalize('mailto:someone@example.com')).toBeNull();
+        expect(normalizer.normalize('javascript:void(0)', 'https://example.com/')).toBeNull();
+        expect(normalizer.normalize('not a url')).toBeNull();
+
+        const lowercasing = new UrlNormalizer({ lowercasePaths: ['example.com'] });
+        expect(lowercasing.normalize('https://example.com/About')).toBe('https://example.com/about');
+        expect(lowercasing.normalize('https://other.com/About')).toBe('https://other.com/About');
+    });
+});
+
+describe('Canonical URLs', () => {
+    const routes = {
+        'https://example.com/robots.txt': 'User-agent: *\nAllow: /',
+        'https://example.com/': `<html><body>
+            <a href="/product?utm_source=home">Product</a>
+            <a href="/product?color=red">Red</a>
+            <a href="/product/#reviews">Reviews</a>
+        </body></html>`,
+        // Requested as first linked; the variants below share its normalized URL
+        'https://example.com/product?utm_source=home': '<html><head><title>Product</title></head><body><p>Product page</p></body></html>',
+        'https://example.com/product?color=red': `<html><head>
+            <link rel="canonical" href="https://example.com/product">
+        </head><body><p>Product page</p></body></html>`
+    };
+
+    test('should record a page once with the URLs that duplicate it', async () => {
+        const crawler = new WebCrawler({ fetcher: mockFetcher(routes), delay: 0, logLevel: 'silent' });
+        await crawler.crawl('https://example.com/');
+
+        expect(crawler.crawlData.map(page => page.url)).toEqual(['https://example.com/', 'https://example.com/product']);
+        const product = crawler.getPages().find(page => page.url === 'https://example.com/product');
+        expect(product.aliases).toEqual(['https://example.com/product?color=red']);
+    });
+
+    test('should keep aliases across concurrent checkpoints', async () => {
+        const crawler = new ConcurrentWebCrawler({
+            fetcher: mockFetcher(routes), delay: 0, concurrency: 1, logLevel: 'silent', enableCheckpoints: false
+        });
+        await crawler.crawl('https://example.com');
+        expect(crawler.crawlData.map(page => page.url)).toEqual(['https://example.com/', 'https://example.com/product']);
+
+        const resumed = new ConcurrentWebCrawler({ logLevel: 'silent', enableCheckpoints: false });
+        resumed.restoreState(JSON.parse(JSON.stringify(crawler.getCheckpointState())));
+        expect(resumed.getPages()[1].aliases).toEqual(['https://example.com/product?color=red']);
+    });
+
+    test.each([
+        ['WebCrawler', options => new WebCrawler(options)],
+        ['ConcurrentWebCrawler', options => new ConcurrentWebCrawler({ ...options, enableCheckpoints: false, progressCallback: () => {} })]
+    ])('%s should record a redirected URL as an alias of the page it reaches', async (name, createCrawler) => {
+        const redirectRoutes = {
+            'https://example.com/robots.txt': 'User-agent: *\nAllow: /',
+            'https://example.com/': '<html><body><a href="/redir">Moved</a> <a href="/page">Page</a></body></html>',
+            'https://example.com/redir': {
+                data: '<html><body><p>Page content</p></body></html>',
+                redirects: [{ url: 'https://example.com/redir', status: 301, location: 'https://example.com/page' }]
+            },
+            'https://example.com/page': '<html><body><p>Page content</p></body></html>'
+        };
+        const crawler = createCrawler({ fetcher: mockFetcher(redirectRoutes), concurrency: 1, delay: 0, logLevel: 'silent' });
+        await crawler.crawl('https://example.com/');
+
+        expect(crawler.crawlData.map(page => page.url)).toEqual(['https://example.com/', 'https://example.com/page']);
+        expect(crawler.crawlData[1].duplicateOf).toBeUndefined();
+        expect(crawler.getPages()[1].aliases).toEqual(['https://example.com/redir']);
+    });
+});
+
+describe('Link resolution', () => {
+    const routes = {
+        'https://example.com/robots.txt': 'User-agent: *\nAllow: /',
+        'https://example.com/docs/': '<html><body><a href="intro.html">Intro</a> <a href="/old">Moved</a></body></html>',
+        'https://example.com/docs/intro.html': '<html><head><base href="/guide/"></head><body><a href="start.html">Start</a></body></html>',
+        'https://example.com/guide/start.html': '<html><body><p>Start</p></body></html>',
+        'https://example.com/old': '<html><body><a href="page">Page</a></body></html>',
+        'https://example.com/new/page': '<html><body><p>Page</p></body></html>'
+    };
+    const fetcher = () => {
+        const routeFetcher = mockFetcher(routes);
+        const get = routeFetcher.get;
+        // /old redirects to /new/, so its relative links resolve against /new/
+        routeFetcher.get = jest.fn(async (url, options) => {
+            const response = await get(url, options);
+            return url === 'https://example.com/old'
+                ? { ...response, redirects: [{ url, status: 301, location: 'https://example.com/new/' }] }
+                : response;
+        });
+        return routeFetcher;
+    };
+
+    test.each([
+        ['WebCrawler', options => new WebCrawler(options)],
+        ['ConcurrentWebCrawler', options => new ConcurrentWebCrawler({ ...options, enableCheckpoints: false, progressCallback: () => {} })]
+    ])('%s should resolve links against the directory URL it fetched', async (name, createCrawler) => {
+        const crawler = createCrawler({ fetcher: fetcher(), maxDepth: 2, delay: 0, logLevel: 'silent' });
+        await crawler.crawl('https://example.com/docs/');
+
+        const requested = crawler.fetcher.get.mock.calls.map(([url]) => url).filter(url => !url.endsWith('/robots.txt'));
+        expect(requested.sort()).toEqual([
+            'https://example.com/docs/',
+            'https://example.com/docs/intro.html',
+            'https://example.com/guide/start.html',
+            'https://example.com/new/page',
+            'https://example.com/old'
+        ]);
+        // Pages are still keyed by their normalized URL
+        expect(crawler.crawlData.map(page => page.url)).toContain('https://example.com/docs');
+        expect(crawler.errors).toEqual([]);
+    });
+});